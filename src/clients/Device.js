@@ -18,16 +18,25 @@
 *
 */
 
-import type { Socket } from 'net';
 import type { Duplex } from 'stream';
-import type { DeviceAttributes, ProtocolEvent } from '../types';
+import type {
+  DeviceAttributes,
+  DeviceConnectionInfo,
+  DeviceSocket,
+  ProtocolEvent,
+} from '../types';
 import type Handshake from '../lib/Handshake';
+import type UDPHandshake from '../lib/UDPHandshake';
 import type { MessageType } from '../lib/MessageSpecifications';
 import type { FileTransferStoreType } from '../lib/FileTransferStore';
+import type { SessionCounters } from '../lib/CryptoManager';
+import type { DeviceEventQueueConfig } from '../lib/DeviceEventQueue';
+import type { OTAOptions } from '../lib/Flasher';
 
 import CoapMessage from '../lib/CoapMessage';
 import CoapPacket from 'coap-packet';
 import CryptoManager from '../lib/CryptoManager';
+import DeviceEventQueue from '../lib/DeviceEventQueue';
 import FileTransferStore from '../lib/FileTransferStore';
 import CoapMessages from '../lib/CoapMessages';
 import Flasher from '../lib/Flasher';
@@ -86,10 +95,16 @@ const COUNTER_MAX = 65536;
 const TOKEN_COUNTER_MAX = 256;
 const KEEP_ALIVE_TIMEOUT = settings.KEEP_ALIVE_TIMEOUT;
 const SOCKET_TIMEOUT = settings.SOCKET_TIMEOUT;
+/**
+ * Dropped events are reported at most once in this interval
+ */
+const DROPPED_EVENTS_REPORT_INTERVAL = 1000;
 
 export const DEVICE_EVENT_NAMES = {
   DISCONNECT: 'disconnect',
+  EVENTS_DROPPED: 'events/dropped',
   FLASH_FAILED: 'flash/failed',
+  FLASH_PROGRESS: 'flash/progress',
   FLASH_STARTED: 'flash/started',
   FLASH_SUCCESS: 'flash/success',
   READY: 'ready',
@@ -98,6 +113,13 @@ export const DEVICE_EVENT_NAMES = {
 export const SYSTEM_EVENT_NAMES = {
   APP_HASH: 'spark/device/app-hash',
   CLAIM_CODE: 'spark/device/claim/code',
+  DEVICE_KEY_MISMATCH: 'spark/device/key_mismatch',
+  DEVICE_KEY_PROVISIONED: 'spark/device/key_provisioned',
+  EVENTS_DROPPED: 'spark/device/events_dropped',
+  FIRMWARE_QUARANTINED: 'spark/device/firmware_quarantined',
+  // The product firmware can't be flashed to the device, e.g. it is built
+  // for another platform
+  FIRMWARE_REJECTED: 'spark/device/firmware_rejected',
   FLASH_AVAILABLE: 'spark/flash/available',
   FLASH_PROGRESS: 'spark/flash/progress',
   FLASH_STATUS: 'spark/flash/status',
@@ -109,6 +131,7 @@ export const SYSTEM_EVENT_NAMES = {
   MAX_BINARY: 'spark/hardware/max_binary',
   OTA_CHUNK_SIZE: 'spark/hardware/ota_chunk_size',
   OTA_RESULT: 'spark/device/ota_result',
+  RATE_LIMITED: 'spark/device/ratelimited',
   RESET: 'spark/device/reset', // send this to reset passing "safe mode"/"dfu"/"reboot"
   SAFE_MODE: 'spark/device/safemode',
   SAFE_MODE_UPDATING: 'spark/safe-mode-updater/updating',
@@ -170,25 +193,41 @@ class Device extends EventEmitter {
   _connectionStartTime: ?Date = null;
   _decipherStream: ?Duplex = null;
   _disconnectCounter: number = 0;
+  _droppedEventCount: number = 0;
+  _droppedEventsReportTimeout: ?number = null;
+  _eventQueue: DeviceEventQueue;
+  _isEventQueueFlushScheduled: boolean = false;
   _isFlashing: boolean = false;
+  _isWaitingForDrain: boolean = false;
   _maxBinarySize: ?number = null;
   _otaChunkSize: ?number = null;
   _owningFlasher: ?Flasher;
   _receiveCounter: number = 0;
+  _resumedSessionCounters: ?SessionCounters = null;
   _sendCounter: number = 0;
   _sendToken: number = 0;
-  _socket: Socket;
+  _socket: DeviceSocket;
   _socketTimeoutInterval: ?number = null;
   _status: DeviceStatus = DEVICE_STATUS_MAP.INITIAL;
   _statusEventEmitter: EventEmitter = new EventEmitter();
   _systemInformation: ?Object;
   _tokens: { [key: string]: MessageType } = {};
-  _handshake: Handshake;
-
-  constructor(socket: Socket, connectionKey: string, handshake: Handshake) {
+  _unreportedDroppedEventCount: number = 0;
+  _handshake: Handshake | UDPHandshake;
+
+  constructor(
+    socket: DeviceSocket,
+    connectionKey: string,
+    handshake: Handshake | UDPHandshake,
+    eventQueueConfig: DeviceEventQueueConfig = settings.DEVICE_EVENT_QUEUE_CONFIG,
+  ) {
     super();
 
     this._connectionKey = connectionKey;
+    this._eventQueue = new DeviceEventQueue(
+      eventQueueConfig.MAX_SIZE,
+      eventQueueConfig.DROP_POLICY,
+    );
     this._socket = socket;
     this._handshake = handshake;
   }
@@ -281,10 +320,13 @@ class Device extends EventEmitter {
         decipherStream,
         deviceID,
         handshakeBuffer,
+        resumedSessionCounters,
+        serverKeyID,
       } = result;
 
       this._cipherStream = cipherStream;
       this._decipherStream = decipherStream;
+      this._resumedSessionCounters = resumedSessionCounters;
 
       const getHelloInfo = this._getHello(handshakeBuffer);
 
@@ -292,6 +334,7 @@ class Device extends EventEmitter {
         ...(getHelloInfo || {}),
         deviceID,
         ip: this.getRemoteIPAddress(),
+        ...(serverKeyID ? { serverKeyID } : {}),
       });
       this.setStatus(DEVICE_STATUS_MAP.GOT_HELLO);
 
@@ -403,7 +446,10 @@ class Device extends EventEmitter {
 
   _sendHello = () => {
     // client will set the counter property on the message
-    this._sendCounter = CryptoManager.getRandomUINT16();
+    // Resumed sessions keep counting where the previous connection stopped.
+    this._sendCounter = this._resumedSessionCounters
+      ? this._resumedSessionCounters.sendCounter
+      : CryptoManager.getRandomUINT16();
     this.sendMessage('Hello');
   };
 
@@ -589,13 +635,27 @@ class Device extends EventEmitter {
       );
     }
 
-    process.nextTick(
-      (): boolean => !!this._cipherStream && this._cipherStream.write(message),
-    );
+    process.nextTick((): void => this._writeToCipherStream(message));
 
     return token || 0;
   };
 
+  _writeToCipherStream = (message: Buffer) => {
+    const cipherStream = this._cipherStream;
+    if (!cipherStream) {
+      return;
+    }
+
+    // The socket doesn't keep up, hold the queued events until it catches up
+    if (!cipherStream.write(message) && !this._isWaitingForDrain) {
+      this._isWaitingForDrain = true;
+      cipherStream.once('drain', () => {
+        this._isWaitingForDrain = false;
+        this._scheduleEventQueueFlush();
+      });
+    }
+  };
+
   // Adds a listener to our secure message stream
   listenFor = async (
     eventName: MessageType,
@@ -804,6 +864,7 @@ class Device extends EventEmitter {
     binary: ?Buffer,
     fileTransferStore: FileTransferStoreType = FileTransferStore.FIRMWARE,
     address: string = '0x0',
+    otaOptions?: ?OTAOptions,
   ): Promise<*> => {
     const isBusy = !this._isSocketAvailable(null);
     if (isBusy) {
@@ -812,7 +873,12 @@ class Device extends EventEmitter {
 
     this._isFlashing = true;
 
-    const flasher = new Flasher(this, this._maxBinarySize, this._otaChunkSize);
+    const flasher = new Flasher(
+      this,
+      this._maxBinarySize,
+      this._otaChunkSize,
+      otaOptions,
+    );
     try {
       logger.info(
         {
@@ -1010,6 +1076,76 @@ class Device extends EventEmitter {
   };
 
   sendDeviceEvent = (event: ProtocolEvent) => {
+    const droppedEvent = this._eventQueue.enqueue(event);
+    if (droppedEvent) {
+      this._onEventDropped(droppedEvent);
+    }
+
+    this._scheduleEventQueueFlush();
+  };
+
+  getEventQueueStats = (): {
+    droppedEventCount: number,
+    queueDepth: number,
+  } => ({
+    droppedEventCount: this._droppedEventCount,
+    queueDepth: this._eventQueue.getSize(),
+  });
+
+  _onEventDropped = (event: ProtocolEvent) => {
+    this._droppedEventCount += 1;
+    this._unreportedDroppedEventCount += 1;
+
+    logger.warn(
+      {
+        deviceID: this.getDeviceID(),
+        droppedEventCount: this._droppedEventCount,
+        eventName: event.name,
+      },
+      'Dropped outbound event',
+    );
+
+    if (this._droppedEventsReportTimeout) {
+      return;
+    }
+
+    this._droppedEventsReportTimeout = setTimeout(() => {
+      this._droppedEventsReportTimeout = null;
+      this.emit(
+        DEVICE_EVENT_NAMES.EVENTS_DROPPED,
+        this._unreportedDroppedEventCount,
+      );
+      this._unreportedDroppedEventCount = 0;
+    }, DROPPED_EVENTS_REPORT_INTERVAL);
+  };
+
+  // Events are sent one at a time so a backed up socket is noticed before the
+  // next one is written.
+  _scheduleEventQueueFlush = () => {
+    if (this._isEventQueueFlushScheduled || !this._eventQueue.getSize()) {
+      return;
+    }
+
+    this._isEventQueueFlushScheduled = true;
+    setImmediate(this._flushEventQueue);
+  };
+
+  _flushEventQueue = () => {
+    this._isEventQueueFlushScheduled = false;
+    if (this._isWaitingForDrain || !this._cipherStream) {
+      return;
+    }
+
+    const event = this._eventQueue.shift();
+    if (!event) {
+      return;
+    }
+
+    this._sendEventMessage(event);
+    this._scheduleEventQueueFlush();
+  };
+
+  _sendEventMessage = (event: ProtocolEvent) => {
     const { data, isPublic, name, ttl } = event;
     const messageName = isPublic
       ? DEVICE_MESSAGE_EVENTS_NAMES.PUBLIC_EVENT
@@ -1049,6 +1185,26 @@ class Device extends EventEmitter {
 
   getConnectionKey = (): ?string => this._connectionKey;
 
+  getConnectionInfo = (): DeviceConnectionInfo => ({
+    connectedAt: this._connectionStartTime,
+    connectionKey: this._connectionKey,
+    counters: this.getCounters(),
+    deviceID: this.getDeviceID(),
+    eventQueue: this.getEventQueueStats(),
+    isFlashing: this._isFlashing,
+    lastHeard: this._attributes.lastHeard,
+    remoteIPAddress: this.getRemoteIPAddress(),
+    serverKeyID: this._attributes.serverKeyID,
+    status: this._status,
+  });
+
+  getCounters = (): SessionCounters => ({
+    receiveCounter: this._receiveCounter,
+    sendCounter: this._sendCounter,
+  });
+
+  isSessionResumed = (): boolean => !!this._resumedSessionCounters;
+
   getRemoteIPAddress = (): string =>
     this._socket.remoteAddress
       ? this._socket.remoteAddress.toString()
@@ -1062,6 +1218,12 @@ class Device extends EventEmitter {
       this._socketTimeoutInterval = null;
     }
 
+    if (this._droppedEventsReportTimeout) {
+      clearTimeout(this._droppedEventsReportTimeout);
+      this._droppedEventsReportTimeout = null;
+    }
+    this._eventQueue.clear();
+
     if (this._disconnectCounter > 1) {
       // don't multi-disconnect
       return;
@@ -1,6 +1,6 @@
 // @flow
 
-import type { Decorator, Descriptor } from './types';
+import type { Cache, Decorator, Descriptor } from './types';
 
 import memoize from 'memoizee';
 
@@ -15,6 +15,15 @@ const DEFAULT_PARAMETERS = {
   promise: true,
 };
 
+// Drops the cached results of the memoized methods of the object's class,
+// e.g. after its storage was changed by another process. It also stops the
+// maxAge timers, which would otherwise keep the process running.
+export const clearMemoizedCaches = (object: Object) => {
+  (object._caches || []).forEach((cache: Cache): void =>
+    cache.memoized.clear(),
+  );
+};
+
 /* eslint-disable no-param-reassign */
 export default <TType: Object>(
   keys?: Array<string> = [],
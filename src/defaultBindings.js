@@ -1,29 +1,91 @@
 // @flow
+import type { DTLSSessionFactory, IEventPublisherAdapter } from './types';
+import type { DeviceEventQueueConfig } from './lib/DeviceEventQueue';
+import type { DeviceKeyProvisioningConfig } from './lib/DeviceKeyPolicy';
+import type { EventRateLimitConfig } from './server/DeviceServer';
+import type { FirmwareHealthCheckConfig } from './lib/FirmwareHealthMonitor';
+import type { FlashJobQueueConfig } from './lib/FlashJobQueue';
+import type { StorageEncryptionConfig } from './repository/FileEncryptor';
+import type { OTALinkConfig } from './lib/OTALinkController';
+import type { OTAPayloadConfig } from './lib/OTAPayload';
+import type { ServerKeyServiceConfig } from './lib/SocketServerKeySigner';
+
 import { Container } from 'constitute';
 
 import DeviceAttributeFileRepository from './repository/DeviceAttributeFileRepository';
+import DeviceKeyAuditFileRepository from './repository/DeviceKeyAuditFileRepository';
 import DeviceKeyFileRepository from './repository/DeviceKeyFileRepository';
+import DeviceKeyPolicy from './lib/DeviceKeyPolicy';
+import DeviceRegistry from './lib/DeviceRegistry';
 import DeviceServer from './server/DeviceServer';
+import EventFileRepository from './repository/EventFileRepository';
 import EventPublisher from './lib/EventPublisher';
 import EventProvider from './lib/EventProvider';
+import FileEncryptor from './repository/FileEncryptor';
+import FirmwareHealthMonitor from './lib/FirmwareHealthMonitor';
+import FirmwareRolloutFileRepository from './repository/FirmwareRolloutFileRepository';
+import FirmwareRolloutManager from './lib/FirmwareRolloutManager';
+import FlashJobFileRepository from './repository/FlashJobFileRepository';
+import FlashJobQueue from './lib/FlashJobQueue';
+import LocalServerKeySigner from './lib/LocalServerKeySigner';
 import ClaimCodeManager from './lib/ClaimCodeManager';
 import CryptoManager from './lib/CryptoManager';
+import DeviceKeyTransfer from './lib/DeviceKeyTransfer';
+import OTALinkController from './lib/OTALinkController';
+import OTALinkStatsFileRepository from './repository/OTALinkStatsFileRepository';
+import OTATransferStateFileRepository from './repository/OTATransferStateFileRepository';
 import MockProductDeviceRepository from './repository/MockProductDeviceRepository';
 import MockProductFirmwareRepository from './repository/MockProductFirmwareRepository';
 import ServerKeyFileRepository from './repository/ServerKeyFileRepository';
+import SocketServerKeySigner from './lib/SocketServerKeySigner';
 import protocolSettings from './settings';
 
 type ServerSettings = {
   BINARIES_DIRECTORY?: string,
   DEVICE_DIRECTORY: string,
+  DEVICE_EVENT_QUEUE_CONFIG?: DeviceEventQueueConfig,
+  DEVICE_KEY_AUDIT_DIRECTORY?: string,
+  DEVICE_KEY_PROVISIONING_CONFIG?: DeviceKeyProvisioningConfig,
+  DEVICE_REGISTRY_CONFIG?: {
+    HEARTBEAT_INTERVAL: number,
+    NODE_ID?: ?string,
+    NODE_TIMEOUT: number,
+    OWNER_GRACE_PERIOD: number,
+  },
+  DTLS_SESSION_FACTORY?: ?DTLSSessionFactory,
+  ENABLE_EXPERIMENTAL_OTA_RESUME?: boolean,
   ENABLE_SYSTEM_FIRWMARE_AUTOUPDATES: boolean,
+  EVENT_PUBLISHER_ADAPTER?: ?IEventPublisherAdapter,
+  EVENT_RATE_LIMIT_CONFIG?: ?EventRateLimitConfig,
+  EVENT_STORE_DIRECTORY?: ?string,
+  FIRMWARE_HEALTH_CHECK_CONFIG?: FirmwareHealthCheckConfig,
+  FIRMWARE_ROLLOUT_DIRECTORY?: string,
+  FLASH_JOB_DIRECTORY?: string,
+  FLASH_JOB_QUEUE_CONFIG?: FlashJobQueueConfig,
+  OTA_LINK_CONFIG?: OTALinkConfig,
+  OTA_LINK_STATS_DIRECTORY?: string,
+  OTA_PAYLOAD_CONFIG?: ?OTAPayloadConfig,
+  OTA_TRANSFER_STATE_DIRECTORY?: string,
+  RETIRING_SERVER_KEY_FILENAMES?: Array<string>,
   SERVER_KEY_FILENAME: string,
   SERVER_KEY_PASSWORD?: string,
+  SERVER_KEY_SERVICE_CONFIG?: ServerKeyServiceConfig,
   SERVER_KEYS_DIRECTORY: string,
+  STORAGE_ENCRYPTION_CONFIG?: StorageEncryptionConfig,
+  SESSION_CACHE_CONFIG?: {
+    MAX_SESSIONS: number,
+    TTL: number,
+  },
   TCP_DEVICE_SERVER_CONFIG: {
     HOST: string,
     PORT: number,
   },
+  UDP_DEVICE_SERVER_CONFIG?: {
+    ENABLED: boolean,
+    HOST: string,
+    MAX_SESSIONS?: number,
+    PORT: number,
+  },
 };
 
 const defaultBindings = (
@@ -34,56 +96,217 @@ const defaultBindings = (
 
   // Settings
   container.bindValue('DEVICE_DIRECTORY', mergedSettings.DEVICE_DIRECTORY);
+  container.bindValue(
+    'DEVICE_EVENT_QUEUE_CONFIG',
+    mergedSettings.DEVICE_EVENT_QUEUE_CONFIG,
+  );
+  container.bindValue(
+    'DEVICE_KEY_AUDIT_DIRECTORY',
+    mergedSettings.DEVICE_KEY_AUDIT_DIRECTORY,
+  );
+  container.bindValue(
+    'DEVICE_KEY_PROVISIONING_CONFIG',
+    mergedSettings.DEVICE_KEY_PROVISIONING_CONFIG,
+  );
+  container.bindValue(
+    'DEVICE_REGISTRY_CONFIG',
+    mergedSettings.DEVICE_REGISTRY_CONFIG,
+  );
+  container.bindValue(
+    'DTLS_SESSION_FACTORY',
+    mergedSettings.DTLS_SESSION_FACTORY || null,
+  );
+  container.bindValue(
+    'ENABLE_EXPERIMENTAL_OTA_RESUME',
+    !!mergedSettings.ENABLE_EXPERIMENTAL_OTA_RESUME,
+  );
   container.bindValue(
     'ENABLE_SYSTEM_FIRWMARE_AUTOUPDATES',
     mergedSettings.ENABLE_SYSTEM_FIRWMARE_AUTOUPDATES,
   );
+  container.bindValue(
+    'EVENT_PUBLISHER_ADAPTER',
+    mergedSettings.EVENT_PUBLISHER_ADAPTER || null,
+  );
+  container.bindValue(
+    'EVENT_RATE_LIMIT_CONFIG',
+    mergedSettings.EVENT_RATE_LIMIT_CONFIG,
+  );
+  container.bindValue(
+    'EVENT_STORE_DIRECTORY',
+    mergedSettings.EVENT_STORE_DIRECTORY,
+  );
+  container.bindValue(
+    'RETIRING_SERVER_KEY_FILENAMES',
+    mergedSettings.RETIRING_SERVER_KEY_FILENAMES,
+  );
   container.bindValue(
     'SERVER_KEY_FILENAME',
     mergedSettings.SERVER_KEY_FILENAME,
   );
+  container.bindValue(
+    'FIRMWARE_HEALTH_CHECK_CONFIG',
+    mergedSettings.FIRMWARE_HEALTH_CHECK_CONFIG,
+  );
+  container.bindValue(
+    'FIRMWARE_ROLLOUT_DIRECTORY',
+    mergedSettings.FIRMWARE_ROLLOUT_DIRECTORY,
+  );
+  container.bindValue(
+    'FLASH_JOB_DIRECTORY',
+    mergedSettings.FLASH_JOB_DIRECTORY,
+  );
+  container.bindValue(
+    'FLASH_JOB_QUEUE_CONFIG',
+    mergedSettings.FLASH_JOB_QUEUE_CONFIG,
+  );
+  container.bindValue('OTA_LINK_CONFIG', mergedSettings.OTA_LINK_CONFIG);
+  container.bindValue(
+    'OTA_LINK_STATS_DIRECTORY',
+    mergedSettings.OTA_LINK_STATS_DIRECTORY,
+  );
+  container.bindValue('OTA_PAYLOAD_CONFIG', mergedSettings.OTA_PAYLOAD_CONFIG);
+  container.bindValue(
+    'OTA_TRANSFER_STATE_DIRECTORY',
+    mergedSettings.OTA_TRANSFER_STATE_DIRECTORY,
+  );
   container.bindValue(
     'SERVER_KEY_PASSWORD',
     mergedSettings.SERVER_KEY_PASSWORD,
   );
+  container.bindValue(
+    'SERVER_KEY_SERVICE_CONFIG',
+    mergedSettings.SERVER_KEY_SERVICE_CONFIG,
+  );
   container.bindValue(
     'SERVER_KEYS_DIRECTORY',
     mergedSettings.SERVER_KEYS_DIRECTORY,
   );
+  container.bindValue(
+    'SESSION_CACHE_CONFIG',
+    mergedSettings.SESSION_CACHE_CONFIG,
+  );
   container.bindValue(
     'TCP_DEVICE_SERVER_CONFIG',
     mergedSettings.TCP_DEVICE_SERVER_CONFIG,
   );
+  container.bindValue(
+    'UDP_DEVICE_SERVER_CONFIG',
+    mergedSettings.UDP_DEVICE_SERVER_CONFIG,
+  );
 
   // Repository
+  container.bindValue(
+    'FileEncryptor',
+    FileEncryptor.fromConfig(mergedSettings.STORAGE_ENCRYPTION_CONFIG),
+  );
   container.bindClass(
     'IDeviceAttributeRepository',
     DeviceAttributeFileRepository,
-    ['DEVICE_DIRECTORY'],
+    ['DEVICE_DIRECTORY', 'FileEncryptor'],
   );
 
+  container.bindClass(
+    'IDeviceKeyAuditRepository',
+    DeviceKeyAuditFileRepository,
+    ['DEVICE_KEY_AUDIT_DIRECTORY'],
+  );
   container.bindClass('IDeviceKeyRepository', DeviceKeyFileRepository, [
     'DEVICE_DIRECTORY',
+    'FileEncryptor',
   ]);
+  container.bindClass(
+    'IFirmwareRolloutRepository',
+    FirmwareRolloutFileRepository,
+    ['FIRMWARE_ROLLOUT_DIRECTORY'],
+  );
+  container.bindClass('IFlashJobRepository', FlashJobFileRepository, [
+    'FLASH_JOB_DIRECTORY',
+  ]);
+  container.bindClass('IOTALinkStatsRepository', OTALinkStatsFileRepository, [
+    'OTA_LINK_STATS_DIRECTORY',
+  ]);
+  container.bindClass(
+    'IOTATransferStateRepository',
+    OTATransferStateFileRepository,
+    ['OTA_TRANSFER_STATE_DIRECTORY'],
+  );
   container.bindClass('IProductDeviceRepository', MockProductDeviceRepository);
   container.bindClass(
     'IProductFirmwareRepository',
     MockProductFirmwareRepository,
   );
 
+  if (mergedSettings.EVENT_STORE_DIRECTORY) {
+    container.bindClass('IEventStore', EventFileRepository, [
+      'EVENT_STORE_DIRECTORY',
+    ]);
+  } else {
+    container.bindValue('IEventStore', null);
+  }
+
   container.bindClass('ServerKeyRepository', ServerKeyFileRepository, [
     'SERVER_KEYS_DIRECTORY',
     'SERVER_KEY_FILENAME',
+    'RETIRING_SERVER_KEY_FILENAMES',
+    'FileEncryptor',
   ]);
 
   // Utils
-  container.bindClass('EventPublisher', EventPublisher, []);
+  container.bindClass('EventPublisher', EventPublisher, [
+    'EVENT_PUBLISHER_ADAPTER',
+    'IEventStore',
+  ]);
   container.bindClass('EVENT_PROVIDER', EventProvider, ['EventPublisher']);
   container.bindClass('ClaimCodeManager', ClaimCodeManager, []);
+  container.bindClass('DeviceKeyPolicy', DeviceKeyPolicy, [
+    'IDeviceKeyRepository',
+    'IDeviceKeyAuditRepository',
+    'EventPublisher',
+    'DEVICE_KEY_PROVISIONING_CONFIG',
+  ]);
+  container.bindClass('DeviceRegistry', DeviceRegistry, [
+    'EventPublisher',
+    'DEVICE_REGISTRY_CONFIG',
+  ]);
+  container.bindClass('FirmwareHealthMonitor', FirmwareHealthMonitor, [
+    'FIRMWARE_HEALTH_CHECK_CONFIG',
+  ]);
+  container.bindClass('FirmwareRolloutManager', FirmwareRolloutManager, [
+    'IFirmwareRolloutRepository',
+    'IProductDeviceRepository',
+    'EventPublisher',
+  ]);
+  container.bindClass('FlashJobQueue', FlashJobQueue, [
+    'IFlashJobRepository',
+    'FLASH_JOB_QUEUE_CONFIG',
+  ]);
+  container.bindClass('OTALinkController', OTALinkController, [
+    'IOTALinkStatsRepository',
+    'OTA_LINK_CONFIG',
+  ]);
+  if (
+    mergedSettings.SERVER_KEY_SERVICE_CONFIG &&
+    mergedSettings.SERVER_KEY_SERVICE_CONFIG.SOCKET_PATH
+  ) {
+    container.bindClass('IServerKeySigner', SocketServerKeySigner, [
+      'SERVER_KEY_SERVICE_CONFIG',
+    ]);
+  } else {
+    container.bindClass('IServerKeySigner', LocalServerKeySigner, [
+      'ServerKeyRepository',
+    ]);
+  }
   container.bindClass('CryptoManager', CryptoManager, [
     'IDeviceKeyRepository',
     'ServerKeyRepository',
     'SERVER_KEY_PASSWORD',
+    'SESSION_CACHE_CONFIG',
+    'IServerKeySigner',
+  ]);
+  container.bindClass('DeviceKeyTransfer', DeviceKeyTransfer, [
+    'IDeviceKeyRepository',
+    'CryptoManager',
   ]);
 
   // Device server
@@ -96,6 +319,19 @@ const defaultBindings = (
     'EventPublisher',
     'TCP_DEVICE_SERVER_CONFIG',
     'ENABLE_SYSTEM_FIRWMARE_AUTOUPDATES',
+    'UDP_DEVICE_SERVER_CONFIG',
+    'DTLS_SESSION_FACTORY',
+    'DeviceRegistry',
+    'DEVICE_EVENT_QUEUE_CONFIG',
+    'EVENT_RATE_LIMIT_CONFIG',
+    'FirmwareRolloutManager',
+    'FirmwareHealthMonitor',
+    'OTA_PAYLOAD_CONFIG',
+    'FlashJobQueue',
+    'OTALinkController',
+    'DeviceKeyPolicy',
+    'IOTATransferStateRepository',
+    'ENABLE_EXPERIMENTAL_OTA_RESUME',
   ]);
 };
 
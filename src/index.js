@@ -19,35 +19,70 @@
  */
 
 import DeviceAttributeFileRepository from './repository/DeviceAttributeFileRepository';
+import DeviceKeyAuditFileRepository from './repository/DeviceKeyAuditFileRepository';
 import DeviceKeyFileRepository from './repository/DeviceKeyFileRepository';
+import DeviceKeyPolicy from './lib/DeviceKeyPolicy';
+import DeviceKeyTransfer from './lib/DeviceKeyTransfer';
+import DeviceRegistry from './lib/DeviceRegistry';
 import ClaimCodeManager from './lib/ClaimCodeManager';
+import EventBrokerAdapter from './lib/EventBrokerAdapter';
+import EventBrokerServer from './server/EventBrokerServer';
+import EventFileRepository from './repository/EventFileRepository';
 import EventPublisher from './lib/EventPublisher';
 import DeviceServer from './server/DeviceServer';
+import FileEncryptor from './repository/FileEncryptor';
 import FileManager from './repository/FileManager';
+import FirmwareHealthMonitor from './lib/FirmwareHealthMonitor';
+import FirmwareRolloutFileRepository from './repository/FirmwareRolloutFileRepository';
+import FirmwareRolloutManager from './lib/FirmwareRolloutManager';
+import FlashJobFileRepository from './repository/FlashJobFileRepository';
+import FlashJobQueue from './lib/FlashJobQueue';
 import JSONFileManager from './repository/JSONFileManager';
+import LocalServerKeySigner from './lib/LocalServerKeySigner';
+import OTALinkController from './lib/OTALinkController';
 import ServerKeyFileRepository from './repository/ServerKeyFileRepository';
+import ServerKeyService from './server/ServerKeyService';
+import SocketServerKeySigner from './lib/SocketServerKeySigner';
 import Device from './clients/Device';
 import * as settings from './settings';
 import { FirmwareSettings } from '../third-party/settings.json';
 import defaultBindings from './defaultBindings';
-import memoizeGet from './decorators/memoizeGet';
+import memoizeGet, { clearMemoizedCaches } from './decorators/memoizeGet';
 import memoizeSet from './decorators/memoizeSet';
 import SPARK_SERVER_EVENTS from './lib/SparkServerEvents';
 
 export {
   ClaimCodeManager,
+  clearMemoizedCaches,
   defaultBindings,
   Device,
   DeviceAttributeFileRepository,
+  DeviceKeyAuditFileRepository,
   DeviceKeyFileRepository,
+  DeviceKeyPolicy,
+  DeviceKeyTransfer,
+  DeviceRegistry,
   DeviceServer,
+  EventBrokerAdapter,
+  EventBrokerServer,
+  EventFileRepository,
   EventPublisher,
+  FileEncryptor,
   FileManager,
+  FirmwareHealthMonitor,
+  FirmwareRolloutFileRepository,
+  FirmwareRolloutManager,
   FirmwareSettings,
+  FlashJobFileRepository,
+  FlashJobQueue,
   JSONFileManager,
+  LocalServerKeySigner,
   memoizeGet,
   memoizeSet,
+  OTALinkController,
   ServerKeyFileRepository,
+  ServerKeyService,
   settings,
+  SocketServerKeySigner,
   SPARK_SERVER_EVENTS,
 };
@@ -0,0 +1,186 @@
+// @flow
+
+import CoapMessages from './CoapMessages';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+// Transmission parameters from https://tools.ietf.org/html/rfc7252#section-4.8
+const ACK_TIMEOUT = 2000;
+const ACK_RANDOM_FACTOR = 1.5;
+const MAX_RETRANSMIT = 4;
+const EXCHANGE_LIFETIME = 247000;
+
+export type CoapReliabilityOptions = {
+  ackTimeout?: number,
+  exchangeLifetime?: number,
+  maxRetransmit?: number,
+};
+
+type PendingMessage = {
+  message: Buffer,
+  retransmitCount: number,
+  timeout: number,
+};
+
+type ReceivedMessage = {
+  expiresAt: number,
+  reply: ?Buffer,
+};
+
+/**
+ * Implements the confirmable message semantics CoAP expects from the transport
+ * when it runs over UDP: outgoing CON messages are retransmitted with
+ * exponential backoff until they are acknowledged and duplicated incoming CON
+ * messages are swallowed, replaying the reply we sent for the original one.
+ */
+class CoapReliability {
+  _ackTimeout: number;
+  _exchangeLifetime: number;
+  _maxRetransmit: number;
+  _onTimeout: (messageID: number) => void;
+  _pendingByMessageID: Map<number, PendingMessage> = new Map();
+  _receivedByMessageID: Map<number, ReceivedMessage> = new Map();
+  _send: (message: Buffer) => void;
+
+  constructor(
+    send: (message: Buffer) => void,
+    onTimeout: (messageID: number) => void,
+    options?: CoapReliabilityOptions = {},
+  ) {
+    this._send = send;
+    this._onTimeout = onTimeout;
+    this._ackTimeout = options.ackTimeout || ACK_TIMEOUT;
+    this._exchangeLifetime = options.exchangeLifetime || EXCHANGE_LIFETIME;
+    this._maxRetransmit =
+      options.maxRetransmit === undefined
+        ? MAX_RETRANSMIT
+        : options.maxRetransmit;
+  }
+
+  /**
+   * Returns false if the message is a duplicate and shouldn't be routed.
+   */
+  handleIncoming = (message: Buffer): boolean => {
+    const packet = CoapMessages.unwrap(message);
+    if (!packet) {
+      return false;
+    }
+
+    if (packet.ack || packet.reset) {
+      this._clearPending(packet.messageId);
+      return true;
+    }
+
+    if (!packet.confirmable) {
+      return true;
+    }
+
+    this._removeExpiredMessages();
+
+    const receivedMessage = this._receivedByMessageID.get(packet.messageId);
+    if (receivedMessage) {
+      logger.info(
+        { hasReply: !!receivedMessage.reply, messageID: packet.messageId },
+        'Duplicate confirmable message',
+      );
+      if (receivedMessage.reply) {
+        this._send(receivedMessage.reply);
+      }
+      return false;
+    }
+
+    this._receivedByMessageID.set(packet.messageId, {
+      expiresAt: Date.now() + this._exchangeLifetime,
+      reply: null,
+    });
+    return true;
+  };
+
+  handleOutgoing = (message: Buffer) => {
+    const packet = CoapMessages.unwrap(message);
+    if (packet && (packet.ack || packet.reset)) {
+      const receivedMessage = this._receivedByMessageID.get(packet.messageId);
+      if (receivedMessage) {
+        receivedMessage.reply = message;
+      }
+    }
+
+    this._send(message);
+
+    if (packet && packet.confirmable) {
+      // The initial timeout is randomized between ACK_TIMEOUT and
+      // ACK_TIMEOUT * ACK_RANDOM_FACTOR and doubles on every retransmission.
+      const initialTimeout =
+        this._ackTimeout * (1 + Math.random() * (ACK_RANDOM_FACTOR - 1));
+
+      this._clearPending(packet.messageId);
+      this._scheduleRetransmit(packet.messageId, message, 0, initialTimeout);
+    }
+  };
+
+  getPendingCount = (): number => this._pendingByMessageID.size;
+
+  destroy = () => {
+    this._pendingByMessageID.forEach((pending: PendingMessage): void =>
+      clearTimeout(pending.timeout),
+    );
+    this._pendingByMessageID.clear();
+    this._receivedByMessageID.clear();
+  };
+
+  _clearPending = (messageID: number) => {
+    const pending = this._pendingByMessageID.get(messageID);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timeout);
+    this._pendingByMessageID.delete(messageID);
+  };
+
+  _removeExpiredMessages = () => {
+    const now = Date.now();
+    this._receivedByMessageID.forEach(
+      (receivedMessage: ReceivedMessage, messageID: number) => {
+        if (receivedMessage.expiresAt <= now) {
+          this._receivedByMessageID.delete(messageID);
+        }
+      },
+    );
+  };
+
+  _scheduleRetransmit = (
+    messageID: number,
+    message: Buffer,
+    retransmitCount: number,
+    delay: number,
+  ) => {
+    const timeout = setTimeout(() => {
+      if (!this._pendingByMessageID.has(messageID)) {
+        return;
+      }
+
+      if (retransmitCount >= this._maxRetransmit) {
+        this._pendingByMessageID.delete(messageID);
+        this._onTimeout(messageID);
+        return;
+      }
+
+      this._send(message);
+      this._scheduleRetransmit(
+        messageID,
+        message,
+        retransmitCount + 1,
+        delay * 2,
+      );
+    }, delay);
+
+    this._pendingByMessageID.set(messageID, {
+      message,
+      retransmitCount,
+      timeout,
+    });
+  };
+}
+
+export default CoapReliability;
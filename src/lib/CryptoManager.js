@@ -1,32 +1,75 @@
 // @flow
 
-import type { IDeviceKeyRepository, ServerKeyRepository } from '../types';
+import type {
+  IDeviceKeyRepository,
+  IServerKeySigner,
+  ServerKeyDecryption,
+  ServerKeyInfo,
+  ServerKeyRepository,
+} from '../types';
 
 import crypto from 'crypto';
 import CryptoStream from './CryptoStream';
 import DeviceKey from './DeviceKey';
-import NodeRSA from 'node-rsa';
+import LocalServerKeySigner from './LocalServerKeySigner';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
 
 const HASH_TYPE = 'sha1';
 
+export type SessionCacheConfig = {
+  MAX_SESSIONS: number,
+  TTL: number,
+};
+
+export type SessionCounters = {
+  receiveCounter: number,
+  sendCounter: number,
+};
+
+export type CachedSession = {
+  expiresAt: number,
+  receiveCounter: number,
+  sendCounter: number,
+  serverKeyID: ?string,
+  sessionKey: Buffer,
+};
+
+const DEFAULT_SESSION_CACHE_CONFIG = {
+  MAX_SESSIONS: 10000,
+  TTL: 24 * 60 * 60 * 1000, // 1 day
+};
+
 class CryptoManager {
   _deviceKeyRepository: IDeviceKeyRepository;
-  _serverKeyRepository: ServerKeyRepository;
-  _serverPrivateKey: Object;
   _serverKeyPassword: ?string;
+  _serverKeySigner: IServerKeySigner;
+  _sessionCacheConfig: SessionCacheConfig;
+  _sessionsByDeviceID: Map<string, CachedSession> = new Map();
 
   constructor(
     deviceKeyRepository: IDeviceKeyRepository,
     serverKeyRepository: ServerKeyRepository,
     serverKeyPassword: ?string,
+    sessionCacheConfig?: ?SessionCacheConfig,
+    serverKeySigner?: ?IServerKeySigner,
   ) {
     this._deviceKeyRepository = deviceKeyRepository;
-    this._serverKeyRepository = serverKeyRepository;
     this._serverKeyPassword = serverKeyPassword;
+    this._serverKeySigner =
+      serverKeySigner || new LocalServerKeySigner(serverKeyRepository);
+    this._sessionCacheConfig = {
+      ...DEFAULT_SESSION_CACHE_CONFIG,
+      ...(sessionCacheConfig || {}),
+    };
 
-    (async (): Promise<void> => {
-      this._serverPrivateKey = await this._getServerPrivateKey();
-    })();
+    // Loads the server keys (or creates them) on start instead of on the
+    // first handshake
+    this._serverKeySigner
+      .getServerKeys()
+      .catch((error: Error): void =>
+        logger.error({ err: error }, 'Server keys could not be loaded'),
+      );
   }
 
   _createCryptoStream = (
@@ -50,35 +93,91 @@ class CryptoManager {
     });
   };
 
-  _createServerKeys = async (): Promise<NodeRSA> => {
-    const privateKey = new NodeRSA({ b: 2048 });
+  createAESCipherStream = (sessionKey: Buffer): CryptoStream =>
+    this._createCryptoStream(sessionKey, true);
+
+  createAESDecipherStream = (sessionKey: Buffer): CryptoStream =>
+    this._createCryptoStream(sessionKey, false);
 
-    await this._serverKeyRepository.createKeys(
-      privateKey.exportKey('pkcs1-private-pem'),
-      privateKey.exportKey('pkcs8-public-pem'),
-    );
+  // Keeps the session key so the device can resume the session on its next
+  // connection without a new RSA exchange.
+  cacheSession = (
+    deviceID: string,
+    sessionKey: Buffer,
+    serverKeyID?: ?string,
+  ) => {
+    const { MAX_SESSIONS, TTL } = this._sessionCacheConfig;
+    if (!MAX_SESSIONS || !TTL) {
+      return;
+    }
+
+    this._sessionsByDeviceID.delete(deviceID);
+    this._sessionsByDeviceID.set(deviceID, {
+      expiresAt: Date.now() + TTL,
+      receiveCounter: 0,
+      sendCounter: 0,
+      serverKeyID,
+      sessionKey,
+    });
 
-    return privateKey;
+    this._evictSessions();
   };
 
-  _getServerPrivateKey = async (): Promise<NodeRSA> => {
-    const privateKeyString = await this._serverKeyRepository.getPrivateKey();
+  getCachedSession = (deviceID: string): ?CachedSession => {
+    const session = this._sessionsByDeviceID.get(deviceID);
+    if (!session) {
+      return null;
+    }
 
-    if (!privateKeyString) {
-      return await this._createServerKeys();
+    if (session.expiresAt <= Date.now()) {
+      this._sessionsByDeviceID.delete(deviceID);
+      return null;
     }
 
-    return new NodeRSA(privateKeyString, {
-      encryptionScheme: 'pkcs1',
-      signingScheme: 'pkcs1',
-    });
+    // Move it to the end so the least recently used sessions are evicted first
+    this._sessionsByDeviceID.delete(deviceID);
+    this._sessionsByDeviceID.set(deviceID, session);
+
+    return session;
   };
 
-  createAESCipherStream = (sessionKey: Buffer): CryptoStream =>
-    this._createCryptoStream(sessionKey, true);
+  removeCachedSession = (deviceID: string): boolean =>
+    this._sessionsByDeviceID.delete(deviceID);
 
-  createAESDecipherStream = (sessionKey: Buffer): CryptoStream =>
-    this._createCryptoStream(sessionKey, false);
+  updateCachedSessionCounters = (
+    deviceID: string,
+    counters: SessionCounters,
+  ) => {
+    const session = this._sessionsByDeviceID.get(deviceID);
+    if (!session) {
+      return;
+    }
+
+    session.receiveCounter = counters.receiveCounter;
+    session.sendCounter = counters.sendCounter;
+  };
+
+  _evictSessions = () => {
+    const now = Date.now();
+    this._sessionsByDeviceID.forEach(
+      (session: CachedSession, deviceID: string) => {
+        if (session.expiresAt <= now) {
+          this._sessionsByDeviceID.delete(deviceID);
+        }
+      },
+    );
+
+    const sessionIterator = this._sessionsByDeviceID.keys();
+    while (
+      this._sessionsByDeviceID.size > this._sessionCacheConfig.MAX_SESSIONS
+    ) {
+      const oldestDeviceID = sessionIterator.next().value;
+      if (!oldestDeviceID) {
+        return;
+      }
+      this._sessionsByDeviceID.delete(oldestDeviceID);
+    }
+  };
 
   createHmacDigest = (ciphertext: Buffer, sessionKey: Buffer): Buffer => {
     const hmac = crypto.createHmac(HASH_TYPE, sessionKey);
@@ -103,18 +202,26 @@ class CryptoManager {
       deviceID,
       key: publicKeyPem,
     });
+    // The device has a new key so it needs to go through a full handshake
+    this.removeCachedSession(deviceID);
 
     return output;
   };
 
-  decrypt = (data: Buffer): ?Buffer => {
-    try {
-      return this._serverPrivateKey.decrypt(data);
-    } catch (error) {
-      return null;
-    }
+  decrypt = async (data: Buffer): Promise<?Buffer> => {
+    const decryption = await this.decryptWithServerKeys(data);
+    return decryption ? decryption.data : null;
   };
 
+  // Tries the active key and then the retiring ones, so the devices which
+  // still have the public key of a retiring key can connect. Only the keys
+  // which decrypt the data into data starting with expectedPrefix are used.
+  decryptWithServerKeys = (
+    data: Buffer,
+    expectedPrefix?: ?Buffer,
+  ): Promise<?ServerKeyDecryption> =>
+    this._serverKeySigner.decrypt(data, expectedPrefix);
+
   getDevicePublicKey = async (deviceID: string): Promise<?DeviceKey> => {
     const publicKeyObject = await this._deviceKeyRepository.getByID(deviceID);
     if (!publicKeyObject) {
@@ -142,14 +249,19 @@ class CryptoManager {
       },
     );
 
+  getServerKeys = (): Promise<Array<ServerKeyInfo>> =>
+    this._serverKeySigner.getServerKeys();
+
   static getRandomUINT16 = (): number => {
     // ** - the same as Math.pow()
     const uintMax = 2 ** 16 - 1; // 65535
     return Math.floor(Math.random() * uintMax + 1);
   };
 
-  sign = async (hash: Buffer): Promise<Buffer> =>
-    this._serverPrivateKey.encryptPrivate(hash);
+  // The device checks the signature with the server public key it has, so
+  // it has to be signed with the key which decrypted its handshake data.
+  sign = (hash: Buffer, serverKeyID?: ?string): Promise<Buffer> =>
+    this._serverKeySigner.sign(hash, serverKeyID);
 }
 
 export default CryptoManager;
@@ -0,0 +1,72 @@
+// @flow
+
+import type { ProtocolEvent } from '../types';
+
+// oldest - drops the event which waited the longest to make room
+// newest - drops the incoming event
+// coalesce - replaces the queued event with the same name, which moves to the
+//   end of the queue, otherwise drops the oldest
+export type DropPolicy = 'coalesce' | 'newest' | 'oldest';
+
+export type DeviceEventQueueConfig = {
+  DROP_POLICY: DropPolicy,
+  MAX_SIZE: number,
+};
+
+export const DROP_POLICIES = {
+  COALESCE: 'coalesce',
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+};
+
+/**
+ * Bounded queue of the events waiting to be sent to a device.
+ */
+class DeviceEventQueue {
+  _dropPolicy: DropPolicy;
+  _events: Array<ProtocolEvent> = [];
+  _maxSize: number;
+
+  constructor(maxSize: number, dropPolicy: DropPolicy) {
+    this._dropPolicy = dropPolicy;
+    this._maxSize = Math.max(1, maxSize);
+  }
+
+  clear = () => {
+    this._events = [];
+  };
+
+  // Returns the event dropped to respect the size and policy, if any
+  enqueue = (event: ProtocolEvent): ?ProtocolEvent => {
+    if (this._dropPolicy === DROP_POLICIES.COALESCE) {
+      const index = this._events.findIndex(
+        (queuedEvent: ProtocolEvent): boolean =>
+          queuedEvent.name === event.name,
+      );
+      if (index !== -1) {
+        const [droppedEvent] = this._events.splice(index, 1);
+        this._events.push(event);
+        return droppedEvent;
+      }
+    }
+
+    if (this._events.length < this._maxSize) {
+      this._events.push(event);
+      return null;
+    }
+
+    if (this._dropPolicy === DROP_POLICIES.NEWEST) {
+      return event;
+    }
+
+    const droppedEvent = this._events.shift();
+    this._events.push(event);
+    return droppedEvent;
+  };
+
+  getSize = (): number => this._events.length;
+
+  shift = (): ?ProtocolEvent => this._events.shift();
+}
+
+export default DeviceEventQueue;
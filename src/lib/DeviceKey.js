@@ -28,6 +28,15 @@ class DeviceKey {
     }
   }
 
+  // Detects the algorithm, throws when the PEM isn't a valid public key
+  static fromPem(pemString: string): DeviceKey {
+    try {
+      return new DeviceKey('rsa', pemString);
+    } catch (ignore) {
+      return new DeviceKey('ecc', pemString);
+    }
+  }
+
   encrypt(data: Buffer): Buffer {
     if (this._nodeRsa) {
       return this._nodeRsa.encrypt(data);
@@ -59,6 +68,22 @@ class DeviceKey {
     return this.toPem() === otherKey.toPem();
   }
 
+  getAlgorithm(): 'ecc' | 'rsa' {
+    return this._nodeRsa ? 'rsa' : 'ecc';
+  }
+
+  toDer(): ?Buffer {
+    const pem = this.toPem();
+    if (!pem) {
+      return null;
+    }
+
+    return Buffer.from(
+      pem.replace(/-----[^-]+-----/g, '').replace(/\s/g, ''),
+      'base64',
+    );
+  }
+
   toPem(): ?string {
     if (this._nodeRsa) {
       return this._nodeRsa.exportKey('pkcs8-public-pem');
@@ -0,0 +1,202 @@
+// @flow
+
+import type {
+  DeviceKeyAuditAction,
+  DeviceKeyAuditEntry,
+  DeviceKeyObject,
+  DeviceKeyProvisioningMode,
+  IDeviceKeyAuditRepository,
+  IDeviceKeyRepository,
+} from '../types';
+import type EventPublisher from './EventPublisher';
+
+import crypto from 'crypto';
+import DeviceKey from './DeviceKey';
+import { SYSTEM_EVENT_NAMES } from '../clients/Device';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+export type DeviceKeyProvisioningConfig = {
+  // Device IDs, with * matching any characters, which are provisioned in
+  // allowlist mode
+  ALLOWLIST: Array<string>,
+  MODE: DeviceKeyProvisioningMode,
+};
+
+const getFingerprint = (pem: ?string): ?string => {
+  if (!pem) {
+    return null;
+  }
+
+  const der = Buffer.from(
+    pem.replace(/-----[^-]+-----/g, '').replace(/\s/g, ''),
+    'base64',
+  );
+  return crypto
+    .createHash('sha256')
+    .update(der)
+    .digest('hex');
+};
+
+const toPattern = (deviceIDPattern: string): RegExp =>
+  new RegExp(
+    `^${deviceIDPattern
+      .split('*')
+      .map((part: string): string =>
+        part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+      )
+      .join('.*')}$`,
+    'i',
+  );
+
+/**
+ * Decides which key a device has to authenticate with. Devices without a
+ * stored key are rejected in strict mode. Otherwise the key they present is
+ * stored, for every device in tofu (trust on first use) mode and for the
+ * allowlisted ones in allowlist mode. Keys which don't match the stored key
+ * are always rejected. Provisioned keys and mismatches are published and
+ * kept in the audit trail.
+ */
+class DeviceKeyPolicy {
+  _allowlistPatterns: Array<RegExp>;
+  _config: DeviceKeyProvisioningConfig;
+  _deviceKeyAuditRepository: IDeviceKeyAuditRepository;
+  _deviceKeyRepository: IDeviceKeyRepository;
+  _eventPublisher: EventPublisher;
+
+  constructor(
+    deviceKeyRepository: IDeviceKeyRepository,
+    deviceKeyAuditRepository: IDeviceKeyAuditRepository,
+    eventPublisher: EventPublisher,
+    config: DeviceKeyProvisioningConfig,
+  ) {
+    this._allowlistPatterns = config.ALLOWLIST.map(toPattern);
+    this._config = config;
+    this._deviceKeyAuditRepository = deviceKeyAuditRepository;
+    this._deviceKeyRepository = deviceKeyRepository;
+    this._eventPublisher = eventPublisher;
+  }
+
+  getAuditTrail = (deviceID: string): Promise<Array<DeviceKeyAuditEntry>> =>
+    this._deviceKeyAuditRepository.getAllByDeviceID(deviceID);
+
+  // Throws when the device isn't trusted. presentedPem is null when the
+  // transport already checked the key, the stored key is returned then.
+  getTrustedPublicKey = async (
+    deviceID: string,
+    presentedPem: ?string,
+  ): Promise<DeviceKey> => {
+    const publicKeyObject = await this._deviceKeyRepository.getByID(deviceID);
+    if (!publicKeyObject) {
+      return this._provision(deviceID, presentedPem);
+    }
+
+    // The stored algorithm isn't reliable, DeviceKeyFileRepository always
+    // returns rsa
+    const publicKey = DeviceKey.fromPem(publicKeyObject.key);
+    if (presentedPem && !publicKey.equals(presentedPem)) {
+      await this._audit(
+        deviceID,
+        'mismatch',
+        "The presented key doesn't match the stored key",
+        presentedPem,
+        publicKeyObject.key,
+      );
+      throw new Error(
+        `key presented by device doesn't match saved public key: ${deviceID}`,
+      );
+    }
+
+    return publicKey;
+  };
+
+  isProvisioningAllowed = (deviceID: string): boolean => {
+    switch (this._config.MODE) {
+      case 'allowlist': {
+        return this._allowlistPatterns.some((pattern: RegExp): boolean =>
+          pattern.test(deviceID),
+        );
+      }
+
+      case 'tofu': {
+        return true;
+      }
+
+      default: {
+        return false;
+      }
+    }
+  };
+
+  _audit = async (
+    deviceID: string,
+    action: DeviceKeyAuditAction,
+    reason: string,
+    presentedPem: ?string,
+    storedPem: ?string,
+  ): Promise<void> => {
+    const entry = {
+      action,
+      createdAt: new Date(),
+      deviceID,
+      mode: this._config.MODE,
+      presentedKeyFingerprint: getFingerprint(presentedPem),
+      reason,
+      storedKeyFingerprint: getFingerprint(storedPem),
+    };
+
+    if (action === 'mismatch') {
+      logger.warn({ ...entry }, 'Device key mismatch');
+    } else {
+      logger.info({ ...entry }, 'Device key provisioned');
+    }
+    try {
+      await this._deviceKeyAuditRepository.add(entry);
+    } catch (error) {
+      logger.error({ deviceID, err: error }, 'Device key audit failed');
+    }
+
+    this._eventPublisher.publish(
+      {
+        data: JSON.stringify(entry),
+        deviceID,
+        name:
+          action === 'mismatch'
+            ? SYSTEM_EVENT_NAMES.DEVICE_KEY_MISMATCH
+            : SYSTEM_EVENT_NAMES.DEVICE_KEY_PROVISIONED,
+      },
+      {
+        isInternal: true,
+        isPublic: false,
+      },
+    );
+  };
+
+  _provision = async (
+    deviceID: string,
+    presentedPem: ?string,
+  ): Promise<DeviceKey> => {
+    if (!presentedPem || !this.isProvisioningAllowed(deviceID)) {
+      throw new Error(`no public key found for device: ${deviceID}`);
+    }
+
+    const publicKey = DeviceKey.fromPem(presentedPem);
+    const deviceKey: DeviceKeyObject = {
+      algorithm: publicKey.getAlgorithm(),
+      deviceID,
+      key: presentedPem,
+    };
+    await this._deviceKeyRepository.create(deviceKey);
+    await this._audit(
+      deviceID,
+      'provisioned',
+      `Key stored in ${this._config.MODE} mode`,
+      presentedPem,
+      null,
+    );
+
+    return publicKey;
+  };
+}
+
+export default DeviceKeyPolicy;
@@ -0,0 +1,452 @@
+// @flow
+
+import type { DeviceKeyObject, IDeviceKeyRepository } from '../types';
+import type CryptoManager from './CryptoManager';
+
+import fs from 'fs';
+import path from 'path';
+import mkdirp from 'mkdirp';
+import nullthrows from 'nullthrows';
+import DeviceKey from './DeviceKey';
+
+// pem and der are directories with a file per device named after its ID,
+// jsonl and csv are single files.
+export type DeviceKeyFormat = 'csv' | 'der' | 'jsonl' | 'pem';
+
+export type DeviceKeyTransferStatus =
+  | 'conflict'
+  | 'exported'
+  | 'imported'
+  | 'invalid'
+  | 'overwritten'
+  | 'unchanged';
+
+export type DeviceKeyTransferResult = {
+  algorithm: ?('ecc' | 'rsa'),
+  deviceID: ?string,
+  reason: ?string,
+  // The file, and line or row, the key was read from or written to
+  source: string,
+  status: DeviceKeyTransferStatus,
+};
+
+export type DeviceKeyImportOptions = {
+  // Reports what would be imported without storing anything
+  isDryRun?: boolean,
+  // Replaces the stored keys which differ instead of reporting a conflict
+  shouldOverwrite?: boolean,
+};
+
+type SourceKey = {
+  deviceID: ?string,
+  pem: ?string,
+  reason?: string,
+  source: string,
+};
+
+export const DEVICE_KEY_FORMATS: Array<DeviceKeyFormat> = [
+  'csv',
+  'der',
+  'jsonl',
+  'pem',
+];
+
+// Device IDs are 24 hex characters, stored lowercase as they are used as file
+// names
+const DEVICE_ID_PATTERN = /^[0-9a-f]{24}$/;
+const CSV_DEVICE_ID_COLUMNS = ['deviceid', 'id'];
+const CSV_KEY_COLUMNS = ['publickey', 'key', 'pem'];
+
+const derToPem = (der: Buffer): string =>
+  [
+    '-----BEGIN PUBLIC KEY-----',
+    ...(der.toString('base64').match(/.{1,64}/g) || []),
+    '-----END PUBLIC KEY-----',
+  ].join('\n');
+
+// Manufacturing files have the key as PEM or as hex or base64 DER
+const parseKeyValue = (value: string): ?string => {
+  const trimmedValue = value.trim();
+  if (!trimmedValue) {
+    return null;
+  }
+  if (trimmedValue.includes('-----BEGIN')) {
+    return trimmedValue.replace(/\\n/g, '\n');
+  }
+  if (/^([0-9a-f]{2})+$/i.test(trimmedValue)) {
+    return derToPem(Buffer.from(trimmedValue, 'hex'));
+  }
+  return derToPem(Buffer.from(trimmedValue, 'base64'));
+};
+
+// Quoted fields can contain commas, line breaks and "" escaped quotes
+const parseCSV = (data: string): Array<Array<string>> => {
+  const rows = [];
+  let field = '';
+  let isQuoted = false;
+  let row = [];
+
+  for (let index = 0; index < data.length; index += 1) {
+    const character = data[index];
+    if (isQuoted) {
+      if (character === '"' && data[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (character === '"') {
+        isQuoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      isQuoted = true;
+    } else if (character === ',') {
+      row.push(field);
+      field = '';
+    } else if (character === '\n') {
+      row.push(field);
+      rows.push(row);
+      field = '';
+      row = [];
+    } else if (character !== '\r') {
+      field += character;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((values: Array<string>): boolean =>
+    values.some((value: string): boolean => !!value.trim()),
+  );
+};
+
+const toCSVField = (value: string): string =>
+  /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const readDirectory = (
+  directory: string,
+  extension: string,
+  read: (filePath: string) => string,
+): Array<SourceKey> =>
+  fs
+    .readdirSync(directory)
+    .filter((fileName: string): boolean => fileName.endsWith(extension))
+    .sort()
+    .map((fileName: string): SourceKey => ({
+      deviceID: fileName.replace(new RegExp(`(\\.pub)?\\${extension}$`), ''),
+      pem: read(path.join(directory, fileName)),
+      source: fileName,
+    }));
+
+const readCSV = (filePath: string): Array<SourceKey> => {
+  const fileName = path.basename(filePath);
+  const [header, ...rows] = parseCSV(fs.readFileSync(filePath, 'utf8'));
+  const columns = (header || []).map((column: string): string =>
+    column.toLowerCase().replace(/[^a-z]/g, ''),
+  );
+  const deviceIDIndex = columns.findIndex((column: string): boolean =>
+    CSV_DEVICE_ID_COLUMNS.includes(column),
+  );
+  const keyIndex = columns.findIndex((column: string): boolean =>
+    CSV_KEY_COLUMNS.includes(column),
+  );
+  if (deviceIDIndex === -1 || keyIndex === -1) {
+    throw new Error(`${fileName} needs a device ID and a public key column`);
+  }
+
+  // The header is the first row
+  return rows.map((values: Array<string>, index: number): SourceKey => {
+    const source = `${fileName} row ${index + 2}`;
+    try {
+      return {
+        deviceID: (values[deviceIDIndex] || '').trim(),
+        pem: parseKeyValue(values[keyIndex] || ''),
+        source,
+      };
+    } catch (error) {
+      return { deviceID: null, pem: null, reason: error.message, source };
+    }
+  });
+};
+
+const readJSONLines = (filePath: string): Array<SourceKey> => {
+  const fileName = path.basename(filePath);
+  const sourceKeys = [];
+  fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .forEach((line: string, index: number) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      const source = `${fileName} line ${index + 1}`;
+      try {
+        const { deviceID, key } = JSON.parse(line);
+        sourceKeys.push({ deviceID, pem: key, source });
+      } catch (error) {
+        sourceKeys.push({
+          deviceID: null,
+          pem: null,
+          reason: 'Invalid JSON',
+          source,
+        });
+      }
+    });
+
+  return sourceKeys;
+};
+
+const readKeys = (
+  format: DeviceKeyFormat,
+  sourcePath: string,
+): Array<SourceKey> => {
+  switch (format) {
+    case 'csv': {
+      return readCSV(sourcePath);
+    }
+
+    case 'der': {
+      return readDirectory(sourcePath, '.der', (filePath: string): string =>
+        derToPem(fs.readFileSync(filePath)),
+      );
+    }
+
+    case 'jsonl': {
+      return readJSONLines(sourcePath);
+    }
+
+    case 'pem': {
+      return readDirectory(sourcePath, '.pem', (filePath: string): string =>
+        fs.readFileSync(filePath, 'utf8'),
+      );
+    }
+
+    default: {
+      throw new Error(`Unknown device key format ${format}`);
+    }
+  }
+};
+
+const isSameKey = (deviceKey: DeviceKey, pem: string): boolean => {
+  try {
+    return deviceKey.equals(pem);
+  } catch (ignore) {
+    // The stored key uses the other algorithm or is corrupted
+    return false;
+  }
+};
+
+/**
+ * Moves device keys in bulk between the device key repository and PEM or DER
+ * directories, JSON lines or CSV files. Every key is validated and reported
+ * with what happened to it, keys which differ from the stored ones are only
+ * replaced when asked to.
+ */
+class DeviceKeyTransfer {
+  _cryptoManager: ?CryptoManager;
+  _deviceKeyRepository: IDeviceKeyRepository;
+
+  // Without the CryptoManager of the server, the devices whose key is
+  // overwritten can resume their cached sessions until the server restarts.
+  constructor(
+    deviceKeyRepository: IDeviceKeyRepository,
+    cryptoManager?: ?CryptoManager,
+  ) {
+    this._cryptoManager = cryptoManager;
+    this._deviceKeyRepository = deviceKeyRepository;
+  }
+
+  exportKeys = async (
+    format: DeviceKeyFormat,
+    destinationPath: string,
+  ): Promise<Array<DeviceKeyTransferResult>> => {
+    const results = [];
+    const keys = [];
+    const publicKeyObjects = (await this._deviceKeyRepository.getAll()).sort(
+      (first: DeviceKeyObject, second: DeviceKeyObject): number =>
+        first.deviceID.localeCompare(second.deviceID),
+    );
+
+    publicKeyObjects.forEach(({ deviceID, key }: DeviceKeyObject) => {
+      try {
+        const deviceKey = DeviceKey.fromPem(key);
+        keys.push({ deviceID, deviceKey });
+      } catch (ignore) {
+        results.push({
+          algorithm: null,
+          deviceID,
+          reason: 'Invalid key',
+          source: deviceID,
+          status: 'invalid',
+        });
+      }
+    });
+
+    if (format === 'pem' || format === 'der') {
+      mkdirp.sync(destinationPath);
+    } else {
+      mkdirp.sync(path.dirname(destinationPath));
+    }
+
+    const lines = format === 'csv' ? ['device_id,algorithm,public_key'] : [];
+    keys.forEach(
+      ({ deviceID, deviceKey }: { deviceID: string, deviceKey: DeviceKey }) => {
+        const algorithm = deviceKey.getAlgorithm();
+        const pem = nullthrows(deviceKey.toPem());
+        let source = path.basename(destinationPath);
+
+        switch (format) {
+          case 'csv': {
+            lines.push([deviceID, algorithm, pem].map(toCSVField).join(','));
+            break;
+          }
+
+          case 'der': {
+            source = `${deviceID}.der`;
+            fs.writeFileSync(
+              path.join(destinationPath, source),
+              nullthrows(deviceKey.toDer()),
+            );
+            break;
+          }
+
+          case 'jsonl': {
+            lines.push(JSON.stringify({ algorithm, deviceID, key: pem }));
+            break;
+          }
+
+          case 'pem': {
+            source = `${deviceID}.pub.pem`;
+            fs.writeFileSync(path.join(destinationPath, source), pem);
+            break;
+          }
+
+          default: {
+            throw new Error(`Unknown device key format ${format}`);
+          }
+        }
+
+        results.push({
+          algorithm,
+          deviceID,
+          reason: null,
+          source,
+          status: 'exported',
+        });
+      },
+    );
+
+    if (format === 'csv' || format === 'jsonl') {
+      fs.writeFileSync(destinationPath, `${lines.join('\n')}\n`);
+    }
+
+    return results;
+  };
+
+  importKeys = async (
+    format: DeviceKeyFormat,
+    sourcePath: string,
+    options?: DeviceKeyImportOptions = {},
+  ): Promise<Array<DeviceKeyTransferResult>> => {
+    const { isDryRun, shouldOverwrite } = options;
+    const pemsByDeviceID = new Map();
+
+    // One key at a time, a duplicate is checked against the former ones
+    return readKeys(format, sourcePath).reduce(
+      (
+        previous: Promise<Array<DeviceKeyTransferResult>>,
+        sourceKey: SourceKey,
+      ): Promise<Array<DeviceKeyTransferResult>> =>
+        previous.then(async (results: Array<DeviceKeyTransferResult>): Promise<
+          Array<DeviceKeyTransferResult>,
+        > => [
+          ...results,
+          await this._importKey(
+            sourceKey,
+            pemsByDeviceID,
+            !!isDryRun,
+            !!shouldOverwrite,
+          ),
+        ]),
+      Promise.resolve([]),
+    );
+  };
+
+  _importKey = async (
+    { deviceID: sourceDeviceID, pem, reason, source }: SourceKey,
+    pemsByDeviceID: Map<string, string>,
+    isDryRun: boolean,
+    shouldOverwrite: boolean,
+  ): Promise<DeviceKeyTransferResult> => {
+    const deviceID = sourceDeviceID && sourceDeviceID.trim().toLowerCase();
+    const invalid = (invalidReason: string): DeviceKeyTransferResult => ({
+      algorithm: null,
+      deviceID,
+      reason: invalidReason,
+      source,
+      status: 'invalid',
+    });
+
+    if (reason) {
+      return invalid(reason);
+    }
+    if (!deviceID || !DEVICE_ID_PATTERN.test(deviceID)) {
+      return invalid('Invalid device ID');
+    }
+    if (!pem) {
+      return invalid('Missing key');
+    }
+
+    let deviceKey = null;
+    try {
+      deviceKey = DeviceKey.fromPem(pem);
+    } catch (ignore) {
+      return invalid('Invalid key');
+    }
+
+    const algorithm = deviceKey.getAlgorithm();
+    const result = { algorithm, deviceID, reason: null, source };
+
+    const previousPem = pemsByDeviceID.get(deviceID);
+    if (previousPem) {
+      return isSameKey(deviceKey, previousPem)
+        ? { ...result, reason: 'Duplicate entry', status: 'unchanged' }
+        : {
+            ...result,
+            reason: 'Duplicate entry with another key',
+            status: 'conflict',
+          };
+    }
+    pemsByDeviceID.set(deviceID, pem);
+
+    const storedKey = await this._deviceKeyRepository.getByID(deviceID);
+    if (storedKey && isSameKey(deviceKey, storedKey.key)) {
+      return { ...result, status: 'unchanged' };
+    }
+    if (storedKey && !shouldOverwrite) {
+      return {
+        ...result,
+        reason: 'Another key is stored for the device',
+        status: 'conflict',
+      };
+    }
+
+    if (!isDryRun) {
+      await this._deviceKeyRepository.updateByID(deviceID, {
+        algorithm,
+        deviceID,
+        key: nullthrows(deviceKey.toPem()),
+      });
+      // The device has to go through a full handshake with its new key
+      if (storedKey && this._cryptoManager) {
+        this._cryptoManager.removeCachedSession(deviceID);
+      }
+    }
+
+    return { ...result, status: storedKey ? 'overwritten' : 'imported' };
+  };
+}
+
+export default DeviceKeyTransfer;
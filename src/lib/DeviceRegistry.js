@@ -0,0 +1,271 @@
+// @flow
+
+import type { ProtocolEvent } from '../types';
+import type EventPublisher from './EventPublisher';
+
+import EventEmitter from 'events';
+import uuid from 'uuid';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+export type DeviceRegistryConfig = {
+  HEARTBEAT_INTERVAL: number,
+  NODE_ID?: ?string,
+  // Devices of a node which wasn't heard from for this long are forgotten
+  NODE_TIMEOUT: number,
+  // How long a registration of a device on another node may take to arrive
+  OWNER_GRACE_PERIOD: number,
+};
+
+type DeviceOwner = {
+  nodeID: string,
+  sequence: number,
+};
+
+type RegisteredDevice = {
+  deviceID: string,
+  sequence: number,
+};
+
+export const DEVICE_REGISTRY_EVENTS = {
+  HEARTBEAT: 'spark-server/device_registry/heartbeat',
+  REGISTER: 'spark-server/device_registry/register',
+  SYNC: 'spark-server/device_registry/sync',
+  UNREGISTER: 'spark-server/device_registry/unregister',
+};
+
+/**
+ * Keeps track of which DeviceServer node each device is connected to.
+ * Every node has its own copy which is kept in sync through the
+ * EventPublisher, so it only spans several nodes when the EventPublisher
+ * uses an adapter.
+ *
+ * When a device shows up on two nodes the latest connection wins and the
+ * registry emits 'evict' (deviceID) on the node holding the older one.
+ * Connections are ordered by a sequence number the registries assign (a
+ * Lamport clock) rather than by the clocks of the hosts, which can drift:
+ * a node always numbers a connection past every registration it has seen.
+ */
+class DeviceRegistry extends EventEmitter {
+  _config: DeviceRegistryConfig;
+  _eventPublisher: EventPublisher;
+  _heartbeatInterval: ?number = null;
+  _lastHeardByNodeID: Map<string, number> = new Map();
+  _nodeID: string;
+  _ownersByDeviceID: Map<string, DeviceOwner> = new Map();
+  _sequence: number = 0;
+  _subscriptionIDs: Array<string> = [];
+
+  constructor(eventPublisher: EventPublisher, config: DeviceRegistryConfig) {
+    super();
+
+    this._config = config;
+    this._eventPublisher = eventPublisher;
+    this._nodeID = config.NODE_ID || uuid();
+  }
+
+  getNodeID = (): string => this._nodeID;
+
+  // This node and the nodes it heard from lately
+  getNodeIDs = (): Array<string> => [
+    this._nodeID,
+    ...Array.from(this._lastHeardByNodeID.keys()),
+  ];
+
+  getOwnerNodeID = (deviceID: string): ?string => {
+    const owner = this._ownersByDeviceID.get(deviceID);
+    return owner ? owner.nodeID : null;
+  };
+
+  isOwnedByAnotherNode = (deviceID: string): boolean => {
+    const ownerNodeID = this.getOwnerNodeID(deviceID);
+    return !!ownerNodeID && ownerNodeID !== this._nodeID;
+  };
+
+  // The owner of the device answers the requests about it. A device nobody
+  // owns, e.g. an offline device, may be registering on another node so the
+  // nodes wait for its registration first. If there is still no owner then
+  // only the node with the lowest ID answers.
+  isResponsibleNode = async (deviceID: string): Promise<boolean> => {
+    if (this._ownersByDeviceID.has(deviceID) || !this._lastHeardByNodeID.size) {
+      return !this.isOwnedByAnotherNode(deviceID);
+    }
+
+    await new Promise((resolve: () => void): number =>
+      setTimeout(resolve, this._config.OWNER_GRACE_PERIOD),
+    );
+
+    const ownerNodeID = this.getOwnerNodeID(deviceID);
+    if (ownerNodeID) {
+      return ownerNodeID === this._nodeID;
+    }
+
+    return this.getNodeIDs().sort()[0] === this._nodeID;
+  };
+
+  register = (deviceID: string) => {
+    this._sequence += 1;
+    const owner = { nodeID: this._nodeID, sequence: this._sequence };
+    this._ownersByDeviceID.set(deviceID, owner);
+
+    this._publish(DEVICE_REGISTRY_EVENTS.REGISTER, {
+      devices: [{ deviceID, sequence: owner.sequence }],
+      nodeID: this._nodeID,
+    });
+  };
+
+  start = () => {
+    this._subscriptionIDs = [
+      this._eventPublisher.subscribe(
+        DEVICE_REGISTRY_EVENTS.HEARTBEAT,
+        this._onHeartbeat,
+      ),
+      this._eventPublisher.subscribe(
+        DEVICE_REGISTRY_EVENTS.REGISTER,
+        this._onRegister,
+      ),
+      this._eventPublisher.subscribe(DEVICE_REGISTRY_EVENTS.SYNC, this._onSync),
+      this._eventPublisher.subscribe(
+        DEVICE_REGISTRY_EVENTS.UNREGISTER,
+        this._onUnregister,
+      ),
+    ];
+
+    this._heartbeatInterval = setInterval(
+      this._onHeartbeatInterval,
+      this._config.HEARTBEAT_INTERVAL,
+    );
+
+    // Ask the other nodes for the devices they already have
+    this._publish(DEVICE_REGISTRY_EVENTS.SYNC, { nodeID: this._nodeID });
+  };
+
+  stop = () => {
+    if (this._heartbeatInterval) {
+      clearInterval(this._heartbeatInterval);
+      this._heartbeatInterval = null;
+    }
+
+    this._subscriptionIDs.forEach(this._eventPublisher.unsubscribe);
+    this._subscriptionIDs = [];
+  };
+
+  unregister = (deviceID: string) => {
+    const owner = this._ownersByDeviceID.get(deviceID);
+    if (!owner || owner.nodeID !== this._nodeID) {
+      return;
+    }
+
+    this._ownersByDeviceID.delete(deviceID);
+    this._publish(DEVICE_REGISTRY_EVENTS.UNREGISTER, {
+      deviceID,
+      nodeID: this._nodeID,
+      sequence: owner.sequence,
+    });
+  };
+
+  _forgetNode = (nodeID: string) => {
+    this._lastHeardByNodeID.delete(nodeID);
+    this._ownersByDeviceID.forEach((owner: DeviceOwner, deviceID: string) => {
+      if (owner.nodeID === nodeID) {
+        this._ownersByDeviceID.delete(deviceID);
+      }
+    });
+
+    logger.warn({ nodeID }, 'Device server node timed out');
+  };
+
+  _onHeartbeat = (event: ProtocolEvent) => {
+    const { nodeID } = event.context || {};
+    if (nodeID && nodeID !== this._nodeID) {
+      this._lastHeardByNodeID.set(nodeID, Date.now());
+    }
+  };
+
+  _onHeartbeatInterval = () => {
+    this._publish(DEVICE_REGISTRY_EVENTS.HEARTBEAT, { nodeID: this._nodeID });
+
+    const now = Date.now();
+    this._lastHeardByNodeID.forEach((lastHeard: number, nodeID: string) => {
+      if (now - lastHeard > this._config.NODE_TIMEOUT) {
+        this._forgetNode(nodeID);
+      }
+    });
+  };
+
+  _onRegister = (event: ProtocolEvent) => {
+    const { devices, nodeID } = event.context || {};
+    if (!nodeID || nodeID === this._nodeID || !Array.isArray(devices)) {
+      return;
+    }
+
+    this._lastHeardByNodeID.set(nodeID, Date.now());
+
+    devices.forEach(({ deviceID, sequence }: RegisteredDevice) => {
+      this._sequence = Math.max(this._sequence, sequence);
+
+      const owner = this._ownersByDeviceID.get(deviceID);
+      // Every node has to come to the same owner whatever order the events
+      // arrive in, so the latest connection always wins.
+      if (
+        owner &&
+        (owner.sequence > sequence ||
+          (owner.sequence === sequence && owner.nodeID > nodeID))
+      ) {
+        return;
+      }
+
+      this._ownersByDeviceID.set(deviceID, { nodeID, sequence });
+
+      if (owner && owner.nodeID === this._nodeID) {
+        logger.info(
+          { deviceID, nodeID },
+          'Device connected to another node, evicting stale connection',
+        );
+        this.emit('evict', deviceID);
+      }
+    });
+  };
+
+  _onSync = (event: ProtocolEvent) => {
+    const { nodeID } = event.context || {};
+    if (!nodeID || nodeID === this._nodeID) {
+      return;
+    }
+
+    this._lastHeardByNodeID.set(nodeID, Date.now());
+
+    const devices: Array<RegisteredDevice> = [];
+    this._ownersByDeviceID.forEach((owner: DeviceOwner, deviceID: string) => {
+      if (owner.nodeID === this._nodeID) {
+        devices.push({ deviceID, sequence: owner.sequence });
+      }
+    });
+
+    this._publish(DEVICE_REGISTRY_EVENTS.REGISTER, {
+      devices,
+      nodeID: this._nodeID,
+    });
+  };
+
+  _onUnregister = (event: ProtocolEvent) => {
+    const { deviceID, nodeID, sequence } = event.context || {};
+    if (!nodeID || nodeID === this._nodeID) {
+      return;
+    }
+
+    const owner = this._ownersByDeviceID.get(deviceID);
+    if (owner && owner.nodeID === nodeID && owner.sequence === sequence) {
+      this._ownersByDeviceID.delete(deviceID);
+    }
+  };
+
+  _publish = (eventName: string, context: Object) => {
+    this._eventPublisher.publish(
+      { context, name: eventName },
+      { isInternal: true, isPublic: false },
+    );
+  };
+}
+
+export default DeviceRegistry;
@@ -0,0 +1,176 @@
+// @flow
+
+import type { IEventPublisherAdapter, ProtocolEvent } from '../types';
+import type { EventBrokerMessage } from './EventBrokerProtocol';
+
+import net from 'net';
+import { createMessageParser, encodeMessage } from './EventBrokerProtocol';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+type EventBrokerAdapterOptions = {
+  host?: string,
+  path?: string,
+  port?: number,
+  reconnectDelay?: number,
+};
+
+const DEFAULT_RECONNECT_DELAY = 1000;
+// Events published while the broker is unreachable are kept until we are
+// connected again, the oldest are dropped past this.
+const MAX_PENDING_EVENTS = 10000;
+
+/**
+ * Connects an EventPublisher to an EventBrokerServer so several DeviceServer
+ * and API processes share their events, and with them the request/response
+ * calls made with publishAndListenForResponse.
+ *
+ * new EventPublisher(new EventBrokerAdapter({ path: '/tmp/spark-events.sock' }))
+ */
+class EventBrokerAdapter implements IEventPublisherAdapter {
+  _eventHandler: ?(event: ProtocolEvent) => void = null;
+  _eventNamePrefixes: Set<string> = new Set();
+  _isClosed: boolean = false;
+  _isConnected: boolean = false;
+  _options: EventBrokerAdapterOptions;
+  _pendingEvents: Array<string> = [];
+  _reconnectTimeout: ?number = null;
+  _socket: ?net.Socket = null;
+
+  constructor(options: EventBrokerAdapterOptions) {
+    if (!options.path && !options.port) {
+      throw new Error('EventBrokerAdapter needs a path or a port');
+    }
+
+    this._options = options;
+    this._connect();
+  }
+
+  close = () => {
+    this._isClosed = true;
+    this._isConnected = false;
+
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
+
+    if (this._socket) {
+      this._socket.destroy();
+      this._socket = null;
+    }
+  };
+
+  isConnected = (): boolean => this._isConnected;
+
+  publish = (event: ProtocolEvent) => {
+    const data = encodeMessage({ event, type: 'publish' });
+    if (this._isConnected) {
+      this._write(data);
+      return;
+    }
+
+    this._pendingEvents.push(data);
+    if (this._pendingEvents.length > MAX_PENDING_EVENTS) {
+      this._pendingEvents.shift();
+      logger.warn('Event broker unreachable, dropped oldest pending event');
+    }
+  };
+
+  setEventHandler = (eventHandler: (event: ProtocolEvent) => void) => {
+    this._eventHandler = eventHandler;
+  };
+
+  // Subscriptions are sent again on every connect so they are only written
+  // when connected.
+  subscribe = (eventNamePrefix: string) => {
+    this._eventNamePrefixes.add(eventNamePrefix);
+    if (this._isConnected) {
+      this._write(encodeMessage({ eventNamePrefix, type: 'subscribe' }));
+    }
+  };
+
+  unsubscribe = (eventNamePrefix: string) => {
+    this._eventNamePrefixes.delete(eventNamePrefix);
+    if (this._isConnected) {
+      this._write(encodeMessage({ eventNamePrefix, type: 'unsubscribe' }));
+    }
+  };
+
+  _connect = () => {
+    const { host, path, port } = this._options;
+    const socket = path
+      ? net.connect(path)
+      : net.connect(Number(port), host || 'localhost');
+    this._socket = socket;
+
+    socket.on('connect', this._onConnect);
+    socket.on(
+      'data',
+      createMessageParser(this._onMessage, (error: Error): void =>
+        logger.error({ err: error }, 'Invalid event broker message'),
+      ),
+    );
+    socket.on('error', (error: Error): void =>
+      logger.warn({ err: error }, 'Event broker connection error'),
+    );
+    socket.on('close', this._onClose);
+  };
+
+  _onClose = () => {
+    const wasConnected = this._isConnected;
+    this._isConnected = false;
+    this._socket = null;
+
+    if (this._isClosed) {
+      return;
+    }
+
+    if (wasConnected) {
+      logger.warn('Event broker connection lost');
+    }
+
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      this._connect();
+    }, this._options.reconnectDelay || DEFAULT_RECONNECT_DELAY);
+  };
+
+  _onConnect = () => {
+    const socket = this._socket;
+    if (!socket) {
+      return;
+    }
+
+    this._isConnected = true;
+    socket.setNoDelay(true);
+    logger.info('Connected to event broker');
+
+    this._eventNamePrefixes.forEach((eventNamePrefix: string): void =>
+      this._write(encodeMessage({ eventNamePrefix, type: 'subscribe' })),
+    );
+
+    const pendingEvents = this._pendingEvents;
+    this._pendingEvents = [];
+    pendingEvents.forEach(this._write);
+  };
+
+  _onMessage = (message: EventBrokerMessage) => {
+    if (message.type !== 'event') {
+      logger.warn({ message }, 'Unexpected event broker message');
+      return;
+    }
+
+    if (this._eventHandler) {
+      this._eventHandler(message.event);
+    }
+  };
+
+  _write = (data: string) => {
+    if (this._socket) {
+      this._socket.write(data);
+    }
+  };
+}
+
+export default EventBrokerAdapter;
@@ -0,0 +1,81 @@
+// @flow
+
+import type { ProtocolEvent } from '../types';
+
+// Messages are sent as newline delimited JSON between the broker and the
+// adapters:
+// { type: 'subscribe', eventNamePrefix }  adapter -> broker
+// { type: 'unsubscribe', eventNamePrefix }  adapter -> broker
+// { type: 'publish', event }  adapter -> broker
+// { type: 'event', event }  broker -> adapter
+
+export type EventBrokerMessage =
+  | {| eventNamePrefix: string, type: 'subscribe' | 'unsubscribe' |}
+  | {| event: ProtocolEvent, type: 'event' | 'publish' |};
+
+const MESSAGE_DELIMITER = '\n';
+
+// Buffers serialize themselves with toJSON but errors lose their message.
+const replacer = (key: string, value: mixed): mixed => {
+  if (value instanceof Error) {
+    return { message: value.message, name: value.name, type: 'Error' };
+  }
+  return value;
+};
+
+const reviver = (key: string, value: any): mixed => {
+  if (key === 'publishedAt' && typeof value === 'string') {
+    return new Date(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  }
+
+  if (value.type === 'Error' && typeof value.message === 'string') {
+    const error = new Error(value.message);
+    error.name = value.name || error.name;
+    return error;
+  }
+
+  return value;
+};
+
+export const encodeMessage = (message: EventBrokerMessage): string =>
+  JSON.stringify(message, replacer) + MESSAGE_DELIMITER;
+
+export const decodeMessage = (data: string): EventBrokerMessage =>
+  JSON.parse(data, reviver);
+
+// Returns a function which should be called with each chunk read from the
+// socket and calls onMessage for every complete message.
+export const createMessageParser = (
+  onMessage: (message: EventBrokerMessage) => void,
+  onError: (error: Error) => void,
+): ((chunk: Buffer | string) => void) => {
+  let pendingData = '';
+
+  return (chunk: Buffer | string) => {
+    pendingData += chunk.toString();
+
+    let delimiterIndex = pendingData.indexOf(MESSAGE_DELIMITER);
+    while (delimiterIndex !== -1) {
+      const data = pendingData.substring(0, delimiterIndex);
+      pendingData = pendingData.substring(delimiterIndex + 1);
+
+      if (data) {
+        try {
+          onMessage(decodeMessage(data));
+        } catch (error) {
+          onError(error);
+        }
+      }
+
+      delimiterIndex = pendingData.indexOf(MESSAGE_DELIMITER);
+    }
+  };
+};
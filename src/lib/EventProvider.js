@@ -10,9 +10,12 @@ class EventProvider {
     this._eventPublisher = eventPublisher;
   }
 
+  // eventNamePrefix can also be a topic pattern like '+/temperature', see
+  // TopicTrie.
   onNewEvent = (
     callback: (event: ProtocolEvent) => void,
     eventNamePrefix: string = '*',
+    replayFrom?: ?Date,
   ) => {
     this._eventPublisher.subscribe(
       eventNamePrefix,
@@ -22,6 +25,7 @@ class EventProvider {
           listenToBroadcastedEvents: false,
           listenToInternalEvents: false,
         },
+        replayFrom,
       },
     );
   };
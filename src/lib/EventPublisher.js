@@ -18,18 +18,38 @@
 *
 */
 
-import type { EventData, ProtocolEvent, PublishOptions } from '../types';
+import type {
+  EventData,
+  EventQuery,
+  IEventPublisherAdapter,
+  IEventStore,
+  ProtocolEvent,
+  PublishOptions,
+} from '../types';
 
 import EventEmitter from 'events';
 import uuid from 'uuid';
 import settings from '../settings';
+import SubscriptionIndex from './SubscriptionIndex';
+import { isMatchingEventName } from './TopicTrie';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
 
 export const getRequestEventName = (eventName: string): string =>
   `${eventName}/request`;
 
 const LISTEN_FOR_RESPONSE_TIMEOUT = 15000;
 
-type FilterOptions = {
+// The stored copy of an event isn't the published object
+const getEventKey = (event: ProtocolEvent): string =>
+  JSON.stringify([
+    event.publishedAt.getTime(),
+    event.name,
+    event.deviceID,
+    event.data,
+  ]);
+
+export type FilterOptions = {
   connectionID?: ?string,
   deviceID?: string,
   listenToBroadcastedEvents?: boolean,
@@ -41,21 +61,60 @@ type FilterOptions = {
 type SubscriptionOptions = {
   filterOptions?: FilterOptions,
   once?: boolean,
+  // Also delivers the stored events published since then
+  replayFrom?: ?Date,
   subscriberID?: string,
   subscriptionTimeout?: number,
   timeoutHandler?: () => void,
 };
 
-type Subscription = {
+export type Subscription = {
+  // Live events wait here while the stored events are replayed
+  bufferedEvents?: ?Array<ProtocolEvent>,
   eventNamePrefix: string,
   id: string,
   listener: (event: ProtocolEvent) => void | Promise<void>,
   options: SubscriptionOptions,
+  timeout: ?number,
 };
 
+// The EventEmitter events which aren't event name prefixes
+const EMITTER_EVENT_NAMES = new Set(['error', 'newListener', 'removeListener']);
+
+// Subscriptions go through the subscription index. Listeners added with the
+// EventEmitter methods still get the events whose name matches their event
+// name, '*' getting every event. They are counted like subscriptions so the
+// adapter also forwards their events.
 class EventPublisher extends EventEmitter {
+  _adapter: ?IEventPublisherAdapter;
+  _eventStore: ?IEventStore;
+  _subscriptionCountByPrefix: Map<string, number> = new Map();
+  _subscriptionIDsBySubscriberID: Map<string, Set<string>> = new Map();
+  _subscriptionIndex: SubscriptionIndex = new SubscriptionIndex();
   _subscriptionsByID: Map<string, Subscription> = new Map();
 
+  // Without an adapter events only reach the subscribers of this process.
+  constructor(adapter?: ?IEventPublisherAdapter, eventStore?: ?IEventStore) {
+    super();
+
+    this._adapter = adapter;
+    this._eventStore = eventStore;
+    if (adapter) {
+      adapter.setEventHandler(this._emitEvent);
+    }
+
+    this.on('newListener', (eventName: string | Symbol) => {
+      if (this._isEventNamePrefix(eventName)) {
+        this._onSubscriptionAdded((eventName: any));
+      }
+    });
+    this.on('removeListener', (eventName: string | Symbol) => {
+      if (this._isEventNamePrefix(eventName)) {
+        this._onSubscriptionRemoved((eventName: any));
+      }
+    });
+  }
+
   publish = (eventData: EventData, options: ?PublishOptions) => {
     const ttl =
       eventData.ttl && eventData.ttl > 0
@@ -69,10 +128,22 @@ class EventPublisher extends EventEmitter {
       ttl,
     };
 
-    setImmediate(() => {
-      this._emitWithPrefix(eventData.name, event);
-      this.emit('*', event);
-    });
+    // Internal events are requests and responses between the servers, there
+    // is no point in replaying them.
+    if (this._eventStore && !event.isInternal) {
+      this._eventStore
+        .add(event)
+        .catch((error: Error): void =>
+          logger.error({ err: error, eventName: event.name }, 'Store error'),
+        );
+    }
+
+    if (this._adapter) {
+      this._adapter.publish(event);
+      return;
+    }
+
+    setImmediate((): void => this._emitEvent(event));
   };
 
   publishAndListenForResponse = async (
@@ -114,6 +185,16 @@ class EventPublisher extends EventEmitter {
     );
   };
 
+  queryEvents = async (
+    eventQuery: EventQuery,
+  ): Promise<Array<ProtocolEvent>> => {
+    if (!this._eventStore) {
+      throw new Error('No event store configured');
+    }
+
+    return this._eventStore.query(eventQuery);
+  };
+
   subscribe = (
     eventNamePrefix: string = '*',
     eventHandler: <TResponse>(event: ProtocolEvent) => void | Promise<*>,
@@ -121,7 +202,8 @@ class EventPublisher extends EventEmitter {
   ): string => {
     const {
       filterOptions,
-      once,
+      replayFrom,
+      subscriberID,
       subscriptionTimeout,
       timeoutHandler,
     } = options;
@@ -135,30 +217,35 @@ class EventPublisher extends EventEmitter {
       ? this._filterEvents(eventHandler, filterOptions)
       : eventHandler;
 
-    this._subscriptionsByID.set(subscriptionID, {
+    const timeout = subscriptionTimeout
+      ? setTimeout(() => {
+          this.unsubscribe(subscriptionID);
+          if (timeoutHandler) {
+            timeoutHandler();
+          }
+        }, subscriptionTimeout)
+      : null;
+
+    const subscription = {
+      bufferedEvents: replayFrom ? [] : null,
       eventNamePrefix,
       id: subscriptionID,
       listener,
       options,
-    });
-
-    if (subscriptionTimeout) {
-      const timeout = setTimeout(() => {
-        this.unsubscribe(subscriptionID);
-        if (timeoutHandler) {
-          timeoutHandler();
-        }
-      }, subscriptionTimeout);
-      this.once(eventNamePrefix, (): void => clearTimeout(timeout));
+      timeout,
+    };
+    this._subscriptionsByID.set(subscriptionID, subscription);
+    this._subscriptionIndex.add(subscription);
+    if (subscriberID) {
+      const subscriptionIDs =
+        this._subscriptionIDsBySubscriberID.get(subscriberID) || new Set();
+      subscriptionIDs.add(subscriptionID);
+      this._subscriptionIDsBySubscriberID.set(subscriberID, subscriptionIDs);
     }
+    this._onSubscriptionAdded(eventNamePrefix);
 
-    if (once) {
-      this.once(eventNamePrefix, (event: ProtocolEvent) => {
-        this._subscriptionsByID.delete(subscriptionID);
-        listener(event);
-      });
-    } else {
-      this.on(eventNamePrefix, listener);
+    if (replayFrom) {
+      this._replayEvents(subscriptionID, eventNamePrefix, replayFrom);
     }
     return subscriptionID;
   };
@@ -170,28 +257,141 @@ class EventPublisher extends EventEmitter {
     if (!subscription) {
       return;
     }
-    this.removeListener(subscription.eventNamePrefix, subscription.listener);
+
+    if (subscription.timeout) {
+      clearTimeout(subscription.timeout);
+    }
     this._subscriptionsByID.delete(subscriptionID);
+    this._subscriptionIndex.remove(subscription);
+
+    const { subscriberID } = subscription.options;
+    const subscriptionIDs = subscriberID
+      ? this._subscriptionIDsBySubscriberID.get(subscriberID)
+      : null;
+    if (subscriberID && subscriptionIDs) {
+      subscriptionIDs.delete(subscriptionID);
+      if (!subscriptionIDs.size) {
+        this._subscriptionIDsBySubscriberID.delete(subscriberID);
+      }
+    }
+
+    this._onSubscriptionRemoved(subscription.eventNamePrefix);
   };
 
   unsubscribeBySubscriberID = (subscriberID: string) => {
-    this._subscriptionsByID.forEach((subscription: Subscription) => {
-      if (subscription.options.subscriberID === subscriberID) {
-        this.unsubscribe(subscription.id);
+    const subscriptionIDs = this._subscriptionIDsBySubscriberID.get(
+      subscriberID,
+    );
+    if (!subscriptionIDs) {
+      return;
+    }
+
+    Array.from(subscriptionIDs).forEach(this.unsubscribe);
+  };
+
+  _emitEvent = (event: ProtocolEvent) => {
+    this._subscriptionIndex
+      .match(event)
+      .forEach((subscription: Subscription) => {
+        // An earlier listener may have unsubscribed it
+        if (!this._subscriptionsByID.has(subscription.id)) {
+          return;
+        }
+
+        if (subscription.timeout) {
+          clearTimeout(subscription.timeout);
+        }
+
+        if (subscription.bufferedEvents) {
+          subscription.bufferedEvents.push(event);
+          return;
+        }
+
+        if (subscription.options.once) {
+          this.unsubscribe(subscription.id);
+        }
+
+        subscription.listener(event);
+      });
+
+    const eventName = event.name || '';
+    this.eventNames().forEach((eventNamePrefix: string) => {
+      if (isMatchingEventName(eventNamePrefix, eventName)) {
+        this.emit(eventNamePrefix, event);
       }
     });
   };
 
-  _emitWithPrefix = (eventName: string, event: ProtocolEvent) => {
-    this.eventNames()
-      .filter((eventNamePrefix: string): boolean =>
-        eventName.startsWith(eventNamePrefix),
-      )
-      .forEach((eventNamePrefix: string): boolean =>
-        this.emit(eventNamePrefix, event),
-      );
+  // The live events are held back until the stored ones are delivered so the
+  // listener gets them in order. The live events which were stored meanwhile
+  // are only delivered once.
+  _replayEvents = async (
+    subscriptionID: string,
+    eventNamePrefix: string,
+    replayFrom: Date,
+  ): Promise<void> => {
+    let events = [];
+    try {
+      if (this._eventStore) {
+        events = await this._eventStore.query({
+          eventNamePrefix,
+          from: replayFrom,
+        });
+      }
+    } catch (error) {
+      logger.error({ err: error, eventNamePrefix }, 'Replay error');
+    }
+
+    const subscription = this._subscriptionsByID.get(subscriptionID);
+    if (!subscription) {
+      return;
+    }
+
+    const bufferedEvents = subscription.bufferedEvents || [];
+    subscription.bufferedEvents = null;
+
+    const replayedEventKeys = new Set(events.map(getEventKey));
+    [
+      ...events,
+      ...bufferedEvents.filter(
+        (event: ProtocolEvent): boolean =>
+          !replayedEventKeys.has(getEventKey(event)),
+      ),
+    ].forEach((event: ProtocolEvent) => {
+      // The listener may unsubscribe
+      if (this._subscriptionsByID.has(subscriptionID)) {
+        subscription.listener(event);
+      }
+    });
   };
 
+  // The adapter only has to know which prefixes anyone in this process is
+  // listening to, so it is told about the first and last subscription only.
+  _onSubscriptionAdded = (eventNamePrefix: string) => {
+    const count = this._subscriptionCountByPrefix.get(eventNamePrefix) || 0;
+    this._subscriptionCountByPrefix.set(eventNamePrefix, count + 1);
+
+    if (count === 0 && this._adapter) {
+      this._adapter.subscribe(eventNamePrefix);
+    }
+  };
+
+  _onSubscriptionRemoved = (eventNamePrefix: string) => {
+    const count = this._subscriptionCountByPrefix.get(eventNamePrefix) || 0;
+    if (count > 1) {
+      this._subscriptionCountByPrefix.set(eventNamePrefix, count - 1);
+      return;
+    }
+
+    this._subscriptionCountByPrefix.delete(eventNamePrefix);
+    if (this._adapter) {
+      this._adapter.unsubscribe(eventNamePrefix);
+    }
+  };
+
+  _isEventNamePrefix = (eventName: string | Symbol): boolean =>
+    typeof eventName === 'string' && !EMITTER_EVENT_NAMES.has(eventName);
+
   _filterEvents = (
     eventHandler: (event: ProtocolEvent) => void | Promise<void>,
     filterOptions: FilterOptions,
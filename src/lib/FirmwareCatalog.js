@@ -0,0 +1,243 @@
+// @flow
+
+import type { FirmwareBinaryInfo } from './SystemFirmwareResolver';
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import mkdirp from 'mkdirp';
+import { HalModuleParser } from 'binary-version-reader';
+import { MODULE_FUNCTIONS } from './FirmwareValidator';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+export type FirmwareCatalogEntry = FirmwareBinaryInfo & {
+  crc: Object,
+  suffixInfo: Object,
+};
+
+export type FirmwareImportResult = {
+  imported: Array<FirmwareCatalogEntry>,
+  rejected: Array<{ filename: string, reason: string }>,
+};
+
+type SourceFile = {
+  data: Buffer,
+  filename: string,
+};
+
+const BINARY_EXTENSION = '.bin';
+const TAR_BLOCK_SIZE = 512;
+const TARBALL_PATTERN = /\.(tar|tar\.gz|tgz)$/;
+
+const readNullTerminated = (
+  buffer: Buffer,
+  start: number,
+  length: number,
+): string => {
+  const value = buffer.toString('utf8', start, start + length);
+  const end = value.indexOf('\0');
+  return end === -1 ? value : value.slice(0, end);
+};
+
+// Reads the regular files of a (gzipped) ustar, GNU or pax tarball
+const readTarball = (tarball: Buffer): Array<SourceFile> => {
+  const buffer =
+    tarball[0] === 0x1f && tarball[1] === 0x8b
+      ? zlib.gunzipSync(tarball)
+      : tarball;
+  const files = [];
+  let longName = null;
+  let offset = 0;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.slice(offset, offset + TAR_BLOCK_SIZE);
+    // The archive ends with empty blocks
+    if (header.every((byte: number): boolean => byte === 0)) {
+      break;
+    }
+
+    const size = parseInt(readNullTerminated(header, 124, 12).trim(), 8) || 0;
+    const type = readNullTerminated(header, 156, 1);
+    const prefix =
+      header.toString('utf8', 257, 262) === 'ustar'
+        ? readNullTerminated(header, 345, 155)
+        : '';
+    const name = readNullTerminated(header, 0, 100);
+    const data = buffer.slice(
+      offset + TAR_BLOCK_SIZE,
+      offset + TAR_BLOCK_SIZE + size,
+    );
+    offset +=
+      TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === 'L') {
+      longName = readNullTerminated(data, 0, data.length);
+    } else if (type === 'x') {
+      const match = data.toString('utf8').match(/\d+ path=([^\n]*)\n/);
+      longName = match ? match[1] : null;
+    } else {
+      if (type === '0' || type === '') {
+        files.push({
+          data,
+          filename: longName || (prefix ? `${prefix}/${name}` : name),
+        });
+      }
+      longName = null;
+    }
+  }
+
+  return files;
+};
+
+const readDirectory = (directory: string): Array<SourceFile> =>
+  fs
+    .readdirSync(directory)
+    .reduce((files: Array<SourceFile>, filename: string): Array<SourceFile> => {
+      const filePath = path.join(directory, filename);
+      if (fs.statSync(filePath).isDirectory()) {
+        return [...files, ...readDirectory(filePath)];
+      }
+      return [...files, { data: fs.readFileSync(filePath), filename }];
+    }, []);
+
+const getEntryKey = ({ prefixInfo }: FirmwareBinaryInfo): string =>
+  [
+    prefixInfo.platformID,
+    prefixInfo.moduleFunction,
+    prefixInfo.moduleIndex,
+    prefixInfo.moduleVersion,
+  ].join(':');
+
+/**
+ * Index of the firmware binaries in the binaries directory by platform,
+ * module and version. Binaries are imported from local directories or
+ * tarballs so no access to GitHub is needed.
+ */
+class FirmwareCatalog {
+  _binariesDirectory: string;
+  _entriesByKey: Map<string, FirmwareCatalogEntry> = new Map();
+
+  constructor(binariesDirectory: string) {
+    this._binariesDirectory = binariesDirectory;
+  }
+
+  getEntries = (): Array<FirmwareCatalogEntry> =>
+    Array.from(this._entriesByKey.entries())
+      .sort(([firstKey]: [string, *], [secondKey]: [string, *]): number =>
+        firstKey.localeCompare(secondKey, 'en', { numeric: true }),
+      )
+      .map(
+        ([, entry]: [string, FirmwareCatalogEntry]): FirmwareCatalogEntry =>
+          entry,
+      );
+
+  getEntry = (
+    platformID: number,
+    moduleFunction: number,
+    moduleIndex: number,
+    moduleVersion: number,
+  ): ?FirmwareCatalogEntry =>
+    this._entriesByKey.get(
+      [platformID, moduleFunction, moduleIndex, moduleVersion].join(':'),
+    );
+
+  // Copies the binaries of a directory, tarball or single file to the
+  // binaries directory.
+  importPath = async (sourcePath: string): Promise<FirmwareImportResult> => {
+    let sourceFiles = null;
+    if (fs.statSync(sourcePath).isDirectory()) {
+      sourceFiles = readDirectory(sourcePath);
+    } else if (TARBALL_PATTERN.test(sourcePath)) {
+      sourceFiles = readTarball(fs.readFileSync(sourcePath));
+    } else {
+      sourceFiles = [
+        {
+          data: fs.readFileSync(sourcePath),
+          filename: path.basename(sourcePath),
+        },
+      ];
+    }
+
+    mkdirp.sync(this._binariesDirectory);
+    const result = await this._index(sourceFiles, true);
+
+    logger.info(
+      {
+        importedCount: result.imported.length,
+        rejectedCount: result.rejected.length,
+        sourcePath,
+      },
+      'Imported firmware binaries',
+    );
+    return result;
+  };
+
+  // Indexes the binaries which are already in the binaries directory
+  load = async (): Promise<FirmwareImportResult> =>
+    fs.existsSync(this._binariesDirectory)
+      ? this._index(readDirectory(this._binariesDirectory), false)
+      : { imported: [], rejected: [] };
+
+  // Writes the index the FirmwareManager reads. User modules are left out as
+  // only system modules are installed as dependencies.
+  writeSettings = (settingsFile: string) => {
+    mkdirp.sync(path.dirname(settingsFile));
+    fs.writeFileSync(
+      settingsFile,
+      JSON.stringify(
+        this.getEntries().filter(
+          ({ prefixInfo }: FirmwareCatalogEntry): boolean =>
+            prefixInfo.moduleFunction !== MODULE_FUNCTIONS.USER_PART,
+        ),
+        null,
+        2,
+      ),
+    );
+  };
+
+  _index = async (
+    sourceFiles: Array<SourceFile>,
+    shouldCopyBinaries: boolean,
+  ): Promise<FirmwareImportResult> => {
+    const parser = new HalModuleParser();
+    const result = { imported: [], rejected: [] };
+
+    await Promise.all(
+      sourceFiles
+        .filter(({ filename }: SourceFile): boolean =>
+          filename.endsWith(BINARY_EXTENSION),
+        )
+        .map(async ({ data, filename: sourcePath }: SourceFile): Promise<
+          void,
+        > => {
+          const filename = path.basename(sourcePath);
+          try {
+            const moduleInfo = await parser.parseBuffer({ fileBuffer: data });
+            if (!moduleInfo.crc.ok) {
+              throw new Error('CRC mismatch');
+            }
+
+            const entry = { ...moduleInfo, fileBuffer: undefined, filename };
+            if (shouldCopyBinaries) {
+              fs.writeFileSync(
+                path.join(this._binariesDirectory, filename),
+                data,
+              );
+            }
+            this._entriesByKey.set(getEntryKey(entry), entry);
+            result.imported.push(entry);
+          } catch (error) {
+            result.rejected.push({
+              filename,
+              reason: String((error && error.message) || error),
+            });
+          }
+        }),
+    );
+
+    return result;
+  };
+}
+
+export default FirmwareCatalog;
@@ -0,0 +1,262 @@
+// @flow
+
+import EventEmitter from 'events';
+import nullthrows from 'nullthrows';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+export type FirmwareHealthCheckConfig = {
+  ENABLED: boolean,
+  // More resets than this during the window count as a crash loop
+  MAX_RESETS: number,
+  RECONNECT_TIMEOUT: number,
+  WINDOW: number,
+};
+
+export type FirmwareRollback = {
+  deviceID: string,
+  firmwareVersion: number,
+  previousFirmwareVersion: number,
+  productID: number,
+  reason: string,
+};
+
+type WatchedDevice = {
+  deviceID: string,
+  firmwareVersion: number,
+  hasRebootedAfterUpdate: boolean,
+  isOnline: boolean,
+  previousFirmwareVersion: number,
+  productID: number,
+  reconnectTimeout: ?number,
+  resetCount: number,
+  unhealthyReason: ?string,
+  windowTimeout: ?number,
+};
+
+export const FIRMWARE_HEALTH_EVENTS = {
+  // Emitted as soon as the device is found unhealthy
+  QUARANTINE: 'quarantine',
+  // Emitted once the unhealthy device is online and can be flashed back
+  ROLLBACK: 'rollback',
+};
+
+/**
+ * Watches devices after they were flashed with product firmware. A device
+ * is unhealthy when it doesn't reconnect within RECONNECT_TIMEOUT, reconnects
+ * with another product firmware version or resets more than MAX_RESETS times
+ * during WINDOW, not counting the reset installing the update.
+ */
+class FirmwareHealthMonitor extends EventEmitter {
+  _config: FirmwareHealthCheckConfig;
+  _watchedDevicesByID: Map<string, WatchedDevice> = new Map();
+
+  constructor(config: FirmwareHealthCheckConfig) {
+    super();
+
+    this._config = config;
+  }
+
+  isWatching = (deviceID: string): boolean =>
+    this._watchedDevicesByID.has(deviceID);
+
+  onDeviceDisconnect = (deviceID: string) => {
+    this._update(deviceID, { isOnline: false });
+  };
+
+  // Called before the device is checked for product firmware updates, returns
+  // false when the device is flashed back instead.
+  onDeviceConnect = (
+    deviceID: string,
+    productFirmwareVersion: ?number,
+  ): boolean => {
+    const watchedDevice = this._update(deviceID, { isOnline: true });
+    if (!watchedDevice) {
+      return true;
+    }
+
+    if (watchedDevice.unhealthyReason) {
+      this._rollback(deviceID);
+      return false;
+    }
+
+    if (productFirmwareVersion !== watchedDevice.firmwareVersion) {
+      this._setUnhealthy(
+        deviceID,
+        `Device came back with firmware version ${String(
+          productFirmwareVersion,
+        )}`,
+      );
+      return false;
+    }
+
+    this._clearTimeout(deviceID, 'reconnectTimeout');
+    return true;
+  };
+
+  onDeviceReset = (deviceID: string) => {
+    const watchedDevice = this._watchedDevicesByID.get(deviceID);
+    if (!watchedDevice || watchedDevice.unhealthyReason) {
+      return;
+    }
+
+    // The device reboots to install the update
+    if (!watchedDevice.hasRebootedAfterUpdate) {
+      this._update(deviceID, { hasRebootedAfterUpdate: true });
+      return;
+    }
+
+    const resetCount = watchedDevice.resetCount + 1;
+    this._update(deviceID, { resetCount });
+    if (resetCount > this._config.MAX_RESETS) {
+      this._setUnhealthy(
+        deviceID,
+        `Device reset ${resetCount} times after the update`,
+      );
+    }
+  };
+
+  stop = () => {
+    Array.from(this._watchedDevicesByID.keys()).forEach(this._forget);
+  };
+
+  watch = ({
+    deviceID,
+    firmwareVersion,
+    previousFirmwareVersion,
+    productID,
+  }: {
+    deviceID: string,
+    firmwareVersion: number,
+    previousFirmwareVersion: number,
+    productID: number,
+  }) => {
+    if (!this._config.ENABLED) {
+      return;
+    }
+
+    this._forget(deviceID);
+
+    // The device is flashed, so it is about to reboot
+    this._watchedDevicesByID.set(deviceID, {
+      deviceID,
+      firmwareVersion,
+      hasRebootedAfterUpdate: false,
+      isOnline: false,
+      previousFirmwareVersion,
+      productID,
+      reconnectTimeout: setTimeout(
+        (): void =>
+          this._setUnhealthy(
+            deviceID,
+            'Device did not reconnect after the update',
+          ),
+        this._config.RECONNECT_TIMEOUT,
+      ),
+      resetCount: 0,
+      unhealthyReason: null,
+      windowTimeout: setTimeout(
+        (): void => this._onWindowEnd(deviceID),
+        this._config.WINDOW,
+      ),
+    });
+  };
+
+  _clearTimeout = (
+    deviceID: string,
+    key: 'reconnectTimeout' | 'windowTimeout',
+  ) => {
+    const watchedDevice = this._watchedDevicesByID.get(deviceID);
+    if (watchedDevice && watchedDevice[key]) {
+      clearTimeout(watchedDevice[key]);
+      this._update(deviceID, { [key]: null });
+    }
+  };
+
+  _forget = (deviceID: string) => {
+    this._clearTimeout(deviceID, 'reconnectTimeout');
+    this._clearTimeout(deviceID, 'windowTimeout');
+    this._watchedDevicesByID.delete(deviceID);
+  };
+
+  _getRollback = (watchedDevice: WatchedDevice): FirmwareRollback => ({
+    deviceID: watchedDevice.deviceID,
+    firmwareVersion: watchedDevice.firmwareVersion,
+    previousFirmwareVersion: watchedDevice.previousFirmwareVersion,
+    productID: watchedDevice.productID,
+    reason: watchedDevice.unhealthyReason || '',
+  });
+
+  _onWindowEnd = (deviceID: string) => {
+    const watchedDevice = this._update(deviceID, { windowTimeout: null });
+    // Unhealthy devices are kept until they come back to be flashed back
+    if (!watchedDevice || watchedDevice.unhealthyReason) {
+      return;
+    }
+
+    logger.info(
+      {
+        deviceID,
+        firmwareVersion: watchedDevice.firmwareVersion,
+      },
+      'Firmware passed health checks',
+    );
+    this._forget(deviceID);
+  };
+
+  _rollback = (deviceID: string) => {
+    const watchedDevice = this._watchedDevicesByID.get(deviceID);
+    if (!watchedDevice) {
+      return;
+    }
+
+    this._forget(deviceID);
+    this.emit(
+      FIRMWARE_HEALTH_EVENTS.ROLLBACK,
+      this._getRollback(watchedDevice),
+    );
+  };
+
+  _setUnhealthy = (deviceID: string, reason: string) => {
+    const previousWatchedDevice = this._watchedDevicesByID.get(deviceID);
+    if (!previousWatchedDevice || previousWatchedDevice.unhealthyReason) {
+      return;
+    }
+
+    this._clearTimeout(deviceID, 'reconnectTimeout');
+    this._clearTimeout(deviceID, 'windowTimeout');
+    const watchedDevice = nullthrows(
+      this._update(deviceID, { unhealthyReason: reason }),
+    );
+
+    logger.warn(
+      this._getRollback(watchedDevice),
+      'Firmware failed health checks',
+    );
+    this.emit(
+      FIRMWARE_HEALTH_EVENTS.QUARANTINE,
+      this._getRollback(watchedDevice),
+    );
+
+    if (watchedDevice.isOnline) {
+      this._rollback(deviceID);
+    }
+  };
+
+  // Returns the updated device, null when the device isn't watched
+  _update = (
+    deviceID: string,
+    props: $Shape<WatchedDevice>,
+  ): ?WatchedDevice => {
+    const watchedDevice = this._watchedDevicesByID.get(deviceID);
+    if (!watchedDevice) {
+      return null;
+    }
+
+    const updatedWatchedDevice = { ...watchedDevice, ...props };
+    this._watchedDevicesByID.set(deviceID, updatedWatchedDevice);
+    return updatedWatchedDevice;
+  };
+}
+
+export default FirmwareHealthMonitor;
@@ -0,0 +1,573 @@
+// @flow
+
+import type {
+  FirmwareRollout,
+  FirmwareRolloutStage,
+  IFirmwareRolloutRepository,
+  IProductDeviceRepository,
+  ProductDevice,
+  ProtocolEvent,
+} from '../types';
+import type EventPublisher from './EventPublisher';
+
+import crypto from 'crypto';
+import nullthrows from 'nullthrows';
+import { getRequestEventName } from './EventPublisher';
+import SPARK_SERVER_EVENTS from './SparkServerEvents';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+// Flashes the product device with the firmware version. Resolves true when the
+// device ends up on the version, false when the flash failed and null when the
+// device can't be flashed right now (offline, already flashing...).
+export type RolloutFlashHandler = (
+  productDevice: ProductDevice,
+  firmwareVersion: number,
+) => Promise<?boolean>;
+
+export type FirmwareRolloutOptions = {
+  firmwareVersion: number,
+  maxConcurrentFlashes?: number,
+  productID: number,
+  stages: Array<FirmwareRolloutStage>,
+};
+
+const DEFAULT_MAX_CONCURRENT_FLASHES = 10;
+const DEFAULT_MIN_FLASHED_RATE = 0.8;
+const TICK_INTERVAL = 5000; // 5 seconds
+
+const ACTIVE_STATUSES = ['paused', 'running'];
+
+// Stable position of a device in a rollout, from 0 to 100. Devices below a
+// stage percentage are part of it, so later stages only add devices.
+const getDevicePosition = (rolloutID: string, deviceID: string): number =>
+  parseInt(
+    crypto
+      .createHash('sha1')
+      .update(`${rolloutID}:${deviceID}`)
+      .digest('hex')
+      .substring(0, 8),
+    16,
+  ) /
+  0xffffffff *
+  100;
+
+const validateStages = (stages: Array<FirmwareRolloutStage>) => {
+  if (!stages.length) {
+    throw new Error('A rollout needs at least one stage');
+  }
+
+  stages.forEach((stage: FirmwareRolloutStage, index: number) => {
+    if (stage.percentage < 0 || stage.percentage > 100) {
+      throw new Error(`Stage ${index} percentage must be between 0 and 100`);
+    }
+    if (stage.minSuccessRate < 0 || stage.minSuccessRate > 1) {
+      throw new Error(`Stage ${index} minSuccessRate must be between 0 and 1`);
+    }
+    if (
+      stage.minFlashedRate !== undefined &&
+      (stage.minFlashedRate < 0 || stage.minFlashedRate > 1)
+    ) {
+      throw new Error(`Stage ${index} minFlashedRate must be between 0 and 1`);
+    }
+    if (stage.minDuration !== undefined && stage.minDuration < 0) {
+      throw new Error(`Stage ${index} minDuration must not be negative`);
+    }
+    if (index > 0 && stage.percentage < stages[index - 1].percentage) {
+      throw new Error(`Stage ${index} percentage is lower than the previous`);
+    }
+  });
+};
+
+/**
+ * Rolls product firmware out stage by stage. Each stage reaches a percentage
+ * of the product devices plus an optional cohort of devices, and the rollout
+ * only moves to the next stage when enough devices of the stage were flashed,
+ * the stage ran long enough and the flashes succeeded often enough. When they
+ * didn't the rollout is paused until it is resumed or aborted.
+ */
+class FirmwareRolloutManager {
+  _eventPublisher: EventPublisher;
+  _flashHandler: ?RolloutFlashHandler = null;
+  _flashingDeviceIDsByRolloutID: Map<string, Set<string>> = new Map();
+  _flashPromises: Set<Promise<void>> = new Set();
+  _isTicking: boolean = false;
+  _productDeviceRepository: IProductDeviceRepository;
+  _rolloutRepository: IFirmwareRolloutRepository;
+  // The rollout of each product which is running or paused. The devices of
+  // the products without one follow the current product firmware.
+  _rolloutsByProductID: Map<number, FirmwareRollout> = new Map();
+  _subscriptionIDs: Array<string> = [];
+  _tickInterval: ?number = null;
+
+  constructor(
+    rolloutRepository: IFirmwareRolloutRepository,
+    productDeviceRepository: IProductDeviceRepository,
+    eventPublisher: EventPublisher,
+  ) {
+    this._eventPublisher = eventPublisher;
+    this._productDeviceRepository = productDeviceRepository;
+    this._rolloutRepository = rolloutRepository;
+  }
+
+  setFlashHandler = (flashHandler: RolloutFlashHandler) => {
+    this._flashHandler = flashHandler;
+  };
+
+  start = async (): Promise<void> => {
+    const rollouts = await this._rolloutRepository.getAll();
+    rollouts
+      .filter((rollout: FirmwareRollout): boolean =>
+        ACTIVE_STATUSES.includes(rollout.status),
+      )
+      .sort(
+        (first: FirmwareRollout, second: FirmwareRollout): number =>
+          first.createdAt - second.createdAt,
+      )
+      .forEach((rollout: FirmwareRollout): mixed =>
+        this._rolloutsByProductID.set(rollout.productID, rollout),
+      );
+
+    this._subscriptionIDs = [
+      [SPARK_SERVER_EVENTS.ABORT_FIRMWARE_ROLLOUT, this._onAbortRequest],
+      [SPARK_SERVER_EVENTS.CREATE_FIRMWARE_ROLLOUT, this._onCreateRequest],
+      [SPARK_SERVER_EVENTS.GET_FIRMWARE_ROLLOUT, this._onGetRequest],
+      [SPARK_SERVER_EVENTS.PAUSE_FIRMWARE_ROLLOUT, this._onPauseRequest],
+      [SPARK_SERVER_EVENTS.RESUME_FIRMWARE_ROLLOUT, this._onResumeRequest],
+    ].map(
+      ([eventName, handler]: [
+        string,
+        (context: Object) => Promise<?FirmwareRollout>,
+      ]): string =>
+        this._eventPublisher.subscribe(
+          getRequestEventName(eventName),
+          (event: ProtocolEvent): Promise<void> =>
+            this._respond(event, handler),
+        ),
+    );
+
+    this._tickInterval = setInterval(this._tick, TICK_INTERVAL);
+  };
+
+  // Resolves once the flashes started have saved their result
+  stop = async (): Promise<void> => {
+    this._subscriptionIDs.forEach((subscriptionID: string): void =>
+      this._eventPublisher.unsubscribe(subscriptionID),
+    );
+    this._subscriptionIDs = [];
+
+    if (this._tickInterval) {
+      clearInterval(this._tickInterval);
+      this._tickInterval = null;
+    }
+
+    await Promise.all(Array.from(this._flashPromises));
+  };
+
+  createRollout = async ({
+    firmwareVersion,
+    maxConcurrentFlashes = DEFAULT_MAX_CONCURRENT_FLASHES,
+    productID,
+    stages,
+  }: FirmwareRolloutOptions): Promise<FirmwareRollout> => {
+    validateStages(stages);
+
+    const previousRollout = this._rolloutsByProductID.get(productID);
+    if (previousRollout) {
+      throw new Error(
+        `Rollout ${previousRollout.id} has to be aborted or completed first`,
+      );
+    }
+
+    const rollout = await this._rolloutRepository.create({
+      currentStageIndex: 0,
+      currentStageStartedAt: new Date(),
+      deviceStatuses: {},
+      firmwareVersion,
+      maxConcurrentFlashes,
+      pausedReason: null,
+      productID,
+      stages,
+      status: 'running',
+    });
+    this._rolloutsByProductID.set(productID, rollout);
+    this._publishProgress(rollout);
+
+    return rollout;
+  };
+
+  // The devices reached keep the new version until they reconnect, they are
+  // then flashed with the current product firmware.
+  abortRollout = async (rolloutID: string): Promise<FirmwareRollout> => {
+    const rollout = this._getActiveRollout(rolloutID, ['paused', 'running']);
+    await this._save(rollout, { pausedReason: null, status: 'aborted' });
+    this._rolloutsByProductID.delete(rollout.productID);
+    this._flashingDeviceIDsByRolloutID.delete(rollout.id);
+    return rollout;
+  };
+
+  pauseRollout = async (rolloutID: string): Promise<FirmwareRollout> => {
+    const rollout = this._getActiveRollout(rolloutID, ['running']);
+    await this._save(rollout, {
+      pausedReason: 'Paused by request',
+      status: 'paused',
+    });
+    return rollout;
+  };
+
+  // The devices which failed are flashed again
+  resumeRollout = async (rolloutID: string): Promise<FirmwareRollout> => {
+    const rollout = this._getActiveRollout(rolloutID, ['paused']);
+    const deviceStatuses = {};
+    Object.keys(rollout.deviceStatuses)
+      .filter(
+        (deviceID: string): boolean =>
+          rollout.deviceStatuses[deviceID] === 'succeeded',
+      )
+      .forEach((deviceID: string) => {
+        deviceStatuses[deviceID] = 'succeeded';
+      });
+
+    await this._save(rollout, {
+      deviceStatuses,
+      pausedReason: null,
+      status: 'running',
+    });
+    return rollout;
+  };
+
+  getRollout = (rolloutID: string): Promise<?FirmwareRollout> =>
+    this._rolloutRepository.getByID(rolloutID);
+
+  hasActiveRollout = (productID: number): boolean =>
+    this._rolloutsByProductID.has(productID);
+
+  // The version the rollout wants on the device, null when the device should
+  // follow the current product firmware.
+  getFirmwareVersionForDevice = (productDevice: ProductDevice): ?number => {
+    const rollout = this._rolloutsByProductID.get(productDevice.productID);
+    if (!rollout || !this._isDeviceReached(rollout, productDevice.deviceID)) {
+      return null;
+    }
+
+    // Paused rollouts don't flash anymore but keep the devices already on the
+    // new version there.
+    if (
+      rollout.status === 'paused' &&
+      rollout.deviceStatuses[productDevice.deviceID] !== 'succeeded'
+    ) {
+      return null;
+    }
+
+    return rollout.firmwareVersion;
+  };
+
+  _isDeviceReached = (rollout: FirmwareRollout, deviceID: string): boolean => {
+    const position = getDevicePosition(rollout.id, deviceID);
+    return rollout.stages
+      .slice(0, rollout.currentStageIndex + 1)
+      .some(
+        (stage: FirmwareRolloutStage): boolean =>
+          position < stage.percentage ||
+          (!!stage.deviceIDs && stage.deviceIDs.includes(deviceID)),
+      );
+  };
+
+  _tick = async (): Promise<void> => {
+    if (this._isTicking) {
+      return;
+    }
+
+    this._isTicking = true;
+    try {
+      await Promise.all(
+        Array.from(this._rolloutsByProductID.values())
+          .filter(
+            (rollout: FirmwareRollout): boolean => rollout.status === 'running',
+          )
+          .map(this._processRollout),
+      );
+    } catch (error) {
+      logger.error({ err: error }, 'Firmware rollout error');
+    } finally {
+      this._isTicking = false;
+    }
+  };
+
+  _processRollout = async (rollout: FirmwareRollout): Promise<void> => {
+    const flashHandler = this._flashHandler;
+    if (!flashHandler) {
+      return;
+    }
+
+    const flashingDeviceIDs =
+      this._flashingDeviceIDsByRolloutID.get(rollout.id) || new Set();
+    this._flashingDeviceIDsByRolloutID.set(rollout.id, flashingDeviceIDs);
+
+    const productDevices = await this._productDeviceRepository.getAllByProductID(
+      rollout.productID,
+      0,
+      Number.MAX_VALUE,
+    );
+    const stageDevices = productDevices.filter(
+      (productDevice: ProductDevice): boolean =>
+        !productDevice.denied &&
+        !productDevice.development &&
+        !productDevice.quarantined &&
+        productDevice.lockedFirmwareVersion === null &&
+        this._isDeviceReached(rollout, productDevice.deviceID),
+    );
+
+    const pendingDevices = stageDevices.filter(
+      ({ deviceID }: ProductDevice): boolean =>
+        !rollout.deviceStatuses[deviceID] && !flashingDeviceIDs.has(deviceID),
+    );
+
+    await pendingDevices.reduce(
+      (previous: Promise<void>, productDevice: ProductDevice): Promise<void> =>
+        previous.then((): void | Promise<void> => {
+          if (
+            rollout.status !== 'running' ||
+            flashingDeviceIDs.size >= rollout.maxConcurrentFlashes
+          ) {
+            return undefined;
+          }
+
+          flashingDeviceIDs.add(productDevice.deviceID);
+          this._startFlash(rollout, productDevice, flashHandler);
+          // The devices which can't be flashed right now give their slot back
+          // before the next one is picked.
+          return new Promise((resolve: () => void): mixed =>
+            setImmediate(resolve),
+          );
+        }),
+      Promise.resolve(),
+    );
+
+    // Every device of the stage online was flashed
+    if (rollout.status === 'running' && !flashingDeviceIDs.size) {
+      await this._evaluateStage(rollout, stageDevices);
+    }
+  };
+
+  _startFlash = (
+    rollout: FirmwareRollout,
+    productDevice: ProductDevice,
+    flashHandler: RolloutFlashHandler,
+  ) => {
+    const flashPromise = this._flashDevice(rollout, productDevice, flashHandler)
+      .catch((error: Error) => {
+        logger.error(
+          {
+            deviceID: productDevice.deviceID,
+            err: error,
+            rolloutID: rollout.id,
+          },
+          'Saving the rollout flash failed',
+        );
+      })
+      .then(() => {
+        this._flashPromises.delete(flashPromise);
+      });
+    this._flashPromises.add(flashPromise);
+  };
+
+  _flashDevice = async (
+    rollout: FirmwareRollout,
+    productDevice: ProductDevice,
+    flashHandler: RolloutFlashHandler,
+  ): Promise<void> => {
+    const { deviceID } = productDevice;
+    const flashingDeviceIDs = nullthrows(
+      this._flashingDeviceIDsByRolloutID.get(rollout.id),
+    );
+
+    let isSucceeded = null;
+    try {
+      isSucceeded = await flashHandler(productDevice, rollout.firmwareVersion);
+    } catch (error) {
+      logger.error({ deviceID, err: error }, 'Rollout flash error');
+      isSucceeded = false;
+    }
+    flashingDeviceIDs.delete(deviceID);
+
+    if (isSucceeded === null || isSucceeded === undefined) {
+      return;
+    }
+
+    await this._save(rollout, {
+      deviceStatuses: {
+        ...rollout.deviceStatuses,
+        [deviceID]: isSucceeded ? 'succeeded' : 'failed',
+      },
+    });
+  };
+
+  _evaluateStage = async (
+    rollout: FirmwareRollout,
+    stageDevices: Array<ProductDevice>,
+  ): Promise<void> => {
+    const { failed, succeeded } = this._countDeviceStatuses(
+      rollout,
+      stageDevices.map(({ deviceID }: ProductDevice): string => deviceID),
+    );
+
+    // Wait until some devices of the stage come online
+    if (!failed && !succeeded) {
+      return;
+    }
+
+    const stage = rollout.stages[rollout.currentStageIndex];
+    const successRate = succeeded / (succeeded + failed);
+    if (successRate < stage.minSuccessRate) {
+      await this._save(rollout, {
+        pausedReason: `Stage ${
+          rollout.currentStageIndex
+        } success rate ${successRate} is below ${stage.minSuccessRate}`,
+        status: 'paused',
+      });
+      return;
+    }
+
+    // Offline devices aren't flashed yet, a few successes of the devices online
+    // don't tell enough about the stage
+    const {
+      minDuration = 0,
+      minFlashedRate = DEFAULT_MIN_FLASHED_RATE,
+    } = stage;
+    const flashedRate = (failed + succeeded) / stageDevices.length;
+    const stageDuration = Date.now() - rollout.currentStageStartedAt.getTime();
+    if (flashedRate < minFlashedRate || stageDuration < minDuration) {
+      return;
+    }
+
+    if (rollout.currentStageIndex === rollout.stages.length - 1) {
+      await this._save(rollout, { status: 'completed' });
+      this._rolloutsByProductID.delete(rollout.productID);
+      this._flashingDeviceIDsByRolloutID.delete(rollout.id);
+      return;
+    }
+
+    await this._save(rollout, {
+      currentStageIndex: rollout.currentStageIndex + 1,
+      currentStageStartedAt: new Date(),
+    });
+  };
+
+  _countDeviceStatuses = (
+    rollout: FirmwareRollout,
+    deviceIDs: Array<string>,
+  ): { failed: number, succeeded: number } =>
+    deviceIDs.reduce(
+      (
+        counts: { failed: number, succeeded: number },
+        deviceID: string,
+      ): { failed: number, succeeded: number } => {
+        const status = rollout.deviceStatuses[deviceID];
+        return status ? { ...counts, [status]: counts[status] + 1 } : counts;
+      },
+      { failed: 0, succeeded: 0 },
+    );
+
+  _getActiveRollout = (
+    rolloutID: string,
+    statuses: Array<string>,
+  ): FirmwareRollout => {
+    const rollout = Array.from(this._rolloutsByProductID.values()).find(
+      (activeRollout: FirmwareRollout): boolean =>
+        activeRollout.id === rolloutID,
+    );
+    if (!rollout) {
+      throw new Error(`Could not find active rollout ${rolloutID}`);
+    }
+    if (!statuses.includes(rollout.status)) {
+      throw new Error(`Rollout ${rolloutID} is ${rollout.status}`);
+    }
+
+    return rollout;
+  };
+
+  _save = async (
+    rollout: FirmwareRollout,
+    props: $Shape<FirmwareRollout>,
+  ): Promise<void> => {
+    Object.assign(rollout, props, { updatedAt: new Date() });
+    await this._rolloutRepository.updateByID(rollout.id, props);
+    this._publishProgress(rollout);
+  };
+
+  _publishProgress = (rollout: FirmwareRollout) => {
+    const flashingDeviceIDs = this._flashingDeviceIDsByRolloutID.get(
+      rollout.id,
+    );
+    const deviceStatuses: Array<string> = (Object.values(
+      rollout.deviceStatuses,
+    ): any);
+
+    this._eventPublisher.publish(
+      {
+        context: {
+          currentStageIndex: rollout.currentStageIndex,
+          failedCount: deviceStatuses.filter(
+            (status: string): boolean => status === 'failed',
+          ).length,
+          firmwareVersion: rollout.firmwareVersion,
+          flashingCount: flashingDeviceIDs ? flashingDeviceIDs.size : 0,
+          id: rollout.id,
+          pausedReason: rollout.pausedReason,
+          productID: rollout.productID,
+          status: rollout.status,
+          succeededCount: deviceStatuses.filter(
+            (status: string): boolean => status === 'succeeded',
+          ).length,
+        },
+        name: SPARK_SERVER_EVENTS.FIRMWARE_ROLLOUT_PROGRESS,
+      },
+      {
+        isInternal: true,
+        isPublic: false,
+      },
+    );
+  };
+
+  _respond = async (
+    event: ProtocolEvent,
+    handler: (context: Object) => Promise<?FirmwareRollout>,
+  ): Promise<void> => {
+    const context = nullthrows(event.context);
+    let responseContext = null;
+    try {
+      responseContext = await handler(context);
+    } catch (error) {
+      responseContext = { error };
+    }
+
+    this._eventPublisher.publish(
+      {
+        context: responseContext,
+        name: context.responseEventName,
+      },
+      {
+        isInternal: true,
+        isPublic: false,
+      },
+    );
+  };
+
+  _onAbortRequest = ({ rolloutID }: Object): Promise<FirmwareRollout> =>
+    this.abortRollout(rolloutID);
+
+  _onCreateRequest = (options: Object): Promise<FirmwareRollout> =>
+    this.createRollout(options);
+
+  _onGetRequest = ({ rolloutID }: Object): Promise<?FirmwareRollout> =>
+    this.getRollout(rolloutID);
+
+  _onPauseRequest = ({ rolloutID }: Object): Promise<FirmwareRollout> =>
+    this.pauseRollout(rolloutID);
+
+  _onResumeRequest = ({ rolloutID }: Object): Promise<FirmwareRollout> =>
+    this.resumeRollout(rolloutID);
+}
+
+export default FirmwareRolloutManager;
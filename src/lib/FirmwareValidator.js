@@ -0,0 +1,137 @@
+// @flow
+
+import { HalModuleParser } from 'binary-version-reader';
+
+export type FirmwareModuleDependency = {
+  moduleFunction: number,
+  moduleIndex: number,
+  moduleVersion: number,
+};
+
+export type FirmwareValidationOptions = {
+  // Called for dependencies the device doesn't have. They are accepted when
+  // the server can install them with a system firmware update.
+  isDependencyAvailable?: ?(
+    platformID: number,
+    dependency: FirmwareModuleDependency,
+  ) => boolean,
+  // The module function the binary must have, any flashable one otherwise.
+  moduleFunction?: ?number,
+};
+
+export const MODULE_FUNCTIONS = {
+  BOOTLOADER: 2,
+  MONOLITHIC: 3,
+  NONE: 0,
+  SYSTEM_PART: 4,
+  USER_PART: 5,
+};
+
+// The device describes its modules with one letter per module function
+export const MODULE_FUNCTION_BY_NAME = {
+  b: MODULE_FUNCTIONS.BOOTLOADER,
+  m: MODULE_FUNCTIONS.MONOLITHIC,
+  s: MODULE_FUNCTIONS.SYSTEM_PART,
+  u: MODULE_FUNCTIONS.USER_PART,
+};
+
+const FLASHABLE_MODULE_FUNCTIONS = [
+  MODULE_FUNCTIONS.BOOTLOADER,
+  MODULE_FUNCTIONS.MONOLITHIC,
+  MODULE_FUNCTIONS.SYSTEM_PART,
+  MODULE_FUNCTIONS.USER_PART,
+];
+
+class FirmwareValidator {
+  // Resolves with the parsed module or rejects with every problem found in
+  // the binary for this device.
+  static validate = async (
+    binary: ?Buffer,
+    systemInformation: Object,
+    options?: FirmwareValidationOptions = {},
+  ): Promise<Object> => {
+    if (!binary || !binary.length) {
+      throw new Error('Invalid firmware binary: the binary is empty');
+    }
+
+    let moduleInfo = null;
+    try {
+      moduleInfo = await new HalModuleParser().parseBuffer({
+        fileBuffer: binary,
+      });
+    } catch (error) {
+      throw new Error(
+        `Invalid firmware binary: the module could not be parsed (${String(
+          (error && error.message) || error,
+        )})`,
+      );
+    }
+
+    const { crc, prefixInfo } = moduleInfo;
+    const platformID = systemInformation.p;
+    const errors = [];
+
+    if (!crc.ok) {
+      errors.push(
+        `CRC mismatch (stored ${crc.storedCrc}, computed ${crc.actualCrc})`,
+      );
+    }
+
+    if (prefixInfo.platformID !== platformID) {
+      errors.push(
+        `built for platform ${prefixInfo.platformID} but the device is ` +
+          `platform ${platformID}`,
+      );
+    }
+
+    const { moduleFunction } = options;
+    const hasFlashableFunction =
+      moduleFunction === null || moduleFunction === undefined
+        ? FLASHABLE_MODULE_FUNCTIONS.includes(prefixInfo.moduleFunction)
+        : prefixInfo.moduleFunction === moduleFunction;
+    if (!hasFlashableFunction) {
+      errors.push(
+        `module function ${prefixInfo.moduleFunction} can't be flashed here`,
+      );
+    }
+
+    const dependency = {
+      moduleFunction: prefixInfo.depModuleFunction,
+      moduleIndex: prefixInfo.depModuleIndex,
+      moduleVersion: prefixInfo.depModuleVersion,
+    };
+    if (
+      dependency.moduleFunction !== MODULE_FUNCTIONS.NONE &&
+      !FirmwareValidator.hasDependency(systemInformation, dependency) &&
+      !(
+        options.isDependencyAvailable &&
+        options.isDependencyAvailable(platformID, dependency)
+      )
+    ) {
+      errors.push(
+        `requires module ${dependency.moduleFunction}/` +
+          `${dependency.moduleIndex} version ${dependency.moduleVersion} ` +
+          'which the device is missing',
+      );
+    }
+
+    if (errors.length) {
+      throw new Error(`Invalid firmware binary: ${errors.join(', ')}`);
+    }
+
+    return moduleInfo;
+  };
+
+  static hasDependency = (
+    systemInformation: Object,
+    { moduleFunction, moduleIndex, moduleVersion }: FirmwareModuleDependency,
+  ): boolean =>
+    (systemInformation.m || []).some(
+      (module: Object): boolean =>
+        MODULE_FUNCTION_BY_NAME[module.f] === moduleFunction &&
+        parseInt(module.n, 10) === moduleIndex &&
+        module.v >= moduleVersion,
+    );
+}
+
+export default FirmwareValidator;
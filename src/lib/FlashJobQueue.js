@@ -0,0 +1,353 @@
+// @flow
+
+import type {
+  FlashJob,
+  FlashJobSource,
+  FlashJobStatus,
+  IFlashJobRepository,
+} from '../types';
+
+import nullthrows from 'nullthrows';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+export type FlashJobQueueConfig = {
+  // Delay before the first retry, doubled for each following one
+  BACKOFF: number,
+  // Finished jobs kept per device
+  HISTORY_SIZE: number,
+  MAX_ATTEMPTS: number,
+  MAX_BACKOFF: number,
+};
+
+export type FlashJobHandle = {
+  job: FlashJob,
+  // Resolves with the result of the successful attempt or rejects with the
+  // error of the last one
+  result: Promise<Object>,
+};
+
+type QueuedJob = {
+  deviceID: string,
+  flash: () => Promise<Object>,
+  jobID: string,
+  reject: (error: Error) => void,
+  resolve: (result: Object) => void,
+};
+
+const FINISHED_STATUSES: Array<FlashJobStatus> = [
+  'cancelled',
+  'failed',
+  'succeeded',
+];
+
+// The flashes failing with these errors would fail the same way when retried,
+// e.g. with a binary the device refuses, so their job fails right away.
+export const createPermanentFlashError = (message: string): Error => {
+  const error: Object = new Error(message);
+  error.isPermanent = true;
+  return error;
+};
+
+const getNewestFirst = (jobs: Array<FlashJob>): Array<FlashJob> =>
+  [...jobs].sort(
+    (first: FlashJob, second: FlashJob): number =>
+      second.createdAt - first.createdAt,
+  );
+
+/**
+ * Runs the flashes of each device one after the other. Failed flashes are
+ * retried with an exponential backoff unless their error is permanent and
+ * every job is stored so the flash history of the devices can be queried.
+ */
+class FlashJobQueue {
+  _config: FlashJobQueueConfig;
+  _flashJobRepository: IFlashJobRepository;
+  // The latest stored state of the jobs in the queues
+  _jobsByID: Map<string, FlashJob> = new Map();
+  _queuesByDeviceID: Map<string, Array<QueuedJob>> = new Map();
+  _retryTimeoutsByJobID: Map<string, number> = new Map();
+  _runningDeviceIDs: Set<string> = new Set();
+
+  constructor(
+    flashJobRepository: IFlashJobRepository,
+    config: FlashJobQueueConfig,
+  ) {
+    this._config = config;
+    this._flashJobRepository = flashJobRepository;
+  }
+
+  // Only queued jobs can be cancelled, running flashes can't be interrupted.
+  cancel = async (jobID: string): Promise<FlashJob> => {
+    const job = await this._flashJobRepository.getByID(jobID);
+    if (!job) {
+      throw new Error(`Flash job ${jobID} not found`);
+    }
+
+    const queue = this._queuesByDeviceID.get(job.deviceID) || [];
+    const queuedJob = queue.find(
+      (item: QueuedJob): boolean => item.jobID === jobID,
+    );
+    if (!queuedJob || this._getQueuedJobStatus(queuedJob) !== 'queued') {
+      throw new Error(`Flash job ${jobID} is ${job.status}`);
+    }
+
+    this._clearRetryTimeout(jobID);
+
+    const cancelledJob = await this._finish(queuedJob, {
+      nextAttemptAt: null,
+      status: 'cancelled',
+    });
+    queuedJob.reject(new Error('Flash job cancelled'));
+    this._process(job.deviceID);
+
+    return cancelledJob;
+  };
+
+  enqueue = async (
+    deviceID: string,
+    source: FlashJobSource,
+    flash: () => Promise<Object>,
+  ): Promise<FlashJobHandle> => {
+    const job = await this._flashJobRepository.create({
+      attemptCount: 0,
+      deviceID,
+      error: null,
+      finishedAt: null,
+      maxAttempts: this._config.MAX_ATTEMPTS,
+      nextAttemptAt: null,
+      source,
+      startedAt: null,
+      status: 'queued',
+    });
+
+    let queuedJob = null;
+    const result = new Promise(
+      (resolve: (result: Object) => void, reject: (error: Error) => void) => {
+        queuedJob = { deviceID, flash, jobID: job.id, reject, resolve };
+      },
+    );
+    // The caller doesn't have to wait for the result
+    result.catch(() => {});
+
+    const queue = this._queuesByDeviceID.get(deviceID) || [];
+    this._jobsByID.set(job.id, job);
+    this._queuesByDeviceID.set(deviceID, [...queue, nullthrows(queuedJob)]);
+
+    logger.info({ deviceID, jobID: job.id, source }, 'Flash job queued');
+    this._process(deviceID);
+
+    return { job, result };
+  };
+
+  getJob = (jobID: string): Promise<?FlashJob> =>
+    this._flashJobRepository.getByID(jobID);
+
+  getJobs = async (deviceID: string): Promise<Array<FlashJob>> =>
+    getNewestFirst(await this._flashJobRepository.getAllByDeviceID(deviceID));
+
+  hasActiveJob = (deviceID: string): boolean =>
+    !!(this._queuesByDeviceID.get(deviceID) || []).length;
+
+  run = async (
+    deviceID: string,
+    source: FlashJobSource,
+    flash: () => Promise<Object>,
+  ): Promise<Object> => (await this.enqueue(deviceID, source, flash)).result;
+
+  // Jobs which were queued or running when the server stopped are lost
+  start = async (): Promise<void> => {
+    const jobs = await this._flashJobRepository.getAll();
+    await Promise.all(
+      jobs
+        .filter(
+          ({ status }: FlashJob): boolean =>
+            !FINISHED_STATUSES.includes(status),
+        )
+        .map((job: FlashJob): Promise<FlashJob> =>
+          this._flashJobRepository.updateByID(job.id, {
+            error: 'Server restarted',
+            finishedAt: new Date(),
+            nextAttemptAt: null,
+            status: 'failed',
+          }),
+        ),
+    );
+  };
+
+  stop = () => {
+    this._retryTimeoutsByJobID.forEach((retryTimeout: number): void =>
+      clearTimeout(retryTimeout),
+    );
+    this._retryTimeoutsByJobID.clear();
+  };
+
+  _clearRetryTimeout = (jobID: string) => {
+    const retryTimeout = this._retryTimeoutsByJobID.get(jobID);
+    if (retryTimeout) {
+      clearTimeout(retryTimeout);
+      this._retryTimeoutsByJobID.delete(jobID);
+    }
+  };
+
+  // Removes the job from the queue and drops the oldest finished jobs of the
+  // device from the history
+  _finish = async (
+    queuedJob: QueuedJob,
+    props: $Shape<FlashJob>,
+  ): Promise<FlashJob> => {
+    this._remove(queuedJob);
+    const job = await this._updateJob(queuedJob, {
+      ...props,
+      finishedAt: new Date(),
+    });
+
+    try {
+      await this._pruneHistory(job.deviceID);
+    } catch (error) {
+      logger.error(
+        { deviceID: job.deviceID, err: error },
+        'Flash job history pruning failed',
+      );
+    }
+
+    return job;
+  };
+
+  _getBackoff = (attemptCount: number): number =>
+    Math.min(
+      this._config.BACKOFF * 2 ** (attemptCount - 1),
+      this._config.MAX_BACKOFF,
+    );
+
+  _getJob = (queuedJob: QueuedJob): FlashJob =>
+    nullthrows(this._jobsByID.get(queuedJob.jobID));
+
+  _getQueuedJobStatus = (queuedJob: QueuedJob): FlashJobStatus =>
+    this._getJob(queuedJob).status;
+
+  _process = async (deviceID: string): Promise<void> => {
+    const queue = this._queuesByDeviceID.get(deviceID);
+    if (!queue || !queue.length) {
+      this._queuesByDeviceID.delete(deviceID);
+      return;
+    }
+
+    const queuedJob = queue[0];
+    if (
+      this._runningDeviceIDs.has(deviceID) ||
+      this._retryTimeoutsByJobID.has(queuedJob.jobID)
+    ) {
+      return;
+    }
+
+    this._runningDeviceIDs.add(deviceID);
+    const job = this._getJob(queuedJob);
+    try {
+      await this._updateJob(queuedJob, {
+        attemptCount: job.attemptCount + 1,
+        nextAttemptAt: null,
+        startedAt: job.startedAt || new Date(),
+        status: 'running',
+      });
+
+      try {
+        const result = await queuedJob.flash();
+        await this._finish(queuedJob, { error: null, status: 'succeeded' });
+        queuedJob.resolve(result);
+      } catch (error) {
+        await this._onAttemptFailed(queuedJob, error);
+      }
+    } catch (error) {
+      // The job can't be stored anymore, so it isn't retried
+      this._remove(queuedJob);
+      logger.error({ deviceID, err: error }, 'Flash job update failed');
+      queuedJob.reject(error);
+    } finally {
+      this._runningDeviceIDs.delete(deviceID);
+    }
+
+    this._process(deviceID);
+  };
+
+  _onAttemptFailed = async (
+    queuedJob: QueuedJob,
+    error: Error,
+  ): Promise<void> => {
+    const { attemptCount, deviceID, id, maxAttempts } = this._getJob(queuedJob);
+    const message = String((error && error.message) || error);
+
+    if (attemptCount >= maxAttempts || (error: Object).isPermanent) {
+      await this._finish(queuedJob, { error: message, status: 'failed' });
+      logger.warn({ attemptCount, deviceID, jobID: id }, 'Flash job failed');
+      queuedJob.reject(error);
+      return;
+    }
+
+    // The job stays first in the queue so the device flashes stay ordered
+    const backoff = this._getBackoff(attemptCount);
+    await this._updateJob(queuedJob, {
+      error: message,
+      nextAttemptAt: new Date(Date.now() + backoff),
+      status: 'queued',
+    });
+    logger.info(
+      { attemptCount, backoff, deviceID, jobID: id },
+      'Flash job attempt failed, retrying',
+    );
+    this._retryTimeoutsByJobID.set(
+      id,
+      setTimeout(() => {
+        this._retryTimeoutsByJobID.delete(id);
+        this._process(deviceID);
+      }, backoff),
+    );
+  };
+
+  _pruneHistory = async (deviceID: string): Promise<void> => {
+    const finishedJobs = (await this._flashJobRepository.getAllByDeviceID(
+      deviceID,
+    ))
+      .filter(({ status }: FlashJob): boolean =>
+        FINISHED_STATUSES.includes(status),
+      )
+      .sort(
+        (first: FlashJob, second: FlashJob): number =>
+          nullthrows(second.finishedAt) - nullthrows(first.finishedAt),
+      );
+    await Promise.all(
+      finishedJobs
+        .slice(this._config.HISTORY_SIZE)
+        .map(({ id }: FlashJob): Promise<void> =>
+          this._flashJobRepository.deleteByID(id),
+        ),
+    );
+  };
+
+  _remove = (queuedJob: QueuedJob) => {
+    const { deviceID, jobID } = queuedJob;
+    const queue = this._queuesByDeviceID.get(deviceID) || [];
+    this._jobsByID.delete(jobID);
+    this._queuesByDeviceID.set(
+      deviceID,
+      queue.filter((item: QueuedJob): boolean => item !== queuedJob),
+    );
+  };
+
+  _updateJob = async (
+    queuedJob: QueuedJob,
+    props: $Shape<FlashJob>,
+  ): Promise<FlashJob> => {
+    const job = await this._flashJobRepository.updateByID(
+      queuedJob.jobID,
+      props,
+    );
+    // Removed jobs aren't brought back into the queue
+    if (this._jobsByID.has(queuedJob.jobID)) {
+      this._jobsByID.set(queuedJob.jobID, job);
+    }
+    return job;
+  };
+}
+
+export default FlashJobQueue;
@@ -18,15 +18,18 @@
 *
 */
 
+import type { IOTATransferStateRepository, OTATransferState } from '../types';
 import type { FileTransferStoreType } from './FileTransferStore';
+import type OTALinkController from './OTALinkController';
 
 import BufferStream from './BufferStream';
 import CoapMessages from './CoapMessages';
-import Device from '../clients/Device';
+import Device, { DEVICE_EVENT_NAMES } from '../clients/Device';
 import ProtocolErrors from './ProtocolErrors';
 import FileTransferStore from './FileTransferStore';
 import CoapPacket from 'coap-packet';
 import crc32 from 'buffer-crc32';
+import crypto from 'crypto';
 import nullthrows from 'nullthrows';
 import Logger from '../lib/logger';
 const logger = Logger.createModuleLogger(module);
@@ -38,11 +41,45 @@ const logger = Logger.createModuleLogger(module);
 // the received chunk data.  if Server receives CRC that does not match the chunk just sent,
 // that chunk is sent again
 // UpdateDone — sent by Server to indicate all firmware chunks have been sent
+// ChunkMissed — sent by Device in fast OTA, which doesn't respond to each
+// chunk, with the indexes of the chunks it didn't receive
 //
 
 const CHUNK_SIZE = 256;
 const MAX_MISSED_CHUNKS = 10;
 const MAX_BINARY_SIZE = 108000; // According to the forums this is the max size for device.
+// Fast OTA chunks sent before pausing to let the device catch up
+const WINDOW_SIZE = 50;
+// Experimental extension of this server, stock Device OS doesn't implement it.
+// Devices reporting this version in UpdateReady keep the chunks of an
+// interrupted transfer and accept to resume it with the UpdateBegin flag 0x02
+// followed by the u16 index of the first chunk sent. The server only sends the
+// flag when resuming, devices which don't know it get the usual UpdateBegin.
+const RESUMABLE_PROTOCOL_VERSION = 2;
+const TRANSFER_STATE_TTL = 24 * 60 * 60 * 1000; // 1 day
+// The transfer state is saved at most once in this interval while flashing,
+// and once when the flash fails
+const TRANSFER_STATE_SAVE_INTERVAL = 1000;
+// Progress is emitted at most once in this interval, and once at the end
+const PROGRESS_INTERVAL = 1000;
+
+export type FlashProgress = {
+  bytesPerSecond: number,
+  chunkCount: number,
+  // ISO date, null until the throughput is known
+  estimatedCompletionAt: ?string,
+  isFastOTA: boolean,
+  missedChunkCount: number,
+  sentChunkCount: number,
+};
+
+export type OTAOptions = {
+  // Adapts the chunk size, fast OTA and the window to the device link
+  linkController?: ?OTALinkController,
+  // Transfers are only resumed when their state is kept, see
+  // RESUMABLE_PROTOCOL_VERSION
+  transferStateRepository?: ?IOTATransferStateRepository,
+};
 
 function waitFor(ms: number): Promise {
   return new Promise((res: Promise.resolve) => {
@@ -53,23 +90,46 @@ function waitFor(ms: number): Promise {
 class Flasher {
   _chunk: ?Buffer = null;
   _chunkSize: number = CHUNK_SIZE;
+  _maxChunkSize: number = CHUNK_SIZE;
   _maxBinarySize: number = MAX_BINARY_SIZE;
   _chunkIndex: number;
+  _chunkIndexByToken: Map<string, number> = new Map();
   _client: Device;
+  _confirmedChunks: Set<number> = new Set();
   _fileStream: ?BufferStream = null;
+  _isUpdateDone: boolean = false;
+  _lastChunkIndexSent: number = -1;
   _lastCrc: ?string = null;
+  _lastProgressTime: number = 0;
+  _lastTransferStateSaveTime: number = 0;
+  _otaOptions: OTAOptions;
   _protocolVersion: number = 0;
+  _resumeFromChunkIndex: number = 0;
   _startTime: ?Date;
   _missedChunks: Set<number> = new Set();
+  _missedChunkCount: number = 0;
+  _payloadSize: number = 0;
+  _sendStartTime: number = 0;
+  _sentByteCount: number = 0;
+  _sentChunkCount: number = 0;
+  _transferState: ?OTATransferState = null;
+  _windowSize: number = WINDOW_SIZE;
 
   // OTA tweaks
   _fastOtaEnabled: boolean = true;
   _ignoreMissedChunks: boolean = false;
 
-  constructor(client: Device, maxBinarySize: ?number, otaChunkSize: ?number) {
+  constructor(
+    client: Device,
+    maxBinarySize: ?number,
+    otaChunkSize: ?number,
+    otaOptions?: ?OTAOptions,
+  ) {
     this._client = client;
     this._maxBinarySize = maxBinarySize || MAX_BINARY_SIZE;
     this._chunkSize = otaChunkSize || CHUNK_SIZE;
+    this._maxChunkSize = this._chunkSize;
+    this._otaOptions = otaOptions || {};
   }
 
   startFlashBuffer = async (
@@ -106,9 +166,12 @@ class Flasher {
       }
 
       this._startTime = new Date();
+      await this._applyLinkSettings();
 
+      await this._prepareTransferState(buffer, fileTransferStore, address);
       this._prepare(buffer);
       await this._beginUpdate(buffer, fileTransferStore, address);
+      this._checkResume();
       await Promise.race([
         // Fail after 60 of trying to flash
         new Promise(
@@ -121,13 +184,73 @@ class Flasher {
         this._sendFile(),
       ]);
 
+      await this._deleteTransferState();
+      await this._recordLinkStats();
       this._cleanup();
     } catch (error) {
+      await this._saveTransferState(true);
+      await this._recordLinkStats();
       this._cleanup();
       throw error;
     }
   };
 
+  // Errors are only logged, the flash uses the defaults instead
+  _applyLinkSettings = async (): Promise<void> => {
+    const { linkController } = this._otaOptions;
+    if (!linkController) {
+      return;
+    }
+
+    let settings = null;
+    try {
+      settings = await linkController.getSettings(
+        this._client.getDeviceID(),
+        this._maxChunkSize,
+      );
+    } catch (error) {
+      logger.error(
+        { err: error, logInfo: this._getLogInfo() },
+        'Loading the OTA link settings failed',
+      );
+    }
+    if (!settings) {
+      return;
+    }
+
+    this._chunkSize = settings.chunkSize;
+    this._fastOtaEnabled = settings.isFastOTAEnabled;
+    this._windowSize = settings.windowSize;
+  };
+
+  // Errors are only logged, they don't fail the flash
+  _recordLinkStats = async (): Promise<void> => {
+    const { linkController } = this._otaOptions;
+    if (!linkController) {
+      return;
+    }
+
+    try {
+      await linkController.recordFlash(this._client.getDeviceID(), {
+        missedChunkCount: this._missedChunkCount,
+        sentChunkCount: Math.max(
+          0,
+          this._sentChunkCount - this._resumeFromChunkIndex,
+        ),
+        settings: {
+          chunkSize: this._chunkSize,
+          isFastOTAEnabled: this._fastOtaEnabled,
+          windowSize: this._windowSize,
+        },
+      });
+    } catch (error) {
+      logger.error(
+        { err: error, logInfo: this._getLogInfo() },
+        'Saving the OTA link stats failed',
+      );
+    }
+  };
+
   _prepare = (fileBuffer: ?Buffer) => {
     // make sure we have a file,
     // open a stream to our file
@@ -135,6 +258,7 @@ class Flasher {
       throw new Error('Flasher: this.fileBuffer was empty.');
     } else {
       this._fileStream = new BufferStream(fileBuffer);
+      this._payloadSize = fileBuffer.length;
     }
 
     this._chunk = null;
@@ -143,8 +267,120 @@ class Flasher {
     this._chunkIndex = -1;
 
     // start listening for missed chunks before the update fully begins
-    this._client.on('ChunkMissed', (packet: CoapPacket): void =>
-      this._onChunkMissed(packet),
+    this._client.on('ChunkMissed', this._onChunkMissed);
+    this._client.on('ChunkReceived', this._onChunkReceived);
+  };
+
+  _prepareTransferState = async (
+    fileBuffer: Buffer,
+    fileTransferStore: FileTransferStoreType,
+    address: string,
+  ): Promise<void> => {
+    const { transferStateRepository } = this._otaOptions;
+    const fileHash = crypto
+      .createHash('sha256')
+      .update(fileBuffer)
+      .update(`${fileTransferStore}:${address}`)
+      .digest('hex');
+
+    const previousState = transferStateRepository
+      ? await transferStateRepository.getByID(this._client.getDeviceID())
+      : null;
+    const canResume =
+      !!previousState &&
+      previousState.fileHash === fileHash &&
+      previousState.chunkSize <= this._maxChunkSize &&
+      previousState.protocolVersion >= RESUMABLE_PROTOCOL_VERSION &&
+      previousState.confirmedChunkCount > 0 &&
+      Date.now() - previousState.updatedAt < TRANSFER_STATE_TTL;
+
+    // The confirmed chunks are counted in chunks of the interrupted transfer,
+    // so it keeps its chunk size even when the link settings changed since.
+    if (canResume && previousState) {
+      this._chunkSize = previousState.chunkSize;
+    }
+    this._resumeFromChunkIndex =
+      canResume && previousState ? previousState.confirmedChunkCount : 0;
+    this._transferState = {
+      chunkSize: this._chunkSize,
+      confirmedChunkCount: this._resumeFromChunkIndex,
+      fileHash,
+      protocolVersion: previousState ? previousState.protocolVersion : 0,
+      updatedAt: Date.now(),
+    };
+    await this._saveTransferState(true);
+  };
+
+  // Errors are only logged, they don't stop the flash
+  _saveTransferState = async (isForced: boolean): Promise<void> => {
+    const { transferStateRepository } = this._otaOptions;
+    const transferState = this._transferState;
+    const now = Date.now();
+    if (
+      !transferStateRepository ||
+      !transferState ||
+      (!isForced &&
+        now - this._lastTransferStateSaveTime < TRANSFER_STATE_SAVE_INTERVAL)
+    ) {
+      return;
+    }
+    this._lastTransferStateSaveTime = now;
+
+    try {
+      await transferStateRepository.updateByID(
+        this._client.getDeviceID(),
+        transferState,
+      );
+    } catch (error) {
+      logger.error(
+        { err: error, logInfo: this._getLogInfo() },
+        'Saving the transfer state failed',
+      );
+    }
+  };
+
+  _deleteTransferState = async (): Promise<void> => {
+    const { transferStateRepository } = this._otaOptions;
+    this._transferState = null;
+    if (!transferStateRepository) {
+      return;
+    }
+
+    try {
+      await transferStateRepository.deleteByID(this._client.getDeviceID());
+    } catch (error) {
+      logger.error(
+        { err: error, logInfo: this._getLogInfo() },
+        'Deleting the transfer state failed',
+      );
+    }
+  };
+
+  // Falls back to a full send when the device doesn't support resuming
+  _checkResume = () => {
+    const transferState = nullthrows(this._transferState);
+    transferState.protocolVersion = this._protocolVersion;
+
+    if (!this._resumeFromChunkIndex) {
+      return;
+    }
+
+    if (this._protocolVersion < RESUMABLE_PROTOCOL_VERSION) {
+      logger.warn(
+        { logInfo: this._getLogInfo(), protocolVersion: this._protocolVersion },
+        'Device can not resume the transfer, sending the whole file',
+      );
+      this._resumeFromChunkIndex = 0;
+      transferState.confirmedChunkCount = 0;
+      return;
+    }
+
+    logger.info(
+      {
+        chunkIndex: this._resumeFromChunkIndex,
+        logInfo: this._getLogInfo(),
+      },
+      'Resuming transfer',
     );
   };
 
@@ -255,6 +491,7 @@ class Flasher {
 
     let flags = 0; // fast ota available
     const chunkSize = this._chunkSize;
+    const resumeFromChunkIndex = this._resumeFromChunkIndex;
     const fileSize = fileBuffer.length;
     const destFlag = fileTransferStore;
     const destAddr = parseInt(address, 10);
@@ -264,6 +501,11 @@ class Flasher {
       flags = 1;
     }
 
+    // u16 index of the first chunk which will be sent, appended when resuming
+    if (resumeFromChunkIndex) {
+      flags += 2;
+    }
+
     // UpdateBegin — sent by Server to initiate an OTA firmware update
     return !!this._client.sendMessage(
       'UpdateBegin',
@@ -275,6 +517,9 @@ class Flasher {
         CoapMessages.toBinary(fileSize, 'uint32'),
         CoapMessages.toBinary(destFlag, 'uint8'),
         CoapMessages.toBinary(destAddr, 'uint32'),
+        ...(resumeFromChunkIndex
+          ? [CoapMessages.toBinary(resumeFromChunkIndex, 'uint16')]
+          : []),
       ]),
       this,
     );
@@ -302,12 +547,26 @@ class Flasher {
         'Starting FastOTA update',
       );
     }
-    let chunkCount = 0;
+    let windowChunkCount = 0;
+    if (this._resumeFromChunkIndex) {
+      nullthrows(this._fileStream).seek(
+        this._resumeFromChunkIndex * this._chunkSize,
+      );
+      this._chunkIndex = this._resumeFromChunkIndex - 1;
+    }
+    this._lastChunkIndexSent = this._resumeFromChunkIndex - 1;
+    this._sendStartTime = Date.now();
+    this._sentChunkCount = this._resumeFromChunkIndex;
     this._readNextChunk();
     while (this._chunk) {
       const messageToken = this._sendChunk(this._chunkIndex);
-      chunkCount += 1;
-      if (chunkCount % 50 === 0) await waitFor(500);
+      windowChunkCount += 1;
+      this._sentChunkCount += 1;
+      this._emitProgress(false);
+      if (windowChunkCount >= this._windowSize) {
+        windowChunkCount = 0;
+        await waitFor(500);
+      }
       this._readNextChunk();
       // We don't need to wait for the response if using FastOTA.
       if (canUseFastOTA) {
@@ -342,6 +601,38 @@ class Flasher {
       await this._waitForMissedChunks();
       counter += 1;
     }
+
+    this._emitProgress(true);
+  };
+
+  _emitProgress = (isFinal: boolean) => {
+    const now = Date.now();
+    if (!isFinal && now - this._lastProgressTime < PROGRESS_INTERVAL) {
+      return;
+    }
+    this._lastProgressTime = now;
+
+    const elapsedSeconds = (now - this._sendStartTime) / 1000;
+    const bytesPerSecond = elapsedSeconds
+      ? Math.round(this._sentByteCount / elapsedSeconds)
+      : 0;
+    const chunkCount = Math.ceil(this._payloadSize / this._chunkSize);
+    const remainingByteCount =
+      (chunkCount - this._sentChunkCount) * this._chunkSize;
+
+    const progress: FlashProgress = {
+      bytesPerSecond,
+      chunkCount,
+      estimatedCompletionAt: bytesPerSecond
+        ? new Date(
+            now + remainingByteCount / bytesPerSecond * 1000,
+          ).toISOString()
+        : null,
+      isFastOTA: this._fastOtaEnabled && this._protocolVersion > 0,
+      missedChunkCount: this._missedChunkCount,
+      sentChunkCount: this._sentChunkCount,
+    };
+    this._client.emit(DEVICE_EVENT_NAMES.FLASH_PROGRESS, progress);
   };
 
   _resendChunks = async (): Promise<void> => {
@@ -357,6 +648,7 @@ class Flasher {
 
         this._readNextChunk();
         const messageToken = this._sendChunk(chunkIndex);
+        this._emitProgress(false);
 
         // We don't need to wait for the response if using FastOTA.
         if (canUseFastOTA) {
@@ -405,19 +697,89 @@ class Flasher {
     if (this._fastOtaEnabled && this._protocolVersion > 0) {
       args.push(CoapMessages.toBinary(chunkIndex, 'uint16'));
     }
-    return this._client.sendMessage('Chunk', { args }, null, this._chunk, this);
+    const token = this._client.sendMessage(
+      'Chunk',
+      { args },
+      null,
+      this._chunk,
+      this,
+    );
+    this._sentByteCount += nullthrows(this._chunk).length;
+    this._lastChunkIndexSent = Math.max(
+      this._lastChunkIndexSent,
+      chunkIndex || 0,
+    );
+    this._chunkIndexByToken.set(
+      Buffer.from([token]).toString('hex'),
+      chunkIndex || 0,
+    );
+    return token;
+  };
+
+  _onChunkReceived = (packet: CoapPacket) => {
+    const tokenHex = packet.token.toString('hex');
+    const chunkIndex = this._chunkIndexByToken.get(tokenHex);
+    if (chunkIndex === undefined || !CoapMessages.statusIsOkay(packet)) {
+      return;
+    }
+
+    this._chunkIndexByToken.delete(tokenHex);
+    this._confirmedChunks.add(chunkIndex);
+    this._updateTransferState();
+  };
+
+  // In fast OTA the device doesn't respond to the chunks, it reports the ones
+  // it didn't receive. A report confirms the chunks before the last index it
+  // lists, and after UpdateDone every chunk sent, except the listed ones.
+  _confirmReportedChunks = (reportedChunks: Array<number>) => {
+    const transferState = this._transferState;
+    if (!transferState || !reportedChunks.length) {
+      return;
+    }
+
+    const lastChunkIndex = this._isUpdateDone
+      ? this._lastChunkIndexSent
+      : Math.max(...reportedChunks) - 1;
+    for (
+      let chunkIndex = transferState.confirmedChunkCount;
+      chunkIndex <= lastChunkIndex;
+      chunkIndex += 1
+    ) {
+      if (!this._missedChunks.has(chunkIndex)) {
+        this._confirmedChunks.add(chunkIndex);
+      }
+    }
+    this._updateTransferState();
+  };
+
+  // Moves the transfer state forward over the chunks confirmed in a row
+  _updateTransferState = () => {
+    const transferState = this._transferState;
+    if (!transferState) {
+      return;
+    }
+
+    while (this._confirmedChunks.has(transferState.confirmedChunkCount)) {
+      this._confirmedChunks.delete(transferState.confirmedChunkCount);
+      transferState.confirmedChunkCount += 1;
+    }
+    transferState.updatedAt = Date.now();
+    this._saveTransferState(false);
   };
 
   _onAllChunksDone = async (): Promise<void> => {
     if (!this._client.sendMessage('UpdateDone', null, null, null, this)) {
       throw new Error('Flasher - failed sending updateDone message');
     }
+    this._isUpdateDone = true;
   };
 
   _cleanup = () => {
     try {
       // resume all other messages to the device
       this._client.releaseOwnership(this);
+      this._client.removeListener('ChunkMissed', this._onChunkMissed);
+      this._client.removeListener('ChunkReceived', this._onChunkReceived);
 
       // release our file handle
       const fileStream = this._fileStream;
@@ -496,15 +858,29 @@ class Flasher {
       this,
     );
 
+    // Sends fewer chunks in a row for the rest of the flash
+    const { linkController } = this._otaOptions;
+    if (linkController) {
+      this._windowSize = linkController.getReducedWindowSize(this._windowSize);
+    }
+
     // the payload should include one or more chunk indexes
     const payload = packet.payload;
+    const reportedChunks = [];
     for (let ii = 0; ii < payload.length; ii += 2) {
       try {
-        this._missedChunks.add(payload.readUInt16BE());
+        const chunkIndex = payload.readUInt16BE(ii);
+        reportedChunks.push(chunkIndex);
+        this._missedChunks.add(chunkIndex);
+        this._missedChunkCount += 1;
       } catch (error) {
         logger.error({ err: error }, 'onChunkMissed error reading payload');
       }
     }
+
+    if (this._fastOtaEnabled && this._protocolVersion > 0) {
+      this._confirmReportedChunks(reportedChunks);
+    }
   };
 }
 
@@ -20,11 +20,13 @@
 
 import type Device from '../clients/Device';
 import type DeviceKey from './DeviceKey';
-import type { Socket } from 'net';
+import type DeviceKeyPolicy from './DeviceKeyPolicy';
 import type { Duplex } from 'stream';
+import type { DeviceSocket } from '../types';
 import type CryptoStream from './CryptoStream';
-import type CryptoManager from './CryptoManager';
+import type CryptoManager, { SessionCounters } from './CryptoManager';
 
+import crypto from 'crypto';
 import ChunkingStream from './ChunkingStream';
 import Logger from '../lib/logger';
 const logger = Logger.createModuleLogger(module);
@@ -84,30 +86,67 @@ const logger = Logger.createModuleLogger(module);
  Device reads protobufs Hello from socket, taking note of counter.
  Each subsequent message received from Server must have the counter incremented by 1.
  After the max uint32, the next message should set the counter to zero.
+
+ Session resumption
+
+ This is an extension of this server, not part of the protocol of the Particle
+ cloud. Stock device firmware never sends the resume message, it always sends
+ the 256-byte ciphertext and takes the full handshake above. Only firmware
+ built for this server can resume a session.
+
+ After a full handshake the server keeps the session key in the
+ CryptoManager session cache so a device that reconnects can skip the RSA
+ exchange. The resume message is told apart from the full handshake by its
+ length: 32 bytes instead of 256.
+
+ 1) Socket opens and the server sends the 40 bytes nonce as usual.
+
+ 2) Instead of the 256-byte RSA ciphertext, the Device sends 32 bytes: its
+ 12-byte ID then the 20-byte HMAC of the nonce using SHA1 and the cached
+ 40-byte session key as the HMAC key.
+
+ 3) Server looks up the cached session for the ID and checks the HMAC.
+ If there is no session or the HMAC doesn't match, Server must close the
+ connection and the Device falls back to the full handshake. The ID isn't
+ authenticated when the HMAC doesn't match so the Server keeps the session.
+
+ 4) Server sends the 20-byte HMAC of the nonce followed by the Device HMAC,
+ keyed with the session key, so the Device knows the Server has the session.
+ Both sides keep the AES key of the cached session and use the first 16 bytes
+ of the HMAC of the nonce followed by the Server HMAC as the new IV.
+
+ 5) Hello messages are exchanged like after a full handshake. The Server
+ keeps counting from the last counter it used in the previous session.
 */
 
 const NONCE_BYTES = 40;
 const ID_BYTES = 12;
 const SESSION_BYTES = 40;
+const HMAC_BYTES = 20;
+const RESUME_BYTES = ID_BYTES + HMAC_BYTES;
 const GLOBAL_TIMEOUT = 10;
 const DECIPHER_STREAM_TIMEOUT = 30;
 
-type HandshakeResult = {
-  cipherStream: CryptoStream,
-  decipherStream: CryptoStream,
+export type HandshakeResult = {
+  cipherStream: Duplex,
+  decipherStream: Duplex,
   deviceID: string,
   handshakeBuffer: Buffer,
+  resumedSessionCounters?: ?SessionCounters,
+  serverKeyID?: ?string,
 };
 
 class Handshake {
   _device: Device;
   _cryptoManager: CryptoManager;
-  _socket: Socket;
+  _deviceKeyPolicy: DeviceKeyPolicy;
+  _socket: DeviceSocket;
   _deviceID: string;
   _useChunkingStream: boolean = true;
 
-  constructor(cryptoManager: CryptoManager) {
+  constructor(cryptoManager: CryptoManager, deviceKeyPolicy: DeviceKeyPolicy) {
     this._cryptoManager = cryptoManager;
+    this._deviceKeyPolicy = deviceKeyPolicy;
   }
 
   start = async (device: Device): Promise<HandshakeResult> => {
@@ -137,19 +176,26 @@ class Handshake {
     const nonce = await this._sendNonce();
     const data = await this._onSocketDataAvailable();
 
-    const { deviceID, deviceProvidedPem } = await this._readDeviceHandshakeData(
-      nonce,
-      data,
-    );
+    if (data.length === RESUME_BYTES) {
+      return await this._resumeSession(nonce, data);
+    }
+
+    const {
+      deviceID,
+      deviceProvidedPem,
+      serverKeyID,
+    } = await this._readDeviceHandshakeData(nonce, data);
     this._deviceID = deviceID;
     const publicKey = await this._getDevicePublicKey(
       deviceID,
       deviceProvidedPem,
     );
 
-    const { cipherStream, decipherStream } = await this._sendSessionKey(
-      publicKey,
-    );
+    const {
+      cipherStream,
+      decipherStream,
+      sessionKey,
+    } = await this._sendSessionKey(publicKey, serverKeyID);
 
     const handshakeBuffer = await Promise.race([
       this._onDecipherStreamReadable(decipherStream),
@@ -160,11 +206,79 @@ class Handshake {
       throw new Error('wrong device public keys');
     }
 
+    this._cryptoManager.cacheSession(deviceID, sessionKey, serverKeyID);
+
     return {
       cipherStream,
       decipherStream,
       deviceID,
       handshakeBuffer,
+      serverKeyID,
+    };
+  };
+
+  _resumeSession = async (
+    nonce: Buffer,
+    data: Buffer,
+  ): Promise<HandshakeResult> => {
+    const deviceID = data.slice(0, ID_BYTES).toString('hex');
+    const deviceHmac = data.slice(ID_BYTES, RESUME_BYTES);
+    this._deviceID = deviceID;
+
+    const session = this._cryptoManager.getCachedSession(deviceID);
+    if (!session) {
+      throw new Error(`no session to resume for device: ${deviceID}`);
+    }
+
+    const { sessionKey } = session;
+    const expectedHmac = this._cryptoManager.createHmacDigest(
+      nonce,
+      sessionKey,
+    );
+    // The flow lib of crypto doesn't declare timingSafeEqual
+    if (!(crypto: any).timingSafeEqual(expectedHmac, deviceHmac)) {
+      throw new Error(`session resumption HMAC didn't match: ${deviceID}`);
+    }
+
+    const serverHmac = this._cryptoManager.createHmacDigest(
+      Buffer.concat([nonce, deviceHmac]),
+      sessionKey,
+    );
+    const iv = this._cryptoManager.createHmacDigest(
+      Buffer.concat([nonce, serverHmac]),
+      sessionKey,
+    );
+    const resumedSessionKey = Buffer.concat([
+      sessionKey.slice(0, 16),
+      iv.slice(0, 16),
+    ]);
+
+    const { cipherStream, decipherStream } = this._pipeCryptoStreams(
+      resumedSessionKey,
+    );
+    this._socket.write(serverHmac);
+
+    const handshakeBuffer = await Promise.race([
+      this._onDecipherStreamReadable(decipherStream),
+      this._onDecipherStreamTimeout(),
+    ]);
+
+    if (!handshakeBuffer) {
+      throw new Error('wrong resumed session key');
+    }
+
+    logger.info({ deviceID }, 'Session resumed');
+
+    return {
+      cipherStream,
+      decipherStream,
+      deviceID,
+      handshakeBuffer,
+      resumedSessionCounters: {
+        receiveCounter: session.receiveCounter,
+        sendCounter: session.sendCounter,
+      },
+      serverKeyID: session.serverKeyID,
     };
   };
 
@@ -223,16 +337,23 @@ class Handshake {
   ): Promise<{
     deviceID: string,
     deviceProvidedPem: ?string,
+    serverKeyID: string,
   }> => {
-    const decryptedHandshakeData = this._cryptoManager.decrypt(data);
+    // A server key which decrypts the data without the nonce is the wrong one
+    const decryption = await this._cryptoManager.decryptWithServerKeys(
+      data,
+      nonce,
+    );
 
-    if (!decryptedHandshakeData) {
+    if (!decryption) {
       throw new Error(
         'handshake data decryption failed. ' +
           'You probably have incorrect server key for device',
       );
     }
 
+    const { data: decryptedHandshakeData, serverKeyID } = decryption;
+
     if (decryptedHandshakeData.length < NONCE_BYTES + ID_BYTES) {
       throw new Error(
         `handshake data was too small: ${decryptedHandshakeData.length}`,
@@ -266,7 +387,14 @@ class Handshake {
     const deviceProvidedPem = this._convertDERtoPEM(deviceKeyBuffer);
     const deviceID = deviceIDBuffer.toString('hex');
 
-    return { deviceID, deviceProvidedPem };
+    if (decryption.serverKeyState === 'retiring') {
+      logger.warn(
+        { deviceID, serverKeyID },
+        'Device uses a retiring server key',
+      );
+    }
+
+    return { deviceID, deviceProvidedPem, serverKeyID };
   };
 
   /**
@@ -305,28 +433,24 @@ class Handshake {
   _getDevicePublicKey = async (
     deviceID: string,
     deviceProvidedPem: ?string,
-  ): Promise<Object> => {
-    const publicKey = await this._cryptoManager.getDevicePublicKey(deviceID);
-
-    if (!publicKey) {
-      throw new Error(`no public key found for device: ${deviceID}`);
-    }
-
-    if (!publicKey.equals(deviceProvidedPem)) {
-      throw new Error(
-        "key passed to device during handshake doesn't" +
-          `match saved public key: ${deviceID}`,
-      );
+  ): Promise<DeviceKey> => {
+    if (!deviceProvidedPem) {
+      throw new Error(`no public key passed by device: ${deviceID}`);
     }
 
-    return publicKey;
+    return this._deviceKeyPolicy.getTrustedPublicKey(
+      deviceID,
+      deviceProvidedPem,
+    );
   };
 
   _sendSessionKey = async (
     devicePublicKey: DeviceKey,
+    serverKeyID: string,
   ): Promise<{
     cipherStream: CryptoStream,
     decipherStream: CryptoStream,
+    sessionKey: Buffer,
   }> => {
     const sessionKey = await this._cryptoManager.getRandomBytes(SESSION_BYTES);
 
@@ -340,7 +464,7 @@ class Handshake {
 
     // Server signs the HMAC with its RSA private key generating a 256-byte
     // signature.
-    const signedhmac = await this._cryptoManager.sign(hash);
+    const signedhmac = await this._cryptoManager.sign(hash, serverKeyID);
 
     // Server sends ~384 bytes to Device: the ciphertext then the signature.
     const message = Buffer.concat(
@@ -348,6 +472,21 @@ class Handshake {
       ciphertext.length + signedhmac.length,
     );
 
+    const { cipherStream, decipherStream } = this._pipeCryptoStreams(
+      sessionKey,
+    );
+
+    this._socket.write(message);
+
+    return { cipherStream, decipherStream, sessionKey };
+  };
+
+  _pipeCryptoStreams = (
+    sessionKey: Buffer,
+  ): {
+    cipherStream: CryptoStream,
+    decipherStream: CryptoStream,
+  } => {
     const decipherStream = this._cryptoManager.createAESDecipherStream(
       sessionKey,
     );
@@ -371,8 +510,6 @@ class Handshake {
       cipherStream.pipe(this._socket);
     }
 
-    this._socket.write(message);
-
     return { cipherStream, decipherStream };
   };
 
@@ -0,0 +1,146 @@
+// @flow
+
+import type {
+  IServerKeySigner,
+  ServerKeyDecryption,
+  ServerKeyInfo,
+  ServerKeyRepository,
+  ServerKeyState,
+  ServerPrivateKey,
+} from '../types';
+
+import NodeRSA from 'node-rsa';
+
+type LoadedServerKey = {
+  id: string,
+  key: NodeRSA,
+  state: ServerKeyState,
+};
+
+/**
+ * Keeps the server keys of the repository in memory. A new key is created
+ * when the repository has no active one.
+ */
+class LocalServerKeySigner implements IServerKeySigner {
+  _serverKeyRepository: ServerKeyRepository;
+  _serverPrivateKeys: ?Promise<Array<LoadedServerKey>> = null;
+
+  constructor(serverKeyRepository: ServerKeyRepository) {
+    this._serverKeyRepository = serverKeyRepository;
+  }
+
+  // Tries the active key and then the retiring ones, so the devices which
+  // still have the public key of a retiring key can connect. PKCS#1 v1.5
+  // padding can pass with the wrong key and give garbage, so the data of a key
+  // must also start with expectedPrefix to be used.
+  decrypt = async (
+    data: Buffer,
+    expectedPrefix?: ?Buffer,
+  ): Promise<?ServerKeyDecryption> => {
+    let decryption = null;
+    (await this._loadServerPrivateKeys()).some(
+      ({ id, key, state }: LoadedServerKey): boolean => {
+        try {
+          const decryptedData = key.decrypt(data);
+          if (
+            expectedPrefix &&
+            !decryptedData
+              .slice(0, expectedPrefix.length)
+              .equals(expectedPrefix)
+          ) {
+            return false;
+          }
+
+          decryption = {
+            data: decryptedData,
+            serverKeyID: id,
+            serverKeyState: state,
+          };
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+    );
+    return decryption;
+  };
+
+  getServerKeys = async (): Promise<Array<ServerKeyInfo>> =>
+    (await this._loadServerPrivateKeys()).map(
+      ({ id, state }: LoadedServerKey): ServerKeyInfo => ({ id, state }),
+    );
+
+  sign = async (hash: Buffer, serverKeyID: ?string): Promise<Buffer> => {
+    const serverKey = (await this._loadServerPrivateKeys()).find(
+      ({ id, state }: LoadedServerKey): boolean =>
+        serverKeyID ? id === serverKeyID : state === 'active',
+    );
+    if (!serverKey) {
+      throw new Error(`Server key ${serverKeyID || 'active'} not found`);
+    }
+
+    return serverKey.key.encryptPrivate(hash);
+  };
+
+  _createServerKeys = async (): Promise<NodeRSA> => {
+    const privateKey = new NodeRSA({ b: 2048 });
+
+    await this._serverKeyRepository.createKeys(
+      privateKey.exportKey('pkcs1-private-pem'),
+      privateKey.exportKey('pkcs8-public-pem'),
+    );
+
+    return privateKey;
+  };
+
+  _getServerPrivateKeys = async (): Promise<Array<LoadedServerKey>> => {
+    const hasActiveKey = (serverKeys: Array<ServerPrivateKey>): boolean =>
+      serverKeys.some(
+        ({ state }: ServerPrivateKey): boolean => state === 'active',
+      );
+
+    let serverKeys = await this._getStoredServerPrivateKeys();
+    if (!hasActiveKey(serverKeys)) {
+      await this._createServerKeys();
+      serverKeys = await this._getStoredServerPrivateKeys();
+    }
+
+    return serverKeys.map(
+      ({ id, privateKeyPem, state }: ServerPrivateKey): LoadedServerKey => ({
+        id,
+        key: new NodeRSA(privateKeyPem, {
+          encryptionScheme: 'pkcs1',
+          signingScheme: 'pkcs1',
+        }),
+        state,
+      }),
+    );
+  };
+
+  _getStoredServerPrivateKeys = async (): Promise<Array<ServerPrivateKey>> => {
+    if (this._serverKeyRepository.getPrivateKeys) {
+      return this._serverKeyRepository.getPrivateKeys();
+    }
+
+    const privateKeyPem = await this._serverKeyRepository.getPrivateKey();
+    return privateKeyPem
+      ? [{ id: 'default', privateKeyPem, state: 'active' }]
+      : [];
+  };
+
+  // The keys are only loaded once, a failed load is retried on the next call
+  _loadServerPrivateKeys = (): Promise<Array<LoadedServerKey>> => {
+    if (this._serverPrivateKeys) {
+      return this._serverPrivateKeys;
+    }
+
+    const serverPrivateKeys = this._getServerPrivateKeys();
+    this._serverPrivateKeys = serverPrivateKeys;
+    serverPrivateKeys.catch(() => {
+      this._serverPrivateKeys = null;
+    });
+    return serverPrivateKeys;
+  };
+}
+
+export default LocalServerKeySigner;
@@ -0,0 +1,148 @@
+// @flow
+
+import type {
+  IOTALinkStatsRepository,
+  OTALinkSettings,
+  OTALinkStats,
+} from '../types';
+
+export type OTALinkConfig = {
+  ENABLED: boolean,
+  MIN_CHUNK_SIZE: number,
+  MIN_WINDOW_SIZE: number,
+  // Flashes missing more chunks than this ratio make the next flash of the
+  // device more careful, flashes missing less than half of it less careful.
+  MISSED_CHUNK_RATIO: number,
+  // Fast OTA chunks sent before pausing to let the device catch up
+  WINDOW_SIZE: number,
+};
+
+export type OTAFlashReport = {
+  missedChunkCount: number,
+  sentChunkCount: number,
+  settings: OTALinkSettings,
+};
+
+/**
+ * Adapts the OTA settings of each device to the quality of its link. The
+ * in-flight window shrinks as soon as chunks are missed during a flash. When
+ * a flash still misses too many chunks the next one is sent with a smaller
+ * window, then in acknowledged mode and then with smaller chunks. Good flashes
+ * undo these steps one at a time. The stats are stored so the settings
+ * survive restarts of the server.
+ */
+class OTALinkController {
+  _config: OTALinkConfig;
+  _otaLinkStatsRepository: IOTALinkStatsRepository;
+
+  constructor(
+    otaLinkStatsRepository: IOTALinkStatsRepository,
+    config: OTALinkConfig,
+  ) {
+    this._config = config;
+    this._otaLinkStatsRepository = otaLinkStatsRepository;
+  }
+
+  // Returns null when the defaults of the flasher should be used
+  getSettings = async (
+    deviceID: string,
+    maxChunkSize: number,
+  ): Promise<?OTALinkSettings> => {
+    if (!this._config.ENABLED) {
+      return null;
+    }
+
+    const defaultSettings = {
+      chunkSize: maxChunkSize,
+      isFastOTAEnabled: true,
+      windowSize: this._config.WINDOW_SIZE,
+    };
+    const stats = await this.getStats(deviceID);
+    if (!stats) {
+      return defaultSettings;
+    }
+
+    // The device limit may have changed since the last flash
+    const settings = {
+      ...stats.settings,
+      chunkSize: Math.min(stats.settings.chunkSize, maxChunkSize),
+    };
+    if (stats.lastMissedChunkRatio > this._config.MISSED_CHUNK_RATIO) {
+      return this._degrade(settings);
+    }
+    if (stats.lastMissedChunkRatio < this._config.MISSED_CHUNK_RATIO / 2) {
+      return this._improve(settings, defaultSettings);
+    }
+    return settings;
+  };
+
+  getStats = (deviceID: string): Promise<?OTALinkStats> =>
+    this._otaLinkStatsRepository.getByID(deviceID);
+
+  // The window used for the rest of the flash after a ChunkMissed reply
+  getReducedWindowSize = (windowSize: number): number =>
+    Math.max(this._config.MIN_WINDOW_SIZE, Math.floor(windowSize / 2));
+
+  recordFlash = async (
+    deviceID: string,
+    { missedChunkCount, sentChunkCount, settings }: OTAFlashReport,
+  ): Promise<void> => {
+    if (!this._config.ENABLED || !sentChunkCount) {
+      return;
+    }
+
+    const stats = await this.getStats(deviceID);
+    await this._otaLinkStatsRepository.updateByID(deviceID, {
+      flashCount: (stats ? stats.flashCount : 0) + 1,
+      lastMissedChunkRatio: missedChunkCount / sentChunkCount,
+      missedChunkCount: (stats ? stats.missedChunkCount : 0) + missedChunkCount,
+      sentChunkCount: (stats ? stats.sentChunkCount : 0) + sentChunkCount,
+      settings,
+      updatedAt: new Date(),
+    });
+  };
+
+  _degrade = (settings: OTALinkSettings): OTALinkSettings => {
+    const { MIN_CHUNK_SIZE } = this._config;
+    if (
+      settings.isFastOTAEnabled &&
+      settings.windowSize > this._config.MIN_WINDOW_SIZE
+    ) {
+      return {
+        ...settings,
+        windowSize: this.getReducedWindowSize(settings.windowSize),
+      };
+    }
+    if (settings.isFastOTAEnabled) {
+      return { ...settings, isFastOTAEnabled: false };
+    }
+    if (settings.chunkSize > MIN_CHUNK_SIZE) {
+      return {
+        ...settings,
+        chunkSize: Math.max(MIN_CHUNK_SIZE, Math.floor(settings.chunkSize / 2)),
+      };
+    }
+    return settings;
+  };
+
+  _improve = (
+    settings: OTALinkSettings,
+    defaultSettings: OTALinkSettings,
+  ): OTALinkSettings => {
+    if (settings.chunkSize < defaultSettings.chunkSize) {
+      return {
+        ...settings,
+        chunkSize: Math.min(defaultSettings.chunkSize, settings.chunkSize * 2),
+      };
+    }
+    if (!settings.isFastOTAEnabled) {
+      return { ...settings, isFastOTAEnabled: true };
+    }
+    return {
+      ...settings,
+      windowSize: Math.min(defaultSettings.windowSize, settings.windowSize * 2),
+    };
+  };
+}
+
+export default OTALinkController;
@@ -0,0 +1,149 @@
+// @flow
+
+import crc32 from 'buffer-crc32';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { MODULE_FUNCTION_BY_NAME, MODULE_FUNCTIONS } from './FirmwareValidator';
+
+// Only compressed modules are built. Stock Device OS can't install a binary
+// diff against the app it runs, there is no patch module format, and it has no
+// UpdateBegin field to negotiate one, so binary-diff payloads are left out
+// until devices support them. Compression needs no negotiation either, the
+// devices which install compressed modules are known from the system version
+// they report.
+export type OTAPayloadConfig = {
+  ENABLE_COMPRESSION: boolean,
+  // The system module version from which the devices install compressed
+  // modules, 3100 is Device OS 3.1.0
+  MIN_COMPRESSION_SYSTEM_VERSION: number,
+};
+
+// Device OS module layout, little endian:
+// prefix (module_info_t) - u32 start address, u32 end address (where the CRC
+// starts), u8 reserved, u8 flags, u16 module version, u16 platform ID,
+// u8 module function, u8 module index, 2 x (u8 function, u8 index,
+// u16 version) dependencies
+// suffix (module_info_suffix_t) - u16 reserved, 32 bytes SHA-256 of the
+// module before it, u16 suffix size
+// u32 CRC32 of the module before it, big endian
+const MODULE_PREFIX_SIZE = 24;
+const MODULE_PREFIX_END_ADDRESS_OFFSET = 4;
+const MODULE_PREFIX_FLAGS_OFFSET = 9;
+const MODULE_PREFIX_FUNCTION_OFFSET = 14;
+const MODULE_SUFFIX_SIZE = 36;
+const MODULE_HASH_SIZE = 32;
+const MODULE_CRC_SIZE = 4;
+const MODULE_HASH_OFFSET_FROM_END = MODULE_CRC_SIZE + 2 + MODULE_HASH_SIZE;
+
+// The module data following the prefix is deflated behind a
+// compressed_module_header - u16 header size, u8 method (0 raw deflate),
+// u8 window bits, u32 size of the data once inflated
+const MODULE_FLAG_COMPRESSED = 0x02;
+const COMPRESSED_HEADER_SIZE = 8;
+const COMPRESSION_METHOD_DEFLATE = 0;
+// Devices inflate with a window this small
+const COMPRESSION_WINDOW_BITS = 12;
+
+// The highest version of the system modules the device reports
+const getSystemVersion = (systemInformation: Object): number =>
+  (systemInformation.m || [])
+    .filter((module: Object): boolean =>
+      [MODULE_FUNCTIONS.MONOLITHIC, MODULE_FUNCTIONS.SYSTEM_PART].includes(
+        MODULE_FUNCTION_BY_NAME[module.f],
+      ),
+    )
+    .reduce(
+      (version: number, module: Object): number =>
+        Math.max(version, module.v || 0),
+      0,
+    );
+
+class OTAPayload {
+  // Builds the module with the MODULE_INFO_FLAG_COMPRESSED flag Device OS
+  // inflates when it installs the update.
+  static compressModule = (binary: Buffer): Buffer => {
+    const prefix = binary.slice(0, MODULE_PREFIX_SIZE);
+    // eslint-disable-next-line no-bitwise
+    if (prefix.readUInt8(MODULE_PREFIX_FLAGS_OFFSET) & MODULE_FLAG_COMPRESSED) {
+      throw new Error('The module is already compressed');
+    }
+
+    const data = binary.slice(MODULE_PREFIX_SIZE);
+    const compressedData = zlib.deflateRawSync(data, {
+      level: zlib.Z_BEST_COMPRESSION,
+      windowBits: COMPRESSION_WINDOW_BITS,
+    });
+    const module = Buffer.alloc(
+      MODULE_PREFIX_SIZE +
+        COMPRESSED_HEADER_SIZE +
+        compressedData.length +
+        MODULE_SUFFIX_SIZE +
+        MODULE_CRC_SIZE,
+    );
+
+    prefix.copy(module);
+    module.writeUInt32LE(
+      prefix.readUInt32LE(0) + module.length - MODULE_CRC_SIZE,
+      MODULE_PREFIX_END_ADDRESS_OFFSET,
+    );
+    module.writeUInt8(
+      // eslint-disable-next-line no-bitwise
+      prefix.readUInt8(MODULE_PREFIX_FLAGS_OFFSET) | MODULE_FLAG_COMPRESSED,
+      MODULE_PREFIX_FLAGS_OFFSET,
+    );
+
+    module.writeUInt16LE(COMPRESSED_HEADER_SIZE, MODULE_PREFIX_SIZE);
+    module.writeUInt8(COMPRESSION_METHOD_DEFLATE, MODULE_PREFIX_SIZE + 2);
+    module.writeUInt8(COMPRESSION_WINDOW_BITS, MODULE_PREFIX_SIZE + 3);
+    module.writeUInt32LE(data.length, MODULE_PREFIX_SIZE + 4);
+    compressedData.copy(module, MODULE_PREFIX_SIZE + COMPRESSED_HEADER_SIZE);
+
+    const hashOffset = module.length - MODULE_HASH_OFFSET_FROM_END;
+    crypto
+      .createHash('sha256')
+      .update(module.slice(0, hashOffset))
+      .digest()
+      .copy(module, hashOffset);
+    module.writeUInt16LE(
+      MODULE_SUFFIX_SIZE,
+      module.length - MODULE_CRC_SIZE - 2,
+    );
+    crc32(module.slice(0, module.length - MODULE_CRC_SIZE)).copy(
+      module,
+      module.length - MODULE_CRC_SIZE,
+    );
+
+    return module;
+  };
+
+  // The module to send to the device, compressed when it can install it and
+  // it is smaller. Only user parts are compressed, they start with their
+  // prefix on every platform.
+  static getPayload = (
+    binary: Buffer,
+    systemInformation: ?Object,
+    config: ?OTAPayloadConfig,
+  ): Buffer => {
+    if (
+      !config ||
+      !config.ENABLE_COMPRESSION ||
+      !systemInformation ||
+      getSystemVersion(systemInformation) <
+        config.MIN_COMPRESSION_SYSTEM_VERSION ||
+      binary.length <= MODULE_PREFIX_SIZE ||
+      binary.readUInt8(MODULE_PREFIX_FUNCTION_OFFSET) !==
+        MODULE_FUNCTIONS.USER_PART
+    ) {
+      return binary;
+    }
+
+    try {
+      const module = OTAPayload.compressModule(binary);
+      return module.length < binary.length ? module : binary;
+    } catch (ignore) {
+      return binary;
+    }
+  };
+}
+
+export default OTAPayload;
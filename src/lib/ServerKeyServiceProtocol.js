@@ -0,0 +1,72 @@
+// @flow
+
+// Messages are sent as newline delimited JSON between the key service and
+// SocketServerKeySigner, buffers are base64 encoded. Like a PKCS#11 token
+// the service only ever returns the result of an operation, never a key:
+// { id, operation: 'getServerKeys' }
+// { data, id, mechanism, operation: 'decrypt' }
+// { data, id, mechanism, operation: 'sign', serverKeyID }
+// and it answers each request with { id, result } or { error, id }.
+
+// RSA PKCS#1 v1.5, the only mechanism the devices use
+export const RSA_PKCS_MECHANISM = 'CKM_RSA_PKCS';
+
+export type ServerKeyServiceRequest =
+  | {| id: number, operation: 'getServerKeys' |}
+  | {|
+      data: string,
+      expectedPrefix: ?string,
+      id: number,
+      mechanism: string,
+      operation: 'decrypt',
+    |}
+  | {|
+      data: string,
+      id: number,
+      mechanism: string,
+      operation: 'sign',
+      serverKeyID: ?string,
+    |};
+
+export type ServerKeyServiceResponse =
+  | {| error: string, id: number |}
+  | {| id: number, result: mixed |};
+
+const MESSAGE_DELIMITER = '\n';
+
+export const encodeMessage = (
+  message: ServerKeyServiceRequest | ServerKeyServiceResponse,
+): string => JSON.stringify(message) + MESSAGE_DELIMITER;
+
+// Returns a function which should be called with each chunk read from the
+// socket and calls onMessage for every complete message.
+export const createMessageParser = (
+  onMessage: (message: Object) => void,
+  onError: (error: Error) => void,
+): ((chunk: Buffer | string) => void) => {
+  let pendingData = '';
+
+  return (chunk: Buffer | string) => {
+    pendingData += chunk.toString();
+
+    let delimiterIndex = pendingData.indexOf(MESSAGE_DELIMITER);
+    while (delimiterIndex !== -1) {
+      const data = pendingData.substring(0, delimiterIndex);
+      pendingData = pendingData.substring(delimiterIndex + 1);
+
+      if (data) {
+        let message = null;
+        try {
+          message = JSON.parse(data);
+        } catch (error) {
+          onError(error);
+        }
+        if (message) {
+          onMessage(message);
+        }
+      }
+
+      delimiterIndex = pendingData.indexOf(MESSAGE_DELIMITER);
+    }
+  };
+};
@@ -0,0 +1,179 @@
+// @flow
+
+import type {
+  IServerKeySigner,
+  ServerKeyDecryption,
+  ServerKeyInfo,
+} from '../types';
+import type { ServerKeyServiceRequest } from './ServerKeyServiceProtocol';
+
+import net from 'net';
+import {
+  createMessageParser,
+  encodeMessage,
+  RSA_PKCS_MECHANISM,
+} from './ServerKeyServiceProtocol';
+import Logger from './logger';
+const logger = Logger.createModuleLogger(module);
+
+export type ServerKeyServiceConfig = {
+  // Unix socket of the key service, the server keys are kept in memory when
+  // it isn't set
+  SOCKET_PATH: ?string,
+  // Milliseconds to wait for the answer of the key service
+  TIMEOUT: number,
+};
+
+type PendingRequest = {
+  reject: (error: Error) => void,
+  resolve: (result: any) => void,
+  timeout: number,
+};
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Sends the server key operations to a ServerKeyService so the server
+ * private keys never are in the memory of the DeviceServer process. It
+ * connects on the first request and again after the connection is lost,
+ * the requests sent meanwhile fail.
+ */
+class SocketServerKeySigner implements IServerKeySigner {
+  _config: ServerKeyServiceConfig;
+  _isConnected: boolean = false;
+  _pendingRequests: Map<number, PendingRequest> = new Map();
+  _requestID: number = 0;
+  _socket: ?net.Socket = null;
+  _socketPath: string;
+
+  constructor(config: ServerKeyServiceConfig) {
+    const socketPath = config.SOCKET_PATH;
+    if (!socketPath) {
+      throw new Error('SocketServerKeySigner needs a SOCKET_PATH');
+    }
+
+    this._config = config;
+    this._socketPath = socketPath;
+  }
+
+  close = () => {
+    if (this._socket) {
+      this._socket.destroy();
+    }
+  };
+
+  decrypt = async (
+    data: Buffer,
+    expectedPrefix?: ?Buffer,
+  ): Promise<?ServerKeyDecryption> => {
+    const decryption = await this._request({
+      data: data.toString('base64'),
+      expectedPrefix: expectedPrefix ? expectedPrefix.toString('base64') : null,
+      id: this._getRequestID(),
+      mechanism: RSA_PKCS_MECHANISM,
+      operation: 'decrypt',
+    });
+
+    return decryption
+      ? { ...decryption, data: Buffer.from(decryption.data, 'base64') }
+      : null;
+  };
+
+  getServerKeys = (): Promise<Array<ServerKeyInfo>> =>
+    this._request({ id: this._getRequestID(), operation: 'getServerKeys' });
+
+  sign = async (hash: Buffer, serverKeyID: ?string): Promise<Buffer> =>
+    Buffer.from(
+      await this._request({
+        data: hash.toString('base64'),
+        id: this._getRequestID(),
+        mechanism: RSA_PKCS_MECHANISM,
+        operation: 'sign',
+        serverKeyID,
+      }),
+      'base64',
+    );
+
+  _connect = (): net.Socket => {
+    const socket = net.connect(this._socketPath);
+    this._socket = socket;
+
+    socket.on('connect', () => {
+      this._isConnected = true;
+      logger.info('Connected to server key service');
+    });
+    socket.on(
+      'data',
+      createMessageParser(this._onMessage, (error: Error): void =>
+        logger.error({ err: error }, 'Invalid server key service message'),
+      ),
+    );
+    socket.on('error', (error: Error): void =>
+      logger.warn({ err: error }, 'Server key service connection error'),
+    );
+    socket.on('close', () => {
+      if (this._isConnected) {
+        logger.warn('Server key service connection lost');
+      }
+      this._isConnected = false;
+      this._socket = null;
+      this._rejectPendingRequests(
+        new Error('Server key service connection closed'),
+      );
+    });
+
+    return socket;
+  };
+
+  _getRequestID = (): number => {
+    this._requestID += 1;
+    return this._requestID;
+  };
+
+  _onMessage = (message: Object) => {
+    const pendingRequest = this._pendingRequests.get(message.id);
+    if (!pendingRequest) {
+      logger.warn({ id: message.id }, 'Unexpected server key service message');
+      return;
+    }
+
+    this._pendingRequests.delete(message.id);
+    clearTimeout(pendingRequest.timeout);
+    if (message.error) {
+      pendingRequest.reject(new Error(message.error));
+    } else {
+      pendingRequest.resolve(message.result);
+    }
+  };
+
+  _rejectPendingRequests = (error: Error) => {
+    const pendingRequests = Array.from(this._pendingRequests.values());
+    this._pendingRequests.clear();
+    pendingRequests.forEach(({ reject, timeout }: PendingRequest) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+  };
+
+  _request = (request: ServerKeyServiceRequest): Promise<any> =>
+    new Promise(
+      (resolve: (result: any) => void, reject: (error: Error) => void) => {
+        const socket = this._socket || this._connect();
+        // The connection is closing, writing would fail with EPIPE
+        if (socket.destroyed || !socket.writable) {
+          reject(new Error('Server key service connection closed'));
+          return;
+        }
+
+        const timeout = setTimeout(() => {
+          this._pendingRequests.delete(request.id);
+          reject(new Error(`Server key service ${request.operation} timeout`));
+        }, this._config.TIMEOUT || DEFAULT_TIMEOUT);
+
+        this._pendingRequests.set(request.id, { reject, resolve, timeout });
+        socket.write(encodeMessage(request));
+      },
+    );
+}
+
+export default SocketServerKeySigner;
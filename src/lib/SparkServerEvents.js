@@ -1,13 +1,23 @@
 // @flow
 
 const SPARK_SERVER_EVENTS = {
+  ABORT_FIRMWARE_ROLLOUT: 'spark-server/abort_firmware_rollout',
   CALL_DEVICE_FUNCTION: 'spark-server/call_device_function',
+  CANCEL_FLASH_JOB: 'spark-server/cancel_flash_job',
+  CREATE_FIRMWARE_ROLLOUT: 'spark-server/create_firmware_rollout',
+  DISCONNECT_DEVICE: 'spark-server/disconnect_device',
+  FIRMWARE_ROLLOUT_PROGRESS: 'spark-server/firmware_rollout_progress',
   FLASH_DEVICE: 'spark-server/flash_device',
   FLASH_PRODUCT_FIRMWARE: 'spark-server/flash_product_firmware',
+  GET_CONNECTIONS: 'spark-server/get_connections',
   GET_DEVICE_ATTRIBUTES: 'spark-server/get_attributes',
   GET_DEVICE_VARIABLE_VALUE: 'spark-server/get_device_variable_value',
+  GET_FIRMWARE_ROLLOUT: 'spark-server/get_firmware_rollout',
+  GET_FLASH_JOBS: 'spark-server/get_flash_jobs',
+  PAUSE_FIRMWARE_ROLLOUT: 'spark-server/pause_firmware_rollout',
   PING_DEVICE: 'spark-server/ping_device',
   RAISE_YOUR_HAND: 'spark-server/raise_your_hand',
+  RESUME_FIRMWARE_ROLLOUT: 'spark-server/resume_firmware_rollout',
   UPDATE_DEVICE_ATTRIBUTES: 'spark-server/update_device_attributes',
 };
 
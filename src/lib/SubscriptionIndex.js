@@ -0,0 +1,206 @@
+// @flow
+
+import type { ProtocolEvent } from '../types';
+import type { FilterOptions, Subscription } from './EventPublisher';
+
+import TopicTrie, { isTopicPattern } from './TopicTrie';
+
+type PrefixTrieNode<TValue> = {
+  children: Map<string, PrefixTrieNode<TValue>>,
+  values: Set<TValue>,
+};
+
+const createPrefixTrieNode = <TValue>(): PrefixTrieNode<TValue> => ({
+  children: new Map(),
+  values: new Set(),
+});
+
+// Finds every prefix of an event name in as many steps as the name has
+// characters, whatever the number of prefixes.
+class PrefixTrie<TValue> {
+  _root: PrefixTrieNode<TValue> = createPrefixTrieNode();
+
+  add(prefix: string, value: TValue) {
+    let node = this._root;
+    for (let index = 0; index < prefix.length; index += 1) {
+      let child = node.children.get(prefix[index]);
+      if (!child) {
+        child = createPrefixTrieNode();
+        node.children.set(prefix[index], child);
+      }
+      node = child;
+    }
+
+    node.values.add(value);
+  }
+
+  match(name: string, values: Set<TValue>) {
+    let node = this._root;
+    node.values.forEach((value: TValue): mixed => values.add(value));
+
+    for (let index = 0; index < name.length; index += 1) {
+      const child = node.children.get(name[index]);
+      if (!child) {
+        return;
+      }
+      node = child;
+      node.values.forEach((value: TValue): mixed => values.add(value));
+    }
+  }
+
+  remove(prefix: string, value: TValue) {
+    const path = [this._root];
+    for (let index = 0; index < prefix.length; index += 1) {
+      const child = path[index].children.get(prefix[index]);
+      if (!child) {
+        return;
+      }
+      path.push(child);
+    }
+
+    path[path.length - 1].values.delete(value);
+
+    // Prune the nodes which don't lead to any value anymore
+    for (let index = prefix.length; index > 0; index -= 1) {
+      const node = path[index];
+      if (node.values.size || node.children.size) {
+        return;
+      }
+      path[index - 1].children.delete(prefix[index - 1]);
+    }
+  }
+}
+
+type Bucket = {
+  patterns: TopicTrie<Subscription>,
+  prefixes: PrefixTrie<Subscription>,
+  size: number,
+};
+
+// '*' matches every event, same as an empty prefix
+const isPatternSubscription = (eventNamePrefix: string): boolean =>
+  eventNamePrefix !== '*' && isTopicPattern(eventNamePrefix);
+
+const toPrefix = (eventNamePrefix: string): string =>
+  eventNamePrefix === '*' ? '' : eventNamePrefix;
+
+const ALL_EVENTS_BUCKET = 'all';
+const PUBLIC_EVENTS_BUCKET = 'public';
+
+// Subscriptions are split in buckets by the filterOptions which rule out most
+// events, so an event only has to be matched against the buckets it can
+// pass:
+// deviceID set            -> only events from that device
+// userID and mydevices    -> only events of that user
+// userID                  -> events of that user or any public event
+// anything else           -> every event
+const getBucketKeys = (filterOptions: ?FilterOptions): Array<string> => {
+  if (!filterOptions) {
+    return [ALL_EVENTS_BUCKET];
+  }
+
+  const { deviceID, mydevices, userID } = filterOptions;
+  if (deviceID) {
+    return [`deviceID:${deviceID}`];
+  }
+
+  if (userID) {
+    return mydevices
+      ? [`userID:${userID}`]
+      : [`userID:${userID}`, PUBLIC_EVENTS_BUCKET];
+  }
+
+  return [ALL_EVENTS_BUCKET];
+};
+
+const getEventBucketKeys = (event: ProtocolEvent): Array<string> => {
+  const keys = [ALL_EVENTS_BUCKET];
+  if (event.deviceID) {
+    keys.push(`deviceID:${event.deviceID}`);
+  }
+  if (event.userID) {
+    keys.push(`userID:${event.userID}`);
+  }
+  if (event.isPublic) {
+    keys.push(PUBLIC_EVENTS_BUCKET);
+  }
+  return keys;
+};
+
+/**
+ * Finds the subscriptions an event has to be dispatched to without going
+ * through all of them. The subscriptions returned still have to apply their
+ * own filters, the index only leaves out the ones which would reject the
+ * event anyway.
+ */
+class SubscriptionIndex {
+  _buckets: Map<string, Bucket> = new Map();
+
+  add = (subscription: Subscription) => {
+    const { eventNamePrefix } = subscription;
+
+    getBucketKeys(subscription.options.filterOptions).forEach((key: string) => {
+      let bucket = this._buckets.get(key);
+      if (!bucket) {
+        bucket = {
+          patterns: new TopicTrie(),
+          prefixes: new PrefixTrie(),
+          size: 0,
+        };
+        this._buckets.set(key, bucket);
+      }
+
+      if (isPatternSubscription(eventNamePrefix)) {
+        bucket.patterns.add(eventNamePrefix, subscription);
+      } else {
+        bucket.prefixes.add(toPrefix(eventNamePrefix), subscription);
+      }
+      bucket.size += 1;
+    });
+  };
+
+  match = (event: ProtocolEvent): Array<Subscription> => {
+    const eventName = event.name || '';
+    const subscriptions: Set<Subscription> = new Set();
+
+    getEventBucketKeys(event).forEach((key: string) => {
+      const bucket = this._buckets.get(key);
+      if (!bucket) {
+        return;
+      }
+
+      bucket.prefixes.match(eventName, subscriptions);
+      bucket.patterns
+        .match(eventName)
+        .forEach((subscription: Subscription): mixed =>
+          subscriptions.add(subscription),
+        );
+    });
+
+    return Array.from(subscriptions);
+  };
+
+  remove = (subscription: Subscription) => {
+    const { eventNamePrefix } = subscription;
+
+    getBucketKeys(subscription.options.filterOptions).forEach((key: string) => {
+      const bucket = this._buckets.get(key);
+      if (!bucket) {
+        return;
+      }
+
+      if (isPatternSubscription(eventNamePrefix)) {
+        bucket.patterns.remove(eventNamePrefix, subscription);
+      } else {
+        bucket.prefixes.remove(toPrefix(eventNamePrefix), subscription);
+      }
+
+      bucket.size -= 1;
+      if (bucket.size <= 0) {
+        this._buckets.delete(key);
+      }
+    });
+  };
+}
+
+export default SubscriptionIndex;
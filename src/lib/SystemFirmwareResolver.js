@@ -0,0 +1,233 @@
+// @flow
+
+import type { FirmwareModuleDependency } from './FirmwareValidator';
+
+import { MODULE_FUNCTION_BY_NAME, MODULE_FUNCTIONS } from './FirmwareValidator';
+
+export type FirmwareBinaryInfo = {
+  filename: string,
+  prefixInfo: {
+    depModuleFunction: number,
+    depModuleIndex: number,
+    depModuleVersion: number,
+    moduleFunction: number,
+    moduleIndex: number,
+    moduleVersion: number,
+    platformID: number,
+  },
+};
+
+type InstalledModule = {
+  dependencies: Array<FirmwareModuleDependency>,
+  moduleVersion: number,
+};
+
+const getSlotKey = ({
+  moduleFunction,
+  moduleIndex,
+}: {
+  moduleFunction: number,
+  moduleIndex: number,
+}): string => `${moduleFunction}:${moduleIndex}`;
+
+const getDependency = ({
+  prefixInfo,
+}: FirmwareBinaryInfo): ?FirmwareModuleDependency =>
+  prefixInfo.depModuleFunction === MODULE_FUNCTIONS.NONE
+    ? null
+    : {
+        moduleFunction: prefixInfo.depModuleFunction,
+        moduleIndex: prefixInfo.depModuleIndex,
+        moduleVersion: prefixInfo.depModuleVersion,
+      };
+
+const isSatisfied = (
+  modules: Map<string, InstalledModule>,
+  dependency: FirmwareModuleDependency,
+): boolean => {
+  const module = modules.get(getSlotKey(dependency));
+  return !!module && module.moduleVersion >= dependency.moduleVersion;
+};
+
+const install = (
+  modules: Map<string, InstalledModule>,
+  binary: FirmwareBinaryInfo,
+): Map<string, InstalledModule> => {
+  const dependency = getDependency(binary);
+  return new Map(modules).set(getSlotKey(binary.prefixInfo), {
+    dependencies: dependency ? [dependency] : [],
+    moduleVersion: binary.prefixInfo.moduleVersion,
+  });
+};
+
+/**
+ * Works out which system modules a device needs from the dependencies of the
+ * modules it reports and an index of the binaries the server has, usually
+ * the one in third-party/settings.json.
+ *
+ * Every module in the sequence only depends on modules which are already
+ * installed or earlier in the sequence so they can be flashed in order.
+ */
+class SystemFirmwareResolver {
+  // Sorted by version for each platform and module slot
+  _binariesBySlot: Map<string, Array<FirmwareBinaryInfo>> = new Map();
+
+  constructor(binaries: Array<FirmwareBinaryInfo>) {
+    binaries
+      .filter((binary: FirmwareBinaryInfo): boolean => !!binary.prefixInfo)
+      .forEach((binary: FirmwareBinaryInfo) => {
+        const key = this._getIndexKey(
+          binary.prefixInfo.platformID,
+          binary.prefixInfo,
+        );
+        this._binariesBySlot.set(key, [
+          ...(this._binariesBySlot.get(key) || []),
+          binary,
+        ]);
+      });
+
+    this._binariesBySlot.forEach((slotBinaries: Array<FirmwareBinaryInfo>) => {
+      slotBinaries.sort(
+        (first: FirmwareBinaryInfo, second: FirmwareBinaryInfo): number =>
+          first.prefixInfo.moduleVersion - second.prefixInfo.moduleVersion,
+      );
+    });
+  }
+
+  // Returns the shortest sequence of binaries satisfying every dependency,
+  // an empty one when nothing is missing and null when the index doesn't
+  // have the binaries the device needs.
+  resolve = (systemInformation: Object): ?Array<FirmwareBinaryInfo> => {
+    const platformID = systemInformation.p;
+    let modules = this._getInstalledModules(systemInformation);
+    const sequence = [];
+
+    let dependency = this._getUnmetDependency(modules);
+    while (dependency) {
+      const plan = this._planDependency(
+        platformID,
+        modules,
+        dependency,
+        new Set(),
+      );
+      if (!plan) {
+        return null;
+      }
+
+      modules = plan.reduce(install, modules);
+      sequence.push(...plan);
+      dependency = this._getUnmetDependency(modules);
+    }
+
+    return sequence;
+  };
+
+  _getIndexKey = (
+    platformID: number,
+    slot: { moduleFunction: number, moduleIndex: number },
+  ): string => `${platformID}:${getSlotKey(slot)}`;
+
+  _getInstalledModules = (
+    systemInformation: Object,
+  ): Map<string, InstalledModule> => {
+    const modules = new Map();
+    (systemInformation.m || []).forEach((module: Object) => {
+      const moduleFunction = MODULE_FUNCTION_BY_NAME[module.f];
+      if (!moduleFunction) {
+        return;
+      }
+
+      modules.set(
+        getSlotKey({ moduleFunction, moduleIndex: parseInt(module.n, 10) }),
+        {
+          dependencies: (module.d || [])
+            .filter((dependency: Object): boolean =>
+              Object.prototype.hasOwnProperty.call(
+                MODULE_FUNCTION_BY_NAME,
+                dependency.f,
+              ),
+            )
+            .map((dependency: Object): FirmwareModuleDependency => ({
+              moduleFunction: MODULE_FUNCTION_BY_NAME[dependency.f],
+              moduleIndex: parseInt(dependency.n, 10),
+              moduleVersion: dependency.v,
+            })),
+          moduleVersion: module.v,
+        },
+      );
+    });
+    return modules;
+  };
+
+  _getUnmetDependency = (
+    modules: Map<string, InstalledModule>,
+  ): ?FirmwareModuleDependency => {
+    let unmetDependency = null;
+    modules.forEach((module: InstalledModule) => {
+      unmetDependency =
+        unmetDependency ||
+        module.dependencies.find(
+          (dependency: FirmwareModuleDependency): boolean =>
+            !isSatisfied(modules, dependency),
+        );
+    });
+    return unmetDependency;
+  };
+
+  _planBinary = (
+    platformID: number,
+    modules: Map<string, InstalledModule>,
+    binary: FirmwareBinaryInfo,
+    visitingSlots: Set<string>,
+  ): ?Array<FirmwareBinaryInfo> => {
+    const dependency = getDependency(binary);
+    if (!dependency || isSatisfied(modules, dependency)) {
+      return [binary];
+    }
+
+    const dependencyPlan = this._planDependency(
+      platformID,
+      modules,
+      dependency,
+      visitingSlots,
+    );
+    return dependencyPlan ? [...dependencyPlan, binary] : null;
+  };
+
+  _planDependency = (
+    platformID: number,
+    modules: Map<string, InstalledModule>,
+    dependency: FirmwareModuleDependency,
+    visitingSlots: Set<string>,
+  ): ?Array<FirmwareBinaryInfo> => {
+    const slotKey = getSlotKey(dependency);
+    // Modules depending on each other can't be ordered
+    if (visitingSlots.has(slotKey)) {
+      return null;
+    }
+
+    const nextVisitingSlots = new Set(visitingSlots).add(slotKey);
+    let bestPlan = null;
+    (this._binariesBySlot.get(this._getIndexKey(platformID, dependency)) || [])
+      .filter(
+        (binary: FirmwareBinaryInfo): boolean =>
+          binary.prefixInfo.moduleVersion >= dependency.moduleVersion,
+      )
+      .forEach((binary: FirmwareBinaryInfo) => {
+        const plan = this._planBinary(
+          platformID,
+          modules,
+          binary,
+          nextVisitingSlots,
+        );
+        // Lower versions win ties as they are checked first
+        if (plan && (!bestPlan || plan.length < bestPlan.length)) {
+          bestPlan = plan;
+        }
+      });
+
+    return bestPlan;
+  };
+}
+
+export default SystemFirmwareResolver;
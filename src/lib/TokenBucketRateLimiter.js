@@ -0,0 +1,79 @@
+// @flow
+
+export type RateLimit = {
+  BURST_SIZE: number,
+  EVENTS_PER_SECOND: number,
+};
+
+type TokenBucket = {
+  tokens: number,
+  updatedAt: number,
+};
+
+// Buckets which are full again are the same as missing ones, they are
+// dropped at most once in this interval.
+const PRUNE_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Every key gets a bucket of BURST_SIZE tokens, refilled at EVENTS_PER_SECOND.
+ * Each event takes a token and is over the limit when the bucket is empty.
+ */
+class TokenBucketRateLimiter {
+  _buckets: Map<string, TokenBucket> = new Map();
+  _burstSize: number;
+  _lastPrunedAt: number = Date.now();
+  _tokensPerMillisecond: number;
+
+  constructor(rateLimit: RateLimit) {
+    this._burstSize = rateLimit.BURST_SIZE;
+    this._tokensPerMillisecond = rateLimit.EVENTS_PER_SECOND / 1000;
+  }
+
+  // Returns false when the key is over the limit
+  consume = (key: string): boolean => {
+    const now = Date.now();
+    if (now - this._lastPrunedAt > PRUNE_INTERVAL) {
+      this._pruneFullBuckets(now);
+    }
+
+    const bucket = this._buckets.get(key) || {
+      tokens: this._burstSize,
+      updatedAt: now,
+    };
+    const tokens = this._getTokens(bucket, now);
+    if (tokens < 1) {
+      this._buckets.set(key, { tokens, updatedAt: now });
+      return false;
+    }
+
+    this._buckets.set(key, { tokens: tokens - 1, updatedAt: now });
+    return true;
+  };
+
+  // Tells whether consume would succeed without taking the token
+  hasToken = (key: string): boolean => {
+    const bucket = this._buckets.get(key);
+    return !bucket || this._getTokens(bucket, Date.now()) >= 1;
+  };
+
+  remove = (key: string) => {
+    this._buckets.delete(key);
+  };
+
+  _getTokens = (bucket: TokenBucket, now: number): number =>
+    Math.min(
+      this._burstSize,
+      bucket.tokens + (now - bucket.updatedAt) * this._tokensPerMillisecond,
+    );
+
+  _pruneFullBuckets = (now: number) => {
+    this._lastPrunedAt = now;
+    this._buckets.forEach((bucket: TokenBucket, key: string) => {
+      if (this._getTokens(bucket, now) >= this._burstSize) {
+        this._buckets.delete(key);
+      }
+    });
+  };
+}
+
+export default TokenBucketRateLimiter;
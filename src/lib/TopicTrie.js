@@ -0,0 +1,131 @@
+// @flow
+
+// Topic patterns match event names level by level, levels being separated by
+// '/'. A level which is exactly '+' matches any single level and a level which
+// is exactly '*' matches one or more levels:
+// +/temperature      matches  kitchen/temperature
+// sensors/*/alarm    matches  sensors/a/alarm, sensors/a/b/alarm
+// spark/*            matches  spark/status, spark/device/last_reset
+// Subscriptions without wildcard levels keep matching by prefix.
+
+const LEVEL_SEPARATOR = '/';
+const MULTI_LEVEL_WILDCARD = '*';
+const SINGLE_LEVEL_WILDCARD = '+';
+
+// Wildcard levels are kept in children under their own character.
+type TrieNode<TValue> = {
+  children: Map<string, TrieNode<TValue>>,
+  values: Set<TValue>,
+};
+
+const createNode = <TValue>(): TrieNode<TValue> => ({
+  children: new Map(),
+  values: new Set(),
+});
+
+const isWildcard = (level: string): boolean =>
+  level === MULTI_LEVEL_WILDCARD || level === SINGLE_LEVEL_WILDCARD;
+
+export const isTopicPattern = (eventNamePrefix: string): boolean =>
+  eventNamePrefix.split(LEVEL_SEPARATOR).some(isWildcard);
+
+class TopicTrie<TValue> {
+  _root: TrieNode<TValue> = createNode();
+
+  add(pattern: string, value: TValue) {
+    let node = this._root;
+    pattern.split(LEVEL_SEPARATOR).forEach((level: string) => {
+      let child = node.children.get(level);
+      if (!child) {
+        child = createNode();
+        node.children.set(level, child);
+      }
+      node = child;
+    });
+
+    node.values.add(value);
+  }
+
+  match(eventName: string): Array<TValue> {
+    const values = new Set();
+    this._match(this._root, eventName.split(LEVEL_SEPARATOR), 0, values);
+    return Array.from(values);
+  }
+
+  remove(pattern: string, value: TValue) {
+    this._remove(this._root, pattern.split(LEVEL_SEPARATOR), 0, value);
+  }
+
+  _match(
+    node: TrieNode<TValue>,
+    levels: Array<string>,
+    index: number,
+    values: Set<TValue>,
+  ) {
+    if (index === levels.length) {
+      node.values.forEach((value: TValue): mixed => values.add(value));
+      return;
+    }
+
+    const level = levels[index];
+    const child = isWildcard(level) ? null : node.children.get(level);
+    if (child) {
+      this._match(child, levels, index + 1, values);
+    }
+
+    const singleLevelChild = node.children.get(SINGLE_LEVEL_WILDCARD);
+    if (singleLevelChild) {
+      this._match(singleLevelChild, levels, index + 1, values);
+    }
+
+    const multiLevelChild = node.children.get(MULTI_LEVEL_WILDCARD);
+    if (multiLevelChild) {
+      for (
+        let nextIndex = index + 1;
+        nextIndex <= levels.length;
+        nextIndex += 1
+      ) {
+        this._match(multiLevelChild, levels, nextIndex, values);
+      }
+    }
+  }
+
+  // Returns true when the node is empty and can be pruned
+  _remove(
+    node: TrieNode<TValue>,
+    levels: Array<string>,
+    index: number,
+    value: TValue,
+  ): boolean {
+    if (index === levels.length) {
+      node.values.delete(value);
+    } else {
+      const level = levels[index];
+      const child = node.children.get(level);
+      if (child && this._remove(child, levels, index + 1, value)) {
+        node.children.delete(level);
+      }
+    }
+
+    return !node.values.size && !node.children.size;
+  }
+}
+
+export const isMatchingEventName = (
+  eventNamePrefix: string,
+  eventName: string,
+): boolean => {
+  if (eventNamePrefix === MULTI_LEVEL_WILDCARD) {
+    return true;
+  }
+
+  if (!isTopicPattern(eventNamePrefix)) {
+    return eventName.startsWith(eventNamePrefix);
+  }
+
+  const trie: TopicTrie<boolean> = new TopicTrie();
+  trie.add(eventNamePrefix, true);
+  return trie.match(eventName).length > 0;
+};
+
+export default TopicTrie;
@@ -0,0 +1,122 @@
+// @flow
+
+import type Device from '../clients/Device';
+import type DeviceKeyPolicy from './DeviceKeyPolicy';
+import type { HandshakeResult } from './Handshake';
+import type UDPSession, { SecureSessionInfo } from '../server/UDPSession';
+
+import { PassThrough } from 'stream';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+/*
+ With UDP the session is negotiated by DTLS before any CoAP message is
+ exchanged, so there is no nonce or session key to send here. Once the DTLS
+ session authenticated the device we check the key it used against the one
+ we trust for it and wait for its Hello like the TCP handshake does.
+*/
+
+const GLOBAL_TIMEOUT = 10;
+
+class UDPHandshake {
+  _deviceID: ?string = null;
+  _deviceKeyPolicy: DeviceKeyPolicy;
+  _session: UDPSession;
+
+  constructor(deviceKeyPolicy: DeviceKeyPolicy) {
+    this._deviceKeyPolicy = deviceKeyPolicy;
+  }
+
+  start = async (device: Device): Promise<HandshakeResult> => {
+    this._session = (device._socket: any);
+
+    let timeout = null;
+    return Promise.race([
+      this._runHandshake(),
+      new Promise(
+        (resolve: (result: *) => void, reject: (error: Error) => void) => {
+          timeout = setTimeout(
+            (): void =>
+              reject(
+                new Error(
+                  `Handshake did not complete in ${GLOBAL_TIMEOUT} seconds`,
+                ),
+              ),
+            GLOBAL_TIMEOUT * 1000,
+          );
+        },
+      ),
+    ])
+      .then((result: HandshakeResult): HandshakeResult => {
+        clearTimeout(timeout);
+        return result;
+      })
+      .catch((error: Error) => {
+        clearTimeout(timeout);
+        logger.error(
+          {
+            err: error,
+            logInfo: {
+              cache_key: device._connectionKey,
+              deviceID: this._deviceID,
+              ip: this._session.getKey(),
+            },
+          },
+          'UDP handshake failed',
+        );
+
+        throw error;
+      });
+  };
+
+  _runHandshake = async (): Promise<HandshakeResult> => {
+    const { deviceID, publicKeyPem } = await this._onSecureSession();
+    this._deviceID = deviceID;
+
+    await this._deviceKeyPolicy.getTrustedPublicKey(deviceID, publicKeyPem);
+
+    // Every chunk in these streams is a single CoAP message
+    const cipherStream = new PassThrough({ objectMode: true });
+    const decipherStream = new PassThrough({ objectMode: true });
+    cipherStream.pipe(this._session);
+    this._session.pipe(decipherStream);
+
+    const handshakeBuffer = await this._onDecipherStreamReadable(
+      decipherStream,
+    );
+
+    return {
+      cipherStream,
+      decipherStream,
+      deviceID,
+      handshakeBuffer,
+    };
+  };
+
+  _onSecureSession = (): Promise<SecureSessionInfo> => {
+    const secureSessionInfo = this._session.getSecureSessionInfo();
+    if (secureSessionInfo) {
+      return Promise.resolve(secureSessionInfo);
+    }
+
+    return new Promise((resolve: (info: SecureSessionInfo) => void) => {
+      this._session.once('secure', resolve);
+    });
+  };
+
+  _onDecipherStreamReadable = (decipherStream: PassThrough): Promise<Buffer> =>
+    new Promise((resolve: (chunk: Buffer) => void) => {
+      const callback = () => {
+        const chunk = ((decipherStream.read(): any): ?Buffer);
+        if (!chunk) {
+          return;
+        }
+
+        decipherStream.removeListener('readable', callback);
+        resolve(chunk);
+      };
+      decipherStream.on('readable', callback);
+    });
+}
+
+export default UDPHandshake;
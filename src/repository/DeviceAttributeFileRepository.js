@@ -1,6 +1,7 @@
 // @flow
 
 import type { DeviceAttributes } from '../types';
+import type FileEncryptor from './FileEncryptor';
 
 import JSONFileManager from './JSONFileManager';
 import memoizeGet from '../decorators/memoizeGet';
@@ -10,8 +11,8 @@ import memoizeSet from '../decorators/memoizeSet';
 class DeviceAttributeFileRepository {
   _fileManager: JSONFileManager;
 
-  constructor(path: string) {
-    this._fileManager = new JSONFileManager(path);
+  constructor(path: string, fileEncryptor?: ?FileEncryptor) {
+    this._fileManager = new JSONFileManager(path, true, fileEncryptor);
   }
 
   // eslint-disable-next-line no-unused-vars
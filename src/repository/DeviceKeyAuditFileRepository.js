@@ -0,0 +1,50 @@
+// @flow
+
+import type { DeviceKeyAuditEntry, IDeviceKeyAuditRepository } from '../types';
+
+import FileManager from './FileManager';
+
+// The entries of each device are appended to their own file
+const FILE_EXTENSION = '.audit';
+
+const parseEntry = (data: string): DeviceKeyAuditEntry => {
+  const entry = JSON.parse(data);
+  return { ...entry, createdAt: new Date(entry.createdAt) };
+};
+
+class DeviceKeyAuditFileRepository implements IDeviceKeyAuditRepository {
+  _fileManager: FileManager;
+
+  constructor(path: string) {
+    this._fileManager = new FileManager(path, false);
+  }
+
+  add = async (entry: DeviceKeyAuditEntry): Promise<void> => {
+    this._fileManager.appendFile(
+      entry.deviceID + FILE_EXTENSION,
+      `${JSON.stringify(entry)}\n`,
+    );
+  };
+
+  getAllByDeviceID = async (
+    deviceID: string,
+  ): Promise<Array<DeviceKeyAuditEntry>> => {
+    const data = this._fileManager.getFile(deviceID + FILE_EXTENSION) || '';
+    const entries = [];
+    data.split('\n').forEach((line: string) => {
+      if (!line) {
+        return;
+      }
+
+      try {
+        entries.push(parseEntry(line));
+      } catch (ignore) {
+        // A partially written line from a crash
+      }
+    });
+
+    return entries;
+  };
+}
+
+export default DeviceKeyAuditFileRepository;
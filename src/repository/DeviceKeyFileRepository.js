@@ -1,10 +1,12 @@
 // @flow
 
 import type { DeviceKeyObject, IDeviceKeyRepository } from '../types';
+import type FileEncryptor from './FileEncryptor';
 
 import FileManager from './FileManager';
 import memoizeGet from '../decorators/memoizeGet';
 import memoizeSet from '../decorators/memoizeSet';
+import nullthrows from 'nullthrows';
 
 const FILE_EXTENSION = '.pub.pem';
 
@@ -12,8 +14,8 @@ const FILE_EXTENSION = '.pub.pem';
 class DeviceKeyFileRepository implements IDeviceKeyRepository {
   _fileManager: FileManager;
 
-  constructor(path: string) {
-    this._fileManager = new FileManager(path);
+  constructor(path: string, fileEncryptor?: ?FileEncryptor) {
+    this._fileManager = new FileManager(path, true, fileEncryptor);
   }
 
   @memoizeSet()
@@ -27,9 +29,15 @@ class DeviceKeyFileRepository implements IDeviceKeyRepository {
     this._fileManager.deleteFile(deviceID + FILE_EXTENSION);
   }
 
-  // eslint-disable-next-line
   async getAll(): Promise<Array<DeviceKeyObject>> {
-    throw new Error('the method is not implemented');
+    return this._fileManager
+      .getFileNames()
+      .filter((fileName: string): boolean => fileName.endsWith(FILE_EXTENSION))
+      .map((fileName: string): DeviceKeyObject => ({
+        algorithm: 'rsa',
+        deviceID: fileName.slice(0, -FILE_EXTENSION.length),
+        key: nullthrows(this._fileManager.getFile(fileName)),
+      }));
   }
 
   @memoizeGet(['deviceID'])
@@ -0,0 +1,212 @@
+// @flow
+
+import type { EventQuery, IEventStore, ProtocolEvent } from '../types';
+
+import FileManager from './FileManager';
+import { isMatchingEventName } from '../lib/TopicTrie';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+// Events are appended to one file per hour so expired events can be dropped
+// by deleting whole files. Only the expiry of each file is kept in memory,
+// queries read the files of the hours they span.
+const BUCKET_DURATION = 60 * 60 * 1000;
+const CLEANUP_INTERVAL = 60 * 1000;
+const FILE_EXTENSION = '.events';
+// Events added within this many milliseconds are appended together
+const FLUSH_DELAY = 100;
+
+const getBucket = (fileName: string): number => parseInt(fileName, 10);
+
+const getExpiresAt = (event: ProtocolEvent): number =>
+  event.publishedAt.getTime() + (event.ttl || 0) * 1000;
+
+const getFileName = (event: ProtocolEvent): string =>
+  `${Math.floor(
+    event.publishedAt.getTime() / BUCKET_DURATION,
+  )}${FILE_EXTENSION}`;
+
+const parseEvent = (data: string): ProtocolEvent =>
+  JSON.parse(
+    data,
+    (key: string, value: mixed): mixed =>
+      key === 'publishedAt' && typeof value === 'string'
+        ? new Date(value)
+        : value,
+  );
+
+const parseEvents = (data: string): Array<ProtocolEvent> => {
+  const events = [];
+  data.split('\n').forEach((line: string) => {
+    if (!line) {
+      return;
+    }
+
+    try {
+      events.push(parseEvent(line));
+    } catch (ignore) {
+      // A partially written line from a crash
+    }
+  });
+
+  return events;
+};
+
+class EventFileRepository implements IEventStore {
+  _expiresAtByFileName: Map<string, number> = new Map();
+  _fileManager: FileManager;
+  _flushPromise: Promise<mixed> = Promise.resolve();
+  _flushTimeout: ?number = null;
+  _lastCleanup: number = Date.now();
+  _pendingDataByFileName: Map<string, string> = new Map();
+
+  constructor(path: string) {
+    this._fileManager = new FileManager(path, false);
+    this._load();
+  }
+
+  add = async (event: ProtocolEvent): Promise<void> => {
+    const fileName = getFileName(event);
+
+    this._pendingDataByFileName.set(
+      fileName,
+      `${this._pendingDataByFileName.get(fileName) || ''}${JSON.stringify(
+        event,
+      )}\n`,
+    );
+    this._expiresAtByFileName.set(
+      fileName,
+      Math.max(
+        getExpiresAt(event),
+        this._expiresAtByFileName.get(fileName) || 0,
+      ),
+    );
+
+    if (!this._flushTimeout) {
+      this._flushTimeout = setTimeout(this._flush, FLUSH_DELAY);
+    }
+
+    if (Date.now() - this._lastCleanup > CLEANUP_INTERVAL) {
+      await this.removeExpired();
+    }
+  };
+
+  query = async (eventQuery: EventQuery): Promise<Array<ProtocolEvent>> => {
+    const { deviceID, eventNamePrefix, from, limit, to, userID } = eventQuery;
+    await this._flush();
+
+    const now = Date.now();
+    const fileNames = Array.from(this._expiresAtByFileName.keys())
+      .filter((fileName: string): boolean => {
+        const bucket = getBucket(fileName);
+        return (
+          (this._expiresAtByFileName.get(fileName) || 0) > now &&
+          (!from || bucket >= Math.floor(from.getTime() / BUCKET_DURATION)) &&
+          (!to || bucket <= Math.floor(to.getTime() / BUCKET_DURATION))
+        );
+      })
+      .sort(
+        (first: string, second: string): number =>
+          getBucket(first) - getBucket(second),
+      );
+
+    const fileEvents = await Promise.all(
+      fileNames.map(async (fileName: string): Promise<Array<ProtocolEvent>> =>
+        parseEvents((await this._fileManager.getFileAsync(fileName)) || ''),
+      ),
+    );
+
+    const events = [];
+    fileEvents.forEach((eventsOfFile: Array<ProtocolEvent>) => {
+      eventsOfFile
+        .filter((event: ProtocolEvent): boolean => {
+          const eventName = event.name;
+          return (
+            getExpiresAt(event) > now &&
+            (!eventNamePrefix ||
+              (!!eventName &&
+                isMatchingEventName(eventNamePrefix, eventName))) &&
+            (!deviceID || event.deviceID === deviceID) &&
+            (!userID || event.userID === userID) &&
+            (!from || event.publishedAt >= from) &&
+            (!to || event.publishedAt <= to)
+          );
+        })
+        // Events of one hour are appended in the order they were added
+        .sort(
+          (first: ProtocolEvent, second: ProtocolEvent): number =>
+            first.publishedAt.getTime() - second.publishedAt.getTime(),
+        )
+        .forEach((event: ProtocolEvent): number => events.push(event));
+    });
+
+    return limit ? events.slice(0, limit) : events;
+  };
+
+  removeExpired = async (): Promise<void> => {
+    const now = Date.now();
+    this._lastCleanup = now;
+
+    // A pending append would create the file again
+    await this._flush();
+
+    this._expiresAtByFileName.forEach((expiresAt: number, fileName: string) => {
+      if (expiresAt <= now) {
+        this._fileManager.deleteFile(fileName);
+        this._expiresAtByFileName.delete(fileName);
+      }
+    });
+  };
+
+  // Appends the pending events, resolves once every event added before is
+  // written.
+  _flush = (): Promise<mixed> => {
+    if (this._flushTimeout) {
+      clearTimeout(this._flushTimeout);
+      this._flushTimeout = null;
+    }
+
+    const pendingDataByFileName = this._pendingDataByFileName;
+    this._pendingDataByFileName = new Map();
+
+    this._flushPromise = this._flushPromise.then((): Promise<mixed> =>
+      Promise.all(
+        Array.from(pendingDataByFileName).map(
+          ([fileName, data]: [string, string]): Promise<void> =>
+            this._fileManager
+              .appendFileAsync(fileName, data)
+              .catch((error: Error): void =>
+                logger.error({ err: error, fileName }, 'Event store error'),
+              ),
+        ),
+      ),
+    );
+
+    return this._flushPromise;
+  };
+
+  _load = () => {
+    const now = Date.now();
+
+    this._fileManager
+      .getFileNames()
+      .filter((fileName: string): boolean => fileName.endsWith(FILE_EXTENSION))
+      .forEach((fileName: string) => {
+        const fileExpiresAt = parseEvents(
+          this._fileManager.getFile(fileName) || '',
+        ).reduce(
+          (expiresAt: number, event: ProtocolEvent): number =>
+            Math.max(expiresAt, getExpiresAt(event)),
+          0,
+        );
+
+        if (fileExpiresAt <= now) {
+          this._fileManager.deleteFile(fileName);
+        } else {
+          this._expiresAtByFileName.set(fileName, fileExpiresAt);
+        }
+      });
+  };
+}
+
+export default EventFileRepository;
@@ -0,0 +1,140 @@
+// @flow
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+export type StorageEncryptionConfig = {
+  // Opt-out for the tools which read the public keys (*.pub.pem) from the
+  // storage, they are encrypted like the other files otherwise
+  KEEP_PUBLIC_KEYS_PLAIN?: boolean,
+  // Environment variable with the base64 or hex encoded 32 bytes master key
+  MASTER_KEY_ENV: ?string,
+  // File with the encoded master key, read when the variable isn't set
+  MASTER_KEY_FILE: ?string,
+};
+
+// Encrypted files start with MAGIC and the ID of the master key, followed by
+// the data key encrypted with the master key and the content encrypted with
+// the data key. Both are stored as IV, auth tag and ciphertext.
+const MAGIC = Buffer.from('SPKENC01');
+const ALGORITHM = 'aes-256-gcm';
+const IV_SIZE = 12;
+const KEY_ID_SIZE = 8;
+const KEY_SIZE = 32;
+const TAG_SIZE = 16;
+const HEADER_SIZE = MAGIC.length + KEY_ID_SIZE;
+const WRAPPED_KEY_SIZE = IV_SIZE + TAG_SIZE + KEY_SIZE;
+const PUBLIC_KEY_FILE_EXTENSION = '.pub.pem';
+
+const encrypt = (key: Buffer, data: Buffer): Buffer => {
+  const iv = crypto.randomBytes(IV_SIZE);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decrypt = (key: Buffer, data: Buffer): Buffer => {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    data.slice(0, IV_SIZE),
+  );
+  decipher.setAuthTag(data.slice(IV_SIZE, IV_SIZE + TAG_SIZE));
+  return Buffer.concat([
+    decipher.update(data.slice(IV_SIZE + TAG_SIZE)),
+    decipher.final(),
+  ]);
+};
+
+const parseMasterKey = (encodedKey: string): Buffer => {
+  const trimmedKey = encodedKey.trim();
+  const masterKey = /^[0-9a-f]{64}$/i.test(trimmedKey)
+    ? Buffer.from(trimmedKey, 'hex')
+    : Buffer.from(trimmedKey, 'base64');
+  if (masterKey.length !== KEY_SIZE) {
+    throw new Error(
+      `The master key must be ${KEY_SIZE} bytes, base64 or hex encoded`,
+    );
+  }
+  return masterKey;
+};
+
+/**
+ * Envelope encryption of the files of FileManager. Every write encrypts the
+ * content with a new data key so the master key only ever encrypts keys.
+ */
+class FileEncryptor {
+  _masterKey: Buffer;
+  _masterKeyID: Buffer;
+  _shouldKeepPublicKeysPlain: boolean;
+
+  // Returns null when no master key is configured
+  static fromConfig = (config: ?StorageEncryptionConfig): ?FileEncryptor => {
+    if (!config) {
+      return null;
+    }
+
+    const { KEEP_PUBLIC_KEYS_PLAIN, MASTER_KEY_ENV, MASTER_KEY_FILE } = config;
+    if (MASTER_KEY_ENV && process.env[MASTER_KEY_ENV]) {
+      return new FileEncryptor(
+        parseMasterKey(process.env[MASTER_KEY_ENV]),
+        !!KEEP_PUBLIC_KEYS_PLAIN,
+      );
+    }
+    if (MASTER_KEY_FILE) {
+      return new FileEncryptor(
+        parseMasterKey(fs.readFileSync(MASTER_KEY_FILE, 'utf8')),
+        !!KEEP_PUBLIC_KEYS_PLAIN,
+      );
+    }
+    return null;
+  };
+
+  static isEncrypted = (data: Buffer): boolean =>
+    data.length >= HEADER_SIZE && data.slice(0, MAGIC.length).equals(MAGIC);
+
+  constructor(masterKey: Buffer, shouldKeepPublicKeysPlain?: boolean = false) {
+    if (masterKey.length !== KEY_SIZE) {
+      throw new Error(`The master key must be ${KEY_SIZE} bytes`);
+    }
+
+    this._masterKey = masterKey;
+    this._shouldKeepPublicKeysPlain = shouldKeepPublicKeysPlain;
+    this._masterKeyID = crypto
+      .createHash('sha256')
+      .update(masterKey)
+      .digest()
+      .slice(0, KEY_ID_SIZE);
+  }
+
+  decrypt = (data: Buffer): Buffer => {
+    if (!FileEncryptor.isEncrypted(data)) {
+      throw new Error('The data is not encrypted');
+    }
+    if (!data.slice(MAGIC.length, HEADER_SIZE).equals(this._masterKeyID)) {
+      throw new Error('The data was encrypted with another master key');
+    }
+
+    const dataKey = decrypt(
+      this._masterKey,
+      data.slice(HEADER_SIZE, HEADER_SIZE + WRAPPED_KEY_SIZE),
+    );
+    return decrypt(dataKey, data.slice(HEADER_SIZE + WRAPPED_KEY_SIZE));
+  };
+
+  encrypt = (data: Buffer): Buffer => {
+    const dataKey = crypto.randomBytes(KEY_SIZE);
+    return Buffer.concat([
+      MAGIC,
+      this._masterKeyID,
+      encrypt(this._masterKey, dataKey),
+      encrypt(dataKey, data),
+    ]);
+  };
+
+  shouldEncrypt = (fileName: string): boolean =>
+    !this._shouldKeepPublicKeysPlain ||
+    !fileName.endsWith(PUBLIC_KEY_FILE_EXTENSION);
+}
+
+export default FileEncryptor;
@@ -3,19 +3,52 @@
 import fs from 'fs';
 import mkdirp from 'mkdirp';
 import path from 'path';
+import FileEncryptor from './FileEncryptor';
 
 class FileManager {
   _directoryPath: string;
+  _fileEncryptor: ?FileEncryptor;
   _isJSON: boolean;
 
-  constructor(directoryPath: string, isJSON: boolean = true) {
+  // Files are encrypted when a FileEncryptor is passed, see
+  // FileEncryptor.shouldEncrypt. Plain files written before are still read,
+  // see encryptFiles.
+  constructor(
+    directoryPath: string,
+    isJSON: boolean = true,
+    fileEncryptor?: ?FileEncryptor,
+  ) {
     this._directoryPath = directoryPath;
+    this._fileEncryptor = fileEncryptor;
     this._isJSON = isJSON;
     if (!fs.existsSync(directoryPath)) {
       mkdirp.sync(directoryPath);
     }
   }
 
+  appendFile(fileName: string, data: string | Buffer) {
+    if (this._fileEncryptor) {
+      throw new Error("Encrypted files can't be appended");
+    }
+
+    fs.appendFileSync(path.join(this._directoryPath, fileName), data);
+  }
+
+  appendFileAsync(fileName: string, data: string | Buffer): Promise<void> {
+    if (this._fileEncryptor) {
+      return Promise.reject(new Error("Encrypted files can't be appended"));
+    }
+
+    return new Promise(
+      (resolve: () => void, reject: (error: Error) => void): void =>
+        fs.appendFile(
+          path.join(this._directoryPath, fileName),
+          data,
+          (error: ?Error): void => (error ? reject(error) : resolve()),
+        ),
+    );
+  }
+
   count(): number {
     return fs.readdirSync(this._directoryPath).length;
   }
@@ -28,6 +61,19 @@ class FileManager {
     this.writeFile(fileName, data);
   }
 
+  // Rewrites the encrypted files in plain text, returns their names
+  decryptFiles(): Array<string> {
+    const fileEncryptor = this._fileEncryptor;
+    if (!fileEncryptor) {
+      throw new Error('No master key to decrypt the files with');
+    }
+
+    return this._rewriteFiles(
+      (fileName: string, data: Buffer): ?Buffer =>
+        FileEncryptor.isEncrypted(data) ? fileEncryptor.decrypt(data) : null,
+    );
+  }
+
   deleteFile(fileName: string) {
     const filePath = path.join(this._directoryPath, fileName);
     if (!fs.existsSync(filePath)) {
@@ -37,22 +83,66 @@ class FileManager {
     fs.unlinkSync(filePath);
   }
 
+  // Encrypts the files written before the encryption was enabled, returns
+  // their names
+  encryptFiles(): Array<string> {
+    const fileEncryptor = this._fileEncryptor;
+    if (!fileEncryptor) {
+      throw new Error('No master key to encrypt the files with');
+    }
+
+    return this._rewriteFiles(
+      (fileName: string, data: Buffer): ?Buffer =>
+        !fileEncryptor.shouldEncrypt(fileName) ||
+        FileEncryptor.isEncrypted(data)
+          ? null
+          : fileEncryptor.encrypt(data),
+    );
+  }
+
+  // Doesn't use getFile, JSONFileManager overrides it
   getAllData(): Array<string> {
     return fs
       .readdirSync(this._directoryPath)
       .filter((fileName: string): boolean => fileName.endsWith('.json'))
-      .map((fileName: string): string =>
-        fs.readFileSync(path.join(this._directoryPath, fileName), 'utf8'),
-      );
+      .map((fileName: string): string => {
+        const data = this.getFileBuffer(fileName);
+        return data ? data.toString('utf8') : '';
+      });
   }
 
   getFile(fileName: string): ?string {
-    const filePath = path.join(this._directoryPath, fileName);
-    if (!fs.existsSync(filePath)) {
-      return null;
-    }
+    const data = this.getFileBuffer(fileName);
+    return data ? data.toString('utf8') : null;
+  }
 
-    return fs.readFileSync(filePath, 'utf8');
+  // Resolves with null when the file doesn't exist
+  getFileAsync(fileName: string): Promise<?string> {
+    return new Promise(
+      (
+        resolve: (data: ?string) => void,
+        reject: (error: Error) => void,
+      ): void =>
+        fs.readFile(
+          path.join(this._directoryPath, fileName),
+          (error: ?ErrnoError, data: Buffer) => {
+            if (error) {
+              if (error.code === 'ENOENT') {
+                resolve(null);
+              } else {
+                reject(error);
+              }
+              return;
+            }
+
+            try {
+              resolve(this._decryptData(fileName, data).toString('utf8'));
+            } catch (decryptError) {
+              reject(decryptError);
+            }
+          },
+        ),
+    );
   }
 
   getFileBuffer(fileName: string): ?Buffer {
@@ -61,7 +151,11 @@ class FileManager {
       return null;
     }
 
-    return fs.readFileSync(filePath);
+    return this._decryptData(fileName, fs.readFileSync(filePath));
+  }
+
+  getFileNames(): Array<string> {
+    return fs.readdirSync(this._directoryPath);
   }
 
   hasFile(fileName: string): boolean {
@@ -70,7 +164,45 @@ class FileManager {
   }
 
   writeFile(fileName: string, data: string | Buffer) {
-    fs.writeFileSync(path.join(this._directoryPath, fileName), data);
+    fs.writeFileSync(
+      path.join(this._directoryPath, fileName),
+      this._fileEncryptor && this._fileEncryptor.shouldEncrypt(fileName)
+        ? this._fileEncryptor.encrypt(Buffer.from(data))
+        : data,
+    );
+  }
+
+  _decryptData(fileName: string, data: Buffer): Buffer {
+    if (!FileEncryptor.isEncrypted(data)) {
+      return data;
+    }
+    if (!this._fileEncryptor) {
+      throw new Error(`${fileName} is encrypted and no master key is set`);
+    }
+    return this._fileEncryptor.decrypt(data);
+  }
+
+  // The new content is renamed over the file so an interrupted migration
+  // doesn't leave half written files.
+  _rewriteFiles(
+    rewrite: (fileName: string, data: Buffer) => ?Buffer,
+  ): Array<string> {
+    return this.getFileNames().filter((fileName: string): boolean => {
+      const filePath = path.join(this._directoryPath, fileName);
+      if (!fs.statSync(filePath).isFile()) {
+        return false;
+      }
+
+      const data = rewrite(fileName, fs.readFileSync(filePath));
+      if (!data) {
+        return false;
+      }
+
+      const temporaryFilePath = `${filePath}.tmp`;
+      fs.writeFileSync(temporaryFilePath, data);
+      fs.renameSync(temporaryFilePath, filePath);
+      return true;
+    });
   }
 }
 
@@ -0,0 +1,71 @@
+// @flow
+
+import type { FirmwareRollout, IFirmwareRolloutRepository } from '../types';
+
+import JSONFileManager from './JSONFileManager';
+import uuid from 'uuid';
+
+const fromJSON = (rollout: Object): FirmwareRollout => ({
+  ...rollout,
+  createdAt: new Date(rollout.createdAt),
+  // Rollouts saved before the stages had a start date
+  currentStageStartedAt: new Date(
+    rollout.currentStageStartedAt || rollout.createdAt,
+  ),
+  updatedAt: new Date(rollout.updatedAt),
+});
+
+class FirmwareRolloutFileRepository implements IFirmwareRolloutRepository {
+  _fileManager: JSONFileManager;
+
+  constructor(path: string) {
+    this._fileManager = new JSONFileManager(path);
+  }
+
+  create = async (model: $Shape<FirmwareRollout>): Promise<FirmwareRollout> => {
+    const rollout = {
+      ...model,
+      createdAt: new Date(),
+      id: uuid(),
+      updatedAt: new Date(),
+    };
+
+    this._fileManager.createFile(`${rollout.id}.json`, rollout);
+    return rollout;
+  };
+
+  deleteByID = async (id: string): Promise<void> => {
+    this._fileManager.deleteFile(`${id}.json`);
+  };
+
+  getAll = async (): Promise<Array<FirmwareRollout>> =>
+    this._fileManager.getAllData().map(fromJSON);
+
+  getAllByProductID = async (
+    productID: number,
+  ): Promise<Array<FirmwareRollout>> =>
+    (await this.getAll()).filter(
+      (rollout: FirmwareRollout): boolean => rollout.productID === productID,
+    );
+
+  getByID = async (id: string): Promise<?FirmwareRollout> => {
+    const rollout = this._fileManager.getFile(`${id}.json`);
+    return rollout ? fromJSON(rollout) : null;
+  };
+
+  updateByID = async (
+    id: string,
+    props: $Shape<FirmwareRollout>,
+  ): Promise<FirmwareRollout> => {
+    const rollout = {
+      ...(await this.getByID(id)),
+      ...props,
+      updatedAt: new Date(),
+    };
+
+    this._fileManager.writeFile(`${id}.json`, rollout);
+    return rollout;
+  };
+}
+
+export default FirmwareRolloutFileRepository;
@@ -0,0 +1,70 @@
+// @flow
+
+import type { FlashJob, IFlashJobRepository } from '../types';
+
+import JSONFileManager from './JSONFileManager';
+import uuid from 'uuid';
+
+const toDate = (value: ?string): ?Date => (value ? new Date(value) : null);
+
+const fromJSON = (job: Object): FlashJob => ({
+  ...job,
+  createdAt: new Date(job.createdAt),
+  finishedAt: toDate(job.finishedAt),
+  nextAttemptAt: toDate(job.nextAttemptAt),
+  startedAt: toDate(job.startedAt),
+  updatedAt: new Date(job.updatedAt),
+});
+
+class FlashJobFileRepository implements IFlashJobRepository {
+  _fileManager: JSONFileManager;
+
+  constructor(path: string) {
+    this._fileManager = new JSONFileManager(path);
+  }
+
+  create = async (model: $Shape<FlashJob>): Promise<FlashJob> => {
+    const job = {
+      ...model,
+      createdAt: new Date(),
+      id: uuid(),
+      updatedAt: new Date(),
+    };
+
+    this._fileManager.createFile(`${job.id}.json`, job);
+    return job;
+  };
+
+  deleteByID = async (id: string): Promise<void> => {
+    this._fileManager.deleteFile(`${id}.json`);
+  };
+
+  getAll = async (): Promise<Array<FlashJob>> =>
+    this._fileManager.getAllData().map(fromJSON);
+
+  getAllByDeviceID = async (deviceID: string): Promise<Array<FlashJob>> =>
+    (await this.getAll()).filter(
+      (job: FlashJob): boolean => job.deviceID === deviceID,
+    );
+
+  getByID = async (id: string): Promise<?FlashJob> => {
+    const job = this._fileManager.getFile(`${id}.json`);
+    return job ? fromJSON(job) : null;
+  };
+
+  updateByID = async (
+    id: string,
+    props: $Shape<FlashJob>,
+  ): Promise<FlashJob> => {
+    const job = {
+      ...(await this.getByID(id)),
+      ...props,
+      updatedAt: new Date(),
+    };
+
+    this._fileManager.writeFile(`${id}.json`, job);
+    return job;
+  };
+}
+
+export default FlashJobFileRepository;
@@ -0,0 +1,28 @@
+// @flow
+
+import type { IOTALinkStatsRepository, OTALinkStats } from '../types';
+
+import JSONFileManager from './JSONFileManager';
+
+class OTALinkStatsFileRepository implements IOTALinkStatsRepository {
+  _fileManager: JSONFileManager;
+
+  constructor(path: string) {
+    this._fileManager = new JSONFileManager(path);
+  }
+
+  getByID = async (deviceID: string): Promise<?OTALinkStats> => {
+    const stats = this._fileManager.getFile(`${deviceID}.json`);
+    return stats ? { ...stats, updatedAt: new Date(stats.updatedAt) } : null;
+  };
+
+  updateByID = async (
+    deviceID: string,
+    stats: OTALinkStats,
+  ): Promise<OTALinkStats> => {
+    this._fileManager.writeFile(`${deviceID}.json`, stats);
+    return stats;
+  };
+}
+
+export default OTALinkStatsFileRepository;
@@ -0,0 +1,30 @@
+// @flow
+
+import type { IOTATransferStateRepository, OTATransferState } from '../types';
+
+import JSONFileManager from './JSONFileManager';
+
+class OTATransferStateFileRepository implements IOTATransferStateRepository {
+  _fileManager: JSONFileManager;
+
+  constructor(path: string) {
+    this._fileManager = new JSONFileManager(path);
+  }
+
+  deleteByID = async (deviceID: string): Promise<void> => {
+    this._fileManager.deleteFile(`${deviceID}.json`);
+  };
+
+  getByID = async (deviceID: string): Promise<?OTATransferState> =>
+    this._fileManager.getFile(`${deviceID}.json`);
+
+  updateByID = async (
+    deviceID: string,
+    transferState: OTATransferState,
+  ): Promise<OTATransferState> => {
+    this._fileManager.writeFile(`${deviceID}.json`, transferState);
+    return transferState;
+  };
+}
+
+export default OTATransferStateFileRepository;
@@ -1,14 +1,24 @@
 // @flow
 
+import type { ServerKeyRepository, ServerPrivateKey } from '../types';
+import type FileEncryptor from './FileEncryptor';
+
 import FileManager from './FileManager';
 
-class ServerKeyFileRepository {
+class ServerKeyFileRepository implements ServerKeyRepository {
   _serverKeyFileName: string;
   _fileManager: FileManager;
-
-  constructor(serverKeysDir: string, serverKeyFileName: string) {
-    this._fileManager = new FileManager(serverKeysDir);
+  _retiringServerKeyFileNames: Array<string>;
+
+  constructor(
+    serverKeysDir: string,
+    serverKeyFileName: string,
+    retiringServerKeyFileNames?: ?Array<string>,
+    fileEncryptor?: ?FileEncryptor,
+  ) {
+    this._fileManager = new FileManager(serverKeysDir, true, fileEncryptor);
     this._serverKeyFileName = serverKeyFileName;
+    this._retiringServerKeyFileNames = retiringServerKeyFileNames || [];
   }
 
   createKeys = async (
@@ -32,6 +42,18 @@ class ServerKeyFileRepository {
 
   getPrivateKey = async (): Promise<?string> =>
     this._fileManager.getFile(this._serverKeyFileName);
+
+  // The keys are identified by their file name. Retiring keys which were
+  // already deleted are skipped.
+  getPrivateKeys = async (): Promise<Array<ServerPrivateKey>> =>
+    [this._serverKeyFileName, ...this._retiringServerKeyFileNames]
+      .map((id: string, index: number): ?ServerPrivateKey => {
+        const privateKeyPem = this._fileManager.getFile(id);
+        return privateKeyPem
+          ? { id, privateKeyPem, state: index ? 'retiring' : 'active' }
+          : null;
+      })
+      .filter(Boolean);
 }
 
 export default ServerKeyFileRepository;
@@ -0,0 +1,130 @@
+#! /usr/bin/env node
+// @flow
+
+import type {
+  DeviceKeyFormat,
+  DeviceKeyTransferResult,
+} from '../lib/DeviceKeyTransfer';
+
+import fs from 'fs';
+import path from 'path';
+import settings from '../settings';
+import DeviceKeyFileRepository from '../repository/DeviceKeyFileRepository';
+import { clearMemoizedCaches } from '../decorators/memoizeGet';
+import DeviceKeyTransfer, {
+  DEVICE_KEY_FORMATS,
+} from '../lib/DeviceKeyTransfer';
+
+// Usage:
+//   device-keys import <path> [--format <format>] [--overwrite] [--dry-run]
+//   device-keys export <path> --format <format>
+// Moves device keys in and out of the DEVICE_DIRECTORY. The format is one of
+// csv, der, jsonl or pem and is guessed from the path when importing.
+const USAGE = [
+  'Usage: device-keys import <path> [--format <format>] [--overwrite] ' +
+    '[--dry-run]',
+  `       device-keys export <path> --format <${DEVICE_KEY_FORMATS.join('|')}>`,
+].join('\n');
+
+const getFormat = (sourcePath: string, format: ?string): ?DeviceKeyFormat => {
+  if (format) {
+    return DEVICE_KEY_FORMATS.find(
+      (knownFormat: DeviceKeyFormat): boolean => knownFormat === format,
+    );
+  }
+  if (!fs.existsSync(sourcePath)) {
+    return null;
+  }
+  if (fs.statSync(sourcePath).isDirectory()) {
+    return fs
+      .readdirSync(sourcePath)
+      .some((fileName: string): boolean => fileName.endsWith('.der'))
+      ? 'der'
+      : 'pem';
+  }
+
+  const extension = path.extname(sourcePath).slice(1);
+  return extension === 'json' ? 'jsonl' : getFormat(sourcePath, extension);
+};
+
+const printReport = (results: Array<DeviceKeyTransferResult>) => {
+  const countsByStatus = {};
+  results.forEach(
+    ({ deviceID, reason, source, status }: DeviceKeyTransferResult) => {
+      countsByStatus[status] = (countsByStatus[status] || 0) + 1;
+      if (status !== 'exported' && status !== 'imported') {
+        console.log(
+          `${status} ${deviceID || '-'} (${source})${
+            reason ? `: ${reason}` : ''
+          }`,
+        );
+      }
+    },
+  );
+
+  console.log(
+    Object.keys(countsByStatus)
+      .sort()
+      .map((status: string): string => `${countsByStatus[status]} ${status}`)
+      .join(', ') || 'No device keys found',
+  );
+};
+
+(async (): Promise<void> => {
+  const [command, targetPath, ...flags] = process.argv.slice(2);
+  const formatIndex = flags.indexOf('--format');
+  const format = getFormat(
+    targetPath || '',
+    formatIndex === -1 ? null : flags[formatIndex + 1],
+  );
+
+  if (
+    !targetPath ||
+    !format ||
+    (command === 'export' && formatIndex === -1) ||
+    (command !== 'export' && command !== 'import')
+  ) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const deviceKeyRepository = new DeviceKeyFileRepository(
+    settings.DEVICE_DIRECTORY,
+  );
+  try {
+    const transfer = new DeviceKeyTransfer(deviceKeyRepository);
+
+    if (command === 'export') {
+      printReport(await transfer.exportKeys(format, targetPath));
+      return;
+    }
+
+    const isDryRun = flags.includes('--dry-run');
+    const results = await transfer.importKeys(format, targetPath, {
+      isDryRun,
+      shouldOverwrite: flags.includes('--overwrite'),
+    });
+    printReport(results);
+    if (isDryRun) {
+      console.log('Dry run, no device key was stored');
+    } else if (
+      results.some(
+        ({ status }: DeviceKeyTransferResult): boolean =>
+          status === 'imported' || status === 'overwritten',
+      )
+    ) {
+      // The running servers cache the device keys they looked up, missing
+      // ones included, for up to an hour
+      console.log(
+        'Restart the running servers to use the imported keys and to drop ' +
+          'the sessions of the overwritten ones',
+      );
+    }
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    clearMemoizedCaches(deviceKeyRepository);
+  }
+})();
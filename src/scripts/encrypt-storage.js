@@ -0,0 +1,50 @@
+#! /usr/bin/env node
+// @flow
+
+import settings from '../settings';
+import FileEncryptor from '../repository/FileEncryptor';
+import FileManager from '../repository/FileManager';
+
+// Usage: encrypt-storage [--decrypt] [directory ...]
+// Encrypts the files written before STORAGE_ENCRYPTION_CONFIG had a master
+// key, or decrypts them before removing it. Defaults to the DEVICE_DIRECTORY
+// and the SERVER_KEYS_DIRECTORY. Stop the server while it runs.
+(async (): Promise<void> => {
+  const args = process.argv.slice(2);
+  const shouldDecrypt = args.includes('--decrypt');
+  const directories = args.filter(
+    (arg: string): boolean => arg !== '--decrypt',
+  );
+
+  try {
+    const fileEncryptor = FileEncryptor.fromConfig(
+      settings.STORAGE_ENCRYPTION_CONFIG,
+    );
+    if (!fileEncryptor) {
+      console.log(
+        'Usage: encrypt-storage [--decrypt] [directory ...]\n' +
+          'Set the master key in STORAGE_ENCRYPTION_CONFIG first',
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    (directories.length
+      ? directories
+      : [settings.DEVICE_DIRECTORY, settings.SERVER_KEYS_DIRECTORY]
+    ).forEach((directory: string) => {
+      const fileManager = new FileManager(directory, false, fileEncryptor);
+      const fileNames = shouldDecrypt
+        ? fileManager.decryptFiles()
+        : fileManager.encryptFiles();
+      console.log(
+        `${shouldDecrypt ? 'Decrypted' : 'Encrypted'} ${
+          fileNames.length
+        } files in ${directory}`,
+      );
+    });
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+})();
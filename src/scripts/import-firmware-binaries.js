@@ -0,0 +1,49 @@
+#! /usr/bin/env node
+// @flow
+
+import path from 'path';
+import settings from '../settings';
+import FirmwareCatalog from '../lib/FirmwareCatalog';
+
+// Usage: import-firmware <directory|tarball|binary> [...]
+// Copies the binaries to the BINARIES_DIRECTORY and regenerates the
+// settings.json index without access to GitHub.
+const SETTINGS_FILE = path.join(__dirname, '../../third-party/settings.json');
+
+(async (): Promise<void> => {
+  const sourcePaths = process.argv.slice(2);
+  if (!sourcePaths.length) {
+    console.log('Usage: import-firmware <directory|tarball|binary> [...]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const catalog = new FirmwareCatalog(settings.BINARIES_DIRECTORY);
+    await catalog.load();
+
+    // One source at a time, a later one overrides the binaries of the former
+    await sourcePaths.reduce(
+      (previous: Promise<void>, sourcePath: string): Promise<void> =>
+        previous.then(async (): Promise<void> => {
+          const { imported, rejected } = await catalog.importPath(sourcePath);
+          console.log(
+            `Imported ${imported.length} binaries from ${sourcePath}`,
+          );
+          rejected.forEach(({ filename, reason }: Object) => {
+            console.log(`Skipped ${filename}: ${reason}`);
+          });
+        }),
+      Promise.resolve(),
+    );
+
+    catalog.writeSettings(SETTINGS_FILE);
+    console.log(
+      `Updated settings with ${catalog.getEntries().length} binaries, ` +
+        'restart the server to use them',
+    );
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+})();
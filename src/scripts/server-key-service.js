@@ -0,0 +1,52 @@
+#! /usr/bin/env node
+// @flow
+
+import fs from 'fs';
+import settings from '../settings';
+import FileEncryptor from '../repository/FileEncryptor';
+import LocalServerKeySigner from '../lib/LocalServerKeySigner';
+import ServerKeyFileRepository from '../repository/ServerKeyFileRepository';
+import ServerKeyService from '../server/ServerKeyService';
+
+// Usage: server-key-service [socket path]
+// Keeps the server keys of SERVER_KEYS_DIRECTORY and does their private key
+// operations for the DeviceServer processes which have the same socket path
+// in SERVER_KEY_SERVICE_CONFIG. Defaults to its SOCKET_PATH.
+(async (): Promise<void> => {
+  const socketPath =
+    process.argv[2] || settings.SERVER_KEY_SERVICE_CONFIG.SOCKET_PATH;
+  if (!socketPath) {
+    console.log('Usage: server-key-service [socket path]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const serverKeySigner = new LocalServerKeySigner(
+      new ServerKeyFileRepository(
+        settings.SERVER_KEYS_DIRECTORY,
+        settings.SERVER_KEY_FILENAME,
+        settings.RETIRING_SERVER_KEY_FILENAMES,
+        FileEncryptor.fromConfig(settings.STORAGE_ENCRYPTION_CONFIG),
+      ),
+    );
+    const serverKeys = await serverKeySigner.getServerKeys();
+
+    // The socket of a previous run is left when it wasn't stopped cleanly
+    if (fs.existsSync(socketPath)) {
+      fs.unlinkSync(socketPath);
+    }
+
+    const service = new ServerKeyService(serverKeySigner);
+    service.listen(socketPath, (): void =>
+      console.log(`Serving ${serverKeys.length} server keys on ${socketPath}`),
+    );
+
+    ['SIGINT', 'SIGTERM'].forEach((signal: string) => {
+      process.on(signal, (): void => service.close((): void => process.exit()));
+    });
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+})();
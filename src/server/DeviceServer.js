@@ -20,19 +20,41 @@
 
 import type { Socket } from 'net';
 import type {
+  DeviceConnectionInfo,
+  DeviceSocket,
+  DTLSSessionFactory,
   EventData,
+  FlashJobSource,
   IDeviceAttributeRepository,
+  IOTATransferStateRepository,
   IProductDeviceRepository,
   IProductFirmwareRepository,
   ProductDevice,
+  ProductFirmware,
   ProtocolEvent,
   PublishOptions,
 } from '../types';
 import type ClaimCodeManager from '../lib/ClaimCodeManager';
 import type CryptoManager from '../lib/CryptoManager';
+import type { DeviceEventQueueConfig } from '../lib/DeviceEventQueue';
+import type DeviceKeyPolicy from '../lib/DeviceKeyPolicy';
+import type DeviceRegistry from '../lib/DeviceRegistry';
 import type EventPublisher from '../lib/EventPublisher';
+import type { FirmwareRollback } from '../lib/FirmwareHealthMonitor';
+import type { FlashJobHandle } from '../lib/FlashJobQueue';
+import type FlashJobQueue from '../lib/FlashJobQueue';
+import { createPermanentFlashError } from '../lib/FlashJobQueue';
+import type { FlashProgress, OTAOptions } from '../lib/Flasher';
+import type OTALinkController from '../lib/OTALinkController';
+import type { OTAPayloadConfig } from '../lib/OTAPayload';
+import type FirmwareHealthMonitor from '../lib/FirmwareHealthMonitor';
+import type FirmwareRolloutManager from '../lib/FirmwareRolloutManager';
+import type { RateLimit } from '../lib/TokenBucketRateLimiter';
+import type UDPSession from './UDPSession';
 
 import Handshake from '../lib/Handshake';
+import UDPHandshake from '../lib/UDPHandshake';
+import UDPServer from './UDPServer';
 
 import net from 'net';
 import crypto from 'crypto';
@@ -41,10 +63,15 @@ import moment from 'moment';
 import Moniker from 'moniker';
 import Device from '../clients/Device';
 
+import FileTransferStore from '../lib/FileTransferStore';
 import FirmwareManager from '../lib/FirmwareManager';
+import FirmwareValidator, { MODULE_FUNCTIONS } from '../lib/FirmwareValidator';
+import { FIRMWARE_HEALTH_EVENTS } from '../lib/FirmwareHealthMonitor';
 import CoapMessages from '../lib/CoapMessages';
 import { getRequestEventName } from '../lib/EventPublisher';
 import SPARK_SERVER_EVENTS from '../lib/SparkServerEvents';
+import OTAPayload from '../lib/OTAPayload';
+import TokenBucketRateLimiter from '../lib/TokenBucketRateLimiter';
 import {
   DEVICE_EVENT_NAMES,
   DEVICE_MESSAGE_EVENTS_NAMES,
@@ -59,6 +86,22 @@ type DeviceServerConfig = {|
   PORT: number,
 |};
 
+type UDPDeviceServerConfig = {
+  ACK_TIMEOUT?: number,
+  ENABLED: boolean,
+  HOST: string,
+  MAX_RETRANSMIT?: number,
+  MAX_SESSIONS?: number,
+  PORT: number,
+};
+
+export type EventRateLimitConfig = {
+  DEVICE: RateLimit,
+  ENABLED: boolean,
+  OWNER: RateLimit,
+  REJECT_OVER_LIMIT: boolean,
+};
+
 const NAME_GENERATOR = Moniker.generator([Moniker.adjective, Moniker.noun]);
 
 const SPECIAL_EVENTS = [
@@ -75,12 +118,33 @@ class DeviceServer {
   _areSystemFirmwareAutoupdatesEnabled: boolean;
   _claimCodeManager: ClaimCodeManager;
   _config: DeviceServerConfig;
+  _connectionsLogInterval: ?number = null;
+  _createDTLSSession: ?DTLSSessionFactory;
   _cryptoManager: CryptoManager;
   _deviceAttributeRepository: IDeviceAttributeRepository;
+  _deviceEventQueueConfig: DeviceEventQueueConfig;
+  _deviceKeyPolicy: DeviceKeyPolicy;
+  _deviceRegistry: DeviceRegistry;
   _devicesById: Map<string, Device> = new Map();
   _eventPublisher: EventPublisher;
+  _eventRateLimitConfig: ?EventRateLimitConfig;
+  _eventRateLimiters: ?{
+    device: TokenBucketRateLimiter,
+    owner: TokenBucketRateLimiter,
+  };
+  _firmwareHealthMonitor: FirmwareHealthMonitor;
+  _firmwareRolloutManager: FirmwareRolloutManager;
+  _flashJobQueue: FlashJobQueue;
+  _isOTAResumeEnabled: boolean;
+  _otaLinkController: OTALinkController;
+  _otaTransferStateRepository: IOTATransferStateRepository;
+  _otaPayloadConfig: ?OTAPayloadConfig;
   _productDeviceRepository: IProductDeviceRepository;
   _productFirmwareRepository: IProductFirmwareRepository;
+  _rateLimitedDeviceIDs: Set<string> = new Set();
+  _servers: Array<net$Server | UDPServer> = [];
+  _subscriptionIDs: Array<string> = [];
+  _udpConfig: ?UDPDeviceServerConfig;
 
   constructor(
     deviceAttributeRepository: IDeviceAttributeRepository,
@@ -91,74 +155,209 @@ class DeviceServer {
     eventPublisher: EventPublisher,
     deviceServerConfig: DeviceServerConfig,
     areSystemFirmwareAutoupdatesEnabled: boolean,
+    udpDeviceServerConfig?: ?UDPDeviceServerConfig,
+    createDTLSSession?: ?DTLSSessionFactory,
+    deviceRegistry: DeviceRegistry,
+    deviceEventQueueConfig: DeviceEventQueueConfig,
+    eventRateLimitConfig?: ?EventRateLimitConfig,
+    firmwareRolloutManager: FirmwareRolloutManager,
+    firmwareHealthMonitor: FirmwareHealthMonitor,
+    otaPayloadConfig?: ?OTAPayloadConfig,
+    flashJobQueue: FlashJobQueue,
+    otaLinkController: OTALinkController,
+    deviceKeyPolicy: DeviceKeyPolicy,
+    otaTransferStateRepository: IOTATransferStateRepository,
+    isOTAResumeEnabled?: boolean,
   ) {
     this._areSystemFirmwareAutoupdatesEnabled = areSystemFirmwareAutoupdatesEnabled;
     this._config = deviceServerConfig;
+    this._createDTLSSession = createDTLSSession;
     this._cryptoManager = cryptoManager;
     this._claimCodeManager = claimCodeManager;
     this._deviceAttributeRepository = deviceAttributeRepository;
+    this._deviceEventQueueConfig = deviceEventQueueConfig;
+    this._deviceKeyPolicy = deviceKeyPolicy;
+    this._deviceRegistry = deviceRegistry;
     this._eventPublisher = eventPublisher;
+    this._eventRateLimitConfig = eventRateLimitConfig;
+    this._eventRateLimiters =
+      eventRateLimitConfig && eventRateLimitConfig.ENABLED
+        ? {
+            device: new TokenBucketRateLimiter(eventRateLimitConfig.DEVICE),
+            owner: new TokenBucketRateLimiter(eventRateLimitConfig.OWNER),
+          }
+        : null;
+    this._firmwareHealthMonitor = firmwareHealthMonitor;
+    this._firmwareRolloutManager = firmwareRolloutManager;
+    this._flashJobQueue = flashJobQueue;
+    this._isOTAResumeEnabled = !!isOTAResumeEnabled;
+    this._otaLinkController = otaLinkController;
+    this._otaPayloadConfig = otaPayloadConfig;
+    this._otaTransferStateRepository = otaTransferStateRepository;
     this._productDeviceRepository = productDeviceRepository;
     this._productFirmwareRepository = productFirmwareRepository;
+    this._udpConfig = udpDeviceServerConfig;
   }
 
-  start() {
-    this._eventPublisher.subscribe(
+  // Rejects when the flash jobs or the rollouts can't be loaded
+  start = async (): Promise<void> => {
+    // The jobs left from the last run are failed before any new one is queued
+    this._firmwareRolloutManager.setFlashHandler(this._flashRolloutDevice);
+    await Promise.all([
+      this._firmwareRolloutManager.start(),
+      this._flashJobQueue.start(),
+    ]);
+
+    this._deviceRegistry.on('evict', this._onDeviceEvicted);
+    this._deviceRegistry.start();
+    this._firmwareHealthMonitor.on(
+      FIRMWARE_HEALTH_EVENTS.QUARANTINE,
+      this._onFirmwareQuarantine,
+    );
+    this._firmwareHealthMonitor.on(
+      FIRMWARE_HEALTH_EVENTS.ROLLBACK,
+      this._onFirmwareRollback,
+    );
+
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.CALL_DEVICE_FUNCTION),
-      this._onSparkServerCallDeviceFunctionRequest,
+      this._forDevicesOfThisNode(this._onSparkServerCallDeviceFunctionRequest),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.FLASH_DEVICE),
-      this._onSparkServerFlashDeviceRequest,
+      this._forDevicesOfThisNode(this._onSparkServerFlashDeviceRequest),
+    );
+
+    this._subscribe(
+      getRequestEventName(SPARK_SERVER_EVENTS.CANCEL_FLASH_JOB),
+      this._forDevicesOfThisNode(this._onSparkServerCancelFlashJobRequest),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
+      getRequestEventName(SPARK_SERVER_EVENTS.GET_FLASH_JOBS),
+      this._forDevicesOfThisNode(this._onSparkServerGetFlashJobsRequest),
+    );
+
+    this._subscribe(
+      getRequestEventName(SPARK_SERVER_EVENTS.DISCONNECT_DEVICE),
+      this._forDevicesOfThisNode(this._onSparkServerDisconnectDeviceRequest),
+    );
+
+    this._subscribe(
+      getRequestEventName(SPARK_SERVER_EVENTS.GET_CONNECTIONS),
+      this._onSparkServerGetConnectionsRequest,
+    );
+
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.GET_DEVICE_ATTRIBUTES),
-      this._onSparkServerGetDeviceAttributes,
+      this._forDevicesOfThisNode(this._onSparkServerGetDeviceAttributes),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.GET_DEVICE_VARIABLE_VALUE),
-      this._onSparkServerGetDeviceVariableValueRequest,
+      this._forDevicesOfThisNode(
+        this._onSparkServerGetDeviceVariableValueRequest,
+      ),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.PING_DEVICE),
-      this._onSparkServerPingDeviceRequest,
+      this._forDevicesOfThisNode(this._onSparkServerPingDeviceRequest),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.RAISE_YOUR_HAND),
-      this._onSparkServerRaiseYourHandRequest,
+      this._forDevicesOfThisNode(this._onSparkServerRaiseYourHandRequest),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
       getRequestEventName(SPARK_SERVER_EVENTS.UPDATE_DEVICE_ATTRIBUTES),
-      this._onSparkServerUpdateDeviceAttributesRequest,
+      this._forDevicesOfThisNode(
+        this._onSparkServerUpdateDeviceAttributesRequest,
+      ),
     );
 
-    this._eventPublisher.subscribe(
+    this._subscribe(
       SPARK_SERVER_EVENTS.FLASH_PRODUCT_FIRMWARE,
       this._onFlashProductFirmware,
     );
 
-    const server = net.createServer((socket: Socket): void =>
-      process.nextTick((): Promise<void> =>
-        this._onNewSocketConnection(socket),
-      ),
-    );
+    const servers = [this._startTCPServer()];
+    const udpConfig = this._udpConfig;
+    if (udpConfig && udpConfig.ENABLED) {
+      servers.push(this._startUDPServer(udpConfig));
+    }
 
-    setInterval(
-      (): void =>
-        server.getConnections((error: Error, count: number) => {
+    this._servers = servers;
+    this._connectionsLogInterval = setInterval(
+      (): Promise<void> =>
+        Promise.all(
+          servers.map(
+            (server: net$Server | UDPServer): Promise<number> =>
+              new Promise((resolve: (count: number) => void): void =>
+                server.getConnections((error: ?Error, count: number): void =>
+                  resolve(count || 0),
+                ),
+              ),
+          ),
+        ).then((counts: Array<number>) => {
           logger.info(
-            { devices: this._devicesById.size, sockets: count },
+            {
+              devices: this._devicesById.size,
+              sockets: counts.reduce(
+                (sum: number, count: number): number => sum + count,
+                0,
+              ),
+            },
             'Connected Devices',
           );
         }),
       10000,
     );
+  };
+
+  stop = async (): Promise<void> => {
+    if (this._connectionsLogInterval) {
+      clearInterval(this._connectionsLogInterval);
+      this._connectionsLogInterval = null;
+    }
+
+    this._subscriptionIDs.forEach(this._eventPublisher.unsubscribe);
+    this._subscriptionIDs = [];
+
+    this._deviceRegistry.removeListener('evict', this._onDeviceEvicted);
+    this._deviceRegistry.stop();
+    this._firmwareHealthMonitor.removeListener(
+      FIRMWARE_HEALTH_EVENTS.QUARANTINE,
+      this._onFirmwareQuarantine,
+    );
+    this._firmwareHealthMonitor.removeListener(
+      FIRMWARE_HEALTH_EVENTS.ROLLBACK,
+      this._onFirmwareRollback,
+    );
+    this._firmwareHealthMonitor.stop();
+    this._flashJobQueue.stop();
+    await this._firmwareRolloutManager.stop();
+
+    await Promise.all(
+      this._servers.map(
+        (server: net$Server | UDPServer): Promise<void> =>
+          new Promise((resolve: () => void): mixed => server.close(resolve)),
+      ),
+    );
+    this._servers = [];
+  };
+
+  _startTCPServer = (): net$Server => {
+    const server = net.createServer((socket: Socket): void =>
+      process.nextTick((): Promise<void> =>
+        this._onNewSocketConnection(
+          socket,
+          new Handshake(this._cryptoManager, this._deviceKeyPolicy),
+        ),
+      ),
+    );
 
     server.on('error', (error: Error): void =>
       logger.error({ err: error }, 'something blew up'),
@@ -168,7 +367,48 @@ class DeviceServer {
     server.listen(serverPort, (): void =>
       logger.info({ serverPort }, 'Server started'),
     );
-  }
+
+    return server;
+  };
+
+  _startUDPServer = (udpConfig: UDPDeviceServerConfig): UDPServer => {
+    const createDTLSSession = this._createDTLSSession;
+    if (!createDTLSSession) {
+      throw new Error(
+        'UDP device server requires a DTLS_SESSION_FACTORY, no DTLS ' +
+          'implementation is included',
+      );
+    }
+
+    const server = new UDPServer(
+      createDTLSSession,
+      {
+        ackTimeout: udpConfig.ACK_TIMEOUT,
+        maxRetransmit: udpConfig.MAX_RETRANSMIT,
+      },
+      udpConfig.MAX_SESSIONS,
+    );
+
+    server.on('connection', (session: UDPSession): void =>
+      process.nextTick((): Promise<void> =>
+        this._onNewSocketConnection(
+          session,
+          new UDPHandshake(this._deviceKeyPolicy),
+        ),
+      ),
+    );
+
+    server.on('error', (error: Error): void =>
+      logger.error({ err: error }, 'UDP server blew up'),
+    );
+
+    const serverPort = udpConfig.PORT.toString();
+    server.listen(serverPort, udpConfig.HOST, (): void =>
+      logger.info({ serverPort }, 'UDP Server started'),
+    );
+
+    return server;
+  };
 
   _updateDeviceSystemFirmware = async (device: Device): Promise<void> => {
     await device.hasStatus(DEVICE_STATUS_MAP.READY);
@@ -190,7 +430,16 @@ class DeviceServer {
         false,
       );
 
-      await device.flash(config.systemFile);
+      try {
+        await (await this._queueFlash(
+          deviceID,
+          'system',
+          config.systemFile,
+          config.moduleFunction,
+        )).result;
+      } catch (error) {
+        logger.error({ deviceID, err: error }, 'System firmware update failed');
+      }
     }, 1000);
   };
 
@@ -202,17 +451,33 @@ class DeviceServer {
       device.getDeviceID(),
     );
 
-    await this._flashDevice(productDevice);
+    // The device connects while the flash waits in its queue, a failed flash
+    // doesn't stop it from connecting
+    try {
+      await this._flashDevice(productDevice, false);
+    } catch (error) {
+      logger.error(
+        { deviceID: device.getDeviceID(), err: error },
+        'Product firmware update failed',
+      );
+    }
   };
 
-  _onNewSocketConnection = async (socket: Socket): Promise<void> => {
+  _onNewSocketConnection = async (
+    socket: DeviceSocket,
+    handshake: Handshake | UDPHandshake,
+  ): Promise<void> => {
     try {
       logger.info('New Connection');
       connectionIdCounter += 1;
       const counter = connectionIdCounter;
       const connectionKey = `_${connectionIdCounter}`;
-      const handshake = new Handshake(this._cryptoManager);
-      const device = new Device(socket, connectionKey, handshake);
+      const device = new Device(
+        socket,
+        connectionKey,
+        handshake,
+        this._deviceEventQueueConfig,
+      );
 
       const deviceID = await device.startProtocolInitialization();
 
@@ -231,6 +496,34 @@ class DeviceServer {
             this._onDeviceDisconnect(device),
           );
 
+          device.on(
+            DEVICE_EVENT_NAMES.EVENTS_DROPPED,
+            (droppedEventCount: number) => {
+              const { ownerID } = device.getAttributes();
+              this.publishSpecialEvent(
+                SYSTEM_EVENT_NAMES.EVENTS_DROPPED,
+                droppedEventCount.toString(),
+                deviceID,
+                ownerID,
+                false,
+              );
+            },
+          );
+
+          device.on(
+            DEVICE_EVENT_NAMES.FLASH_PROGRESS,
+            (progress: FlashProgress) => {
+              const { ownerID } = device.getAttributes();
+              this.publishSpecialEvent(
+                SYSTEM_EVENT_NAMES.FLASH_PROGRESS,
+                JSON.stringify(progress),
+                deviceID,
+                ownerID,
+                false,
+              );
+            },
+          );
+
           device.on(
             DEVICE_MESSAGE_EVENTS_NAMES.SUBSCRIBE,
             (packet: CoapPacket): Promise<void> =>
@@ -308,6 +601,7 @@ class DeviceServer {
           }
 
           this._devicesById.set(deviceID, device);
+          this._deviceRegistry.register(deviceID);
 
           const systemInformation = await device.completeProtocolInitialization();
 
@@ -320,7 +614,15 @@ class DeviceServer {
 
           const { uuid: appHash } = appModules;
 
-          await this._checkProductFirmwareForUpdate(device /* appModule*/);
+          // A device failing the health checks of its product firmware is
+          // flashed back rather than updated again
+          const isFirmwareHealthy = this._firmwareHealthMonitor.onDeviceConnect(
+            deviceID,
+            device.getAttributes().productFirmwareVersion,
+          );
+          if (isFirmwareHealthy) {
+            await this._checkProductFirmwareForUpdate(device /* appModule*/);
+          }
 
           const existingAttributes = await this._deviceAttributeRepository.getByID(
             deviceID,
@@ -335,6 +637,7 @@ class DeviceServer {
             name,
             ownerID,
             registrar,
+            serverKeyID,
           } =
             existingAttributes || {};
 
@@ -349,6 +652,8 @@ class DeviceServer {
             name: name || NAME_GENERATOR.choose(),
             ownerID,
             registrar,
+            // Resumed sessions don't always know the key of the handshake
+            serverKeyID: device.getAttributes().serverKeyID || serverKeyID,
           });
 
           device.setStatus(DEVICE_STATUS_MAP.READY);
@@ -404,7 +709,17 @@ class DeviceServer {
     }
 
     this._devicesById.delete(deviceID);
+    this._deviceRegistry.unregister(deviceID);
+    this._rateLimitedDeviceIDs.delete(deviceID);
+    this._firmwareHealthMonitor.onDeviceDisconnect(deviceID);
+    if (this._eventRateLimiters) {
+      this._eventRateLimiters.device.remove(deviceID);
+    }
     this._eventPublisher.unsubscribeBySubscriberID(deviceID);
+    this._cryptoManager.updateCachedSessionCounters(
+      deviceID,
+      device.getCounters(),
+    );
 
     if (device.getStatus() === DEVICE_STATUS_MAP.READY) {
       await this._deviceAttributeRepository.updateByID(deviceID, attributes);
@@ -426,6 +741,20 @@ class DeviceServer {
     );
   };
 
+  // The device reconnected to another node. Its new connection already
+  // published the online status and loaded the attributes so the stale one is
+  // dropped without doing it again.
+  _onDeviceEvicted = (deviceID: string) => {
+    const device = this._devicesById.get(deviceID);
+    if (!device) {
+      return;
+    }
+
+    this._devicesById.delete(deviceID);
+    this._eventPublisher.unsubscribeBySubscriberID(deviceID);
+    device.disconnect('Device reconnected to another node.');
+  };
+
   _onDeviceGetTime = (packet: CoapPacket, device: Device) => {
     const timeStamp = moment()
       .utc()
@@ -463,6 +792,14 @@ class DeviceServer {
       };
       const eventName = eventData.name.toLowerCase();
 
+      // System events are never rate limited
+      if (
+        !eventName.startsWith('spark') &&
+        !this._checkEventRateLimit(device, packet)
+      ) {
+        return;
+      }
+
       let shouldSwallowEvent = false;
 
       // All spark events except special events should be hidden from the
@@ -536,6 +873,7 @@ class DeviceServer {
       }
 
       if (eventName.startsWith(SYSTEM_EVENT_NAMES.LAST_RESET)) {
+        this._firmwareHealthMonitor.onDeviceReset(deviceID);
         this.publishSpecialEvent(
           SYSTEM_EVENT_NAMES.LAST_RESET,
           eventData.data,
@@ -580,6 +918,57 @@ class DeviceServer {
     }
   };
 
+  // Returns false and replies to the device when the event is over the limit
+  // of the device or of its owner.
+  _checkEventRateLimit = (device: Device, packet: CoapPacket): boolean => {
+    const limiters = this._eventRateLimiters;
+    if (!limiters) {
+      return true;
+    }
+
+    const { deviceID, ownerID } = device.getAttributes();
+    // The tokens are only taken once both limits allow the event, an event
+    // rejected by the owner limit doesn't count against the device.
+    let exceededLimit = null;
+    if (!limiters.device.hasToken(deviceID)) {
+      exceededLimit = 'device';
+    } else if (ownerID && !limiters.owner.hasToken(ownerID)) {
+      exceededLimit = 'owner';
+    }
+
+    if (!exceededLimit) {
+      limiters.device.consume(deviceID);
+      if (ownerID) {
+        limiters.owner.consume(ownerID);
+      }
+      this._rateLimitedDeviceIDs.delete(deviceID);
+      return true;
+    }
+
+    device.sendReply(
+      nullthrows(this._eventRateLimitConfig).REJECT_OVER_LIMIT
+        ? 'EventSlowdown'
+        : 'EventAck',
+      packet.messageId,
+    );
+
+    // Only the first event over the limit is reported until the device is
+    // back under it.
+    if (!this._rateLimitedDeviceIDs.has(deviceID)) {
+      this._rateLimitedDeviceIDs.add(deviceID);
+      logger.warn({ deviceID, exceededLimit, ownerID }, 'Device rate limited');
+      this.publishSpecialEvent(
+        SYSTEM_EVENT_NAMES.RATE_LIMITED,
+        exceededLimit,
+        deviceID,
+        ownerID,
+        false,
+      );
+    }
+
+    return false;
+  };
+
   _onDeviceClaimCodeMessage = async (
     packet: CoapPacket,
     device: Device,
@@ -674,6 +1063,31 @@ class DeviceServer {
     });
   };
 
+  // Every node receives the SPARK_SERVER_EVENTS requests, only the node the
+  // device is connected to answers them, or a single node when the device
+  // isn't connected anywhere.
+  _subscribe = (
+    eventNamePrefix: string,
+    eventHandler: (event: ProtocolEvent) => void | Promise<void>,
+  ) => {
+    this._subscriptionIDs.push(
+      this._eventPublisher.subscribe(eventNamePrefix, eventHandler),
+    );
+  };
+
+  _forDevicesOfThisNode = (
+    handler: (event: ProtocolEvent) => Promise<void>,
+  ): ((event: ProtocolEvent) => Promise<void>) => async (
+    event: ProtocolEvent,
+  ): Promise<void> => {
+    const { deviceID } = event.context || {};
+    if (deviceID && !await this._deviceRegistry.isResponsibleNode(deviceID)) {
+      return;
+    }
+
+    await handler(event);
+  };
+
   _onSparkServerCallDeviceFunctionRequest = async (
     event: ProtocolEvent,
   ): Promise<void> => {
@@ -716,7 +1130,7 @@ class DeviceServer {
   _onSparkServerFlashDeviceRequest = async (
     event: ProtocolEvent,
   ): Promise<void> => {
-    const { deviceID, fileBuffer, responseEventName } = nullthrows(
+    const { deviceID, fileBuffer, isAsync, responseEventName } = nullthrows(
       event.context,
     );
     try {
@@ -725,9 +1139,87 @@ class DeviceServer {
         throw new Error('Could not get device for ID');
       }
 
+      await this._validateBinary(device, fileBuffer);
+
+      // The flash may wait behind other jobs and be retried. The reply is the
+      // result of the flash, or the job with isAsync, the caller then follows
+      // it through the FLASH_STATUS events of the device or the
+      // GET_FLASH_JOBS request.
+      const { job, result } = await this._queueFlash(
+        deviceID,
+        'api',
+        fileBuffer,
+      );
+      this._eventPublisher.publish(
+        {
+          context: isAsync
+            ? { jobID: job.id, status: job.status }
+            : await result,
+          name: responseEventName,
+        },
+        {
+          isInternal: true,
+          isPublic: false,
+        },
+      );
+    } catch (error) {
+      this._eventPublisher.publish(
+        {
+          context: { error },
+          name: responseEventName,
+        },
+        {
+          isInternal: true,
+          isPublic: false,
+        },
+      );
+    }
+  };
+
+  _onSparkServerCancelFlashJobRequest = async (
+    event: ProtocolEvent,
+  ): Promise<void> => {
+    const { deviceID, jobID, responseEventName } = nullthrows(event.context);
+    try {
+      // The request carries the device ID so only the node of the device
+      // answers
+      const job = await this._flashJobQueue.getJob(jobID);
+      if (!job || job.deviceID !== deviceID) {
+        throw new Error(`Flash job ${jobID} not found`);
+      }
+
+      this._eventPublisher.publish(
+        {
+          context: await this._flashJobQueue.cancel(jobID),
+          name: responseEventName,
+        },
+        {
+          isInternal: true,
+          isPublic: false,
+        },
+      );
+    } catch (error) {
+      this._eventPublisher.publish(
+        {
+          context: { error },
+          name: responseEventName,
+        },
+        {
+          isInternal: true,
+          isPublic: false,
+        },
+      );
+    }
+  };
+
+  _onSparkServerGetFlashJobsRequest = async (
+    event: ProtocolEvent,
+  ): Promise<void> => {
+    const { deviceID, responseEventName } = nullthrows(event.context);
+    try {
       this._eventPublisher.publish(
         {
-          context: await device.flash(fileBuffer),
+          context: { jobs: await this._flashJobQueue.getJobs(deviceID) },
           name: responseEventName,
         },
         {
@@ -749,6 +1241,51 @@ class DeviceServer {
     }
   };
 
+  _onSparkServerDisconnectDeviceRequest = async (
+    event: ProtocolEvent,
+  ): Promise<void> => {
+    const { deviceID, reason, responseEventName } = nullthrows(event.context);
+
+    this._eventPublisher.publish(
+      {
+        context: { disconnected: this.disconnectDevice(deviceID, reason) },
+        name: responseEventName,
+      },
+      {
+        isInternal: true,
+        isPublic: false,
+      },
+    );
+  };
+
+  // Every node answers with its own connections and
+  // publishAndListenForResponse resolves with the first answer. The answer
+  // lists the nodeIDs of every node so, when running several nodes, the
+  // connections of each one are requested by passing its nodeID.
+  _onSparkServerGetConnectionsRequest = async (
+    event: ProtocolEvent,
+  ): Promise<void> => {
+    const { nodeID, responseEventName } = nullthrows(event.context);
+    if (nodeID && nodeID !== this._deviceRegistry.getNodeID()) {
+      return;
+    }
+
+    this._eventPublisher.publish(
+      {
+        context: {
+          connections: this.getConnections(),
+          nodeID: this._deviceRegistry.getNodeID(),
+          nodeIDs: this._deviceRegistry.getNodeIDs(),
+        },
+        name: responseEventName,
+      },
+      {
+        isInternal: true,
+        isPublic: false,
+      },
+    );
+  };
+
   _onSparkServerGetDeviceAttributes = async (
     event: ProtocolEvent,
   ): Promise<void> => {
@@ -946,9 +1483,19 @@ class DeviceServer {
       return;
     }
 
+    // The rollout of the product flashes the devices stage by stage
+    if (this._firmwareRolloutManager.hasActiveRollout(productID)) {
+      logger.info(
+        { productID },
+        'Product firmware is flashed by the active rollout',
+      );
+      return;
+    }
+
     // NOTE - In a giant system, this is probably a bad idea but
     // we can worry about scaling this later. It will also be
     // inefficient if there is any horizontal scaling :/
+    // FirmwareRolloutManager flashes large fleets in stages instead.
     const productDevices = await this._productDeviceRepository.getAllByProductID(
       productID,
       0,
@@ -963,36 +1510,85 @@ class DeviceServer {
       const productDevice = productDevices.pop();
       await new Promise((resolve: () => void) => {
         setImmediate(async (): Promise<void> => {
-          await this._flashDevice(productDevice);
+          try {
+            await this._flashDevice(productDevice);
+          } catch (error) {
+            logger.error(
+              { deviceID: productDevice.deviceID, err: error },
+              'Product firmware update failed',
+            );
+          }
           resolve();
         });
       });
     }
   };
 
-  _flashDevice = async (productDevice: ?ProductDevice): Promise<void> => {
+  // Returns null when the device isn't connected to this node or can't be
+  // flashed yet
+  _flashRolloutDevice = async (
+    productDevice: ProductDevice,
+    firmwareVersion: number,
+  ): Promise<?boolean> => {
+    const device = this._devicesById.get(productDevice.deviceID);
+    if (!device || device.getStatus() !== DEVICE_STATUS_MAP.READY) {
+      return null;
+    }
+
+    if (device.getAttributes().productFirmwareVersion === firmwareVersion) {
+      return true;
+    }
+
+    if (
+      device.isFlashing() ||
+      this._flashJobQueue.hasActiveJob(productDevice.deviceID)
+    ) {
+      return null;
+    }
+
+    try {
+      return await this._flashDevice(productDevice);
+    } catch (error) {
+      logger.error(
+        { deviceID: productDevice.deviceID, err: error },
+        'Rollout flash failed',
+      );
+      return false;
+    }
+  };
+
+  // Resolves true when the device was flashed, or once the flash is queued
+  // without shouldWaitForFlash, false when the product firmware can't be
+  // flashed to the device and null when there is nothing to flash.
+  _flashDevice = async (
+    productDevice: ?ProductDevice,
+    shouldWaitForFlash: boolean = true,
+  ): Promise<?boolean> => {
     if (
       !productDevice ||
       productDevice.denied ||
       productDevice.development ||
       productDevice.quarantined
     ) {
-      return;
+      return null;
     }
 
     const device = this._devicesById.get(productDevice.deviceID);
     if (!device) {
-      return;
+      return null;
     }
 
-    if (device.isFlashing()) {
+    if (
+      device.isFlashing() ||
+      this._flashJobQueue.hasActiveJob(productDevice.deviceID)
+    ) {
       logger.info(
         {
           productDevice,
         },
         'Device already flashing',
       );
-      return;
+      return null;
     }
 
     let productFirmware = null;
@@ -1006,14 +1602,22 @@ class DeviceServer {
       particleProductId === productDevice.productID &&
       lockedFirmwareVersion === productFirmwareVersion
     ) {
-      return;
+      return null;
     }
 
+    const rolloutFirmwareVersion = this._firmwareRolloutManager.getFirmwareVersionForDevice(
+      productDevice,
+    );
     if (lockedFirmwareVersion !== null) {
       productFirmware = await this._productFirmwareRepository.getByVersionForProduct(
         productDevice.productID,
         nullthrows(lockedFirmwareVersion),
       );
+    } else if (rolloutFirmwareVersion !== null) {
+      productFirmware = await this._productFirmwareRepository.getByVersionForProduct(
+        productDevice.productID,
+        nullthrows(rolloutFirmwareVersion),
+      );
     } else {
       productFirmware = await this._productFirmwareRepository.getCurrentForProduct(
         productDevice.productID,
@@ -1021,7 +1625,7 @@ class DeviceServer {
     }
 
     if (!productFirmware) {
-      return;
+      return null;
     }
 
     // TODO - check appHash as well.  We should be saving this alongside the firmware
@@ -1029,7 +1633,7 @@ class DeviceServer {
       productFirmware.product_id === particleProductId &&
       productFirmware.version === productFirmwareVersion
     ) {
-      return;
+      return null;
     }
 
     const systemInformation = device.getSystemInformation();
@@ -1038,32 +1642,249 @@ class DeviceServer {
     );
 
     if (isMissingDependency) {
-      return;
+      return null;
+    }
+
+    // Checked before queueing, a firmware the device refuses is reported
+    // instead of failing the flash on every reconnect
+    try {
+      await this._validateBinary(
+        device,
+        productFirmware.data,
+        MODULE_FUNCTIONS.USER_PART,
+      );
+    } catch (error) {
+      logger.warn(
+        {
+          deviceID: productDevice.deviceID,
+          err: error,
+          firmwareVersion: productFirmware.version,
+          productID: productDevice.productID,
+        },
+        'Product firmware rejected',
+      );
+      this.publishSpecialEvent(
+        SYSTEM_EVENT_NAMES.FIRMWARE_REJECTED,
+        error.message,
+        productDevice.deviceID,
+        device.getAttributes().ownerID,
+        false,
+      );
+      return false;
     }
 
-    await device.flash(productFirmware.data);
     const oldProductFirmware = await this._productFirmwareRepository.getByVersionForProduct(
       productDevice.productID,
       productFirmwareVersion,
     );
+    const { result } = await this._queueFlash(
+      productDevice.deviceID,
+      'product',
+      productFirmware.data,
+      MODULE_FUNCTIONS.USER_PART,
+    );
+    const { deviceID, productID } = productDevice;
+    const newProductFirmware = productFirmware;
+    const flashed = result.then(async (): Promise<boolean> => {
+      // The previous firmware is what the device is flashed back to when the
+      // new one fails the health checks.
+      if (oldProductFirmware) {
+        this._firmwareHealthMonitor.watch({
+          deviceID,
+          firmwareVersion: newProductFirmware.version,
+          previousFirmwareVersion: oldProductFirmware.version,
+          productID,
+        });
+      }
 
-    // Update the number of devices on the firmware versions
-    if (oldProductFirmware) {
-      oldProductFirmware.device_count -= 1;
-      await this._productFirmwareRepository.updateByID(
-        oldProductFirmware.id,
+      await this._updateProductFirmwareDeviceCounts(
         oldProductFirmware,
+        newProductFirmware,
       );
+
+      return true;
+    });
+    if (shouldWaitForFlash) {
+      return flashed;
+    }
+
+    flashed.catch((error: Error) => {
+      logger.error(
+        { deviceID, err: error },
+        'Product firmware update failed',
+      );
+    });
+    return true;
+  };
+
+  _onFirmwareQuarantine = async ({
+    deviceID,
+    reason,
+  }: FirmwareRollback): Promise<void> => {
+    try {
+      const productDevice = await this._productDeviceRepository.getFromDeviceID(
+        deviceID,
+      );
+      if (productDevice) {
+        await this._productDeviceRepository.updateByID(productDevice.id, {
+          ...productDevice,
+          quarantined: true,
+        });
+      }
+
+      const attributes = await this._deviceAttributeRepository.getByID(
+        deviceID,
+      );
+      this.publishSpecialEvent(
+        SYSTEM_EVENT_NAMES.FIRMWARE_QUARANTINED,
+        reason,
+        deviceID,
+        attributes && attributes.ownerID,
+        false,
+      );
+    } catch (error) {
+      logger.error({ deviceID, err: error }, 'Quarantine failed');
     }
-    productFirmware.device_count += 1;
-    await this._productFirmwareRepository.updateByID(
-      productFirmware.id,
-      productFirmware,
-    );
+  };
+
+  _onFirmwareRollback = async ({
+    deviceID,
+    firmwareVersion,
+    previousFirmwareVersion,
+    productID,
+  }: FirmwareRollback): Promise<void> => {
+    if (!this._devicesById.has(deviceID)) {
+      return;
+    }
+
+    try {
+      const previousProductFirmware = await this._productFirmwareRepository.getByVersionForProduct(
+        productID,
+        previousFirmwareVersion,
+      );
+      if (!previousProductFirmware) {
+        logger.error(
+          { deviceID, previousFirmwareVersion, productID },
+          'Previous product firmware not found for rollback',
+        );
+        return;
+      }
+
+      logger.warn(
+        { deviceID, firmwareVersion, previousFirmwareVersion },
+        'Rolling back product firmware',
+      );
+      const productFirmware = await this._productFirmwareRepository.getByVersionForProduct(
+        productID,
+        firmwareVersion,
+      );
+      await (await this._queueFlash(
+        deviceID,
+        'rollback',
+        previousProductFirmware.data,
+        MODULE_FUNCTIONS.USER_PART,
+      )).result;
+      await this._updateProductFirmwareDeviceCounts(
+        productFirmware,
+        previousProductFirmware,
+      );
+    } catch (error) {
+      logger.error({ deviceID, err: error }, 'Firmware rollback failed');
+    }
+  };
+
+  // Each attempt of the job flashes the device connected at that time, the
+  // binary is validated again as the device may have been updated meanwhile.
+  _queueFlash = (
+    deviceID: string,
+    source: FlashJobSource,
+    binary: ?Buffer,
+    moduleFunction?: number,
+  ): Promise<FlashJobHandle> =>
+    this._flashJobQueue.enqueue(deviceID, source, async (): Promise<Object> => {
+      const device = this._devicesById.get(deviceID);
+      if (!device) {
+        throw createPermanentFlashError('Device is not connected');
+      }
+
+      try {
+        await this._validateBinary(device, binary, moduleFunction);
+      } catch (error) {
+        throw createPermanentFlashError(error.message);
+      }
+      return device.flash(
+        OTAPayload.getPayload(
+          nullthrows(binary),
+          device.getSystemInformation(),
+          this._otaPayloadConfig,
+        ),
+        FileTransferStore.FIRMWARE,
+        '0x0',
+        this._getOTAOptions(),
+      );
+    });
+
+  _getOTAOptions = (): OTAOptions => ({
+    linkController: this._otaLinkController,
+    transferStateRepository: this._isOTAResumeEnabled
+      ? this._otaTransferStateRepository
+      : null,
+  });
+
+  // Rejects binaries the device would refuse, e.g. built for another platform
+  // or depending on system firmware which the server can't install.
+  _validateBinary = async (
+    device: Device,
+    binary: ?Buffer,
+    moduleFunction?: ?number,
+  ): Promise<void> => {
+    await FirmwareValidator.validate(binary, device.getSystemInformation(), {
+      isDependencyAvailable: this._areSystemFirmwareAutoupdatesEnabled
+        ? FirmwareManager.isModuleAvailable
+        : null,
+      moduleFunction,
+    });
+  };
+
+  // Update the number of devices on the firmware versions
+  _updateProductFirmwareDeviceCounts = async (
+    oldProductFirmware: ?ProductFirmware,
+    productFirmware: ProductFirmware,
+  ): Promise<void> => {
+    if (oldProductFirmware) {
+      await this._productFirmwareRepository.updateByID(oldProductFirmware.id, {
+        ...oldProductFirmware,
+        device_count: oldProductFirmware.device_count - 1,
+      });
+    }
+    await this._productFirmwareRepository.updateByID(productFirmware.id, {
+      ...productFirmware,
+      device_count: productFirmware.device_count + 1,
+    });
   };
 
   getDevice = (deviceID: string): ?Device => this._devicesById.get(deviceID);
 
+  getConnections = (): Array<DeviceConnectionInfo> =>
+    Array.from(this._devicesById.values()).map(
+      (device: Device): DeviceConnectionInfo => device.getConnectionInfo(),
+    );
+
+  // Returns false when the device isn't connected to this node
+  disconnectDevice = (
+    deviceID: string,
+    reason?: ?string = 'Disconnected by the server.',
+  ): boolean => {
+    const device = this._devicesById.get(deviceID);
+    if (!device) {
+      return false;
+    }
+
+    logger.warn({ deviceID, reason }, 'Forcing device disconnect');
+    device.disconnect(reason);
+    return true;
+  };
+
   publishSpecialEvent = (
     eventName: string,
     data?: string,
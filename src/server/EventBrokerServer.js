@@ -0,0 +1,154 @@
+// @flow
+
+import type { EventBrokerMessage } from '../lib/EventBrokerProtocol';
+import type { ProtocolEvent } from '../types';
+
+import net from 'net';
+import { createMessageParser, encodeMessage } from '../lib/EventBrokerProtocol';
+import { isMatchingEventName } from '../lib/TopicTrie';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+type Connection = {
+  eventNamePrefixes: Set<string>,
+  id: number,
+  socket: net.Socket,
+};
+
+/**
+ * Reference broker for EventBrokerAdapter. It keeps everything in memory and
+ * forwards each published event to every connected adapter subscribed to a
+ * matching prefix, including the one which published it.
+ *
+ * It can listen on a TCP port or on a local (unix domain) socket:
+ * new EventBrokerServer().listen('/tmp/spark-events.sock')
+ */
+class EventBrokerServer {
+  _connectionID: number = 0;
+  _connections: Map<number, Connection> = new Map();
+  _server: ?net$Server = null;
+
+  address = (): ?(string | { address: string, family: string, port: number }) =>
+    this._server ? this._server.address() : null;
+
+  close = (callback?: () => void) => {
+    this._connections.forEach((connection: Connection): void =>
+      connection.socket.destroy(),
+    );
+    this._connections.clear();
+
+    const server = this._server;
+    this._server = null;
+    if (!server) {
+      if (callback) {
+        callback();
+      }
+      return;
+    }
+
+    server.close(callback);
+  };
+
+  getConnectionCount = (): number => this._connections.size;
+
+  listen = (
+    pathOrPort: number | string,
+    host?: ?string,
+    callback?: () => void,
+  ) => {
+    const server = net.createServer(this._onConnection);
+    this._server = server;
+
+    server.on('error', (error: Error): void =>
+      logger.error({ err: error }, 'Event broker error'),
+    );
+
+    if (typeof pathOrPort === 'string' && isNaN(pathOrPort)) {
+      server.listen(pathOrPort, callback);
+    } else {
+      server.listen(Number(pathOrPort), host || undefined, callback);
+    }
+  };
+
+  _onConnection = (socket: net.Socket) => {
+    this._connectionID += 1;
+    const connection = {
+      eventNamePrefixes: new Set(),
+      id: this._connectionID,
+      socket,
+    };
+    this._connections.set(connection.id, connection);
+
+    socket.setNoDelay(true);
+    socket.on(
+      'data',
+      createMessageParser(
+        (message: EventBrokerMessage): void =>
+          this._onMessage(connection, message),
+        (error: Error): void =>
+          logger.error(
+            { connectionID: connection.id, err: error },
+            'Invalid event broker message',
+          ),
+      ),
+    );
+    socket.on('error', (error: Error): void =>
+      logger.warn(
+        { connectionID: connection.id, err: error },
+        'Event broker connection error',
+      ),
+    );
+    socket.on('close', (): boolean => this._connections.delete(connection.id));
+
+    logger.info({ connectionID: connection.id }, 'Event broker connection');
+  };
+
+  _onMessage = (connection: Connection, message: EventBrokerMessage) => {
+    switch (message.type) {
+      case 'subscribe': {
+        connection.eventNamePrefixes.add(message.eventNamePrefix);
+        break;
+      }
+
+      case 'unsubscribe': {
+        connection.eventNamePrefixes.delete(message.eventNamePrefix);
+        break;
+      }
+
+      case 'publish': {
+        this._forwardEvent(message.event);
+        break;
+      }
+
+      default: {
+        logger.warn(
+          { connectionID: connection.id, message },
+          'Unknown event broker message',
+        );
+      }
+    }
+  };
+
+  _forwardEvent = (event: ProtocolEvent) => {
+    const eventName = event.name;
+    if (!eventName) {
+      logger.warn({ event }, 'Event broker event without a name');
+      return;
+    }
+
+    const data = encodeMessage({ event, type: 'event' });
+
+    this._connections.forEach((connection: Connection) => {
+      const isSubscribed = Array.from(connection.eventNamePrefixes).some(
+        (eventNamePrefix: string): boolean =>
+          isMatchingEventName(eventNamePrefix, eventName),
+      );
+
+      if (isSubscribed && !connection.socket.destroyed) {
+        connection.socket.write(data);
+      }
+    });
+  };
+}
+
+export default EventBrokerServer;
@@ -0,0 +1,145 @@
+// @flow
+
+import type { IServerKeySigner } from '../types';
+import type { ServerKeyServiceRequest } from '../lib/ServerKeyServiceProtocol';
+
+import net from 'net';
+import {
+  createMessageParser,
+  encodeMessage,
+  RSA_PKCS_MECHANISM,
+} from '../lib/ServerKeyServiceProtocol';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+// Leaves the read and write permissions of the owner, 0600
+const SOCKET_UMASK = 0o177;
+
+/**
+ * Stub of an HSM for SocketServerKeySigner, run in its own process so the
+ * server private keys stay out of the DeviceServer. It answers the requests
+ * with the signer it is given, usually a LocalServerKeySigner:
+ * new ServerKeyService(signer).listen('/var/run/spark-keys.sock')
+ */
+class ServerKeyService {
+  _server: ?net$Server = null;
+  _serverKeySigner: IServerKeySigner;
+  _sockets: Set<net.Socket> = new Set();
+
+  constructor(serverKeySigner: IServerKeySigner) {
+    this._serverKeySigner = serverKeySigner;
+  }
+
+  close = (callback?: () => void) => {
+    this._sockets.forEach((socket: net.Socket): void => socket.destroy());
+    this._sockets.clear();
+
+    const server = this._server;
+    this._server = null;
+    if (!server) {
+      if (callback) {
+        callback();
+      }
+      return;
+    }
+
+    server.close(callback);
+  };
+
+  // Anyone who can connect can use the keys so the socket is only opened to
+  // the user running the service. The socket is created with these
+  // permissions by the umask, changing them after listen would leave it open
+  // until then. listen binds the socket synchronously, so the umask of the
+  // process is only changed for the call.
+  listen = (socketPath: string, callback?: () => void) => {
+    const server = net.createServer(this._onConnection);
+    this._server = server;
+
+    server.on('error', (error: Error): void =>
+      logger.error({ err: error }, 'Server key service error'),
+    );
+    const previousUmask = process.umask(SOCKET_UMASK);
+    try {
+      server.listen(socketPath, callback);
+    } finally {
+      process.umask(previousUmask);
+    }
+  };
+
+  _onConnection = (socket: net.Socket) => {
+    this._sockets.add(socket);
+
+    socket.on(
+      'data',
+      createMessageParser(
+        (request: ServerKeyServiceRequest) => {
+          this._onRequest(socket, request);
+        },
+        (error: Error): void =>
+          logger.error({ err: error }, 'Invalid server key service message'),
+      ),
+    );
+    socket.on('error', (error: Error): void =>
+      logger.warn({ err: error }, 'Server key service connection error'),
+    );
+    socket.on('close', (): boolean => this._sockets.delete(socket));
+  };
+
+  _onRequest = async (
+    socket: net.Socket,
+    request: ServerKeyServiceRequest,
+  ): Promise<void> => {
+    let response = null;
+    try {
+      response = { id: request.id, result: await this._runRequest(request) };
+    } catch (error) {
+      response = { error: error.message, id: request.id };
+    }
+
+    // The DeviceServer may have closed the connection meanwhile
+    if (socket.writable) {
+      socket.write(encodeMessage(response));
+    }
+  };
+
+  _runRequest = async (request: ServerKeyServiceRequest): Promise<mixed> => {
+    switch (request.operation) {
+      case 'decrypt': {
+        this._verifyMechanism(request.mechanism);
+        const decryption = await this._serverKeySigner.decrypt(
+          Buffer.from(request.data, 'base64'),
+          request.expectedPrefix
+            ? Buffer.from(request.expectedPrefix, 'base64')
+            : null,
+        );
+        return decryption
+          ? { ...decryption, data: decryption.data.toString('base64') }
+          : null;
+      }
+
+      case 'getServerKeys': {
+        return this._serverKeySigner.getServerKeys();
+      }
+
+      case 'sign': {
+        this._verifyMechanism(request.mechanism);
+        return (await this._serverKeySigner.sign(
+          Buffer.from(request.data, 'base64'),
+          request.serverKeyID,
+        )).toString('base64');
+      }
+
+      default: {
+        throw new Error(`Unknown operation ${request.operation}`);
+      }
+    }
+  };
+
+  _verifyMechanism = (mechanism: string) => {
+    if (mechanism !== RSA_PKCS_MECHANISM) {
+      throw new Error(`Unsupported mechanism ${mechanism}`);
+    }
+  };
+}
+
+export default ServerKeyService;
@@ -0,0 +1,160 @@
+// @flow
+
+import type { DTLSSessionFactory } from '../types';
+import type { CoapReliabilityOptions } from '../lib/CoapReliability';
+
+import dgram from 'dgram';
+import EventEmitter from 'events';
+import UDPSession from './UDPSession';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+const DEFAULT_MAX_SESSIONS = 10000;
+
+/**
+ * Listens for datagrams and keeps one UDPSession per peer address.
+ * Like net.Server, it emits 'connection' with the session whenever a new peer
+ * shows up so the DeviceServer can handle both transports the same way.
+ */
+class UDPServer extends EventEmitter {
+  _createDTLSSession: DTLSSessionFactory;
+  _maxSessions: number;
+  _reliabilityOptions: ?CoapReliabilityOptions;
+  _sessionsByPeer: Map<string, UDPSession> = new Map();
+  _socket: ?dgram$Socket = null;
+
+  // Any peer can send a datagram so the sessions are capped, the datagrams of
+  // new peers are dropped past maxSessions.
+  constructor(
+    createDTLSSession: DTLSSessionFactory,
+    reliabilityOptions?: ?CoapReliabilityOptions,
+    maxSessions?: ?number,
+  ) {
+    super();
+
+    this._createDTLSSession = createDTLSSession;
+    this._maxSessions = maxSessions || DEFAULT_MAX_SESSIONS;
+    this._reliabilityOptions = reliabilityOptions;
+  }
+
+  address = (): ?{ address: string, family: string, port: number } =>
+    this._socket ? this._socket.address() : null;
+
+  close = (callback?: () => void) => {
+    this._sessionsByPeer.forEach((session: UDPSession): void =>
+      session.destroy(),
+    );
+    this._sessionsByPeer.clear();
+
+    const socket = this._socket;
+    this._socket = null;
+    if (!socket) {
+      if (callback) {
+        callback();
+      }
+      return;
+    }
+
+    if (callback) {
+      socket.once('close', callback);
+    }
+    socket.close();
+  };
+
+  getConnections = (callback: (error: ?Error, count: number) => void) => {
+    callback(null, this._sessionsByPeer.size);
+  };
+
+  getSession = (remoteAddress: string, remotePort: number): ?UDPSession =>
+    this._sessionsByPeer.get(`${remoteAddress}:${remotePort}`);
+
+  listen = (port: number | string, host?: ?string, callback?: () => void) => {
+    const socket = dgram.createSocket('udp4');
+    this._socket = socket;
+
+    socket.on('error', (error: Error): boolean => this.emit('error', error));
+    socket.on('message', this._onMessage);
+    socket.bind(Number(port), host || undefined, callback);
+  };
+
+  _onMessage = (
+    datagram: Buffer,
+    remoteInfo: { address: string, port: number },
+  ) => {
+    const { address, port } = remoteInfo;
+    const peerKey = `${address}:${port}`;
+    let session = this._sessionsByPeer.get(peerKey);
+
+    if (!session) {
+      const newSession = this._createSession(address, port);
+      if (!newSession) {
+        return;
+      }
+
+      session = newSession;
+      this._sessionsByPeer.set(peerKey, newSession);
+      // The session already logs DTLS errors, the device is disconnected
+      // when its session closes.
+      newSession.on('error', (): void => newSession.destroy());
+      newSession.once('close', () => {
+        if (this._sessionsByPeer.get(peerKey) === newSession) {
+          this._sessionsByPeer.delete(peerKey);
+        }
+      });
+
+      logger.info({ remoteAddress: peerKey }, 'New UDP session');
+      this.emit('connection', newSession);
+    }
+
+    session.receive(datagram);
+  };
+
+  _createSession = (address: string, port: number): ?UDPSession => {
+    const remoteAddress = `${address}:${port}`;
+    if (this._sessionsByPeer.size >= this._maxSessions) {
+      logger.warn(
+        { maxSessions: this._maxSessions, remoteAddress },
+        'Too many UDP sessions, dropping datagram',
+      );
+      return null;
+    }
+
+    let dtlsSession = null;
+    try {
+      dtlsSession = this._createDTLSSession(address, port);
+    } catch (error) {
+      logger.error(
+        { err: error, remoteAddress },
+        'Could not create DTLS session',
+      );
+      return null;
+    }
+
+    return new UDPSession({
+      dtlsSession,
+      reliabilityOptions: this._reliabilityOptions || undefined,
+      remoteAddress: address,
+      remotePort: port,
+      sendDatagram: (message: Buffer): void =>
+        this._send(message, port, address),
+    });
+  };
+
+  _send = (message: Buffer, port: number, address: string) => {
+    const socket = this._socket;
+    if (!socket) {
+      return;
+    }
+
+    socket.send(message, 0, message.length, port, address, (error: ?Error) => {
+      if (error) {
+        logger.error(
+          { err: error, remoteAddress: `${address}:${port}` },
+          'Error sending datagram',
+        );
+      }
+    });
+  };
+}
+
+export default UDPServer;
@@ -0,0 +1,188 @@
+// @flow
+
+import type { DTLSSession } from '../types';
+import type { CoapReliabilityOptions } from '../lib/CoapReliability';
+
+import { Duplex } from 'stream';
+import CoapReliability from '../lib/CoapReliability';
+import Logger from '../lib/logger';
+const logger = Logger.createModuleLogger(module);
+
+type UDPSessionOptions = {
+  dtlsSession: DTLSSession,
+  reliabilityOptions?: CoapReliabilityOptions,
+  remoteAddress: string,
+  remotePort: number,
+  sendDatagram: (datagram: Buffer) => void,
+};
+
+export type SecureSessionInfo = {
+  deviceID: string,
+  publicKeyPem: ?string,
+};
+
+/**
+ * A single peer talking to the UDP server. It behaves close enough to a
+ * net.Socket for Device to use it: one CoAP message is read or written per
+ * chunk, DTLS records are handled by the DTLSSession and the CoAP confirmable
+ * message semantics by CoapReliability.
+ */
+class UDPSession extends Duplex {
+  _dtlsSession: DTLSSession;
+  _isClosed: boolean = false;
+  _reliability: CoapReliability;
+  _secureSessionInfo: ?SecureSessionInfo = null;
+  _sendDatagram: (datagram: Buffer) => void;
+  _timeout: number = 0;
+  _timeoutHandle: ?number = null;
+  remoteAddress: string;
+  remotePort: number;
+
+  constructor(options: UDPSessionOptions) {
+    super({ objectMode: true });
+
+    this.remoteAddress = options.remoteAddress;
+    this.remotePort = options.remotePort;
+    this._sendDatagram = options.sendDatagram;
+    this._dtlsSession = options.dtlsSession;
+    this._reliability = new CoapReliability(
+      (message: Buffer): void => this._dtlsSession.send(message),
+      this._onRetransmitTimeout,
+      options.reliabilityOptions,
+    );
+
+    this._dtlsSession.on('datagram', this._onDTLSDatagram);
+    this._dtlsSession.on('error', this._onDTLSError);
+    this._dtlsSession.on('handshake', this._onDTLSHandshake);
+    this._dtlsSession.on('message', this._onDTLSMessage);
+  }
+
+  getKey = (): string => `${this.remoteAddress}:${this.remotePort}`;
+
+  getSecureSessionInfo = (): ?SecureSessionInfo => this._secureSessionInfo;
+
+  isClosed = (): boolean => this._isClosed;
+
+  receive = (datagram: Buffer) => {
+    if (this._isClosed) {
+      return;
+    }
+
+    this._resetTimeout();
+    try {
+      this._dtlsSession.receive(datagram);
+    } catch (error) {
+      this._onDTLSError(error);
+    }
+  };
+
+  // net.Socket compatibility, the flow lib of stream.Duplex doesn't declare
+  // destroy
+  destroy(error?: Error) {
+    (Duplex.prototype: any).destroy.call(this, error);
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  setKeepAlive = (enable?: boolean, initialDelay?: number) => {};
+
+  // eslint-disable-next-line no-unused-vars
+  setNoDelay = (noDelay?: boolean) => {};
+
+  setTimeout = (timeout: number) => {
+    this._timeout = timeout;
+    this._resetTimeout();
+  };
+
+  _destroy = (error: ?Error, callback: (error: ?Error) => void) => {
+    this._isClosed = true;
+
+    if (this._timeoutHandle) {
+      clearTimeout(this._timeoutHandle);
+      this._timeoutHandle = null;
+    }
+
+    this._reliability.destroy();
+    this._dtlsSession.removeListener('datagram', this._onDTLSDatagram);
+    this._dtlsSession.removeListener('error', this._onDTLSError);
+    this._dtlsSession.removeListener('handshake', this._onDTLSHandshake);
+    this._dtlsSession.removeListener('message', this._onDTLSMessage);
+    try {
+      this._dtlsSession.close();
+    } catch (closeError) {
+      logger.error({ err: closeError }, 'Error closing DTLS session');
+    }
+
+    callback(error);
+  };
+
+  _read = () => {};
+
+  _write = (
+    chunk: Buffer | string,
+    encoding: string,
+    callback: (error?: Error) => void,
+  ): boolean => {
+    if (!this._isClosed) {
+      const message = Buffer.isBuffer(chunk)
+        ? ((chunk: any): Buffer)
+        : new Buffer(chunk);
+      this._reliability.handleOutgoing(message);
+    }
+
+    callback();
+    return true;
+  };
+
+  _onDTLSDatagram = (datagram: Buffer) => {
+    if (this._isClosed) {
+      return;
+    }
+
+    this._sendDatagram(datagram);
+  };
+
+  _onDTLSError = (error: Error) => {
+    logger.error(
+      { err: error, remoteAddress: this.getKey() },
+      'DTLS session error',
+    );
+    this.emit('error', error);
+  };
+
+  _onDTLSHandshake = (secureSessionInfo: SecureSessionInfo) => {
+    this._secureSessionInfo = secureSessionInfo;
+    this.emit('secure', secureSessionInfo);
+  };
+
+  _onDTLSMessage = (message: Buffer) => {
+    if (this._reliability.handleIncoming(message)) {
+      this.push(message);
+    }
+  };
+
+  _onRetransmitTimeout = (messageID: number) => {
+    logger.warn(
+      { messageID, remoteAddress: this.getKey() },
+      'Confirmable message was never acknowledged',
+    );
+    this.emit('timeout');
+  };
+
+  _resetTimeout = () => {
+    if (this._timeoutHandle) {
+      clearTimeout(this._timeoutHandle);
+      this._timeoutHandle = null;
+    }
+
+    if (!this._timeout || this._isClosed) {
+      return;
+    }
+
+    this._timeoutHandle = setTimeout(
+      (): boolean => this.emit('timeout'),
+      this._timeout,
+    );
+  };
+}
+
+export default UDPSession;
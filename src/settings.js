@@ -25,14 +25,127 @@ export default {
   BINARIES_DIRECTORY: path.join(process.cwd(), 'data/binaries'),
   DEFAULT_EVENT_TTL: 60,
   DEVICE_DIRECTORY: path.join(process.cwd(), 'data/deviceKeys'),
+  DEVICE_KEY_AUDIT_DIRECTORY: path.join(process.cwd(), 'data/deviceKeyAudit'),
+  // Devices without a stored public key are rejected in 'strict' mode. In
+  // 'tofu' mode the key they present is stored, in 'allowlist' mode only for
+  // the device IDs matching ALLOWLIST (* matches any characters).
+  DEVICE_KEY_PROVISIONING_CONFIG: {
+    ALLOWLIST: ([]: Array<string>),
+    MODE: ('strict': 'allowlist' | 'strict' | 'tofu'),
+  },
+  // Events waiting to be sent to a slow device. When the queue is full the
+  // DROP_POLICY decides which event is dropped: 'oldest' or 'newest'.
+  // 'coalesce' also keeps a single queued event per event name.
+  DEVICE_EVENT_QUEUE_CONFIG: {
+    DROP_POLICY: ('oldest': 'coalesce' | 'newest' | 'oldest'),
+    MAX_SIZE: 100,
+  },
+  DEVICE_REGISTRY_CONFIG: {
+    HEARTBEAT_INTERVAL: 10000, // 10 seconds
+    NODE_ID: (null: ?string), // generated on start when not set
+    NODE_TIMEOUT: 30000, // 30 seconds
+    OWNER_GRACE_PERIOD: 2000, // 2 seconds
+  },
+  // Token buckets limiting the events published by each device and by all the
+  // devices of an owner. Events over the limit are rejected with an
+  // EventSlowdown reply or dropped silently when REJECT_OVER_LIMIT is false.
+  EVENT_RATE_LIMIT_CONFIG: {
+    DEVICE: { BURST_SIZE: 4, EVENTS_PER_SECOND: 1 },
+    ENABLED: false,
+    OWNER: { BURST_SIZE: 40, EVENTS_PER_SECOND: 10 },
+    REJECT_OVER_LIMIT: true,
+  },
+  // Published events are kept in this directory until their ttl expires so
+  // they can be queried and replayed. Nothing is stored when it is not set.
+  EVENT_STORE_DIRECTORY: (null: ?string),
+  // Devices flashed with product firmware are watched during WINDOW. The ones
+  // which don't come back with the new version within RECONNECT_TIMEOUT or
+  // reset more than MAX_RESETS times are flashed back and quarantined.
+  FIRMWARE_HEALTH_CHECK_CONFIG: {
+    ENABLED: false,
+    MAX_RESETS: 3,
+    RECONNECT_TIMEOUT: 5 * 60 * 1000, // 5 minutes
+    WINDOW: 30 * 60 * 1000, // 30 minutes
+  },
+  FIRMWARE_ROLLOUT_DIRECTORY: path.join(process.cwd(), 'data/firmwareRollouts'),
+  FLASH_JOB_DIRECTORY: path.join(process.cwd(), 'data/flashJobs'),
+  // Flashes are retried after BACKOFF, doubled for each attempt up to
+  // MAX_BACKOFF. The last HISTORY_SIZE finished jobs of each device are kept.
+  FLASH_JOB_QUEUE_CONFIG: {
+    BACKOFF: 5000, // 5 seconds
+    HISTORY_SIZE: 20,
+    MAX_ATTEMPTS: 3,
+    MAX_BACKOFF: 60 * 1000, // 1 minute
+  },
+  // Adapts the OTA settings of each device to the chunks it missed in its
+  // previous flashes, see OTALinkController.
+  OTA_LINK_CONFIG: {
+    ENABLED: false,
+    MIN_CHUNK_SIZE: 128,
+    MIN_WINDOW_SIZE: 5,
+    MISSED_CHUNK_RATIO: 0.05,
+    WINDOW_SIZE: 50,
+  },
+  // The link stats the OTA settings of each device are adapted from
+  OTA_LINK_STATS_DIRECTORY: path.join(process.cwd(), 'data/otaLinkStats'),
+  // User firmware is sent as a Device OS compressed module to the devices
+  // which run MIN_COMPRESSION_SYSTEM_VERSION or later. There are no binary
+  // diff payloads, see OTAPayload.
+  OTA_PAYLOAD_CONFIG: {
+    ENABLE_COMPRESSION: false,
+    MIN_COMPRESSION_SYSTEM_VERSION: 3100, // Device OS 3.1.0
+  },
+  // Experimental, resumes the transfers which didn't complete when the same
+  // binary is flashed again. The resume flag of UpdateBegin is an extension of
+  // this server which stock Device OS doesn't implement, see Flasher.
+  ENABLE_EXPERIMENTAL_OTA_RESUME: false,
+  // The state of the transfers which didn't complete
+  OTA_TRANSFER_STATE_DIRECTORY: path.join(
+    process.cwd(),
+    'data/otaTransferStates',
+  ),
   TCP_DEVICE_SERVER_CONFIG: {
     ENABLE_SYSTEM_FIRWMARE_AUTOUPDATES: true,
     HOST: 'localhost',
     PORT: 5683,
   },
+  UDP_DEVICE_SERVER_CONFIG: {
+    // The UDP server only carries CoAP, the DTLS layer isn't included. Enable
+    // it with a DTLS_SESSION_FACTORY, see DTLSSession in types.js, devices
+    // can't connect over UDP without one.
+    ENABLED: false,
+    HOST: 'localhost',
+    // Datagrams of new peers are dropped past this many sessions
+    MAX_SESSIONS: 10000,
+    PORT: 5684,
+  },
+  // Keys of SERVER_KEYS_DIRECTORY which are still accepted from the devices
+  // which didn't get the public key of SERVER_KEY_FILENAME yet. The key each
+  // device used is saved in its serverKeyID attribute.
+  RETIRING_SERVER_KEY_FILENAMES: ([]: Array<string>),
   SERVER_KEY_FILENAME: 'default_key.pem',
   SERVER_KEY_PASSWORD: (null: ?string),
+  // The server private keys are kept by the server-key-service process
+  // listening on SOCKET_PATH instead of in memory when it is set.
+  SERVER_KEY_SERVICE_CONFIG: {
+    SOCKET_PATH: (null: ?string),
+    TIMEOUT: 5000,
+  },
   SERVER_KEYS_DIRECTORY: path.join(__dirname, '../data/users'),
+  SESSION_CACHE_CONFIG: {
+    MAX_SESSIONS: 10000,
+    TTL: 24 * 60 * 60 * 1000, // 1 day, set to 0 to disable session resumption
+  },
+  // The server keys, device keys and device attributes are encrypted with the
+  // 32 bytes master key, base64 or hex encoded, of the MASTER_KEY_ENV
+  // environment variable or of MASTER_KEY_FILE. KEEP_PUBLIC_KEYS_PLAIN leaves
+  // the public keys (*.pub.pem) plain. Nothing is encrypted when neither is
+  // set, run encrypt-storage to migrate the existing files.
+  STORAGE_ENCRYPTION_CONFIG: {
+    KEEP_PUBLIC_KEYS_PLAIN: false,
+    MASTER_KEY_ENV: ('SPARK_STORAGE_MASTER_KEY': ?string),
+    MASTER_KEY_FILE: (null: ?string),
+  },
 
   CRYPTO_ALGORITHM: 'aes-128-cbc',
   LOG_LEVEL: (process.env.LOG_LEVEL: any) || 'info',
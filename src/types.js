@@ -1,5 +1,8 @@
 // @flow
 
+import type { Socket } from 'net';
+import type UDPSession from './server/UDPSession';
+
 import bunyan from 'bunyan';
 
 export type DeviceAttributes = {
@@ -21,6 +24,27 @@ export type DeviceAttributes = {
   registrar?: ?string,
   variables: ?Object,
   reservedFlags: ?number,
+  // The server key the device used in its last full handshake
+  serverKeyID?: ?string,
+};
+
+export type DeviceConnectionInfo = {
+  connectedAt: ?Date,
+  connectionKey: ?string,
+  counters: {
+    receiveCounter: number,
+    sendCounter: number,
+  },
+  deviceID: string,
+  eventQueue: {
+    droppedEventCount: number,
+    queueDepth: number,
+  },
+  isFlashing: boolean,
+  lastHeard: ?Date,
+  remoteIPAddress: string,
+  serverKeyID: ?string,
+  status: number,
 };
 
 export type DeviceKeyObject = {
@@ -29,6 +53,34 @@ export type DeviceKeyObject = {
   key: string,
 };
 
+// The connection of a device, UDPSession implements the parts of net.Socket
+// used by Device and the handshakes.
+export type DeviceSocket = Socket | UDPSession;
+
+// A DTLS session with a single peer. No DTLS implementation ships with the
+// UDP device server, the application binds a DTLS_SESSION_FACTORY wrapping
+// one (e.g. mbed TLS) which authenticates the devices with their ECC or RSA
+// keys. The key it reports is checked against the stored device key like in
+// the TCP handshake. The session is fed the raw datagrams received from the
+// peer and emits:
+// 'datagram' (datagram: Buffer) - a datagram that should be sent to the peer
+// 'handshake' ({ deviceID: string, publicKeyPem: ?string }) - the handshake
+//   completed and the peer authenticated with its key
+// 'message' (message: Buffer) - decrypted application data
+// 'error' (error: Error)
+export type DTLSSession = {
+  close: () => void,
+  on: (eventName: string, listener: Function) => mixed,
+  receive: (datagram: Buffer) => void,
+  removeListener: (eventName: string, listener: Function) => mixed,
+  send: (message: Buffer) => void,
+};
+
+export type DTLSSessionFactory = (
+  remoteAddress: string,
+  remotePort: number,
+) => DTLSSession;
+
 export type ProtocolEvent = {
   ...EventData,
   broadcasted?: boolean,
@@ -47,16 +99,38 @@ export type EventData = {
   userID?: string,
 };
 
-export type ServerKeyRepository = {
-  createKeys: (
+export type ServerKeyState = 'active' | 'retiring';
+
+export type ServerPrivateKey = {
+  id: string,
+  privateKeyPem: string,
+  state: ServerKeyState,
+};
+
+export type ServerKeyInfo = {
+  id: string,
+  state: ServerKeyState,
+};
+
+export type ServerKeyDecryption = {
+  data: Buffer,
+  serverKeyID: string,
+  serverKeyState: ServerKeyState,
+};
+
+export interface ServerKeyRepository {
+  createKeys(
     privateKeyPem: Buffer,
     publicKeyPem: Buffer,
-  ) => Promise<{
+  ): Promise<{
     privateKeyPem: Buffer,
     publicKeyPem: Buffer,
-  }>,
-  getPrivateKey: () => Promise<?string>,
-};
+  }>;
+  getPrivateKey(): Promise<?string>;
+  // The active key first, then the retiring ones. Repositories without it
+  // only have the key of getPrivateKey.
+  getPrivateKeys?: () => Promise<Array<ServerPrivateKey>>;
+}
 
 export type ProductFirmware = {|
   current: boolean,
@@ -102,6 +176,27 @@ export interface IDeviceAttributeRepository
 export interface IDeviceKeyRepository
   extends IBaseRepository<DeviceKeyObject> {}
 
+export type DeviceKeyAuditAction = 'mismatch' | 'provisioned';
+
+export type DeviceKeyProvisioningMode = 'allowlist' | 'strict' | 'tofu';
+
+export type DeviceKeyAuditEntry = {
+  action: DeviceKeyAuditAction,
+  createdAt: Date,
+  deviceID: string,
+  mode: DeviceKeyProvisioningMode,
+  // SHA-256 of the keys in DER form
+  presentedKeyFingerprint: ?string,
+  reason: string,
+  storedKeyFingerprint: ?string,
+};
+
+// An append-only log, entries are never updated or deleted
+export interface IDeviceKeyAuditRepository {
+  add(entry: DeviceKeyAuditEntry): Promise<void>;
+  getAllByDeviceID(deviceID: string): Promise<Array<DeviceKeyAuditEntry>>;
+}
+
 export interface IProductDeviceRepository
   extends IBaseRepository<ProductDevice> {
   getAllByProductID(
@@ -122,6 +217,161 @@ export interface IProductFirmwareRepository
   getCurrentForProduct(productID: number): Promise<?ProductFirmware>;
 }
 
+export type FirmwareRolloutDeviceStatus = 'failed' | 'succeeded';
+
+export type FirmwareRolloutStage = {
+  // Devices always part of the stage, whatever the percentage
+  deviceIDs?: Array<string>,
+  // Milliseconds the stage runs at least before the next stage starts
+  minDuration?: number,
+  // Share of the devices of the stage, from 0 to 1, which have to be flashed,
+  // successfully or not, before the next stage starts. Offline devices can't
+  // be flashed so the stage waits for them. Defaults to 0.8.
+  minFlashedRate?: number,
+  // Share of the succeeded flashes, from 0 to 1, required to go to the next
+  // stage
+  minSuccessRate: number,
+  // Share of the product devices, from 0 to 100, reached by the stage
+  percentage: number,
+};
+
+export type FirmwareRolloutStatus =
+  | 'aborted'
+  | 'completed'
+  | 'paused'
+  | 'running';
+
+export type FirmwareRollout = {
+  createdAt: Date,
+  currentStageIndex: number,
+  currentStageStartedAt: Date,
+  deviceStatuses: { [deviceID: string]: FirmwareRolloutDeviceStatus },
+  firmwareVersion: number,
+  id: string,
+  maxConcurrentFlashes: number,
+  pausedReason: ?string,
+  productID: number,
+  stages: Array<FirmwareRolloutStage>,
+  status: FirmwareRolloutStatus,
+  updatedAt: Date,
+};
+
+export interface IFirmwareRolloutRepository
+  extends IBaseRepository<FirmwareRollout> {
+  getAllByProductID(productID: number): Promise<Array<FirmwareRollout>>;
+}
+
+export type FlashJobSource = 'api' | 'product' | 'rollback' | 'system';
+
+export type FlashJobStatus =
+  | 'cancelled'
+  | 'failed'
+  | 'queued'
+  | 'running'
+  | 'succeeded';
+
+export type FlashJob = {
+  attemptCount: number,
+  createdAt: Date,
+  deviceID: string,
+  // The error of the last attempt
+  error: ?string,
+  finishedAt: ?Date,
+  id: string,
+  maxAttempts: number,
+  nextAttemptAt: ?Date,
+  source: FlashJobSource,
+  startedAt: ?Date,
+  status: FlashJobStatus,
+  updatedAt: Date,
+};
+
+export interface IFlashJobRepository extends IBaseRepository<FlashJob> {
+  getAllByDeviceID(deviceID: string): Promise<Array<FlashJob>>;
+}
+
+// How far an OTA transfer which didn't complete got, so flashing the same
+// binary again can restart from the last chunk confirmed by the device
+export type OTATransferState = {
+  chunkSize: number,
+  confirmedChunkCount: number,
+  fileHash: string,
+  protocolVersion: number,
+  updatedAt: number,
+};
+
+export type OTALinkSettings = {
+  chunkSize: number,
+  isFastOTAEnabled: boolean,
+  windowSize: number,
+};
+
+// The link quality of a device over its flashes and the settings of the last
+// one, see OTALinkController
+export type OTALinkStats = {
+  flashCount: number,
+  lastMissedChunkRatio: number,
+  missedChunkCount: number,
+  sentChunkCount: number,
+  settings: OTALinkSettings,
+  updatedAt: Date,
+};
+
+export interface IOTALinkStatsRepository {
+  getByID(deviceID: string): Promise<?OTALinkStats>;
+  updateByID(deviceID: string, stats: OTALinkStats): Promise<OTALinkStats>;
+}
+
+export interface IOTATransferStateRepository {
+  deleteByID(deviceID: string): Promise<void>;
+  getByID(deviceID: string): Promise<?OTATransferState>;
+  updateByID(
+    deviceID: string,
+    transferState: OTATransferState,
+  ): Promise<OTATransferState>;
+}
+
+export type EventQuery = {
+  deviceID?: ?string,
+  eventNamePrefix?: ?string,
+  from?: ?Date,
+  limit?: ?number,
+  to?: ?Date,
+  userID?: ?string,
+};
+
+// Keeps published events until their ttl expires. query returns the
+// matching events ordered by publishedAt.
+export interface IEventStore {
+  add(event: ProtocolEvent): Promise<void>;
+  query(eventQuery: EventQuery): Promise<Array<ProtocolEvent>>;
+  removeExpired(): Promise<void>;
+}
+
+// Lets EventPublisher share events with the EventPublishers of other
+// processes. Published events are handed to the adapter instead of being
+// emitted locally, the adapter calls the event handler with every event
+// (including our own) matching one of the subscribed prefixes.
+export interface IEventPublisherAdapter {
+  publish(event: ProtocolEvent): void;
+  setEventHandler(handler: (event: ProtocolEvent) => void): void;
+  subscribe(eventNamePrefix: string): void;
+  unsubscribe(eventNamePrefix: string): void;
+}
+
+// Does the private key operations of the server keys so the keys can be kept
+// out of the DeviceServer process. decrypt tries the active key and then the
+// retiring ones and resolves null when none of them can decrypt the data into
+// data starting with expectedPrefix.
+export interface IServerKeySigner {
+  decrypt(
+    data: Buffer,
+    expectedPrefix?: ?Buffer,
+  ): Promise<?ServerKeyDecryption>;
+  getServerKeys(): Promise<Array<ServerKeyInfo>>;
+  sign(hash: Buffer, serverKeyID: ?string): Promise<Buffer>;
+}
+
 export interface ILoggerCreate {
   static createLogger(applicationName: string): bunyan.Logger;
   static createModuleLogger(applicationModule: any): bunyan.Logger;
@@ -0,0 +1,166 @@
+/* eslint-disable */
+
+import test from 'ava';
+import fs from 'fs';
+import NodeRSA from 'node-rsa';
+import os from 'os';
+import path from 'path';
+
+import CryptoManager from '../src/lib/CryptoManager';
+import LocalServerKeySigner from '../src/lib/LocalServerKeySigner';
+import ServerKeyFileRepository from '../src/repository/ServerKeyFileRepository';
+import ServerKeyService from '../src/server/ServerKeyService';
+import SocketServerKeySigner from '../src/lib/SocketServerKeySigner';
+import TestData from './setup/TestData';
+
+const createKey = () => {
+  const key = new NodeRSA({ b: 512 });
+  key.setOptions({ encryptionScheme: 'pkcs1', signingScheme: 'pkcs1' });
+  return key;
+};
+
+const createServerKeySigner = async (directory, retiringKeyFilenames) => {
+  const serverKeySigner = new LocalServerKeySigner(
+    new ServerKeyFileRepository(
+      directory,
+      'active_key.pem',
+      retiringKeyFilenames,
+    ),
+  );
+  // Recent node versions refuse PKCS#1 v1.5 private decryption
+  (await serverKeySigner._loadServerPrivateKeys()).forEach(({ key }) =>
+    key.setOptions({ environment: 'browser' }),
+  );
+  return serverKeySigner;
+};
+
+const createKeyDirectory = () => {
+  const directory = path.join(os.tmpdir(), `spark-keys-${TestData.getID()}`);
+  const activeKey = createKey();
+  const retiringKey = createKey();
+  fs.mkdirSync(directory);
+  fs.writeFileSync(
+    path.join(directory, 'active_key.pem'),
+    activeKey.exportKey('pkcs1-private-pem'),
+  );
+  fs.writeFileSync(
+    path.join(directory, 'retiring_key.pem'),
+    retiringKey.exportKey('pkcs1-private-pem'),
+  );
+  return { activeKey, directory, retiringKey };
+};
+
+test('should decrypt and sign with the key the device has', async t => {
+  const { activeKey, directory, retiringKey } = createKeyDirectory();
+  const cryptoManager = new CryptoManager(
+    null,
+    null,
+    null,
+    null,
+    await createServerKeySigner(directory, [
+      'retiring_key.pem',
+      'deleted_key.pem',
+    ]),
+  );
+  t.deepEqual(await cryptoManager.getServerKeys(), [
+    { id: 'active_key.pem', state: 'active' },
+    { id: 'retiring_key.pem', state: 'retiring' },
+  ]);
+
+  const data = Buffer.from('handshake data');
+  const decryption = await cryptoManager.decryptWithServerKeys(
+    retiringKey.encrypt(data),
+  );
+  t.is(decryption.serverKeyID, 'retiring_key.pem');
+  t.is(decryption.serverKeyState, 'retiring');
+  t.deepEqual(decryption.data, data);
+  t.deepEqual(await cryptoManager.decrypt(activeKey.encrypt(data)), data);
+  t.is(await cryptoManager.decrypt(createKey().encrypt(data)), null);
+  t.is(
+    (await cryptoManager.decryptWithServerKeys(
+      retiringKey.encrypt(data),
+      Buffer.from('handshake'),
+    )).serverKeyID,
+    'retiring_key.pem',
+  );
+  // The data of the key has to start with the expected prefix
+  t.is(
+    await cryptoManager.decryptWithServerKeys(
+      retiringKey.encrypt(data),
+      Buffer.from('nonce'),
+    ),
+    null,
+  );
+
+  const hash = Buffer.from('hmac');
+  t.deepEqual(
+    retiringKey.decryptPublic(
+      await cryptoManager.sign(hash, decryption.serverKeyID),
+    ),
+    hash,
+  );
+  t.deepEqual(activeKey.decryptPublic(await cryptoManager.sign(hash)), hash);
+});
+
+test('should use the server keys of the key service', async t => {
+  const { activeKey, directory, retiringKey } = createKeyDirectory();
+  const socketPath = path.join(directory, 'keys.sock');
+  const service = new ServerKeyService(
+    await createServerKeySigner(directory, ['retiring_key.pem']),
+  );
+  await new Promise(resolve => service.listen(socketPath, resolve));
+
+  const serverKeySigner = new SocketServerKeySigner({
+    SOCKET_PATH: socketPath,
+    TIMEOUT: 5000,
+  });
+  const cryptoManager = new CryptoManager(
+    null,
+    null,
+    null,
+    null,
+    serverKeySigner,
+  );
+  t.is(fs.statSync(socketPath).mode & 0o777, 0o600);
+  t.deepEqual(await cryptoManager.getServerKeys(), [
+    { id: 'active_key.pem', state: 'active' },
+    { id: 'retiring_key.pem', state: 'retiring' },
+  ]);
+
+  const data = Buffer.from('handshake data');
+  const decryption = await cryptoManager.decryptWithServerKeys(
+    retiringKey.encrypt(data),
+  );
+  t.is(decryption.serverKeyID, 'retiring_key.pem');
+  t.deepEqual(decryption.data, data);
+  t.is(await cryptoManager.decrypt(createKey().encrypt(data)), null);
+  t.is(
+    await cryptoManager.decryptWithServerKeys(
+      retiringKey.encrypt(data),
+      Buffer.from('nonce'),
+    ),
+    null,
+  );
+
+  const hash = Buffer.from('hmac');
+  t.deepEqual(activeKey.decryptPublic(await cryptoManager.sign(hash)), hash);
+  // A closing connection fails the requests instead of writing to it
+  const socket = serverKeySigner._socket;
+  socket.end();
+  await t.throws(
+    cryptoManager.sign(hash),
+    'Server key service connection closed',
+  );
+  await new Promise(resolve => socket.once('close', resolve));
+  await t.throws(
+    cryptoManager.sign(hash, 'deleted_key.pem'),
+    'Server key deleted_key.pem not found',
+  );
+
+  await new Promise(resolve => service.close(resolve));
+  await t.throws(
+    cryptoManager.sign(hash),
+    'Server key service connection closed',
+  );
+  serverKeySigner.close();
+});
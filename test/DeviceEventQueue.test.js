@@ -0,0 +1,100 @@
+/* eslint-disable */
+
+import test from 'ava';
+import { PassThrough } from 'stream';
+
+import Device, { DEVICE_EVENT_NAMES } from '../src/clients/Device';
+import DeviceEventQueue from '../src/lib/DeviceEventQueue';
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+// Polls instead of waiting a fixed delay so slow runs don't fail
+const waitFor = async (condition, timeout = 5000) => {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeout) {
+    await delay(10);
+  }
+};
+
+const createEvent = (name, data) => ({
+  data,
+  isInternal: false,
+  isPublic: false,
+  name,
+  publishedAt: new Date(),
+  ttl: 60,
+});
+
+const getNames = queue => queue._events.map(event => event.name);
+
+test('should drop the oldest event when full', t => {
+  const queue = new DeviceEventQueue(2, 'oldest');
+
+  t.is(queue.enqueue(createEvent('a')), null);
+  t.is(queue.enqueue(createEvent('b')), null);
+  t.is(queue.enqueue(createEvent('c')).name, 'a');
+
+  t.deepEqual(getNames(queue), ['b', 'c']);
+});
+
+test('should drop the incoming event when full', t => {
+  const queue = new DeviceEventQueue(2, 'newest');
+
+  queue.enqueue(createEvent('a'));
+  queue.enqueue(createEvent('b'));
+  t.is(queue.enqueue(createEvent('c')).name, 'c');
+
+  t.deepEqual(getNames(queue), ['a', 'b']);
+});
+
+test('should keep the latest event of each name when coalescing', t => {
+  const queue = new DeviceEventQueue(2, 'coalesce');
+
+  queue.enqueue(createEvent('temperature', '20'));
+  queue.enqueue(createEvent('humidity', '40'));
+  t.is(queue.enqueue(createEvent('temperature', '21')).data, '20');
+  t.is(queue.enqueue(createEvent('alarm')).name, 'humidity');
+
+  t.deepEqual(getNames(queue), ['temperature', 'alarm']);
+  t.is(queue.shift().data, '21');
+});
+
+test('should hold events while the device socket is backed up', async t => {
+  const device = new Device(
+    {},
+    'connectionKey',
+    {},
+    {
+      DROP_POLICY: 'oldest',
+      MAX_SIZE: 5,
+    },
+  );
+  device._attributes.deviceID = 'deviceID';
+  const cipherStream = new PassThrough({ highWaterMark: 1 });
+  device._cipherStream = cipherStream;
+
+  const droppedEventCounts = [];
+  device.on(DEVICE_EVENT_NAMES.EVENTS_DROPPED, count =>
+    droppedEventCounts.push(count),
+  );
+
+  for (let index = 0; index < 10; index += 1) {
+    device.sendDeviceEvent(createEvent('temperature', index.toString()));
+  }
+  await delay(100);
+
+  // The first event sent fills the stream, the rest wait in the queue
+  t.deepEqual(device.getEventQueueStats(), {
+    droppedEventCount: 5,
+    queueDepth: 4,
+  });
+
+  cipherStream.resume();
+  await waitFor(() => device.getEventQueueStats().queueDepth === 0);
+  t.is(device.getEventQueueStats().queueDepth, 0);
+
+  // The dropped events are reported once per interval
+  await waitFor(() => droppedEventCounts.length > 0);
+  t.deepEqual(droppedEventCounts, [5]);
+});
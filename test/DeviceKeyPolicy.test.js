@@ -0,0 +1,90 @@
+/* eslint-disable */
+
+import test from 'ava';
+import NodeRSA from 'node-rsa';
+import os from 'os';
+import path from 'path';
+
+import DeviceKeyAuditFileRepository from '../src/repository/DeviceKeyAuditFileRepository';
+import DeviceKeyFileRepository from '../src/repository/DeviceKeyFileRepository';
+import DeviceKeyPolicy from '../src/lib/DeviceKeyPolicy';
+import EventPublisher from '../src/lib/EventPublisher';
+import { SYSTEM_EVENT_NAMES } from '../src/clients/Device';
+import TestData from './setup/TestData';
+
+const createPem = () => new NodeRSA({ b: 512 }).exportKey('pkcs8-public-pem');
+
+const createPolicy = (MODE, ALLOWLIST = []) => {
+  const directory = path.join(
+    os.tmpdir(),
+    `spark-device-keys-${TestData.getID()}`,
+  );
+  const eventPublisher = new EventPublisher();
+  return {
+    eventPublisher,
+    policy: new DeviceKeyPolicy(
+      new DeviceKeyFileRepository(path.join(directory, 'keys')),
+      new DeviceKeyAuditFileRepository(path.join(directory, 'audit')),
+      eventPublisher,
+      { ALLOWLIST, MODE },
+    ),
+  };
+};
+
+test('should only accept stored keys in strict mode', async t => {
+  const { policy } = createPolicy('strict');
+  const deviceID = TestData.getID();
+
+  await t.throws(
+    policy.getTrustedPublicKey(deviceID, createPem()),
+    `no public key found for device: ${deviceID}`,
+  );
+  t.deepEqual(await policy.getAuditTrail(deviceID), []);
+});
+
+test('should store the first key and reject other keys in tofu mode', async t => {
+  const { eventPublisher, policy } = createPolicy('tofu');
+  const deviceID = TestData.getID();
+  const pem = createPem();
+  const mismatchEvent = new Promise(resolve =>
+    eventPublisher.subscribe(SYSTEM_EVENT_NAMES.DEVICE_KEY_MISMATCH, resolve),
+  );
+
+  t.true((await policy.getTrustedPublicKey(deviceID, pem)).equals(pem));
+  t.true((await policy.getTrustedPublicKey(deviceID, pem)).equals(pem));
+  await t.throws(
+    policy.getTrustedPublicKey(deviceID, createPem()),
+    /doesn't match saved public key/,
+  );
+
+  const event = await mismatchEvent;
+  t.is(event.deviceID, deviceID);
+  t.true(event.isInternal);
+
+  const auditTrail = await policy.getAuditTrail(deviceID);
+  t.deepEqual(auditTrail.map(({ action }) => action), [
+    'provisioned',
+    'mismatch',
+  ]);
+  t.is(
+    auditTrail[0].presentedKeyFingerprint,
+    auditTrail[1].storedKeyFingerprint,
+  );
+  t.not(
+    auditTrail[1].presentedKeyFingerprint,
+    auditTrail[1].storedKeyFingerprint,
+  );
+  t.true(auditTrail[1].createdAt instanceof Date);
+});
+
+test('should only provision allowlisted devices in allowlist mode', async t => {
+  const { policy } = createPolicy('allowlist', ['e00fce68*']);
+  const deviceID = `E00FCE68${TestData.getID()}`;
+
+  await policy.getTrustedPublicKey(deviceID, createPem());
+  await t.throws(
+    policy.getTrustedPublicKey(TestData.getID(), createPem()),
+    /no public key found/,
+  );
+  t.is((await policy.getAuditTrail(deviceID)).length, 1);
+});
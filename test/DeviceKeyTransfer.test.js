@@ -0,0 +1,165 @@
+/* eslint-disable */
+
+import test from 'ava';
+import crypto from 'crypto';
+import fs from 'fs';
+import NodeRSA from 'node-rsa';
+import os from 'os';
+import path from 'path';
+
+import DeviceKey from '../src/lib/DeviceKey';
+import DeviceKeyFileRepository from '../src/repository/DeviceKeyFileRepository';
+import DeviceKeyTransfer from '../src/lib/DeviceKeyTransfer';
+import TestData from './setup/TestData';
+
+const createRSAPem = () =>
+  new NodeRSA({ b: 512 }).exportKey('pkcs8-public-pem');
+
+const createECCPem = () =>
+  crypto
+    .generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    .publicKey.export({ format: 'pem', type: 'spki' });
+
+const getTemporaryPath = name =>
+  path.join(os.tmpdir(), `spark-key-transfer-${TestData.getID()}`, name);
+
+const getDeviceID = () => crypto.randomBytes(12).toString('hex');
+
+const createTransfer = () => {
+  const repository = new DeviceKeyFileRepository(getTemporaryPath('keys'));
+  const removedSessionDeviceIDs = [];
+  const cryptoManager = {
+    removeCachedSession: deviceID => removedSessionDeviceIDs.push(deviceID),
+  };
+  return {
+    removedSessionDeviceIDs,
+    repository,
+    transfer: new DeviceKeyTransfer(repository, cryptoManager),
+  };
+};
+
+test('should import a manufacturing CSV and report conflicts', async t => {
+  const { removedSessionDeviceIDs, repository, transfer } = createTransfer();
+  const [device1, device2, device3] = [1, 2, 3].map(getDeviceID);
+  const rsaPem = createRSAPem();
+  const eccPem = createECCPem();
+  const storedPem = createRSAPem();
+  const derHex = DeviceKey.fromPem(rsaPem)
+    .toDer()
+    .toString('hex');
+  await repository.updateByID(device3, {
+    deviceID: device3,
+    key: storedPem,
+  });
+
+  const csvPath = getTemporaryPath('keys.csv');
+  fs.mkdirSync(path.dirname(csvPath), { recursive: true });
+  fs.writeFileSync(
+    csvPath,
+    [
+      'Device ID,Public Key',
+      `${device1},"${rsaPem}"`,
+      `${device2.toUpperCase()},"${eccPem}"`,
+      `${device3},${derHex}`,
+      `${device1},${derHex}`,
+      '../device4,abcd',
+      'device5,not a key',
+      `${device1}00,${derHex}`,
+    ].join('\r\n'),
+  );
+
+  const results = await transfer.importKeys('csv', csvPath);
+  t.deepEqual(
+    results.map(({ algorithm, deviceID, status }) => ({
+      algorithm,
+      deviceID,
+      status,
+    })),
+    [
+      { algorithm: 'rsa', deviceID: device1, status: 'imported' },
+      { algorithm: 'ecc', deviceID: device2, status: 'imported' },
+      { algorithm: 'rsa', deviceID: device3, status: 'conflict' },
+      { algorithm: 'rsa', deviceID: device1, status: 'unchanged' },
+      { algorithm: null, deviceID: '../device4', status: 'invalid' },
+      { algorithm: null, deviceID: 'device5', status: 'invalid' },
+      { algorithm: null, deviceID: `${device1}00`, status: 'invalid' },
+    ],
+  );
+  t.is(results[2].source, 'keys.csv row 4');
+  t.true(
+    DeviceKey.fromPem((await repository.getByID(device3)).key).equals(
+      storedPem,
+    ),
+  );
+  t.deepEqual(removedSessionDeviceIDs, []);
+
+  const [overwritten] = await transfer
+    .importKeys('csv', csvPath, {
+      shouldOverwrite: true,
+    })
+    .then(nextResults =>
+      nextResults.filter(({ deviceID }) => deviceID === device3),
+    );
+  t.is(overwritten.status, 'overwritten');
+  t.deepEqual(removedSessionDeviceIDs, [device3]);
+});
+
+// DeviceKeyFileRepository caches keys by device ID across instances so every
+// format gets its own devices
+test('should round trip keys through every format', async t => {
+  for (const [format, name] of [
+    ['csv', 'keys.csv'],
+    ['der', 'der'],
+    ['jsonl', 'keys.jsonl'],
+    ['pem', 'pem'],
+  ]) {
+    const { repository, transfer } = createTransfer();
+    const rsaDeviceID = getDeviceID();
+    const eccDeviceID = getDeviceID();
+    await repository.updateByID(rsaDeviceID, {
+      deviceID: rsaDeviceID,
+      key: createRSAPem(),
+    });
+    await repository.updateByID(eccDeviceID, {
+      deviceID: eccDeviceID,
+      key: createECCPem(),
+    });
+    const expectedResults = [[rsaDeviceID, 'rsa'], [eccDeviceID, 'ecc']].sort(
+      ([first], [second]) => first.localeCompare(second),
+    );
+
+    const exportPath = getTemporaryPath(name);
+    const exported = await transfer.exportKeys(format, exportPath);
+    t.deepEqual(
+      exported.map(({ algorithm, deviceID, status }) => [
+        deviceID,
+        algorithm,
+        status,
+      ]),
+      expectedResults.map(result => [...result, 'exported']),
+      format,
+    );
+
+    const unchanged = await transfer.importKeys(format, exportPath);
+    t.true(unchanged.every(({ status }) => status === 'unchanged'), format);
+
+    await Promise.all(
+      [rsaDeviceID, eccDeviceID].map(deviceID =>
+        repository.deleteByID(deviceID),
+      ),
+    );
+    const imported = await transfer.importKeys(format, exportPath, {
+      isDryRun: true,
+    });
+    t.deepEqual(
+      imported.map(({ algorithm, deviceID, status }) => [
+        deviceID,
+        algorithm,
+        status,
+      ]),
+      expectedResults.map(result => [...result, 'imported']),
+      format,
+    );
+    t.is(await repository.getByID(rsaDeviceID), null);
+  }
+});
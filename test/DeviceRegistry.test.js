@@ -0,0 +1,208 @@
+/* eslint-disable */
+
+import test from 'ava';
+
+import DeviceRegistry from '../src/lib/DeviceRegistry';
+import EventPublisher from '../src/lib/EventPublisher';
+import TestData from './setup/TestData';
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+const DELAY_TIME = 200;
+
+// Polls instead of waiting a fixed delay so slow runs don't fail
+const waitFor = async (condition, timeout = 5000) => {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeout) {
+    await delay(10);
+  }
+};
+
+// Registries sharing one EventPublisher behave like nodes sharing a broker.
+const createRegistry = (eventPublisher, config = {}) => {
+  const registry = new DeviceRegistry(eventPublisher, {
+    HEARTBEAT_INTERVAL: 1000,
+    NODE_TIMEOUT: 3000,
+    OWNER_GRACE_PERIOD: 100,
+    ...config,
+  });
+  registry.start();
+  return registry;
+};
+
+test('should route a device to the node it connected to', async t => {
+  const eventPublisher = new EventPublisher();
+  const firstRegistry = createRegistry(eventPublisher);
+  const secondRegistry = createRegistry(eventPublisher);
+  const deviceID = TestData.getID();
+
+  firstRegistry.register(deviceID);
+  await delay(DELAY_TIME);
+
+  t.false(firstRegistry.isOwnedByAnotherNode(deviceID));
+  t.true(secondRegistry.isOwnedByAnotherNode(deviceID));
+  t.is(secondRegistry.getOwnerNodeID(deviceID), firstRegistry.getNodeID());
+
+  firstRegistry.unregister(deviceID);
+  await delay(DELAY_TIME);
+
+  t.is(secondRegistry.getOwnerNodeID(deviceID), null);
+
+  firstRegistry.stop();
+  secondRegistry.stop();
+});
+
+test('should evict the stale connection when a device moves to another node', async t => {
+  const eventPublisher = new EventPublisher();
+  const firstRegistry = createRegistry(eventPublisher);
+  const secondRegistry = createRegistry(eventPublisher);
+  const deviceID = TestData.getID();
+  const evictedDeviceIDs = [];
+  firstRegistry.on('evict', id => evictedDeviceIDs.push(id));
+  secondRegistry.on('evict', id => evictedDeviceIDs.push(`second:${id}`));
+
+  firstRegistry.register(deviceID);
+  await delay(DELAY_TIME);
+  secondRegistry.register(deviceID);
+  await delay(DELAY_TIME);
+
+  t.deepEqual(evictedDeviceIDs, [deviceID]);
+  t.true(firstRegistry.isOwnedByAnotherNode(deviceID));
+  t.false(secondRegistry.isOwnedByAnotherNode(deviceID));
+
+  // The stale connection closing must not remove the new owner
+  firstRegistry.unregister(deviceID);
+  await delay(DELAY_TIME);
+  t.is(firstRegistry.getOwnerNodeID(deviceID), secondRegistry.getNodeID());
+
+  firstRegistry.stop();
+  secondRegistry.stop();
+});
+
+test('should sync devices to a node started later', async t => {
+  const eventPublisher = new EventPublisher();
+  const firstRegistry = createRegistry(eventPublisher);
+  const deviceID = TestData.getID();
+
+  firstRegistry.register(deviceID);
+  await delay(DELAY_TIME);
+
+  const secondRegistry = createRegistry(eventPublisher);
+  await waitFor(
+    () => secondRegistry.getOwnerNodeID(deviceID) === firstRegistry.getNodeID(),
+  );
+
+  t.is(secondRegistry.getOwnerNodeID(deviceID), firstRegistry.getNodeID());
+
+  firstRegistry.stop();
+  secondRegistry.stop();
+});
+
+test('should forget the devices of a node which stopped sending heartbeats', async t => {
+  const eventPublisher = new EventPublisher();
+  const config = {
+    HEARTBEAT_INTERVAL: 50,
+    NODE_TIMEOUT: 1000,
+    OWNER_GRACE_PERIOD: 100,
+  };
+  const firstRegistry = createRegistry(eventPublisher, config);
+  const secondRegistry = createRegistry(eventPublisher, config);
+  const deviceID = TestData.getID();
+
+  firstRegistry.register(deviceID);
+  await waitFor(() => secondRegistry.isOwnedByAnotherNode(deviceID));
+  t.true(secondRegistry.isOwnedByAnotherNode(deviceID));
+
+  firstRegistry.stop();
+  await waitFor(() => !secondRegistry.isOwnedByAnotherNode(deviceID));
+  t.false(secondRegistry.isOwnedByAnotherNode(deviceID));
+
+  secondRegistry.stop();
+});
+
+test('should order connections without relying on the clocks of the nodes', async t => {
+  const eventPublisher = new EventPublisher();
+  const firstRegistry = createRegistry(eventPublisher);
+  const secondRegistry = createRegistry(eventPublisher);
+  const deviceID = TestData.getID();
+  const evictedDeviceIDs = [];
+  firstRegistry.on('evict', id => evictedDeviceIDs.push(id));
+
+  firstRegistry.register(deviceID);
+  await waitFor(() => secondRegistry.isOwnedByAnotherNode(deviceID));
+
+  // The host of the second node is a minute behind
+  const now = Date.now;
+  Date.now = () => now() - 60000;
+  try {
+    secondRegistry.register(deviceID);
+  } finally {
+    Date.now = now;
+  }
+  await waitFor(() => firstRegistry.isOwnedByAnotherNode(deviceID));
+
+  t.deepEqual(evictedDeviceIDs, [deviceID]);
+  t.is(firstRegistry.getOwnerNodeID(deviceID), secondRegistry.getNodeID());
+  t.is(secondRegistry.getOwnerNodeID(deviceID), secondRegistry.getNodeID());
+
+  firstRegistry.stop();
+  secondRegistry.stop();
+});
+
+test('should list the nodes it heard from', async t => {
+  const eventPublisher = new EventPublisher();
+  const firstRegistry = createRegistry(eventPublisher);
+  const secondRegistry = createRegistry(eventPublisher);
+
+  await waitFor(() => firstRegistry.getNodeIDs().length === 2);
+
+  t.deepEqual(firstRegistry.getNodeIDs(), [
+    firstRegistry.getNodeID(),
+    secondRegistry.getNodeID(),
+  ]);
+
+  firstRegistry.stop();
+  secondRegistry.stop();
+});
+
+test('should let a single node answer for a device nobody owns', async t => {
+  const eventPublisher = new EventPublisher();
+  const firstRegistry = createRegistry(eventPublisher);
+  const secondRegistry = createRegistry(eventPublisher);
+  const deviceID = TestData.getID();
+
+  await waitFor(() => firstRegistry.getNodeIDs().length === 2);
+
+  // The device registers on the second node during the grace period
+  const responsibleNodes = Promise.all([
+    firstRegistry.isResponsibleNode(deviceID),
+    secondRegistry.isResponsibleNode(deviceID),
+  ]);
+  secondRegistry.register(deviceID);
+  t.deepEqual(await responsibleNodes, [false, true]);
+
+  secondRegistry.unregister(deviceID);
+  await waitFor(() => !firstRegistry.getOwnerNodeID(deviceID));
+
+  const isFirstNodeLower =
+    firstRegistry.getNodeID() < secondRegistry.getNodeID();
+  t.deepEqual(
+    await Promise.all([
+      firstRegistry.isResponsibleNode(deviceID),
+      secondRegistry.isResponsibleNode(deviceID),
+    ]),
+    [isFirstNodeLower, !isFirstNodeLower],
+  );
+
+  firstRegistry.stop();
+  secondRegistry.stop();
+});
+
+test('should answer for every device when it is the only node', async t => {
+  const registry = createRegistry(new EventPublisher());
+
+  t.true(await registry.isResponsibleNode(TestData.getID()));
+
+  registry.stop();
+});
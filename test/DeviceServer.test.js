@@ -0,0 +1,464 @@
+/* eslint-disable */
+
+import test from 'ava';
+import dgram from 'dgram';
+import EventEmitter from 'events';
+import CoapPacket from 'coap-packet';
+import crypto from 'crypto';
+import fs from 'fs';
+import NodeRSA from 'node-rsa';
+import os from 'os';
+import path from 'path';
+import { Container } from 'constitute';
+
+import CoapMessages from '../src/lib/CoapMessages';
+import defaultBindings from '../src/defaultBindings';
+import SPARK_SERVER_EVENTS from '../src/lib/SparkServerEvents';
+import FirmwareBinaries from './setup/FirmwareBinaries';
+import TestData from './setup/TestData';
+
+const waitFor = async (condition, timeout = 5000) => {
+  const startTime = Date.now();
+  while (!condition()) {
+    if (Date.now() - startTime > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const getDeviceID = () =>
+  TestData.getID()
+    .replace(/-/g, '')
+    .substring(0, 24);
+
+// Stands in for a real DTLS session, the first datagram of the peer is its
+// handshake with the device ID and the key, the others are passed through.
+class PlainTextDTLSSession extends EventEmitter {
+  receive(datagram) {
+    if (!this._isSecure) {
+      this._isSecure = true;
+      this.emit('handshake', JSON.parse(datagram.toString()));
+      return;
+    }
+    this.emit('message', datagram);
+  }
+
+  send(message) {
+    this.emit('datagram', message);
+  }
+
+  close() {}
+}
+
+const getFreeUDPPort = async () => {
+  const socket = dgram.createSocket('udp4');
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  const { port } = socket.address();
+  await new Promise(resolve => socket.close(resolve));
+  return port;
+};
+
+const createDeviceServer = async (settings = {}) => {
+  const directory = path.join(os.tmpdir(), `spark-server-${TestData.getID()}`);
+  const serverKeysDirectory = path.join(directory, 'serverKeys');
+  fs.mkdirSync(directory);
+  fs.mkdirSync(serverKeysDirectory);
+  fs.writeFileSync(
+    path.join(serverKeysDirectory, 'default_key.pem'),
+    new NodeRSA({ b: 512 }).exportKey('pkcs1-private-pem'),
+  );
+
+  const udpPort = await getFreeUDPPort();
+  const container = new Container();
+  defaultBindings(container, {
+    DEVICE_DIRECTORY: path.join(directory, 'devices'),
+    DEVICE_KEY_AUDIT_DIRECTORY: path.join(directory, 'deviceKeyAudit'),
+    DEVICE_KEY_PROVISIONING_CONFIG: { ALLOWLIST: [], MODE: 'tofu' },
+    DTLS_SESSION_FACTORY: () => new PlainTextDTLSSession(),
+    ENABLE_SYSTEM_FIRWMARE_AUTOUPDATES: false,
+    FIRMWARE_ROLLOUT_DIRECTORY: path.join(directory, 'firmwareRollouts'),
+    FLASH_JOB_DIRECTORY: path.join(directory, 'flashJobs'),
+    OTA_LINK_STATS_DIRECTORY: path.join(directory, 'otaLinkStats'),
+    OTA_TRANSFER_STATE_DIRECTORY: path.join(directory, 'otaTransferStates'),
+    SERVER_KEY_FILENAME: 'default_key.pem',
+    SERVER_KEYS_DIRECTORY: serverKeysDirectory,
+    TCP_DEVICE_SERVER_CONFIG: { HOST: '127.0.0.1', PORT: 0 },
+    UDP_DEVICE_SERVER_CONFIG: {
+      ENABLED: true,
+      HOST: '127.0.0.1',
+      PORT: udpPort,
+    },
+    ...settings,
+  });
+
+  const deviceAttributeRepository = container.constitute(
+    'IDeviceAttributeRepository',
+  );
+  const deviceServer = container.constitute('DeviceServer');
+  const eventPublisher = container.constitute('EventPublisher');
+  const events = [];
+  eventPublisher.subscribe('*', event => events.push(event));
+  await deviceServer.start();
+
+  return {
+    deviceAttributeRepository,
+    deviceServer,
+    eventPublisher,
+    events,
+    udpPort,
+  };
+};
+
+// A claimed device speaking CoAP over the plain text session, it answers the
+// Hello and the Describe request of the server and records every message.
+const connectFakeDevice = async (
+  { deviceAttributeRepository, udpPort },
+  {
+    deviceID = getDeviceID(),
+    ownerID = TestData.getID(),
+    publicKeyPem = new NodeRSA({ b: 512 }).exportKey('pkcs8-public-pem'),
+  } = {},
+) => {
+  await deviceAttributeRepository.updateByID(deviceID, { deviceID, ownerID });
+
+  const socket = dgram.createSocket('udp4');
+  const received = [];
+  let messageID = 1;
+
+  const send = data =>
+    new Promise(resolve =>
+      socket.send(data, 0, data.length, udpPort, '127.0.0.1', resolve),
+    );
+
+  socket.on('message', message => {
+    const packet = CoapPacket.parse(message);
+    received.push(packet);
+
+    if (packet.confirmable && CoapMessages.getUriPath(packet) === '/d') {
+      send(
+        CoapPacket.generate({
+          ack: true,
+          code: '2.04',
+          messageId: packet.messageId,
+          payload: new Buffer(
+            JSON.stringify({ f: [], m: [], p: 6, v: { temperature: 2 } }),
+          ),
+          token: packet.token,
+        }),
+      );
+    } else if (packet.confirmable) {
+      send(
+        CoapPacket.generate({
+          ack: true,
+          code: '0.00',
+          messageId: packet.messageId,
+        }),
+      );
+    }
+  });
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  await send(new Buffer(JSON.stringify({ deviceID, publicKeyPem })));
+
+  const helloPayload = new Buffer(8);
+  helloPayload.fill(0);
+  helloPayload.writeUInt16BE(6, 6);
+  await send(CoapMessages.wrap('Hello', messageID, null, null, helloPayload));
+
+  return {
+    close: () => socket.close(),
+    deviceID,
+    ownerID,
+    received,
+    send: (messageName, params, data) => {
+      messageID += 1;
+      return send(
+        CoapMessages.wrap(messageName, messageID, params, null, data),
+      );
+    },
+  };
+};
+
+const isOnlineEvent = deviceID => event =>
+  event.name === 'spark/status' &&
+  event.data === 'online' &&
+  event.deviceID === deviceID;
+
+test('should connect a UDP device through the DeviceServer', async t => {
+  const server = await createDeviceServer();
+  const { events } = server;
+  const device = await connectFakeDevice(server);
+
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  const receivedUris = device.received.map(packet =>
+    CoapMessages.getUriPath(packet),
+  );
+  t.true(receivedUris.includes('/h'));
+  t.true(receivedUris.includes('/d'));
+
+  await device.send(
+    'PublicEvent',
+    { event_name: 'temperature' },
+    new Buffer('21'),
+  );
+  await waitFor(() =>
+    events.some(
+      event =>
+        event.name === 'temperature' &&
+        event.data === '21' &&
+        event.deviceID === device.deviceID,
+    ),
+  );
+  t.pass();
+
+  device.close();
+});
+
+const createECCPem = () =>
+  crypto
+    .generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    .publicKey.export({ format: 'pem', type: 'spki' });
+
+test('should check the ECC key the DTLS session authenticated', async t => {
+  const server = await createDeviceServer();
+  const { events } = server;
+  const device = await connectFakeDevice(server, {
+    publicKeyPem: createECCPem(),
+  });
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  // Another key for the same device is refused
+  const impostor = await connectFakeDevice(server, {
+    deviceID: device.deviceID,
+    ownerID: TestData.getID(),
+    publicKeyPem: createECCPem(),
+  });
+  await waitFor(() =>
+    events.some(
+      event =>
+        event.name === 'spark/device/key_mismatch' &&
+        event.deviceID === device.deviceID,
+    ),
+  );
+  t.is(events.filter(isOnlineEvent(device.deviceID)).length, 1);
+
+  device.close();
+  impostor.close();
+});
+
+const getRateLimitConfig = (deviceLimit, ownerLimit) => ({
+  EVENT_RATE_LIMIT_CONFIG: {
+    // Nearly no refill during the test
+    DEVICE: { BURST_SIZE: deviceLimit, EVENTS_PER_SECOND: 0.001 },
+    ENABLED: true,
+    OWNER: { BURST_SIZE: ownerLimit, EVENTS_PER_SECOND: 0.001 },
+    REJECT_OVER_LIMIT: true,
+  },
+});
+
+const sendTemperatureEvents = async (device, count) => {
+  for (let index = 0; index < count; index += 1) {
+    await device.send(
+      'PublicEvent',
+      { event_name: 'temperature' },
+      new Buffer(String(index)),
+    );
+  }
+};
+
+const EVENT_SLOWDOWN_CODE = CoapPacket.parse(
+  CoapMessages.wrap('EventSlowdown', 1),
+).code;
+const isEventSlowdown = packet =>
+  packet.ack && packet.code === EVENT_SLOWDOWN_CODE;
+
+test('should slow down a device over its event rate limit', async t => {
+  const server = await createDeviceServer(getRateLimitConfig(2, 100));
+  const { events } = server;
+  const device = await connectFakeDevice(server);
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  await sendTemperatureEvents(device, 4);
+  await waitFor(() => device.received.filter(isEventSlowdown).length === 2);
+
+  const deviceEvents = events.filter(
+    event => event.deviceID === device.deviceID,
+  );
+  t.deepEqual(
+    deviceEvents
+      .filter(event => event.name === 'temperature')
+      .map(event => event.data),
+    ['0', '1'],
+  );
+  // Only the first event over the limit is reported
+  const rateLimitedEvents = deviceEvents.filter(
+    event => event.name === 'spark/device/ratelimited',
+  );
+  t.is(rateLimitedEvents.length, 1);
+  t.is(rateLimitedEvents[0].data, 'device');
+
+  device.close();
+});
+
+test('should not take the tokens of the device when its owner is over the limit', async t => {
+  const server = await createDeviceServer(getRateLimitConfig(10, 1));
+  const { deviceServer, events } = server;
+  const device = await connectFakeDevice(server);
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  await sendTemperatureEvents(device, 3);
+  await waitFor(() => device.received.filter(isEventSlowdown).length === 2);
+
+  const rateLimitedEvent = events.find(
+    event =>
+      event.name === 'spark/device/ratelimited' &&
+      event.deviceID === device.deviceID,
+  );
+  t.is(rateLimitedEvent.data, 'owner');
+
+  const { tokens } = deviceServer._eventRateLimiters.device._buckets.get(
+    device.deviceID,
+  );
+  t.true(tokens > 8.9 && tokens < 9.1, `device tokens: ${tokens}`);
+
+  device.close();
+});
+
+test('should list the connections of the node', async t => {
+  const server = await createDeviceServer();
+  const { eventPublisher, events } = server;
+  const device = await connectFakeDevice(server);
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  const {
+    connections,
+    nodeID,
+    nodeIDs,
+  } = await eventPublisher.publishAndListenForResponse({
+    context: {},
+    name: SPARK_SERVER_EVENTS.GET_CONNECTIONS,
+  });
+
+  t.deepEqual(connections.map(connection => connection.deviceID), [
+    device.deviceID,
+  ]);
+  t.deepEqual(nodeIDs, [nodeID]);
+
+  device.close();
+
+  await server.deviceServer.stop();
+  t.is(server.deviceServer._deviceRegistry._heartbeatInterval, null);
+  t.deepEqual(server.deviceServer._subscriptionIDs, []);
+
+  // The UDP port is free again
+  const socket = dgram.createSocket('udp4');
+  await new Promise(resolve => socket.bind(server.udpPort, resolve));
+  await new Promise(resolve => socket.close(resolve));
+});
+
+test('should disconnect a device on request', async t => {
+  const server = await createDeviceServer();
+  const { eventPublisher, events } = server;
+  const device = await connectFakeDevice(server);
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  t.deepEqual(
+    await eventPublisher.publishAndListenForResponse({
+      context: { deviceID: getDeviceID() },
+      name: SPARK_SERVER_EVENTS.DISCONNECT_DEVICE,
+    }),
+    { disconnected: false },
+  );
+  t.deepEqual(
+    await eventPublisher.publishAndListenForResponse({
+      context: { deviceID: device.deviceID, reason: 'test' },
+      name: SPARK_SERVER_EVENTS.DISCONNECT_DEVICE,
+    }),
+    { disconnected: true },
+  );
+
+  await waitFor(() =>
+    events.some(
+      event =>
+        event.name === 'spark/status' &&
+        event.data === 'offline' &&
+        event.deviceID === device.deviceID,
+    ),
+  );
+  t.is(server.deviceServer.getDevice(device.deviceID), undefined);
+
+  device.close();
+});
+
+const getFlashJobs = async (eventPublisher, deviceID) =>
+  (await eventPublisher.publishAndListenForResponse({
+    context: { deviceID },
+    name: SPARK_SERVER_EVENTS.GET_FLASH_JOBS,
+  })).jobs;
+
+test('should reply with the error of a binary the device refuses', async t => {
+  const server = await createDeviceServer();
+  const { eventPublisher, events } = server;
+  const device = await connectFakeDevice(server);
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  // The device misses the system firmware the binary depends on
+  const { error } = await eventPublisher.publishAndListenForResponse({
+    context: {
+      deviceID: device.deviceID,
+      fileBuffer: FirmwareBinaries.create(),
+    },
+    name: SPARK_SERVER_EVENTS.FLASH_DEVICE,
+  });
+  t.regex(error.message, /^Invalid firmware binary: requires module 4\/2/);
+  t.deepEqual(await getFlashJobs(eventPublisher, device.deviceID), []);
+
+  device.close();
+});
+
+test('should reply with the flash job in async mode and cancel it for its device', async t => {
+  const server = await createDeviceServer();
+  const { eventPublisher, events } = server;
+  const device = await connectFakeDevice(server);
+  await waitFor(() => events.some(isOnlineEvent(device.deviceID)));
+
+  const flash = () =>
+    eventPublisher.publishAndListenForResponse({
+      context: {
+        deviceID: device.deviceID,
+        fileBuffer: FirmwareBinaries.create({ dependencyFunction: 0 }),
+        isAsync: true,
+      },
+      name: SPARK_SERVER_EVENTS.FLASH_DEVICE,
+    });
+  const runningJob = await flash();
+  t.truthy(runningJob.jobID);
+
+  // The second job waits for the first one
+  const { jobID, status } = await flash();
+  t.is(status, 'queued');
+  t.deepEqual(
+    (await getFlashJobs(eventPublisher, device.deviceID))
+      .map(job => job.id)
+      .sort(),
+    [runningJob.jobID, jobID].sort(),
+  );
+
+  t.is(
+    (await eventPublisher.publishAndListenForResponse({
+      context: { deviceID: getDeviceID(), jobID },
+      name: SPARK_SERVER_EVENTS.CANCEL_FLASH_JOB,
+    })).error.message,
+    `Flash job ${jobID} not found`,
+  );
+  const cancelledJob = await eventPublisher.publishAndListenForResponse({
+    context: { deviceID: device.deviceID, jobID },
+    name: SPARK_SERVER_EVENTS.CANCEL_FLASH_JOB,
+  });
+  t.is(cancelledJob.status, 'cancelled');
+  t.is(cancelledJob.attemptCount, 0);
+
+  device.close();
+});
@@ -0,0 +1,185 @@
+/* eslint-disable */
+
+import test from 'ava';
+import os from 'os';
+import path from 'path';
+
+import EventBrokerAdapter from '../src/lib/EventBrokerAdapter';
+import EventBrokerServer from '../src/server/EventBrokerServer';
+import EventPublisher, { getRequestEventName } from '../src/lib/EventPublisher';
+import TestData from './setup/TestData';
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+const DELAY_TIME = 100;
+
+// Polls instead of waiting a fixed delay so slow runs don't fail
+const waitFor = async (condition, timeout = 5000) => {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeout) {
+    await delay(10);
+  }
+};
+
+const getSubscribedPrefixCount = broker =>
+  [...broker._connections.values()].reduce(
+    (count, connection) => count + connection.eventNamePrefixes.size,
+    0,
+  );
+
+// Each test gets its own broker and two publishers standing in for two
+// processes.
+const createCluster = async () => {
+  const socketPath = path.join(
+    os.tmpdir(),
+    `spark-event-broker-${TestData.getID()}.sock`,
+  );
+  const broker = new EventBrokerServer();
+  await new Promise(resolve => broker.listen(socketPath, null, resolve));
+
+  const adapters = [
+    new EventBrokerAdapter({ path: socketPath, reconnectDelay: 50 }),
+    new EventBrokerAdapter({ path: socketPath, reconnectDelay: 50 }),
+  ];
+  await waitFor(() => broker.getConnectionCount() === adapters.length);
+
+  return {
+    adapters,
+    broker,
+    close: () => {
+      adapters.forEach(adapter => adapter.close());
+      broker.close();
+    },
+    publishers: adapters.map(adapter => new EventPublisher(adapter)),
+    socketPath,
+  };
+};
+
+test('should deliver events published by another process', async t => {
+  const cluster = await createCluster();
+  const [firstPublisher, secondPublisher] = cluster.publishers;
+  const received = [];
+
+  firstPublisher.subscribe('spark/', event => received.push(event));
+  await waitFor(() => getSubscribedPrefixCount(cluster.broker) === 1);
+
+  // Events are delivered in order so other/event would arrive first
+  secondPublisher.publish({ name: 'other/event' });
+  secondPublisher.publish({
+    context: { binary: new Buffer('firmware') },
+    name: 'spark/status',
+  });
+  await waitFor(() => received.length);
+
+  t.is(received.length, 1);
+  t.is(received[0].name, 'spark/status');
+  t.true(received[0].publishedAt instanceof Date);
+  t.true(received[0].context.binary.equals(new Buffer('firmware')));
+
+  cluster.close();
+});
+
+test('should deliver events to subscribers of the publishing process', async t => {
+  const cluster = await createCluster();
+  const [firstPublisher] = cluster.publishers;
+  const received = [];
+
+  firstPublisher.subscribe('*', event => received.push(event));
+  await waitFor(() => getSubscribedPrefixCount(cluster.broker) === 1);
+
+  firstPublisher.publish({ name: 'spark/status' });
+  await waitFor(() => received.length);
+
+  t.is(received.length, 1);
+
+  cluster.close();
+});
+
+test('should stop forwarding events after the last unsubscribe', async t => {
+  const cluster = await createCluster();
+  const [firstPublisher, secondPublisher] = cluster.publishers;
+  const received = [];
+
+  const firstSubscriptionID = firstPublisher.subscribe('spark/', event =>
+    received.push(event),
+  );
+  const secondSubscriptionID = firstPublisher.subscribe('spark/', event =>
+    received.push(event),
+  );
+  await waitFor(() => getSubscribedPrefixCount(cluster.broker) === 1);
+
+  firstPublisher.unsubscribe(firstSubscriptionID);
+  secondPublisher.publish({ name: 'spark/status' });
+  await waitFor(() => received.length);
+  await delay(DELAY_TIME);
+  t.is(received.length, 1);
+
+  firstPublisher.unsubscribe(secondSubscriptionID);
+  await waitFor(() => !getSubscribedPrefixCount(cluster.broker));
+  t.is(cluster.broker._connections.get(1).eventNamePrefixes.size, 0);
+
+  cluster.close();
+});
+
+test('should answer publishAndListenForResponse from another process', async t => {
+  const cluster = await createCluster();
+  const [apiPublisher, deviceServerPublisher] = cluster.publishers;
+
+  deviceServerPublisher.subscribe(
+    getRequestEventName('getDevice'),
+    ({ context }) =>
+      deviceServerPublisher.publish(
+        {
+          context:
+            context.deviceID === 'missing'
+              ? { error: new Error('Could not get device') }
+              : { deviceID: context.deviceID },
+          name: context.responseEventName,
+        },
+        { isInternal: true, isPublic: false },
+      ),
+  );
+  await waitFor(() => getSubscribedPrefixCount(cluster.broker) === 1);
+
+  const response = await apiPublisher.publishAndListenForResponse({
+    context: { deviceID: 'abc' },
+    name: 'getDevice',
+  });
+  t.deepEqual(response, { deviceID: 'abc' });
+
+  const errorResponse = await apiPublisher.publishAndListenForResponse({
+    context: { deviceID: 'missing' },
+    name: 'getDevice',
+  });
+  t.true(errorResponse.error instanceof Error);
+  t.is(errorResponse.error.message, 'Could not get device');
+
+  cluster.close();
+});
+
+test('should resubscribe and flush pending events after reconnecting', async t => {
+  const cluster = await createCluster();
+  const [firstPublisher] = cluster.publishers;
+  const received = [];
+
+  firstPublisher.subscribe('spark/', event => received.push(event));
+  await waitFor(() => getSubscribedPrefixCount(cluster.broker) === 1);
+
+  await new Promise(resolve => cluster.broker.close(resolve));
+  await waitFor(() => !cluster.adapters[0].isConnected());
+  t.false(cluster.adapters[0].isConnected());
+  firstPublisher.publish({ name: 'spark/while-offline' });
+
+  const broker = new EventBrokerServer();
+  await new Promise(resolve =>
+    broker.listen(cluster.socketPath, null, resolve),
+  );
+  await waitFor(() => received.length);
+
+  t.is(received.length, 1);
+  t.is(received[0].name, 'spark/while-offline');
+
+  cluster.adapters.forEach(adapter => adapter.close());
+  broker.close();
+});
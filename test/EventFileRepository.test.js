@@ -0,0 +1,170 @@
+/* eslint-disable */
+
+import test from 'ava';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+
+import EventFileRepository from '../src/repository/EventFileRepository';
+import EventPublisher from '../src/lib/EventPublisher';
+import TestData from './setup/TestData';
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+const DELAY_TIME = 100;
+
+const waitFor = async (condition, timeout = 5000) => {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeout) {
+    await delay(10);
+  }
+};
+
+const getDirectory = () =>
+  path.join(os.tmpdir(), `spark-event-store-${TestData.getID()}`);
+
+const createEvent = (props = {}) => ({
+  isInternal: false,
+  isPublic: false,
+  name: 'spark/status',
+  publishedAt: new Date(),
+  ttl: 60,
+  ...props,
+});
+
+test('should query events by name prefix, device, user and time range', async t => {
+  const repository = new EventFileRepository(getDirectory());
+  const deviceID = TestData.getID();
+  const userID = TestData.getID();
+  const now = Date.now();
+
+  await repository.add(
+    createEvent({ deviceID, publishedAt: new Date(now - 3000), userID }),
+  );
+  await repository.add(
+    createEvent({ name: 'temperature', publishedAt: new Date(now - 2000) }),
+  );
+  await repository.add(
+    createEvent({ deviceID, publishedAt: new Date(now - 1000) }),
+  );
+
+  t.is((await repository.query({})).length, 3);
+  t.is((await repository.query({ eventNamePrefix: 'spark/' })).length, 2);
+  t.is((await repository.query({ deviceID })).length, 2);
+  t.is((await repository.query({ userID })).length, 1);
+  t.is(
+    (await repository.query({ from: new Date(now - 2500), to: new Date(now) }))
+      .length,
+    2,
+  );
+  t.is(
+    (await repository.query({ limit: 1 }))[0].publishedAt.getTime(),
+    now - 3000,
+  );
+});
+
+test('should drop events once their ttl expired', async t => {
+  const repository = new EventFileRepository(getDirectory());
+
+  await repository.add(
+    createEvent({ publishedAt: new Date(Date.now() - 2000), ttl: 1 }),
+  );
+  await repository.add(createEvent());
+
+  t.is((await repository.query({})).length, 1);
+
+  await repository.removeExpired();
+  t.is((await repository.query({})).length, 1);
+});
+
+test('should only read the files of the queried time range', async t => {
+  const repository = new EventFileRepository(getDirectory());
+  const now = Date.now();
+  const hour = 60 * 60 * 1000;
+
+  await repository.add(
+    createEvent({ publishedAt: new Date(now - 3 * hour), ttl: 24 * 3600 }),
+  );
+  await repository.add(
+    createEvent({ data: 'recent', publishedAt: new Date(now) }),
+  );
+
+  const getFileAsync = sinon.spy(repository._fileManager, 'getFileAsync');
+  const events = await repository.query({ from: new Date(now - 1000) });
+
+  t.is(events.length, 1);
+  t.is(events[0].data, 'recent');
+  t.is(getFileAsync.callCount, 1);
+});
+
+test('should append the events added together in one write', async t => {
+  const repository = new EventFileRepository(getDirectory());
+  const appendFileAsync = sinon.spy(repository._fileManager, 'appendFileAsync');
+  const appendFile = sinon.spy(repository._fileManager, 'appendFile');
+
+  await repository.add(createEvent({ data: '1' }));
+  await repository.add(createEvent({ data: '2' }));
+  await repository.add(createEvent({ data: '3' }));
+
+  const events = await repository.query({});
+  t.deepEqual(events.map(event => event.data), ['1', '2', '3']);
+  t.is(appendFileAsync.callCount, 1);
+  t.is(appendFile.callCount, 0);
+});
+
+test('should load the stored events when created again', async t => {
+  const directory = getDirectory();
+  const repository = new EventFileRepository(directory);
+  await repository.add(createEvent({ data: 'online' }));
+  // Querying waits for the buffered events to be written
+  await repository.query({});
+
+  const events = await new EventFileRepository(directory).query({});
+
+  t.is(events.length, 1);
+  t.is(events[0].data, 'online');
+  t.true(events[0].publishedAt instanceof Date);
+});
+
+test('should store published events and replay them to late subscribers', async t => {
+  const repository = new EventFileRepository(getDirectory());
+  const eventPublisher = new EventPublisher(null, repository);
+  const subscribedAt = new Date();
+  const handler = sinon.spy();
+
+  eventPublisher.publish({ name: 'spark/status' });
+  eventPublisher.publish({ name: 'request' }, { isInternal: true });
+  await delay(DELAY_TIME);
+
+  t.is((await eventPublisher.queryEvents({})).length, 1);
+
+  eventPublisher.subscribe('spark/', handler, { replayFrom: subscribedAt });
+  await delay(DELAY_TIME);
+  t.is(handler.callCount, 1);
+
+  // Live events are not replayed twice
+  eventPublisher.publish({ name: 'spark/status' });
+  await delay(DELAY_TIME);
+  t.is(handler.callCount, 2);
+});
+
+test('should deliver the replayed events before the live ones, once', async t => {
+  const repository = new EventFileRepository(getDirectory());
+  const eventPublisher = new EventPublisher(null, repository);
+  const subscribedAt = new Date(Date.now() - 1000);
+  const data = [];
+
+  eventPublisher.publish({ data: 'stored', name: 'temperature' });
+  eventPublisher.subscribe('temperature', event => data.push(event.data), {
+    replayFrom: subscribedAt,
+  });
+  // Published while the stored events are queried, these are both stored and
+  // delivered live
+  eventPublisher.publish({ data: 'live1', name: 'temperature' });
+  eventPublisher.publish({ data: 'live2', name: 'temperature' });
+
+  await waitFor(() => data.length >= 3);
+  await delay(DELAY_TIME);
+  t.deepEqual(data, ['stored', 'live1', 'live2']);
+});
@@ -1,6 +1,7 @@
 /* eslint-disable */
 
 import test from 'ava';
+import EventEmitter from 'events';
 import sinon from 'sinon';
 import TestData from './setup/TestData';
 
@@ -206,7 +207,7 @@ test('should listen for mydevices events only', async t => {
   t.is(handler.callCount, 2);
 });
 
-test.only('should unsubscribe all subscriptions by subsriberID', async t => {
+test('should unsubscribe all subscriptions by subsriberID', async t => {
   const eventPublisher = new EventPublisher();
   const handler = sinon.spy();
   const subscriberID = TestData.getID();
@@ -259,3 +260,90 @@ test('should publish and listen for response', async t => {
 
   t.is(response, testContextData);
 });
+
+test('should match single level wildcards', async t => {
+  const eventPublisher = new EventPublisher();
+  const handler = sinon.spy();
+
+  eventPublisher.subscribe('+/temperature', handler);
+
+  eventPublisher.publish({ name: 'kitchen/temperature' });
+  eventPublisher.publish({ name: 'kitchen/oven/temperature' });
+  eventPublisher.publish({ name: 'kitchen/humidity' });
+
+  await delay(DELAY_TIME);
+  t.is(handler.callCount, 1);
+  t.is(handler.firstCall.args[0].name, 'kitchen/temperature');
+});
+
+test('should match multi level wildcards', async t => {
+  const eventPublisher = new EventPublisher();
+  const handler = sinon.spy();
+
+  eventPublisher.subscribe('sensors/*/alarm', handler);
+
+  eventPublisher.publish({ name: 'sensors/a/alarm' });
+  eventPublisher.publish({ name: 'sensors/a/b/alarm' });
+  eventPublisher.publish({ name: 'sensors/alarm' });
+  eventPublisher.publish({ name: 'sensors/a/alarm/reset' });
+
+  await delay(DELAY_TIME);
+  t.is(handler.callCount, 2);
+});
+
+test('should stop matching a pattern after unsubscribe', async t => {
+  const eventPublisher = new EventPublisher();
+  const handler = sinon.spy();
+
+  const subscriptionID = eventPublisher.subscribe('+/temperature', handler);
+  eventPublisher.unsubscribe(subscriptionID);
+
+  eventPublisher.publish({ name: 'kitchen/temperature' });
+
+  await delay(DELAY_TIME);
+  t.is(handler.callCount, 0);
+  t.is(eventPublisher._subscriptionIndex._buckets.size, 0);
+});
+
+test('should emit events to the EventEmitter listeners', async t => {
+  const eventPublisher = new EventPublisher();
+  const allHandler = sinon.spy();
+  const prefixHandler = sinon.spy();
+  const otherHandler = sinon.spy();
+
+  t.true(eventPublisher instanceof EventEmitter);
+  eventPublisher.on('*', allHandler);
+  eventPublisher.on('spark/', prefixHandler);
+  eventPublisher.on('temperature', otherHandler);
+
+  eventPublisher.publish({ name: 'spark/status' });
+  await delay(DELAY_TIME);
+
+  t.is(allHandler.callCount, 1);
+  t.is(prefixHandler.callCount, 1);
+  t.is(prefixHandler.firstCall.args[0].name, 'spark/status');
+  t.is(otherHandler.callCount, 0);
+});
+
+test('should subscribe the adapter to the EventEmitter listeners', async t => {
+  const adapter = {
+    publish: sinon.spy(),
+    setEventHandler: sinon.spy(),
+    subscribe: sinon.spy(),
+    unsubscribe: sinon.spy(),
+  };
+  const eventPublisher = new EventPublisher(adapter);
+  const handler = sinon.spy();
+
+  eventPublisher.on('spark/', handler);
+  eventPublisher.on('spark/', handler);
+  t.deepEqual(adapter.subscribe.args, [['spark/']]);
+
+  adapter.setEventHandler.firstCall.args[0]({ name: 'spark/status' });
+  t.is(handler.callCount, 2);
+
+  eventPublisher.removeListener('spark/', handler);
+  t.is(adapter.unsubscribe.callCount, 0);
+  eventPublisher.removeAllListeners('spark/');
+  t.deepEqual(adapter.unsubscribe.args, [['spark/']]);
+});
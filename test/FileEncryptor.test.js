@@ -0,0 +1,121 @@
+/* eslint-disable */
+
+import test from 'ava';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import FileEncryptor from '../src/repository/FileEncryptor';
+import FileManager from '../src/repository/FileManager';
+import JSONFileManager from '../src/repository/JSONFileManager';
+import TestData from './setup/TestData';
+
+const getTemporaryDirectory = () =>
+  path.join(os.tmpdir(), `spark-encrypted-${TestData.getID()}`);
+
+const writeMasterKeyFile = masterKey => {
+  const keyFile = path.join(os.tmpdir(), `spark-master-${TestData.getID()}`);
+  fs.writeFileSync(keyFile, `${masterKey.toString('hex')}\n`);
+  return keyFile;
+};
+
+test('should read the master key from the environment or a file', t => {
+  const masterKey = crypto.randomBytes(32);
+  const keyFile = writeMasterKeyFile(masterKey);
+  const variableName = `SPARK_TEST_MASTER_KEY_${process.pid}`;
+  process.env[variableName] = masterKey.toString('base64');
+
+  const config = { MASTER_KEY_ENV: variableName, MASTER_KEY_FILE: keyFile };
+  const data = FileEncryptor.fromConfig(config).encrypt(Buffer.from('data'));
+  delete process.env[variableName];
+
+  t.is(
+    FileEncryptor.fromConfig(config)
+      .decrypt(data)
+      .toString(),
+    'data',
+  );
+  t.is(FileEncryptor.fromConfig({ MASTER_KEY_ENV: variableName }), null);
+  t.throws(
+    () => new FileEncryptor(crypto.randomBytes(32)).decrypt(data),
+    'The data was encrypted with another master key',
+  );
+});
+
+test('should encrypt the files of a directory and keep reading them', t => {
+  const directory = getTemporaryDirectory();
+  const attributes = { deviceID: TestData.getID(), name: 'secret-name' };
+  new JSONFileManager(directory).writeFile('device.json', attributes);
+
+  const fileEncryptor = new FileEncryptor(crypto.randomBytes(32));
+  const fileManager = new JSONFileManager(directory, true, fileEncryptor);
+  // Files written before the encryption was enabled are still read
+  t.deepEqual(fileManager.getFile('device.json'), attributes);
+
+  t.deepEqual(fileManager.encryptFiles(), ['device.json']);
+  t.deepEqual(fileManager.encryptFiles(), []);
+  const encryptedData = fs.readFileSync(path.join(directory, 'device.json'));
+  t.true(FileEncryptor.isEncrypted(encryptedData));
+  t.false(encryptedData.includes('secret-name'));
+  t.deepEqual(fileManager.getAllData(), [attributes]);
+  t.throws(
+    () => new JSONFileManager(directory).getFile('device.json'),
+    'device.json is encrypted and no master key is set',
+  );
+
+  t.deepEqual(fileManager.decryptFiles(), ['device.json']);
+  t.deepEqual(
+    new JSONFileManager(directory).getFile('device.json'),
+    attributes,
+  );
+});
+
+test('should only keep the public keys in plain text when opted out', t => {
+  const directory = getTemporaryDirectory();
+  new FileManager(directory, false).writeFile('device1.pub.pem', 'key1');
+  const masterKey = crypto.randomBytes(32);
+
+  const plainKeysFileManager = new FileManager(
+    directory,
+    false,
+    new FileEncryptor(masterKey, true),
+  );
+  plainKeysFileManager.writeFile('device2.pub.pem', 'key2');
+  plainKeysFileManager.writeFile('server.pem', 'private key');
+
+  t.deepEqual(plainKeysFileManager.encryptFiles(), []);
+  t.is(
+    fs.readFileSync(path.join(directory, 'device1.pub.pem'), 'utf8'),
+    'key1',
+  );
+  t.is(
+    fs.readFileSync(path.join(directory, 'device2.pub.pem'), 'utf8'),
+    'key2',
+  );
+  t.true(
+    FileEncryptor.isEncrypted(
+      fs.readFileSync(path.join(directory, 'server.pem')),
+    ),
+  );
+  t.is(plainKeysFileManager.getFile('server.pem'), 'private key');
+
+  const fileManager = new FileManager(
+    directory,
+    false,
+    FileEncryptor.fromConfig({
+      MASTER_KEY_ENV: null,
+      MASTER_KEY_FILE: writeMasterKeyFile(masterKey),
+    }),
+  );
+  t.deepEqual(fileManager.encryptFiles().sort(), [
+    'device1.pub.pem',
+    'device2.pub.pem',
+  ]);
+  t.true(
+    FileEncryptor.isEncrypted(
+      fs.readFileSync(path.join(directory, 'device1.pub.pem')),
+    ),
+  );
+  t.is(fileManager.getFile('device2.pub.pem'), 'key2');
+});
@@ -0,0 +1,122 @@
+/* eslint-disable */
+
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+import FirmwareBinaries from './setup/FirmwareBinaries';
+import FirmwareCatalog from '../src/lib/FirmwareCatalog';
+import TestData from './setup/TestData';
+
+const SYSTEM_PART_1 = FirmwareBinaries.create({
+  dependencyFunction: 0,
+  dependencyIndex: 0,
+  dependencyVersion: 0,
+  moduleFunction: 4,
+  moduleIndex: 1,
+  moduleVersion: 110,
+});
+const SYSTEM_PART_2 = FirmwareBinaries.create({
+  dependencyIndex: 1,
+  dependencyVersion: 110,
+  moduleFunction: 4,
+  moduleIndex: 2,
+  moduleVersion: 110,
+});
+
+const getTemporaryDirectory = () => {
+  const directory = path.join(os.tmpdir(), `spark-catalog-${TestData.getID()}`);
+  fs.mkdirSync(directory);
+  return directory;
+};
+
+const createTarball = files =>
+  zlib.gzipSync(
+    Buffer.concat([
+      ...files.map(({ data, filename }) => {
+        const header = Buffer.alloc(512);
+        header.write(filename, 0);
+        header.write('0000644\0', 100);
+        header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+        header.write('        ', 148);
+        header.write('0', 156);
+        header.write('ustar\u000000', 257);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+        const padding = Buffer.alloc((512 - data.length % 512) % 512);
+        return Buffer.concat([header, data, padding]);
+      }),
+      Buffer.alloc(1024),
+    ]),
+  );
+
+test('should import and index a directory of binaries', async t => {
+  const sourceDirectory = getTemporaryDirectory();
+  const binariesDirectory = path.join(getTemporaryDirectory(), 'binaries');
+  const corruptedBinary = Buffer.from(SYSTEM_PART_2);
+  corruptedBinary[100] = 1;
+  fs.mkdirSync(path.join(sourceDirectory, 'photon'));
+  fs.writeFileSync(
+    path.join(sourceDirectory, 'photon', 'system-part1.bin'),
+    SYSTEM_PART_1,
+  );
+  fs.writeFileSync(
+    path.join(sourceDirectory, 'system-part2.bin'),
+    SYSTEM_PART_2,
+  );
+  fs.writeFileSync(
+    path.join(sourceDirectory, 'corrupted.bin'),
+    corruptedBinary,
+  );
+  fs.writeFileSync(
+    path.join(sourceDirectory, 'tinker.bin'),
+    FirmwareBinaries.create(),
+  );
+  fs.writeFileSync(path.join(sourceDirectory, 'README.md'), 'notes');
+
+  const catalog = new FirmwareCatalog(binariesDirectory);
+  const { imported, rejected } = await catalog.importPath(sourceDirectory);
+
+  t.is(imported.length, 3);
+  t.deepEqual(rejected, [
+    { filename: 'corrupted.bin', reason: 'CRC mismatch' },
+  ]);
+  t.is(catalog.getEntry(6, 4, 2, 110).filename, 'system-part2.bin');
+  t.deepEqual(
+    fs.readFileSync(path.join(binariesDirectory, 'system-part1.bin')),
+    SYSTEM_PART_1,
+  );
+
+  const settingsFile = path.join(binariesDirectory, 'settings.json');
+  catalog.writeSettings(settingsFile);
+  const settings = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+  t.deepEqual(settings.map(({ filename }) => filename), [
+    'system-part1.bin',
+    'system-part2.bin',
+  ]);
+  t.is(settings[1].prefixInfo.depModuleVersion, 110);
+
+  const loadedCatalog = new FirmwareCatalog(binariesDirectory);
+  await loadedCatalog.load();
+  t.is(loadedCatalog.getEntries().length, 3);
+});
+
+test('should import binaries from a tarball', async t => {
+  const tarballPath = path.join(getTemporaryDirectory(), 'release.tar.gz');
+  fs.writeFileSync(
+    tarballPath,
+    createTarball([
+      { data: SYSTEM_PART_1, filename: 'release/system-part1.bin' },
+      { data: SYSTEM_PART_2, filename: 'release/system-part2.bin' },
+    ]),
+  );
+
+  const catalog = new FirmwareCatalog(getTemporaryDirectory());
+  const { imported, rejected } = await catalog.importPath(tarballPath);
+
+  t.is(imported.length, 2);
+  t.is(rejected.length, 0);
+  t.truthy(catalog.getEntry(6, 4, 1, 110));
+});
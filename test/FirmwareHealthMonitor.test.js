@@ -0,0 +1,105 @@
+/* eslint-disable */
+
+import test from 'ava';
+import sinon from 'sinon';
+
+import FirmwareHealthMonitor, {
+  FIRMWARE_HEALTH_EVENTS,
+} from '../src/lib/FirmwareHealthMonitor';
+import TestData from './setup/TestData';
+
+const CONFIG = {
+  ENABLED: true,
+  MAX_RESETS: 2,
+  RECONNECT_TIMEOUT: 1000,
+  WINDOW: 10000,
+};
+
+const createMonitor = () => {
+  const monitor = new FirmwareHealthMonitor(CONFIG);
+  const quarantines = [];
+  const rollbacks = [];
+  monitor.on(FIRMWARE_HEALTH_EVENTS.QUARANTINE, event =>
+    quarantines.push(event),
+  );
+  monitor.on(FIRMWARE_HEALTH_EVENTS.ROLLBACK, event => rollbacks.push(event));
+  return { monitor, quarantines, rollbacks };
+};
+
+const watch = (monitor, deviceID) =>
+  monitor.watch({
+    deviceID,
+    firmwareVersion: 2,
+    previousFirmwareVersion: 1,
+    productID: 1,
+  });
+
+test('should forget healthy devices at the end of the window', t => {
+  const clock = sinon.useFakeTimers(Date.now());
+  const { monitor, quarantines, rollbacks } = createMonitor();
+  const deviceID = TestData.getID();
+
+  watch(monitor, deviceID);
+  t.true(monitor.onDeviceConnect(deviceID, 2));
+  // The reset installing the update and the resets allowed
+  for (let index = 0; index <= CONFIG.MAX_RESETS; index += 1) {
+    monitor.onDeviceReset(deviceID);
+  }
+  clock.tick(CONFIG.WINDOW);
+
+  t.false(monitor.isWatching(deviceID));
+  t.is(quarantines.length, 0);
+  t.is(rollbacks.length, 0);
+  clock.restore();
+});
+
+test('should roll back devices which do not reconnect once they are back', t => {
+  const clock = sinon.useFakeTimers(Date.now());
+  const { monitor, quarantines, rollbacks } = createMonitor();
+  const deviceID = TestData.getID();
+
+  watch(monitor, deviceID);
+  clock.tick(CONFIG.RECONNECT_TIMEOUT);
+  t.is(quarantines.length, 1);
+  t.is(rollbacks.length, 0);
+
+  // Still waiting for the device after the window
+  clock.tick(CONFIG.WINDOW);
+  monitor.onDeviceConnect(deviceID, 2);
+  t.is(rollbacks.length, 1);
+  t.is(rollbacks[0].previousFirmwareVersion, 1);
+  t.false(monitor.isWatching(deviceID));
+  clock.restore();
+});
+
+test('should roll back devices with the wrong version or crash loops', t => {
+  const { monitor, quarantines, rollbacks } = createMonitor();
+  const wrongVersionDeviceID = TestData.getID();
+  const crashingDeviceID = TestData.getID();
+
+  watch(monitor, wrongVersionDeviceID);
+  watch(monitor, crashingDeviceID);
+
+  t.false(monitor.onDeviceConnect(wrongVersionDeviceID, 1));
+  t.is(rollbacks.length, 1);
+  t.is(rollbacks[0].deviceID, wrongVersionDeviceID);
+
+  // The first reset installs the update
+  for (let index = 0; index <= CONFIG.MAX_RESETS + 1; index += 1) {
+    monitor.onDeviceConnect(crashingDeviceID, 2);
+    monitor.onDeviceReset(crashingDeviceID);
+    monitor.onDeviceDisconnect(crashingDeviceID);
+  }
+  t.is(quarantines.length, 2);
+  t.is(rollbacks.length, 2);
+  t.is(rollbacks[1].deviceID, crashingDeviceID);
+  monitor.stop();
+});
+
+test('should not watch devices when disabled', t => {
+  const monitor = new FirmwareHealthMonitor({ ...CONFIG, ENABLED: false });
+  const deviceID = TestData.getID();
+
+  watch(monitor, deviceID);
+  t.false(monitor.isWatching(deviceID));
+});
@@ -0,0 +1,263 @@
+/* eslint-disable */
+
+import test from 'ava';
+import os from 'os';
+import path from 'path';
+
+import EventPublisher from '../src/lib/EventPublisher';
+import FirmwareRolloutFileRepository from '../src/repository/FirmwareRolloutFileRepository';
+import FirmwareRolloutManager from '../src/lib/FirmwareRolloutManager';
+import SPARK_SERVER_EVENTS from '../src/lib/SparkServerEvents';
+import TestData from './setup/TestData';
+
+const DEVICE_COUNT = 40;
+const PRODUCT_ID = 1;
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+const createProductDevices = () =>
+  Array.from({ length: DEVICE_COUNT }, () => ({
+    denied: false,
+    development: false,
+    deviceID: TestData.getID(),
+    id: TestData.getID(),
+    lockedFirmwareVersion: null,
+    notes: '',
+    productID: PRODUCT_ID,
+    quarantined: false,
+  }));
+
+const createManager = (productDevices, flashHandler) => {
+  const eventPublisher = new EventPublisher();
+  const manager = new FirmwareRolloutManager(
+    new FirmwareRolloutFileRepository(
+      path.join(os.tmpdir(), `spark-rollouts-${TestData.getID()}`),
+    ),
+    { getAllByProductID: async () => productDevices },
+    eventPublisher,
+  );
+  manager.setFlashHandler(flashHandler);
+  return { eventPublisher, manager };
+};
+
+const FLASH_TIME = 10;
+
+const getFlashingCount = manager =>
+  Array.from(manager._flashingDeviceIDsByRolloutID.values()).reduce(
+    (count, deviceIDs) => count + deviceIDs.size,
+    0,
+  );
+
+// Resolves with the next rollout progress matching the condition
+const waitForProgress = (eventPublisher, condition = () => true) =>
+  new Promise(resolve => {
+    const subscriptionID = eventPublisher.subscribe(
+      SPARK_SERVER_EVENTS.FIRMWARE_ROLLOUT_PROGRESS,
+      ({ context }) => {
+        if (condition(context)) {
+          eventPublisher.unsubscribe(subscriptionID);
+          resolve(context);
+        }
+      },
+    );
+  });
+
+// Waits for the progress of every running flash, each flash publishes one
+// when its result is saved
+const waitForFlashes = async (eventPublisher, manager) => {
+  while (getFlashingCount(manager)) {
+    await waitForProgress(eventPublisher);
+  }
+};
+
+// Ticks and waits for the flashes the tick started
+const tick = async (eventPublisher, manager) => {
+  await manager._tick();
+  await waitForFlashes(eventPublisher, manager);
+};
+
+const STAGES = [
+  { minSuccessRate: 0.9, percentage: 25 },
+  { minSuccessRate: 0.9, percentage: 100 },
+];
+
+test('should flash the devices stage by stage', async t => {
+  const productDevices = createProductDevices();
+  const flashedDeviceIDs = [];
+  let releaseFlashes = null;
+  const flashesReleased = new Promise(resolve => {
+    releaseFlashes = resolve;
+  });
+  const { eventPublisher, manager } = createManager(
+    productDevices,
+    async ({ deviceID }) => {
+      flashedDeviceIDs.push(deviceID);
+      await flashesReleased;
+      await delay(FLASH_TIME);
+      return true;
+    },
+  );
+  const rollout = await manager.createRollout({
+    firmwareVersion: 2,
+    maxConcurrentFlashes: 100,
+    productID: PRODUCT_ID,
+    stages: STAGES,
+  });
+
+  // Flashes the first stage, which is evaluated on the next tick. The flashes
+  // are held so a slow tick can't see them all finished and evaluate it.
+  await manager._tick();
+  const firstStageCount = flashedDeviceIDs.length;
+  t.true(firstStageCount > 0 && firstStageCount < DEVICE_COUNT);
+  t.is(
+    productDevices.filter(
+      productDevice => manager.getFirmwareVersionForDevice(productDevice) === 2,
+    ).length,
+    firstStageCount,
+  );
+  releaseFlashes();
+  await waitForFlashes(eventPublisher, manager);
+
+  await tick(eventPublisher, manager);
+  t.is(rollout.currentStageIndex, 1);
+
+  await tick(eventPublisher, manager);
+  const completedProgress = waitForProgress(
+    eventPublisher,
+    progress => progress.status === 'completed',
+  );
+  await tick(eventPublisher, manager);
+  t.is(flashedDeviceIDs.length, DEVICE_COUNT);
+  t.is(rollout.status, 'completed');
+
+  t.is((await completedProgress).succeededCount, DEVICE_COUNT);
+  t.is((await manager.getRollout(rollout.id)).status, 'completed');
+
+  // The devices follow the current product firmware again
+  t.false(manager.hasActiveRollout(PRODUCT_ID));
+  t.is(manager.getFirmwareVersionForDevice(productDevices[0]), null);
+});
+
+test('should add cohort devices and limit concurrent flashes', async t => {
+  const productDevices = createProductDevices();
+  const cohortDeviceIDs = productDevices
+    .slice(0, 5)
+    .map(({ deviceID }) => deviceID);
+  let flashingCount = 0;
+  let maxFlashingCount = 0;
+  const { eventPublisher, manager } = createManager(
+    productDevices,
+    async () => {
+      flashingCount += 1;
+      maxFlashingCount = Math.max(maxFlashingCount, flashingCount);
+      await delay(FLASH_TIME);
+      flashingCount -= 1;
+      return true;
+    },
+  );
+
+  const rollout = await manager.createRollout({
+    firmwareVersion: 2,
+    maxConcurrentFlashes: 2,
+    productID: PRODUCT_ID,
+    stages: [{ deviceIDs: cohortDeviceIDs, minSuccessRate: 1, percentage: 0 }],
+  });
+
+  for (let index = 0; index < 5; index += 1) {
+    await tick(eventPublisher, manager);
+  }
+
+  t.is(maxFlashingCount, 2);
+  t.deepEqual(
+    Object.keys(rollout.deviceStatuses).sort(),
+    cohortDeviceIDs.sort(),
+  );
+});
+
+test('should pause when the success rate is too low and retry on resume', async t => {
+  const productDevices = createProductDevices();
+  let isFailing = true;
+  const { eventPublisher, manager } = createManager(
+    productDevices,
+    async () => {
+      await delay(FLASH_TIME);
+      return !isFailing;
+    },
+  );
+
+  const rollout = await manager.createRollout({
+    firmwareVersion: 2,
+    maxConcurrentFlashes: 100,
+    productID: PRODUCT_ID,
+    stages: STAGES,
+  });
+
+  await tick(eventPublisher, manager);
+  await tick(eventPublisher, manager);
+  t.is(rollout.status, 'paused');
+  t.truthy(rollout.pausedReason);
+  t.is(rollout.currentStageIndex, 0);
+
+  isFailing = false;
+  await manager.resumeRollout(rollout.id);
+  await tick(eventPublisher, manager);
+  await tick(eventPublisher, manager);
+  t.is(rollout.currentStageIndex, 1);
+
+  await manager.abortRollout(rollout.id);
+  t.is(manager.getFirmwareVersionForDevice(productDevices[0]), null);
+  await t.throws(manager.resumeRollout(rollout.id));
+});
+
+test('should wait for the offline devices and the duration of a stage', async t => {
+  const productDevices = createProductDevices();
+  const onlineDeviceIDs = new Set(
+    productDevices.slice(0, DEVICE_COUNT / 2).map(({ deviceID }) => deviceID),
+  );
+  const { eventPublisher, manager } = createManager(
+    productDevices,
+    async ({ deviceID }) => {
+      if (!onlineDeviceIDs.has(deviceID)) {
+        return null;
+      }
+      await delay(FLASH_TIME);
+      return true;
+    },
+  );
+
+  const rollout = await manager.createRollout({
+    firmwareVersion: 2,
+    maxConcurrentFlashes: 100,
+    productID: PRODUCT_ID,
+    stages: [
+      { minDuration: 60 * 1000, minSuccessRate: 1, percentage: 100 },
+      { minSuccessRate: 1, percentage: 100 },
+    ],
+  });
+
+  await tick(eventPublisher, manager);
+  await tick(eventPublisher, manager);
+  t.is(rollout.currentStageIndex, 0);
+  t.is(rollout.status, 'running');
+
+  productDevices.forEach(({ deviceID }) => onlineDeviceIDs.add(deviceID));
+  await tick(eventPublisher, manager);
+  await tick(eventPublisher, manager);
+  t.is(rollout.currentStageIndex, 0);
+
+  // Moves the stage start back instead of waiting, the ticks may be slow
+  rollout.currentStageStartedAt = new Date(Date.now() - 60 * 1000);
+  await tick(eventPublisher, manager);
+  t.is(rollout.currentStageIndex, 1);
+  t.is(Object.keys(rollout.deviceStatuses).length, DEVICE_COUNT);
+
+  await t.throws(
+    manager.createRollout({
+      firmwareVersion: 3,
+      productID: PRODUCT_ID + 1,
+      stages: [{ minFlashedRate: 2, minSuccessRate: 1, percentage: 100 }],
+    }),
+    'Stage 0 minFlashedRate must be between 0 and 1',
+  );
+});
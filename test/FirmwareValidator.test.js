@@ -0,0 +1,68 @@
+/* eslint-disable */
+
+import test from 'ava';
+
+import FirmwareBinaries from './setup/FirmwareBinaries';
+import FirmwareValidator from '../src/lib/FirmwareValidator';
+
+const PHOTON_PLATFORM_ID = 6;
+
+const createBinary = options =>
+  FirmwareBinaries.create({ platformID: PHOTON_PLATFORM_ID, ...options });
+
+const SYSTEM_INFORMATION = {
+  m: [
+    { d: [], f: 's', n: '1', v: 100 },
+    { d: [], f: 's', n: '2', v: 100 },
+    { d: [], f: 'u', n: '1', v: 4 },
+  ],
+  p: PHOTON_PLATFORM_ID,
+};
+
+test('should accept a valid binary', async t => {
+  const moduleInfo = await FirmwareValidator.validate(
+    createBinary(),
+    SYSTEM_INFORMATION,
+    { moduleFunction: 5 },
+  );
+
+  t.is(moduleInfo.prefixInfo.platformID, PHOTON_PLATFORM_ID);
+});
+
+test('should reject corrupted binaries and the wrong platform', async t => {
+  const binary = createBinary({ platformID: 10 });
+  binary[100] = 1;
+
+  const error = await t.throws(
+    FirmwareValidator.validate(binary, SYSTEM_INFORMATION),
+  );
+  t.regex(error.message, /CRC mismatch/);
+  t.regex(error.message, /built for platform 10/);
+});
+
+test('should reject unexpected module functions', async t => {
+  const error = await t.throws(
+    FirmwareValidator.validate(
+      createBinary({ moduleFunction: 4 }),
+      SYSTEM_INFORMATION,
+      { moduleFunction: 5 },
+    ),
+  );
+  t.regex(error.message, /module function 4/);
+});
+
+test('should reject missing dependencies unless they are available', async t => {
+  const binary = createBinary({ dependencyVersion: 110 });
+
+  const error = await t.throws(
+    FirmwareValidator.validate(binary, SYSTEM_INFORMATION),
+  );
+  t.regex(error.message, /requires module 4\/2 version 110/);
+
+  await t.notThrows(
+    FirmwareValidator.validate(binary, SYSTEM_INFORMATION, {
+      isDependencyAvailable: (platformID, { moduleVersion }) =>
+        platformID === PHOTON_PLATFORM_ID && moduleVersion === 110,
+    }),
+  );
+});
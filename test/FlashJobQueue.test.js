@@ -0,0 +1,116 @@
+/* eslint-disable */
+
+import test from 'ava';
+import os from 'os';
+import path from 'path';
+
+import FlashJobFileRepository from '../src/repository/FlashJobFileRepository';
+import FlashJobQueue, {
+  createPermanentFlashError,
+} from '../src/lib/FlashJobQueue';
+import TestData from './setup/TestData';
+
+const CONFIG = {
+  BACKOFF: 10,
+  HISTORY_SIZE: 2,
+  MAX_ATTEMPTS: 2,
+  MAX_BACKOFF: 20,
+};
+
+const createQueue = () =>
+  new FlashJobQueue(
+    new FlashJobFileRepository(
+      path.join(os.tmpdir(), `spark-flash-jobs-${TestData.getID()}`),
+    ),
+    CONFIG,
+  );
+
+test('should retry failed flashes', async t => {
+  const queue = createQueue();
+  const deviceID = TestData.getID();
+  let attemptCount = 0;
+
+  const result = await queue.run(deviceID, 'api', async () => {
+    attemptCount += 1;
+    if (attemptCount === 1) {
+      throw new Error('Update failed: timeout');
+    }
+    return { status: 'Update finished' };
+  });
+
+  t.deepEqual(result, { status: 'Update finished' });
+  const [job] = await queue.getJobs(deviceID);
+  t.is(job.status, 'succeeded');
+  t.is(job.attemptCount, 2);
+  t.is(job.error, null);
+  t.false(queue.hasActiveJob(deviceID));
+});
+
+test('should fail after the last attempt and prune the history', async t => {
+  const queue = createQueue();
+  const deviceID = TestData.getID();
+  const fail = async () => {
+    throw new Error('Update failed: timeout');
+  };
+
+  for (let index = 0; index < 3; index += 1) {
+    const error = await t.throws(queue.run(deviceID, 'product', fail));
+    t.is(error.message, 'Update failed: timeout');
+  }
+
+  const jobs = await queue.getJobs(deviceID);
+  t.is(jobs.length, CONFIG.HISTORY_SIZE);
+  t.is(jobs[0].status, 'failed');
+  t.is(jobs[0].attemptCount, CONFIG.MAX_ATTEMPTS);
+  t.is(jobs[0].error, 'Update failed: timeout');
+});
+
+test('should run the jobs of a device one at a time', async t => {
+  const queue = createQueue();
+  const deviceID = TestData.getID();
+  let finishFirstFlash = null;
+  const firstFlash = new Promise(resolve => {
+    finishFirstFlash = resolve;
+  });
+
+  const first = await queue.enqueue(deviceID, 'system', () => firstFlash);
+  const second = await queue.enqueue(deviceID, 'product', async () => ({}));
+  const third = await queue.enqueue(deviceID, 'api', async () => ({
+    status: 'Update finished',
+  }));
+
+  await t.throws(queue.cancel(first.job.id), /is running/);
+  t.is((await queue.cancel(second.job.id)).status, 'cancelled');
+  await t.throws(second.result, 'Flash job cancelled');
+  t.is((await queue.getJob(third.job.id)).status, 'queued');
+
+  finishFirstFlash({ status: 'Update finished' });
+  await first.result;
+  await third.result;
+
+  const statusesBySource = {};
+  (await queue.getJobs(deviceID)).forEach(({ source, status }) => {
+    statusesBySource[source] = status;
+  });
+  // The cancelled job finished first so it was dropped from the history
+  t.deepEqual(statusesBySource, { api: 'succeeded', system: 'succeeded' });
+});
+
+test('should not retry the flashes failing with a permanent error', async t => {
+  const queue = createQueue();
+  const deviceID = TestData.getID();
+  let attemptCount = 0;
+
+  const error = await t.throws(
+    queue.run(deviceID, 'api', async () => {
+      attemptCount += 1;
+      throw createPermanentFlashError('Device is not connected');
+    }),
+  );
+
+  t.is(error.message, 'Device is not connected');
+  t.is(attemptCount, 1);
+  const [job] = await queue.getJobs(deviceID);
+  t.is(job.status, 'failed');
+  t.is(job.attemptCount, 1);
+});
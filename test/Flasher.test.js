@@ -0,0 +1,299 @@
+/* eslint-disable */
+
+import test from 'ava';
+import EventEmitter from 'events';
+import os from 'os';
+import path from 'path';
+
+import Flasher from '../src/lib/Flasher';
+import OTALinkController from '../src/lib/OTALinkController';
+import OTALinkStatsFileRepository from '../src/repository/OTALinkStatsFileRepository';
+import OTATransferStateFileRepository from '../src/repository/OTATransferStateFileRepository';
+import TestData from './setup/TestData';
+
+const CHUNK_SIZE = 256;
+const CHUNK_COUNT = 10;
+
+// Acknowledges every chunk until `failAtChunk` is sent, which drops the
+// connection. In fast OTA it reports `missedChunks` after UpdateDone and drops
+// the connection.
+class FakeDevice extends EventEmitter {
+  constructor(
+    deviceID,
+    { failAtChunk = -1, missedChunks = [], protocolVersion = 2 } = {},
+  ) {
+    super();
+    this.chunks = [];
+    this.deviceID = deviceID;
+    this.failAtChunk = failAtChunk;
+    this.isConnected = true;
+    this.missedChunks = missedChunks;
+    this.protocolVersion = protocolVersion;
+    this.sentMessages = [];
+    this.token = 0;
+  }
+
+  getDeviceID() {
+    return this.deviceID;
+  }
+
+  takeOwnership() {
+    return true;
+  }
+
+  releaseOwnership() {}
+
+  sendMessage(messageName, params, options, data) {
+    if (!this.isConnected) {
+      throw new Error('Device disconnected');
+    }
+
+    this.token += 1;
+    this.sentMessages.push({ data, messageName });
+    if (messageName === 'Chunk') {
+      this.chunks.push(data);
+    }
+    if (messageName === 'UpdateDone' && this.missedChunks.length) {
+      const payload = Buffer.alloc(this.missedChunks.length * 2);
+      this.missedChunks.forEach((chunkIndex, index) =>
+        payload.writeUInt16BE(chunkIndex, index * 2),
+      );
+      setImmediate(() => {
+        this.emit('ChunkMissed', { messageId: 1, payload });
+        this.isConnected = false;
+      });
+    }
+    return this.token;
+  }
+
+  sendReply() {}
+
+  listenFor(messageName, uri, token) {
+    if (messageName === 'UpdateReady') {
+      return Promise.resolve({
+        payload: Buffer.from([this.protocolVersion]),
+      });
+    }
+    if (messageName === 'ChunkReceived') {
+      if (this.chunks.length - 1 === this.failAtChunk) {
+        return Promise.reject(new Error('Request timed out ChunkReceived'));
+      }
+      const packet = { code: 0, token: Buffer.from([token]) };
+      this.emit('ChunkReceived', packet);
+      return Promise.resolve(packet);
+    }
+    return new Promise(() => {});
+  }
+}
+
+const flash = async (
+  device,
+  buffer,
+  otaOptions,
+  { isFastOTAEnabled = false } = {},
+) => {
+  const flasher = new Flasher(device, null, CHUNK_SIZE, otaOptions);
+  flasher._fastOtaEnabled = isFastOTAEnabled;
+  await flasher.startFlashBuffer(buffer);
+};
+
+// A new repository on the same directory stands in for a restarted server
+const getTransferStateDirectory = () =>
+  path.join(os.tmpdir(), `spark-ota-transfer-states-${TestData.getID()}`);
+
+const getUpdateBegin = device =>
+  device.sentMessages.find(({ messageName }) => messageName === 'UpdateBegin')
+    .data;
+
+test('should resume an interrupted transfer from the last confirmed chunk', async t => {
+  const deviceID = TestData.getID();
+  const directory = getTransferStateDirectory();
+  const buffer = Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1);
+
+  const failingDevice = new FakeDevice(deviceID, { failAtChunk: 4 });
+  await t.throws(
+    flash(failingDevice, buffer, {
+      transferStateRepository: new OTATransferStateFileRepository(directory),
+    }),
+  );
+
+  const transferStateRepository = new OTATransferStateFileRepository(directory);
+  t.is(
+    (await transferStateRepository.getByID(deviceID)).confirmedChunkCount,
+    4,
+  );
+
+  const device = new FakeDevice(deviceID);
+  await flash(device, buffer, { transferStateRepository });
+
+  const updateBegin = getUpdateBegin(device);
+  t.is(updateBegin.readUInt8(0), 2);
+  t.is(updateBegin.readUInt16BE(12), 4);
+  t.is(device.chunks.length, CHUNK_COUNT - 4);
+  t.is(await transferStateRepository.getByID(deviceID), null);
+});
+
+test('should resume a fast OTA transfer after the chunks the device reported', async t => {
+  const deviceID = TestData.getID();
+  const transferStateRepository = new OTATransferStateFileRepository(
+    getTransferStateDirectory(),
+  );
+  const buffer = Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1);
+
+  // The device drops the connection before chunk 6 is sent again
+  const failingDevice = new FakeDevice(deviceID, { missedChunks: [6] });
+  await t.throws(
+    flash(
+      failingDevice,
+      buffer,
+      { transferStateRepository },
+      { isFastOTAEnabled: true },
+    ),
+    'Device disconnected',
+  );
+  t.is(failingDevice.chunks.length, CHUNK_COUNT);
+  t.is(
+    (await transferStateRepository.getByID(deviceID)).confirmedChunkCount,
+    6,
+  );
+
+  const device = new FakeDevice(deviceID);
+  await flash(
+    device,
+    buffer,
+    { transferStateRepository },
+    { isFastOTAEnabled: true },
+  );
+
+  const updateBegin = getUpdateBegin(device);
+  t.is(updateBegin.readUInt8(0), 3);
+  t.is(updateBegin.readUInt16BE(12), 6);
+  t.is(device.chunks.length, CHUNK_COUNT - 6);
+  t.is(await transferStateRepository.getByID(deviceID), null);
+});
+
+test('should send the whole file when the device can not resume', async t => {
+  const deviceID = TestData.getID();
+  const otaOptions = {
+    transferStateRepository: new OTATransferStateFileRepository(
+      getTransferStateDirectory(),
+    ),
+  };
+  const buffer = Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1);
+
+  await t.throws(
+    flash(new FakeDevice(deviceID, { failAtChunk: 4 }), buffer, otaOptions),
+  );
+
+  const device = new FakeDevice(deviceID, { protocolVersion: 1 });
+  await flash(device, buffer, otaOptions);
+
+  t.is(device.chunks.length, CHUNK_COUNT);
+});
+
+test('should not resume the transfer of another binary', async t => {
+  const deviceID = TestData.getID();
+  const otaOptions = {
+    transferStateRepository: new OTATransferStateFileRepository(
+      getTransferStateDirectory(),
+    ),
+  };
+
+  await t.throws(
+    flash(
+      new FakeDevice(deviceID, { failAtChunk: 4 }),
+      Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1),
+      otaOptions,
+    ),
+  );
+
+  const device = new FakeDevice(deviceID);
+  await flash(device, Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 2), otaOptions);
+
+  t.is(getUpdateBegin(device).readUInt8(0), 0);
+  t.is(device.chunks.length, CHUNK_COUNT);
+});
+
+test('should emit throttled progress', async t => {
+  const device = new FakeDevice(TestData.getID());
+  const progressEvents = [];
+  device.on('flash/progress', progress => progressEvents.push(progress));
+
+  await flash(device, Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1));
+
+  t.true(progressEvents.length < CHUNK_COUNT);
+  t.is(progressEvents[0].sentChunkCount, 1);
+  const lastProgress = progressEvents[progressEvents.length - 1];
+  t.is(lastProgress.chunkCount, CHUNK_COUNT);
+  t.is(lastProgress.sentChunkCount, CHUNK_COUNT);
+  t.is(lastProgress.missedChunkCount, 0);
+  t.false(lastProgress.isFastOTA);
+});
+
+const createLinkController = () =>
+  new OTALinkController(
+    new OTALinkStatsFileRepository(
+      path.join(os.tmpdir(), `spark-ota-link-stats-${TestData.getID()}`),
+    ),
+    {
+      ENABLED: true,
+      MIN_CHUNK_SIZE: 128,
+      MIN_WINDOW_SIZE: 5,
+      MISSED_CHUNK_RATIO: 0.05,
+      WINDOW_SIZE: 50,
+    },
+  );
+
+// The next flash of the device halves the chunk size
+const recordBadFlash = (linkController, deviceID) =>
+  linkController.recordFlash(deviceID, {
+    missedChunkCount: 5,
+    sentChunkCount: 10,
+    settings: {
+      chunkSize: CHUNK_SIZE,
+      isFastOTAEnabled: false,
+      windowSize: 50,
+    },
+  });
+
+test('should flash with the settings of the link controller', async t => {
+  const deviceID = TestData.getID();
+  const linkController = createLinkController();
+  await recordBadFlash(linkController, deviceID);
+
+  const device = new FakeDevice(deviceID);
+  await flash(device, Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1), {
+    linkController,
+  });
+
+  t.is(getUpdateBegin(device).readUInt16BE(1), CHUNK_SIZE / 2);
+  t.is(device.chunks.length, CHUNK_COUNT * 2);
+  t.deepEqual((await linkController.getStats(deviceID)).settings, {
+    chunkSize: CHUNK_SIZE / 2,
+    isFastOTAEnabled: false,
+    windowSize: 50,
+  });
+});
+
+test('should resume with the chunk size of the interrupted transfer', async t => {
+  const deviceID = TestData.getID();
+  const buffer = Buffer.alloc(CHUNK_SIZE * CHUNK_COUNT, 1);
+  const transferStateRepository = new OTATransferStateFileRepository(
+    getTransferStateDirectory(),
+  );
+  await t.throws(
+    flash(new FakeDevice(deviceID, { failAtChunk: 4 }), buffer, {
+      transferStateRepository,
+    }),
+  );
+
+  const linkController = createLinkController();
+  await recordBadFlash(linkController, deviceID);
+  const device = new FakeDevice(deviceID);
+  await flash(device, buffer, { linkController, transferStateRepository });
+
+  const updateBegin = getUpdateBegin(device);
+  t.is(updateBegin.readUInt16BE(1), CHUNK_SIZE);
+  t.is(updateBegin.readUInt16BE(12), 4);
+  t.is(device.chunks.length, CHUNK_COUNT - 4);
+});
@@ -0,0 +1,194 @@
+/* eslint-disable */
+
+import test from 'ava';
+import crypto from 'crypto';
+import net from 'net';
+
+import ChunkingStream from '../src/lib/ChunkingStream';
+import CryptoManager from '../src/lib/CryptoManager';
+import Handshake from '../src/lib/Handshake';
+
+const NONCE_BYTES = 40;
+const HMAC_BYTES = 20;
+const TEST_DEVICE_ID = '0123456789abcdef01234567';
+
+const serverKeySigner = { getServerKeys: () => Promise.resolve([]) };
+
+const createCryptoManager = sessionCacheConfig =>
+  new CryptoManager(null, null, null, sessionCacheConfig, serverKeySigner);
+
+const createHmac = (data, key) =>
+  crypto
+    .createHmac('sha1', key)
+    .update(data)
+    .digest();
+
+// Resolves with the next `size` bytes the socket receives.
+const readBytes = (socket, size) =>
+  new Promise(resolve => {
+    let buffer = new Buffer(0);
+    const onData = data => {
+      buffer = Buffer.concat([buffer, data]);
+      if (buffer.length >= size) {
+        socket.removeListener('data', onData);
+        resolve(buffer.slice(0, size));
+      }
+    };
+    socket.on('data', onData);
+  });
+
+// Runs the server side of the handshake on one end of a TCP connection and
+// gives the other end to the test as the device.
+const startHandshake = async cryptoManager => {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const serverSocketPromise = new Promise(resolve =>
+    server.once('connection', resolve),
+  );
+  const deviceSocket = net.connect(server.address().port, '127.0.0.1');
+  const nonce = readBytes(deviceSocket, NONCE_BYTES);
+  const serverSocket = await serverSocketPromise;
+
+  const handshake = new Handshake(cryptoManager, null);
+  const result = handshake.start({ _socket: serverSocket });
+  // Keeps the rejections of the failing handshakes handled until asserted
+  result.catch(() => {});
+
+  return {
+    close: () => {
+      deviceSocket.destroy();
+      serverSocket.destroy();
+      server.close();
+    },
+    deviceSocket,
+    nonce: await nonce,
+    result,
+  };
+};
+
+test('should resume a cached session', async t => {
+  const cryptoManager = createCryptoManager();
+  const sessionKey = crypto.randomBytes(40);
+  cryptoManager.cacheSession(TEST_DEVICE_ID, sessionKey, 'default_key.pem');
+  cryptoManager.updateCachedSessionCounters(TEST_DEVICE_ID, {
+    receiveCounter: 7,
+    sendCounter: 11,
+  });
+
+  const { close, deviceSocket, nonce, result } = await startHandshake(
+    cryptoManager,
+  );
+  const deviceHmac = createHmac(nonce, sessionKey);
+  const serverHmacPromise = readBytes(deviceSocket, HMAC_BYTES);
+  deviceSocket.write(
+    Buffer.concat([new Buffer(TEST_DEVICE_ID, 'hex'), deviceHmac]),
+  );
+
+  const serverHmac = await serverHmacPromise;
+  t.deepEqual(
+    serverHmac,
+    createHmac(Buffer.concat([nonce, deviceHmac]), sessionKey),
+  );
+
+  // The device sends its Hello with the AES key of the session and the IV
+  // derived from the nonce and the server HMAC
+  const iv = createHmac(Buffer.concat([nonce, serverHmac]), sessionKey);
+  const cipherStream = cryptoManager.createAESCipherStream(
+    Buffer.concat([sessionKey.slice(0, 16), iv.slice(0, 16)]),
+  );
+  const chunkingStream = new ChunkingStream({ outgoing: true });
+  cipherStream.pipe(chunkingStream);
+  chunkingStream.pipe(deviceSocket);
+  cipherStream.write(new Buffer('hello'));
+
+  const {
+    deviceID,
+    handshakeBuffer,
+    resumedSessionCounters,
+    serverKeyID,
+  } = await result;
+  t.is(deviceID, TEST_DEVICE_ID);
+  t.is(handshakeBuffer.toString(), 'hello');
+  t.deepEqual(resumedSessionCounters, { receiveCounter: 7, sendCounter: 11 });
+  t.is(serverKeyID, 'default_key.pem');
+
+  close();
+});
+
+test('should keep the session when the HMAC of the device does not match', async t => {
+  const cryptoManager = createCryptoManager();
+  const sessionKey = crypto.randomBytes(40);
+  cryptoManager.cacheSession(TEST_DEVICE_ID, sessionKey);
+
+  const { close, deviceSocket, nonce, result } = await startHandshake(
+    cryptoManager,
+  );
+  deviceSocket.write(
+    Buffer.concat([
+      new Buffer(TEST_DEVICE_ID, 'hex'),
+      createHmac(nonce, crypto.randomBytes(40)),
+    ]),
+  );
+
+  await t.throws(
+    result,
+    `session resumption HMAC didn't match: ${TEST_DEVICE_ID}`,
+  );
+  t.deepEqual(
+    cryptoManager.getCachedSession(TEST_DEVICE_ID).sessionKey,
+    sessionKey,
+  );
+
+  close();
+});
+
+test('should not resume a session which is not cached', async t => {
+  const cryptoManager = createCryptoManager();
+
+  const { close, deviceSocket, nonce, result } = await startHandshake(
+    cryptoManager,
+  );
+  deviceSocket.write(
+    Buffer.concat([
+      new Buffer(TEST_DEVICE_ID, 'hex'),
+      createHmac(nonce, crypto.randomBytes(40)),
+    ]),
+  );
+
+  await t.throws(result, `no session to resume for device: ${TEST_DEVICE_ID}`);
+
+  close();
+});
+
+test('should expire the cached sessions after their TTL', async t => {
+  const cryptoManager = createCryptoManager({ MAX_SESSIONS: 10, TTL: 1000 });
+  const now = Date.now();
+  cryptoManager.cacheSession(TEST_DEVICE_ID, crypto.randomBytes(40));
+  const session = cryptoManager.getCachedSession(TEST_DEVICE_ID);
+  t.true(session.expiresAt >= now + 1000);
+
+  session.expiresAt = Date.now();
+  t.is(cryptoManager.getCachedSession(TEST_DEVICE_ID), null);
+  t.is(cryptoManager._sessionsByDeviceID.size, 0);
+});
+
+test('should evict the least recently used sessions', async t => {
+  const cryptoManager = createCryptoManager({ MAX_SESSIONS: 2, TTL: 60000 });
+  cryptoManager.cacheSession('device1', crypto.randomBytes(40));
+  cryptoManager.cacheSession('device2', crypto.randomBytes(40));
+
+  // Using the session of device1 makes device2 the least recently used
+  t.truthy(cryptoManager.getCachedSession('device1'));
+  cryptoManager.cacheSession('device3', crypto.randomBytes(40));
+
+  t.truthy(cryptoManager.getCachedSession('device1'));
+  t.is(cryptoManager.getCachedSession('device2'), null);
+  t.truthy(cryptoManager.getCachedSession('device3'));
+});
+
+test('should not cache sessions when the cache is disabled', async t => {
+  const cryptoManager = createCryptoManager({ MAX_SESSIONS: 0, TTL: 60000 });
+  cryptoManager.cacheSession(TEST_DEVICE_ID, crypto.randomBytes(40));
+
+  t.is(cryptoManager.getCachedSession(TEST_DEVICE_ID), null);
+});
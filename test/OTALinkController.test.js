@@ -0,0 +1,84 @@
+/* eslint-disable */
+
+import test from 'ava';
+import os from 'os';
+import path from 'path';
+
+import OTALinkController from '../src/lib/OTALinkController';
+import OTALinkStatsFileRepository from '../src/repository/OTALinkStatsFileRepository';
+import TestData from './setup/TestData';
+
+const CONFIG = {
+  ENABLED: true,
+  MIN_CHUNK_SIZE: 128,
+  MIN_WINDOW_SIZE: 10,
+  MISSED_CHUNK_RATIO: 0.1,
+  WINDOW_SIZE: 40,
+};
+const MAX_CHUNK_SIZE = 512;
+
+// A new repository on the same directory stands in for a restarted server
+const getStatsDirectory = () =>
+  path.join(os.tmpdir(), `spark-ota-link-stats-${TestData.getID()}`);
+
+const createController = (config = CONFIG, directory = getStatsDirectory()) =>
+  new OTALinkController(new OTALinkStatsFileRepository(directory), config);
+
+const flash = async (controller, deviceID, missedChunkCount) => {
+  const settings = await controller.getSettings(deviceID, MAX_CHUNK_SIZE);
+  await controller.recordFlash(deviceID, {
+    missedChunkCount,
+    sentChunkCount: 100,
+    settings,
+  });
+  return settings;
+};
+
+test('should get more careful while the device misses chunks', async t => {
+  const controller = createController();
+  const deviceID = TestData.getID();
+
+  const settings = [];
+  for (let index = 0; index < 6; index += 1) {
+    settings.push(await flash(controller, deviceID, 20));
+  }
+
+  t.deepEqual(settings, [
+    { chunkSize: 512, isFastOTAEnabled: true, windowSize: 40 },
+    { chunkSize: 512, isFastOTAEnabled: true, windowSize: 20 },
+    { chunkSize: 512, isFastOTAEnabled: true, windowSize: 10 },
+    { chunkSize: 512, isFastOTAEnabled: false, windowSize: 10 },
+    { chunkSize: 256, isFastOTAEnabled: false, windowSize: 10 },
+    { chunkSize: 128, isFastOTAEnabled: false, windowSize: 10 },
+  ]);
+
+  const stats = await controller.getStats(deviceID);
+  t.is(stats.flashCount, 6);
+  t.is(stats.missedChunkCount, 120);
+});
+
+test('should recover after good flashes', async t => {
+  const directory = getStatsDirectory();
+  const controller = createController(CONFIG, directory);
+  const deviceID = TestData.getID();
+  for (let index = 0; index < 5; index += 1) {
+    await flash(controller, deviceID, 20);
+  }
+
+  t.deepEqual(await flash(createController(CONFIG, directory), deviceID, 0), {
+    chunkSize: 128,
+    isFastOTAEnabled: false,
+    windowSize: 10,
+  });
+  t.is((await flash(controller, deviceID, 0)).chunkSize, 256);
+  t.is((await flash(controller, deviceID, 0)).chunkSize, 512);
+  t.true((await flash(controller, deviceID, 0)).isFastOTAEnabled);
+  t.is((await flash(controller, deviceID, 0)).windowSize, 20);
+  // The limit of the device is always respected
+  t.is((await controller.getSettings(deviceID, 256)).chunkSize, 256);
+});
+
+test('should leave the flasher defaults when disabled', async t => {
+  const controller = createController({ ...CONFIG, ENABLED: false });
+  t.is(await controller.getSettings(TestData.getID(), MAX_CHUNK_SIZE), null);
+});
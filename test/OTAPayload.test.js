@@ -0,0 +1,91 @@
+/* eslint-disable */
+
+import test from 'ava';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import crc32 from 'buffer-crc32';
+
+import FirmwareBinaries from './setup/FirmwareBinaries';
+import OTAPayload from '../src/lib/OTAPayload';
+
+const CONFIG = {
+  ENABLE_COMPRESSION: true,
+  MIN_COMPRESSION_SYSTEM_VERSION: 3100,
+};
+
+const getSystemInformation = systemVersion => ({
+  m: [
+    { d: [], f: 's', n: '1', v: systemVersion },
+    { d: [], f: 'u', n: '1', v: 4 },
+  ],
+  p: 6,
+});
+
+test('should build a compressed module with a valid CRC and suffix', t => {
+  const binary = FirmwareBinaries.create();
+
+  const module = OTAPayload.compressModule(binary);
+
+  t.deepEqual(
+    module.slice(module.length - 4),
+    crc32(module.slice(0, module.length - 4)),
+  );
+  t.deepEqual(module.slice(10, 24), binary.slice(10, 24));
+  t.is(module.readUInt8(9) & 0x02, 0x02);
+  t.is(module.readUInt32LE(4) - module.readUInt32LE(0), module.length - 4);
+
+  // compressed_module_header then the data following the prefix, deflated
+  t.is(module.readUInt16LE(24), 8);
+  t.is(module.readUInt8(26), 0);
+  t.is(module.readUInt32LE(28), binary.length - 24);
+  t.deepEqual(
+    zlib.inflateRawSync(module.slice(32, module.length - 40)),
+    binary.slice(24),
+  );
+
+  const hashOffset = module.length - 38;
+  t.deepEqual(
+    module.slice(hashOffset, hashOffset + 32),
+    crypto
+      .createHash('sha256')
+      .update(module.slice(0, hashOffset))
+      .digest(),
+  );
+  t.is(module.readUInt16LE(module.length - 6), 36);
+});
+
+test('should only compress user parts for devices which install them', t => {
+  const binary = FirmwareBinaries.create();
+
+  t.true(
+    OTAPayload.getPayload(binary, getSystemInformation(3100), CONFIG).length <
+      binary.length,
+  );
+  t.is(
+    OTAPayload.getPayload(binary, getSystemInformation(2000), CONFIG),
+    binary,
+  );
+  t.is(
+    OTAPayload.getPayload(binary, getSystemInformation(3100), {
+      ...CONFIG,
+      ENABLE_COMPRESSION: false,
+    }),
+    binary,
+  );
+
+  const systemPart = FirmwareBinaries.create({ moduleFunction: 4 });
+  t.is(
+    OTAPayload.getPayload(systemPart, getSystemInformation(3100), CONFIG),
+    systemPart,
+  );
+
+  // Random bytes don't get smaller
+  const randomBinary = Buffer.concat([
+    binary.slice(0, 24),
+    crypto.randomBytes(4096),
+  ]);
+  t.is(
+    OTAPayload.getPayload(randomBinary, getSystemInformation(3100), CONFIG),
+    randomBinary,
+  );
+});
@@ -0,0 +1,153 @@
+/* eslint-disable */
+
+import test from 'ava';
+import EventEmitter from 'events';
+
+import EventPublisher from '../src/lib/EventPublisher';
+import TestData from './setup/TestData';
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+const DEVICE_COUNT = 2500;
+const EVENT_COUNT = 1000;
+const OWNER_COUNT = 500;
+const SUBSCRIPTIONS_PER_DEVICE = 4;
+
+// The dispatch EventPublisher used before the subscription index: every
+// event goes through eventNames() and every filter of the matching prefixes.
+class ScanningPublisher extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+  }
+
+  checkedListeners = 0;
+
+  subscribe(eventNamePrefix, handler, filterOptions) {
+    this.on(eventNamePrefix, event => {
+      this.checkedListeners += 1;
+      if (
+        filterOptions.userID &&
+        !event.isPublic &&
+        filterOptions.userID !== event.userID
+      ) {
+        return;
+      }
+      if (filterOptions.mydevices && filterOptions.userID !== event.userID) {
+        return;
+      }
+      handler(event);
+    });
+  }
+
+  dispatch(event) {
+    this.eventNames()
+      .filter(eventNamePrefix => event.name.startsWith(eventNamePrefix))
+      .forEach(eventNamePrefix => this.emit(eventNamePrefix, event));
+  }
+}
+
+// Subscriptions like the ones devices make from _onDeviceSubscribe
+const createSubscriptions = () => {
+  const ownerIDs = Array.from({ length: OWNER_COUNT }, () => TestData.getID());
+  const subscriptions = [];
+
+  for (let index = 0; index < DEVICE_COUNT; index += 1) {
+    const deviceID = TestData.getID();
+    const userID = ownerIDs[index % OWNER_COUNT];
+    const eventNamePrefixes = [
+      'spark/',
+      'temperature',
+      `${deviceID}/command`,
+      'alarm',
+    ];
+
+    eventNamePrefixes
+      .slice(0, SUBSCRIPTIONS_PER_DEVICE)
+      .forEach((eventNamePrefix, prefixIndex) =>
+        subscriptions.push({
+          deviceID,
+          eventNamePrefix,
+          filterOptions: { mydevices: prefixIndex % 2 === 0, userID },
+        }),
+      );
+  }
+
+  // Device events are private, public ones reach most subscriptions whatever
+  // the dispatch.
+  const events = Array.from({ length: EVENT_COUNT }, (value, index) => ({
+    isInternal: false,
+    isPublic: false,
+    name: ['spark/status', 'temperature', 'alarm/fire'][index % 3],
+    publishedAt: new Date(),
+    ttl: 60,
+    userID: ownerIDs[index % OWNER_COUNT],
+  }));
+
+  return { events, subscriptions };
+};
+
+test('should check fewer listeners than scanning 10k subscriptions', async t => {
+  const { events, subscriptions } = createSubscriptions();
+  t.is(subscriptions.length, 10000);
+
+  let scanningDeliveries = 0;
+  const scanningPublisher = new ScanningPublisher();
+  subscriptions.forEach(({ eventNamePrefix, filterOptions }) =>
+    scanningPublisher.subscribe(
+      eventNamePrefix,
+      () => (scanningDeliveries += 1),
+      filterOptions,
+    ),
+  );
+
+  let indexedDeliveries = 0;
+  const eventPublisher = new EventPublisher();
+  subscriptions.forEach(({ deviceID, eventNamePrefix, filterOptions }) =>
+    eventPublisher.subscribe(eventNamePrefix, () => (indexedDeliveries += 1), {
+      filterOptions,
+      subscriberID: deviceID,
+    }),
+  );
+
+  // The subscriptions the index returns are the ones whose filters run
+  let indexedCheckedListeners = 0;
+  events.forEach(event => {
+    indexedCheckedListeners += eventPublisher._subscriptionIndex.match(event)
+      .length;
+    eventPublisher._emitEvent(event);
+  });
+  events.forEach(event => scanningPublisher.dispatch(event));
+
+  // Filtered listeners are called on the next tick
+  await delay(100);
+
+  t.true(scanningDeliveries > 0);
+  t.is(indexedDeliveries, scanningDeliveries);
+  t.true(
+    indexedCheckedListeners * 100 < scanningPublisher.checkedListeners,
+    `indexed: ${indexedCheckedListeners}, scanning: ${
+      scanningPublisher.checkedListeners
+    }`,
+  );
+});
+
+test('should remove every subscription of a subscriber', async t => {
+  const { subscriptions } = createSubscriptions();
+  const eventPublisher = new EventPublisher();
+  subscriptions.forEach(({ deviceID, eventNamePrefix, filterOptions }) =>
+    eventPublisher.subscribe(eventNamePrefix, () => {}, {
+      filterOptions,
+      subscriberID: deviceID,
+    }),
+  );
+
+  subscriptions.forEach(({ deviceID }) =>
+    eventPublisher.unsubscribeBySubscriberID(deviceID),
+  );
+
+  t.is(eventPublisher._subscriptionsByID.size, 0);
+  t.is(eventPublisher._subscriptionIDsBySubscriberID.size, 0);
+  t.is(eventPublisher._subscriptionIndex._buckets.size, 0);
+});
@@ -0,0 +1,67 @@
+/* eslint-disable */
+
+import test from 'ava';
+
+import SystemFirmwareResolver from '../src/lib/SystemFirmwareResolver';
+
+const PHOTON_PLATFORM_ID = 6;
+
+const createBinary = (
+  moduleIndex,
+  moduleVersion,
+  dependencyVersion,
+  platformID = PHOTON_PLATFORM_ID,
+) => ({
+  filename: `system-part${moduleIndex}-${moduleVersion}-${platformID}.bin`,
+  prefixInfo: {
+    depModuleFunction: dependencyVersion ? 4 : 0,
+    depModuleIndex: dependencyVersion ? moduleIndex - 1 : 0,
+    depModuleVersion: dependencyVersion || 0,
+    moduleFunction: 4,
+    moduleIndex,
+    moduleVersion,
+    platformID,
+  },
+});
+
+const createSystemInformation = (appDependencyVersion, platformID = 6) => ({
+  m: [
+    { d: [], f: 's', n: '1', v: 100 },
+    { d: [{ f: 's', n: '1', v: 100 }], f: 's', n: '2', v: 100 },
+    { d: [{ f: 's', n: '2', v: appDependencyVersion }], f: 'u', n: '1', v: 4 },
+  ],
+  p: platformID,
+});
+
+const getFilenames = sequence =>
+  sequence && sequence.map(({ filename }) => filename);
+
+test('should order the system parts the app needs', t => {
+  const resolver = new SystemFirmwareResolver([
+    createBinary(2, 120, 110),
+    createBinary(1, 110),
+    createBinary(2, 110, 110),
+    createBinary(1, 100),
+    createBinary(1, 110, null, 10),
+  ]);
+
+  t.deepEqual(resolver.resolve(createSystemInformation(100)), []);
+  t.deepEqual(getFilenames(resolver.resolve(createSystemInformation(110))), [
+    'system-part1-110-6.bin',
+    'system-part2-110-6.bin',
+  ]);
+  t.is(resolver.resolve(createSystemInformation(130)), null);
+  t.is(resolver.resolve(createSystemInformation(110, 8)), null);
+});
+
+test('should pick the shortest sequence', t => {
+  const resolver = new SystemFirmwareResolver([
+    createBinary(1, 110),
+    createBinary(2, 110, 110),
+    createBinary(2, 115, 100),
+  ]);
+
+  t.deepEqual(getFilenames(resolver.resolve(createSystemInformation(110))), [
+    'system-part2-115-6.bin',
+  ]);
+});
@@ -0,0 +1,41 @@
+/* eslint-disable */
+
+import test from 'ava';
+import sinon from 'sinon';
+
+import TokenBucketRateLimiter from '../src/lib/TokenBucketRateLimiter';
+
+test('should allow bursts and refill over time', t => {
+  const clock = sinon.useFakeTimers(Date.now());
+  const limiter = new TokenBucketRateLimiter({
+    BURST_SIZE: 2,
+    EVENTS_PER_SECOND: 1,
+  });
+
+  t.true(limiter.consume('a'));
+  t.true(limiter.consume('a'));
+  t.false(limiter.consume('a'));
+  t.true(limiter.consume('b'));
+
+  clock.tick(1000);
+  t.true(limiter.consume('a'));
+  t.false(limiter.consume('a'));
+
+  clock.tick(60 * 1000 + 1);
+  limiter.consume('c');
+  t.deepEqual(Array.from(limiter._buckets.keys()), ['c']);
+
+  clock.restore();
+});
+
+test('should tell whether a token is left without taking it', t => {
+  const limiter = new TokenBucketRateLimiter({
+    BURST_SIZE: 1,
+    EVENTS_PER_SECOND: 1,
+  });
+
+  t.true(limiter.hasToken('a'));
+  t.true(limiter.hasToken('a'));
+  t.true(limiter.consume('a'));
+  t.false(limiter.hasToken('a'));
+});
@@ -0,0 +1,214 @@
+/* eslint-disable */
+
+import test from 'ava';
+import dgram from 'dgram';
+import EventEmitter from 'events';
+import CoapPacket from 'coap-packet';
+
+import UDPServer from '../src/server/UDPServer';
+
+const delay = (milliseconds: number): Promise<void> =>
+  new Promise((resolve: () => void): void => setTimeout(resolve, milliseconds));
+
+const DELAY_TIME = 100;
+
+const waitFor = async (condition, timeout = 5000) => {
+  const startTime = Date.now();
+  while (!condition()) {
+    if (Date.now() - startTime > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await delay(10);
+  }
+};
+const TEST_DEVICE_ID = '0123456789abcdef01234567';
+
+// Stands in for a real DTLS session, datagrams are passed through as is.
+class PlainTextDTLSSession extends EventEmitter {
+  receive(datagram) {
+    if (!this._isSecure) {
+      this._isSecure = true;
+      this.emit('handshake', { deviceID: TEST_DEVICE_ID, publicKeyPem: null });
+    }
+    this.emit('message', datagram);
+  }
+
+  send(message) {
+    this.emit('datagram', message);
+  }
+
+  close() {}
+}
+
+const createServer = async (
+  options = {},
+  maxSessions,
+  createDTLSSession = () => new PlainTextDTLSSession(),
+) => {
+  const server = new UDPServer(createDTLSSession, options, maxSessions);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+};
+
+// A fake device which records every datagram it receives from the server.
+const createFakeDevice = async server => {
+  const socket = dgram.createSocket('udp4');
+  const received = [];
+  socket.on('message', message => received.push(CoapPacket.parse(message)));
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  const { port } = server.address();
+  return {
+    close: () => socket.close(),
+    received,
+    send: packet =>
+      new Promise(resolve =>
+        socket.send(CoapPacket.generate(packet), port, '127.0.0.1', resolve),
+      ),
+    socket,
+  };
+};
+
+test('should create one session per peer', async t => {
+  const server = await createServer();
+  const sessions = [];
+  server.on('connection', session => sessions.push(session));
+
+  const firstDevice = await createFakeDevice(server);
+  const secondDevice = await createFakeDevice(server);
+
+  await firstDevice.send({ messageId: 1 });
+  await firstDevice.send({ messageId: 2 });
+  await secondDevice.send({ messageId: 1 });
+  await delay(DELAY_TIME);
+
+  t.is(sessions.length, 2);
+  t.deepEqual(sessions[0].getSecureSessionInfo(), {
+    deviceID: TEST_DEVICE_ID,
+    publicKeyPem: null,
+  });
+
+  firstDevice.close();
+  secondDevice.close();
+  server.close();
+});
+
+test('should drop the datagrams of peers it has no session for', async t => {
+  let sessionCount = 0;
+  const server = await createServer({}, 1, () => {
+    sessionCount += 1;
+    if (sessionCount === 1) {
+      throw new Error('Invalid peer');
+    }
+    return new PlainTextDTLSSession();
+  });
+  const connection = new Promise(resolve => server.once('connection', resolve));
+
+  const firstDevice = await createFakeDevice(server);
+  const secondDevice = await createFakeDevice(server);
+  await firstDevice.send({ messageId: 1 });
+  await firstDevice.send({ messageId: 2 });
+  await connection;
+  await secondDevice.send({ messageId: 1 });
+  await delay(DELAY_TIME);
+
+  // The first datagram is dropped when the factory throws and the second
+  // device is over the session limit
+  t.is(sessionCount, 2);
+  t.truthy(server.getSession('127.0.0.1', firstDevice.socket.address().port));
+  t.falsy(server.getSession('127.0.0.1', secondDevice.socket.address().port));
+
+  firstDevice.close();
+  secondDevice.close();
+  server.close();
+});
+
+test('should swallow duplicated confirmable messages and replay the ack', async t => {
+  const server = await createServer();
+  const messages = [];
+  server.on('connection', session => {
+    session.on('data', message => {
+      const packet = CoapPacket.parse(message);
+      messages.push(packet);
+      session.write(
+        CoapPacket.generate({
+          ack: true,
+          code: '2.04',
+          messageId: packet.messageId,
+        }),
+      );
+    });
+  });
+
+  const device = await createFakeDevice(server);
+  const packet = {
+    code: '0.02',
+    confirmable: true,
+    messageId: 42,
+    payload: new Buffer('hello'),
+  };
+
+  await device.send(packet);
+  await delay(DELAY_TIME);
+  // The ack got lost so the device retransmits
+  await device.send(packet);
+  await delay(DELAY_TIME);
+
+  t.is(messages.length, 1);
+  t.is(device.received.length, 2);
+  t.true(device.received.every(reply => reply.ack && reply.messageId === 42));
+
+  device.close();
+  server.close();
+});
+
+test('should retransmit confirmable messages until acknowledged', async t => {
+  const server = await createServer({ ackTimeout: 50, maxRetransmit: 4 });
+  const connection = new Promise(resolve => server.once('connection', resolve));
+
+  const device = await createFakeDevice(server);
+  await device.send({ messageId: 1 });
+  const serverSession = await connection;
+
+  serverSession.write(
+    CoapPacket.generate({ code: '0.02', confirmable: true, messageId: 7 }),
+  );
+
+  // 50-75ms for the first retransmit, then 100-150ms for the second
+  await waitFor(() => device.received.length >= 2);
+
+  // A retransmit may cross the ack on a busy machine
+  await device.send({ ack: true, code: '0.00', messageId: 7 });
+  await delay(DELAY_TIME);
+  const acknowledgedCount = device.received.length;
+  await delay(400);
+  t.is(device.received.length, acknowledgedCount);
+
+  device.close();
+  server.close();
+});
+
+test('should time out the session when a message is never acknowledged', async t => {
+  const server = await createServer({ ackTimeout: 10, maxRetransmit: 1 });
+  const connection = new Promise(resolve => server.once('connection', resolve));
+
+  const device = await createFakeDevice(server);
+  await device.send({ messageId: 1 });
+  const serverSession = await connection;
+
+  const onTimeout = new Promise(resolve =>
+    serverSession.once('timeout', resolve),
+  );
+  serverSession.write(
+    CoapPacket.generate({ code: '0.02', confirmable: true, messageId: 8 }),
+  );
+  await onTimeout;
+
+  // The retransmit sent right before the timeout may still be on its way
+  await waitFor(() => device.received.length >= 2);
+  await delay(DELAY_TIME);
+  t.is(device.received.length, 2);
+
+  device.close();
+  server.close();
+});
@@ -0,0 +1,41 @@
+// @flow
+/* eslint-disable no-bitwise */
+
+const crc32 = (buffer: Buffer): number => {
+  let crc = 0xffffffff;
+  buffer.forEach((byte: number) => {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+class FirmwareBinaries {
+  // A module with a valid CRC which depends on system part 2 by default
+  static create = ({
+    dependencyFunction = 4,
+    dependencyIndex = 2,
+    dependencyVersion = 100,
+    moduleFunction = 5,
+    moduleIndex = 1,
+    moduleVersion = 1,
+    platformID = 6,
+  }: Object = {}): Buffer => {
+    const binary = Buffer.alloc(512);
+    binary.writeUInt32LE(0x080a0000, 0);
+    binary.writeUInt32LE(0x080a0200, 4);
+    binary.writeUInt16LE(moduleVersion, 10);
+    binary.writeUInt16LE(platformID, 12);
+    binary.writeUInt8(moduleFunction, 14);
+    binary.writeUInt8(moduleIndex, 15);
+    binary.writeUInt8(dependencyFunction, 16);
+    binary.writeUInt8(dependencyIndex, 17);
+    binary.writeUInt8(dependencyVersion, 18);
+    binary.writeUInt32BE(crc32(binary.slice(0, binary.length - 4)), 508);
+    return binary;
+  };
+}
+
+export default FirmwareBinaries;
@@ -0,0 +1,32 @@
+// @flow
+
+import path from 'path';
+
+// The Module class, flow has no declaration of the module module
+const Module: any = (module: any).constructor;
+
+// third-party/settings.json is generated by update-firmware, the tests load
+// the modules importing it with an empty fixture instead.
+const FIRMWARE_SETTINGS_PATH = path.join(
+  __dirname,
+  '../../third-party/settings.json',
+);
+const FIXTURE_PATH = path.join(__dirname, 'settings.json');
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolveFirmwareSettings(
+  request: string,
+  parent: ?{ filename: string },
+  ...args: Array<mixed>
+): string {
+  if (
+    parent &&
+    parent.filename &&
+    path.resolve(path.dirname(parent.filename), request) ===
+      FIRMWARE_SETTINGS_PATH
+  ) {
+    return FIXTURE_PATH;
+  }
+
+  return resolveFilename.call(this, request, parent, ...args);
+};